@@ -2,9 +2,22 @@ const express = require("express"); // Import Express framework
 const multer = require("multer"); // Import Multer for file uploads
 const cors = require("cors"); // Import CORS middleware
 const { logger } = require("./utils/logger"); // Import custom logger utility
+const { logPath } = require("./utils/logPath"); // Import redacted request paths for logs
 const fileRoutes = require("./routes/file.routes"); // Import file routes
+const resumableUploadRoutes = require("./routes/resumableUpload.routes"); // Import resumable (tus) upload routes
+const adminRoutes = require("./routes/admin.routes"); // Import admin routes
+const quotaRoutes = require("./routes/quota.routes"); // Import quota routes
+const metricsRoutes = require("./routes/metrics.routes"); // Import Prometheus metrics routes
+const healthRoutes = require("./routes/health.routes"); // Import liveness and readiness routes
+const { authenticateApiKey } = require("./middleware/apiKey.middleware"); // Import API key authentication
+const { ipAccess } = require("./middleware/ipAccess.middleware"); // Import IP allow/deny lists and bans
+const { clientIp, proxyMatcher } = require("./middleware/clientIp.middleware"); // Import client address resolution
+const { requestId } = require("./middleware/requestId.middleware"); // Import request ids
+const { httpMetrics } = require("./middleware/metrics.middleware"); // Import request metrics
+const { TUS_EXPOSED_HEADERS } = require("./middleware/tus.middleware"); // Import tus headers for CORS
 const { errorHandler } = require("./middleware/error.middleware"); // Import error handler middleware
 const cleanupJob = require("./jobs/cleanup.job"); // Import cleanup job for periodic file cleanup
+const webhookJob = require("./jobs/webhook.job"); // Import webhook job for queued deliveries
 
 class App {
   constructor() {
@@ -16,16 +29,53 @@ class App {
   }
 
   setupMiddleware() {
-    this.app.use(cors()); // Enable CORS for all routes
+    // Fail at startup rather than on the first request if TRUSTED_PROXIES is invalid
+    proxyMatcher();
+    // Let Express honour X-Forwarded-Proto and -Host from the same trusted proxies
+    this.app.set("trust proxy", (address) => proxyMatcher()(address));
+    // Resolve the client address before anything logs or limits it
+    this.app.use(clientIp);
+    // Give every request an id for logs and the audit log
+    this.app.use(requestId);
+    // Count and time every request, including those refused early
+    this.app.use(httpMetrics);
+    // Enable CORS for all routes; preflights continue so tus OPTIONS discovery reaches its route
+    this.app.use(
+      cors({
+        exposedHeaders: [
+          ...TUS_EXPOSED_HEADERS,
+          "Accept-Ranges",
+          "Content-Range",
+          "Content-Disposition",
+          "RateLimit-Limit",
+          "RateLimit-Remaining",
+          "RateLimit-Reset",
+          "Retry-After",
+          "X-Request-Id",
+        ],
+        preflightContinue: true,
+      })
+    );
     this.app.use(express.json()); // Parse JSON request bodies
     this.app.use(express.urlencoded({ extended: true })); // Parse URL-encoded request bodies
     this.app.use((req, res, next) => {
-      logger.info(`${req.method} ${req.url}`); // Log each incoming request
+      logger.info(`${req.method} ${logPath(req)} from ${req.ip}`); // Log each incoming request, without secrets
       next(); // Proceed to next middleware
     });
   }
 
   setupRoutes() {
+    this.app.use(healthRoutes()); // Register /healthz and /readyz
+    this.app.use("/metrics", metricsRoutes()); // Register Prometheus metrics routes
+    // Admin routes use the admin token, not API keys
+    this.app.use("/admin", adminRoutes()); // Register admin routes
+    this.app.use("/quota", quotaRoutes()); // Register quota routes
+    // Denylisted and banned clients are refused before anything else runs
+    this.app.use("/files", ipAccess);
+    // File requests may carry an API key; anonymous requests use IP limits
+    this.app.use("/files", authenticateApiKey);
+    // Resumable uploads must be registered before /files/:publicKey
+    this.app.use("/files/uploads", resumableUploadRoutes()); // Register tus upload routes
     // File routes with rate limiting
     this.app.use("/files", fileRoutes(this.upload)); // Register file routes under /files
     this.app.use(errorHandler); // Register error handler middleware
@@ -33,6 +83,7 @@ class App {
 
   setupJobs() {
     cleanupJob.start(); // Start periodic cleanup job for inactive files
+    webhookJob.start(); // Start sending queued webhook deliveries
   }
 }
 
@@ -8,7 +8,7 @@ module.exports = {
   // Directory path for storing uploaded files (default: ./uploads)
   folder: process.env.FOLDER || "./uploads",
 
-  // Storage provider type (e.g., local, google) (default: local)
+  // Storage provider type (e.g., local, google, s3) (default: local)
   provider: process.env.PROVIDER || "local",
 
   // Path to provider-specific configuration file basically used for Google Cloud Storage
@@ -20,12 +20,144 @@ module.exports = {
   // Period of inactivity after which files may be cleaned up (default: 30 days)
   inactivityPeriod: process.env.INACTIVITY_PERIOD || "30d",
 
-  // Maximum upload limit per day (default: 100MB)
+  // Maximum size of a single resumable (tus) upload (default: 5GB)
+  maxResumableUploadSize: process.env.MAX_RESUMABLE_UPLOAD_SIZE || "5GB",
+
+  // Unfinished resumable uploads older than this are discarded (default: 24 hours)
+  resumableUploadExpiry: process.env.RESUMABLE_UPLOAD_EXPIRY || "24h",
+
+  // Window quotas are counted over: a UTC calendar period (hour, day, week, month)
+  // or a rolling duration such as 1h, 24h, 7d or 30d (default: day)
+  quotaWindow: process.env.QUOTA_WINDOW || "day",
+
+  // Maximum bytes uploaded per quota window (default: 100MB)
   dailyUploadLimit: process.env.DAILY_UPLOAD_LIMIT || "100MB",
 
-  // Maximum download limit per day (default: 1GB)
+  // Maximum bytes downloaded per quota window (default: 1GB)
   dailyDownloadLimit: process.env.DAILY_DOWNLOAD_LIMIT || "1GB",
 
+  // Maximum upload, download and delete requests per quota window (default: 0, no limit)
+  uploadRequestLimit: parseInt(process.env.UPLOAD_REQUEST_LIMIT) || 0,
+  downloadRequestLimit: parseInt(process.env.DOWNLOAD_REQUEST_LIMIT) || 0,
+  deleteRequestLimit: parseInt(process.env.DELETE_REQUEST_LIMIT) || 0,
+
+  // What quota checks do while Redis is unreachable: "open" keeps counting in memory
+  // and adds that usage to Redis once it is back, "closed" refuses with 503 (default: open)
+  rateLimitFailureMode: process.env.RATE_LIMIT_FAILURE_MODE || "open",
+
+  // Clients the in-memory fallback keeps counters for, least recently seen dropped first (default: 10000)
+  rateLimitFallbackSize: parseInt(process.env.RATE_LIMIT_FALLBACK_SIZE) || 10000,
+
+  // Reverse proxies whose forwarding header (FORWARDED_HEADER) is trusted, as comma-separated
+  // addresses or CIDR ranges (e.g. "10.0.0.0/8,fd00::/8"); empty trusts no proxy (default)
+  trustedProxies: process.env.TRUSTED_PROXIES || "",
+
+  // The one forwarding header trusted proxies write: "X-Forwarded-For" or "Forwarded".
+  // The other is ignored, since proxies pass it on as the client sent it (default: X-Forwarded-For)
+  forwardedHeader: process.env.FORWARDED_HEADER || "X-Forwarded-For",
+
+  // IPv6 clients are rate limited per prefix of this length, since a host usually owns
+  // a whole /64 (default: 64; 128 limits single addresses)
+  ipv6PrefixLength: parseInt(process.env.IPV6_PREFIX_LENGTH) || 64,
+
+  // Clients are banned from /files automatically once they reach one of these counts within
+  // AUTO_BAN_WINDOW: 429 responses, 404s on downloads, and unknown private keys on DELETE (0 disables one)
+  autoBanAfter429: parseInt(process.env.AUTO_BAN_AFTER_429 ?? 30) || 0,
+  autoBanAfter404: parseInt(process.env.AUTO_BAN_AFTER_404 ?? 50) || 0,
+  autoBanAfterInvalidKeys: parseInt(process.env.AUTO_BAN_AFTER_INVALID_KEYS ?? 10) || 0,
+
+  // Window in which offenses are counted towards an automatic ban (default: 10 minutes)
+  autoBanWindow: process.env.AUTO_BAN_WINDOW || "10m",
+
+  // How long automatic bans last (default: 1 hour)
+  autoBanDuration: process.env.AUTO_BAN_DURATION || "1h",
+
+  // Endpoints that receive every file event, as comma-separated http(s) URLs (default: none)
+  webhookUrls: process.env.WEBHOOK_URLS || "",
+
+  // Secret the events sent to WEBHOOK_URLS are signed with (HMAC-SHA256); required with WEBHOOK_URLS
+  webhookSecret: process.env.WEBHOOK_SECRET,
+
+  // Delivery attempts per event before it is moved to the dead-letter list (default: 8)
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+
+  // Wait before the first retry in ms; waits double with every attempt up to an hour (default: 10000)
+  webhookRetryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 10000,
+
+  // Time (in ms) a receiver gets to answer a delivery (default: 10000)
+  webhookTimeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+
+  // How often (in ms) the queue is checked for due deliveries (default: 1000)
+  webhookPollInterval: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 1000,
+
+  // How long audit records of file operations are kept (default: 90 days); leave empty to keep them all
+  auditRetention: process.env.AUDIT_RETENTION ?? "90d",
+
+  // Bearer token for the /admin endpoints (API keys, IP rules, bans and the audit log); leave empty to disable them
+  adminToken: process.env.ADMIN_TOKEN,
+
+  // Bearer token required to scrape GET /metrics; leave empty to serve metrics without one
+  metricsToken: process.env.METRICS_TOKEN,
+
+  // Time (in ms) each dependency check of GET /readyz may take before it counts as down (default: 2000)
+  healthCheckTimeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000,
+
+  // Secret for signing password unlock tokens; set it when running several instances
+  unlockTokenSecret: process.env.UNLOCK_TOKEN_SECRET,
+
+  // Lifetime of unlock tokens issued by POST /files/:publicKey/unlock (default: 15 minutes)
+  unlockTokenTtl: process.env.UNLOCK_TOKEN_TTL || "15m",
+
+  // Failed password attempts allowed per file and IP within the window (default: 5)
+  maxPasswordAttempts: parseInt(process.env.MAX_PASSWORD_ATTEMPTS) || 5,
+
+  // Window in which failed password attempts are counted (default: 15 minutes)
+  passwordAttemptWindow: process.env.PASSWORD_ATTEMPT_WINDOW || "15m",
+
+  // HMAC keys for signed download URLs as comma-separated "keyId:secret" pairs;
+  // the first key signs and all keys verify, so prepend a new key to rotate
+  signingKeys: process.env.SIGNING_KEYS,
+
+  // Lifetime of signed URLs when none is requested (default: 1 hour)
+  signedUrlDefaultTtl: process.env.SIGNED_URL_DEFAULT_TTL || "1h",
+
+  // Longest lifetime a signed URL may be given (default: 7 days)
+  signedUrlMaxTtl: process.env.SIGNED_URL_MAX_TTL || "7d",
+
+  // Master keys for encrypting stored files as comma-separated "keyId:base64Key" pairs
+  // (32-byte keys); the first key wraps new data keys, so prepend a new key to rotate
+  // and run `npm run keys:rewrap`. Leave empty to store files unencrypted
+  encryptionKeys: process.env.ENCRYPTION_KEYS,
+
+  // Upload types accepted, as comma-separated MIME types (image/png, image/*) and
+  // extensions (.png); "*" accepts everything not denied
+  allowedFileTypes:
+    process.env.ALLOWED_FILE_TYPES || "image/jpeg,image/png,application/pdf,text/plain",
+
+  // Upload types always rejected, in the same format; takes precedence over the allowlist
+  deniedFileTypes:
+    process.env.DENIED_FILE_TYPES ||
+    "application/x-msdownload,application/x-executable,application/x-mach-binary,application/x-sh",
+
+  // Comma-separated scanners every upload must pass, in order (e.g. "clamd"); empty disables scanning
+  scanners: process.env.SCANNERS,
+
+  // Time (in ms) scanners get to reply once an upload has been received; files without
+  // a verdict by then stay quarantined until a later rescan (default: 30000 ms)
+  scanTimeout: parseInt(process.env.SCAN_TIMEOUT_IN_MS) || 30000,
+
+  // ClamAV daemon used by the "clamd" scanner
+  clamd: {
+    // Unix socket path (e.g. /var/run/clamav/clamd.ctl); takes precedence over host/port
+    socket: process.env.CLAMD_SOCKET,
+
+    // clamd hostname (default: localhost)
+    host: process.env.CLAMD_HOST || "localhost",
+
+    // clamd TCP port (default: 3310)
+    port: process.env.CLAMD_PORT || 3310,
+  },
+
   // Redis configuration for caching and rate limiting
   redis: {
     // Redis server hostname (default: localhost)
@@ -39,5 +171,27 @@ module.exports = {
 
     // Redis database index (default: 0)
     db: process.env.REDIS_DB || 0,
+
+    // Longest wait between reconnection attempts in milliseconds; waits double from 100ms (default: 30s)
+    reconnectMaxDelay: parseInt(process.env.REDIS_RECONNECT_MAX_DELAY_MS) || 30000,
+  },
+
+  // S3-compatible storage configuration (AWS S3, MinIO, Ceph RGW)
+  s3: {
+    // Custom endpoint URL, leave empty for AWS S3 (e.g., http://localhost:9000 for MinIO)
+    endpoint: process.env.S3_ENDPOINT,
+
+    // Bucket region (default: us-east-1)
+    region: process.env.S3_REGION || "us-east-1",
+
+    // Bucket name for stored files
+    bucket: process.env.S3_BUCKET,
+
+    // Access credentials; when omitted the default AWS credential chain is used
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+
+    // Use path-style URLs (required by MinIO and most self-hosted endpoints)
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
   },
 };
@@ -0,0 +1,110 @@
+/**
+ * Controller for browsing and removing stored files through the admin endpoints.
+ */
+
+const { logger } = require("../utils/logger"); // Custom logger utility
+const fileService = require("../services/file.service"); // Service for file operations
+const webhookService = require("../services/webhook.service"); // Service for webhook events
+const auditService = require("../services/audit.service"); // Service for the audit log
+const { auditIdentity } = require("../middleware/audit.middleware"); // Identity recorded in the audit log
+const { assertPublicKey } = require("../utils/generateKeys"); // Public key validation
+const { parseFileFilter } = require("../utils/fileFilter"); // File search filters
+
+class AdminFileController {
+  /**
+   * List files with their metadata, ordered by publicKey (`limit`: 1-1000, default 100).
+   * Filters are read from the query string; see utils/fileFilter.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async listFiles(req, res, next) {
+    try {
+      const filter = parseFileFilter(req.query);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+      // Repeated parameters arrive as arrays; only a single value is a cursor
+      const cursor = typeof req.query.cursor === "string" ? req.query.cursor : undefined;
+      res.json(await fileService.listFiles(filter, { cursor, limit }));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Get the full metadata of a file, without its secrets
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getFile(req, res, next) {
+    try {
+      assertPublicKey(req.params.publicKey);
+      res.json(await fileService.getFileMetadata(req.params.publicKey));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Delete a file by its public key, without its private key
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async deleteFile(req, res, next) {
+    try {
+      const { publicKey } = req.params;
+      assertPublicKey(publicKey);
+      const result = await fileService.forceDeleteFile(publicKey);
+      webhookService.emit("file.deleted", { publicKey });
+      res.json(result);
+    } catch (err) {
+      logger.error(`Admin delete error: ${err}`);
+      next(err);
+    }
+  }
+
+  /**
+   * Delete every file matching the filter in the query string.
+   * At least one filter is required; `dryRun=true` only lists the matching files.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async deleteFiles(req, res, next) {
+    try {
+      const filter = parseFileFilter(req.query);
+      if (Object.keys(filter).length === 0) {
+        const error = new Error("Filter required");
+        error.statusCode = 400;
+        error.details = "Bulk deletion needs at least one filter";
+        throw error;
+      }
+      const dryRun = req.query.dryRun === "true";
+      const result = await fileService.deleteFilesByFilter(filter, { dryRun });
+
+      if (!dryRun) {
+        // Each file gets its own webhook event and audit record, as single deletions do
+        for (const publicKey of result.deletedFiles) {
+          webhookService.emit("file.deleted", { publicKey });
+          auditService.record({
+            operation: "adminDelete",
+            outcome: "success",
+            status: 200,
+            identity: auditIdentity(req),
+            ip: req.ip,
+            requestId: req.id,
+            publicKey,
+          });
+        }
+      }
+      res.json(result);
+    } catch (err) {
+      logger.error(`Admin bulk delete error: ${err}`);
+      next(err);
+    }
+  }
+}
+
+// Export a singleton instance of AdminFileController
+module.exports = new AdminFileController();
@@ -0,0 +1,62 @@
+/**
+ * Controller for managing API keys through the admin endpoints.
+ */
+
+const apiKeyService = require("../services/apiKey.service"); // Service for API keys
+
+class ApiKeyController {
+  /**
+   * Create an API key; the key is only returned in this response
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async createKey(req, res, next) {
+    try {
+      const { name, dailyUploadLimit, dailyDownloadLimit, maxFileSize, operations } =
+        req.body || {};
+      const apiKey = await apiKeyService.createKey({
+        name,
+        dailyUploadLimit,
+        dailyDownloadLimit,
+        maxFileSize,
+        operations,
+      });
+      res.status(201).json(apiKey);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * List API keys, without the keys themselves
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async listKeys(req, res, next) {
+    try {
+      res.json({ apiKeys: await apiKeyService.listKeys() });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Revoke an API key by its id
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async revokeKey(req, res, next) {
+    try {
+      await apiKeyService.revokeKey(req.params.id);
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  }
+}
+
+// Export a singleton instance of ApiKeyController
+module.exports = new ApiKeyController();
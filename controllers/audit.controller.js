@@ -0,0 +1,33 @@
+/**
+ * Controller for querying the audit log through the admin endpoints.
+ */
+
+const auditService = require("../services/audit.service"); // Service for the audit log
+
+// Query parameters records can be filtered by
+const FILTERS = ["publicKey", "identity", "ip", "operation", "outcome", "from", "to", "cursor"];
+
+class AuditController {
+  /**
+   * Search the audit log, newest first (`limit`: 1-1000, default 100)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async queryRecords(req, res, next) {
+    try {
+      const filters = {};
+      for (const name of FILTERS) {
+        // Repeated parameters arrive as arrays; only single values are filters
+        if (typeof req.query[name] === "string") filters[name] = req.query[name];
+      }
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+      res.json(await auditService.query({ ...filters, limit }));
+    } catch (err) {
+      next(err);
+    }
+  }
+}
+
+// Export a singleton instance of AuditController
+module.exports = new AuditController();
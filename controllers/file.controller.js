@@ -5,14 +5,91 @@
 
 const fs = require("fs"); // Node.js file system module
 const path = require("path"); // Node.js path module
+const crypto = require("crypto"); // Node.js crypto module for multipart boundaries
+const { finished } = require("stream/promises"); // Resolve when a stream is fully consumed
 const { logger } = require("../utils/logger"); // Custom logger utility
 const fileService = require("../services/file.service"); // Service for file operations
 const rateLimitService = require("../services/rateLimit.service"); // Service for rate limiting
+const webhookService = require("../services/webhook.service"); // Service for webhook events
+const metricsService = require("../services/metrics.service"); // Service for Prometheus metrics
+const { rateLimitClient } = require("../middleware/apiKey.middleware"); // Quota owner of a request
+const { ipGroup } = require("../middleware/clientIp.middleware"); // IP address grouping for limits
+const { setRateLimitHeaders } = require("../middleware/rateLimit.middleware"); // RateLimit response headers
+const { assertPublicKey } = require("../utils/generateKeys"); // Public key validation
+const { parseRange, ifRangeMatches } = require("../utils/httpRange"); // HTTP Range helpers
+const { parseLifecycleOptions } = require("../utils/fileLifecycle"); // Per-upload expiry options
+const { normalizePassword, hashPassword } = require("../utils/password"); // Download password helpers
+const { issueUnlockToken, verifyUnlockToken } = require("../utils/unlockToken"); // Unlock token helpers
+const {
+  signDownloadUrl,
+  verifyDownloadSignature,
+  parseRequireSignature,
+} = require("../utils/signedUrl"); // Signed download URL helpers
+
+/**
+ * Pipe a file stream into the response and wait until it has been fully read.
+ * Rejects if the file stream fails or the client disconnects early.
+ * @param {Readable} stream - File stream from the storage provider
+ * @param {Object} res - Express response object
+ * @param {Object} [options] - Pipe options, e.g. `{ end: false }` for multipart bodies
+ */
+const sendStream = async (stream, res, options) => {
+  // Stop reading from storage if the client goes away
+  const onClose = () => stream.destroy();
+  res.once("close", onClose);
+  stream.pipe(res, options);
+  try {
+    await finished(stream);
+  } finally {
+    res.removeListener("close", onClose);
+  }
+};
+
+/**
+ * Check a password for a protected file. Attempts are counted per file and IP
+ * in Redis before the password is checked, and refused once the limit is
+ * reached; a correct password clears the count.
+ * @param {string} publicKey - Public key of the file
+ * @param {string} password - Password supplied by the client
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object (receives Retry-After when blocked)
+ * @throws {Error} 401 for a missing or wrong password, 429 when blocked
+ */
+const checkPasswordAttempt = async (publicKey, password, req, res) => {
+  if (!password) {
+    const error = new Error("Password required");
+    error.statusCode = 401;
+    error.details =
+      "Send the password in the X-File-Password header or unlock the file with POST /files/:publicKey/unlock";
+    throw error;
+  }
+
+  // The attempt is counted before the slow hash check, so parallel guesses share the limit
+  const attempts = await rateLimitService.reservePasswordAttempt(publicKey, ipGroup(req));
+  if (!attempts.allowed) {
+    if (attempts.error.retryAfter) res.set("Retry-After", attempts.error.retryAfter);
+    const error = new Error(attempts.error.message);
+    error.statusCode = attempts.error.statusCode || 429;
+    error.details = "Please try again later";
+    throw error;
+  }
+
+  if (!(await fileService.checkFilePassword(publicKey, password))) {
+    const error = new Error("Invalid password");
+    error.statusCode = 401;
+    error.details = "The password does not match";
+    throw error;
+  }
+
+  // A correct password clears earlier attempts from this IP
+  await rateLimitService.resetPasswordAttempts(publicKey, ipGroup(req));
+};
 
 class FileController {
   /**
    * Upload a file
-   * Handles file upload requests, checks rate limits, and delegates to fileService.
+   * The file has already been streamed into storage by the multer engine;
+   * this checks rate limits and returns the keys.
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware function
@@ -27,28 +104,97 @@ class FileController {
         });
       }
 
-      // Convert buffer to stream if needed for further processing
-      if (req.file.buffer && !req.file.stream) {
-        const { Readable } = require("stream");
-        req.file.stream = Readable.from(req.file.buffer);
+      // Validate the optional expiresIn/expiresAt/maxDownloads, password and requireSignature fields
+      // Fields may follow the file part, so they are only read once it is stored
+      let lifecycle;
+      let password;
+      let requireSignature;
+      try {
+        lifecycle = parseLifecycleOptions(req.body);
+        password = normalizePassword(req.body.password);
+        requireSignature = parseRequireSignature(req.body.requireSignature);
+      } catch (err) {
+        await fileService.deleteFile(req.file.privateKey);
+        throw err;
       }
 
-      // Check if the upload limit for the IP has been exceeded
+      // Check if the byte limit for the API key or IP has been exceeded
+      // The file was streamed to storage already, so its size is exact; the request itself was
+      // counted by uploadRateLimit, and stays counted when the upload is refused
       const limitCheck = await rateLimitService.checkUploadLimit(
-        req.ip,
-        req.file.size
+        rateLimitClient(req),
+        req.file.size,
+        { countRequest: false }
       );
+      setRateLimitHeaders(res, limitCheck.allowed ? limitCheck : limitCheck.error);
       if (!limitCheck.allowed) {
+        // Remove the stored file again before rejecting the upload
+        await fileService.deleteFile(req.file.privateKey);
         const error = new Error(limitCheck.error.message);
         error.statusCode = 429;
         error.details = "Please try again later";
         throw error;
       }
 
-      // Upload the file using the fileService
-      const result = await fileService.uploadFile(req.file);
+      // The quota is only reserved until the client has received the keys
+      const reservations = [req.uploadReservation, limitCheck.reservation].filter(Boolean);
+      const releaseQuota = () =>
+        Promise.all(reservations.map((r) => rateLimitService.releaseReservation(r)));
+      try {
+        // Store the lifecycle so downloads and the cleanup job can enforce it
+        if (Object.keys(lifecycle).length > 0) {
+          await fileService.updateFileLifecycle(req.file.publicKey, lifecycle);
+        }
+
+        // Only a salted hash of the password is stored
+        if (password) {
+          await fileService.protectFile(req.file.publicKey, await hashPassword(password));
+        }
+
+        // Only signed URLs may download the file
+        if (requireSignature) {
+          await fileService.updateFileSettings(req.file.publicKey, { requireSignature });
+        }
+      } catch (err) {
+        // Remove the half-configured file and give the quota back
+        await fileService.deleteFile(req.file.privateKey);
+        await releaseQuota();
+        throw err;
+      }
+
+      // Keep the charge once the response went out; a client that went away never
+      // learned the keys, so its file is removed and the quota given back
+      const { privateKey } = req.file;
+      const uploaded = {
+        publicKey: req.file.publicKey,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+      };
+      res.locals.audit = { publicKey: uploaded.publicKey, bytes: uploaded.size };
+      res.once("close", async () => {
+        if (res.writableFinished) {
+          reservations.forEach((r) => rateLimitService.commitReservation(r));
+          metricsService.uploadedBytes.inc({}, uploaded.size);
+          webhookService.emit("file.uploaded", uploaded);
+          return;
+        }
+        try {
+          await fileService.deleteFile(privateKey);
+        } catch (err) {
+          logger.error(`Error removing unacknowledged upload: ${err}`);
+        }
+        await releaseQuota();
+      });
+
       res.status(201).json({
-        ...result,
+        publicKey: req.file.publicKey,
+        privateKey: req.file.privateKey,
+        ...lifecycle,
+        ...(password && { passwordProtected: true }),
+        ...(requireSignature && { requireSignature }),
+        // "pending" files are quarantined until a rescan marks them clean
+        ...(req.file.scanStatus && { scanStatus: req.file.scanStatus }),
       });
     } catch (err) {
       // Log and pass errors to the next middleware
@@ -65,52 +211,319 @@ class FileController {
    * @param {Function} next - Express next middleware function
    */
   async downloadFile(req, res, next) {
+    // Quota charged for the bytes about to be sent, and whether sending them failed
+    let reservation = null;
+    let failed = false;
     try {
       // Extract publicKey from request parameters
       const { publicKey } = req.params;
       // Validate publicKey format (must be 32-character hex string)
-      if (!publicKey || !/^[a-f0-9]{32}$/.test(publicKey)) {
-        const error = new Error("Invalid public key format");
-        error.statusCode = 400;
-        error.details = "Public key must be a 32-character hexadecimal string";
+      assertPublicKey(publicKey);
+      const ip = req.ip;
+
+      // Check if the download limit for the API key or IP has been exceeded
+      // The download rate limit middleware has usually counted this request already
+      let quota = req.downloadQuota;
+      if (!quota) {
+        try {
+          quota = await rateLimitService.checkDownloadLimit(rateLimitClient(req));
+        } catch (err) {
+          setRateLimitHeaders(res, err); // Tell the client when to retry
+          throw err;
+        }
+        setRateLimitHeaders(res, quota);
+      }
+      // Read metadata first so Range headers can be resolved against the file size
+      const info = await fileService.getFileInfo(publicKey);
+
+      // Check signed URL parameters; files may refuse downloads without them
+      let signature = null;
+      if (req.query.sig !== undefined) {
+        signature = verifyDownloadSignature(publicKey, req.query, ip);
+        if (!signature.valid) {
+          const error = new Error("Invalid signed URL");
+          error.statusCode = 403;
+          error.details = signature.reason;
+          throw error;
+        }
+      } else if (info.requireSignature) {
+        const error = new Error("Signed URL required");
+        error.statusCode = 403;
+        error.details = "This file can only be downloaded through a signed URL";
         throw error;
       }
-      const ip = req.ip;
 
-      // Check if the download limit for the IP has been exceeded
-      await rateLimitService.checkDownloadLimit(ip);
-      // Retrieve the file using the fileService
-      const file = await fileService.downloadFile(publicKey);
+      // Password-protected files need a valid unlock token or the password itself
+      if (info.passwordProtected) {
+        const token = req.get("X-Unlock-Token") || req.query.token;
+        if (!token || !verifyUnlockToken(token, publicKey)) {
+          await checkPasswordAttempt(publicKey, req.get("X-File-Password"), req, res);
+        }
+      }
+
+      // Stored files never change, so the publicKey and upload time are stable validators
+      const etag = `"${publicKey}"`;
+      const lastModified = new Date(info.uploadedAt).toUTCString();
+
+      // Work out which byte ranges to serve (null means the whole file)
+      // Files with a download allowance are only served whole, so every download that
+      // serves bytes uses up one of them and no range can be fetched without counting
+      let ranges = null;
+      if (
+        req.headers.range &&
+        !info.maxDownloads &&
+        ifRangeMatches(req.headers["if-range"], { etag, lastModified })
+      ) {
+        ranges = parseRange(info.size, req.headers.range);
+      }
+
+      // Reject ranges that lie entirely outside the file
+      if (ranges === -1) {
+        res.set("Content-Range", `bytes */${info.size}`);
+        const error = new Error("Requested range not satisfiable");
+        error.statusCode = 416;
+        error.details = `The file is ${info.size} bytes long`;
+        throw error;
+      }
+
+      // Signed URLs with a download cap count their own uses, ranged ones included, so no part
+      // of the file can be fetched past the cap (HEAD requests are free)
+      if (signature && signature.maxDownloads && req.method !== "HEAD") {
+        const use = await rateLimitService.consumeSignedUrl(
+          signature.signature,
+          signature.maxDownloads,
+          signature.ttl
+        );
+        if (!use.allowed) {
+          const error = new Error(use.error.message);
+          error.statusCode = use.error.statusCode;
+          error.details = "Ask the file owner for a new link";
+          throw error;
+        }
+      }
+
+      // Reject expired or used-up files and count this download (HEAD requests are free)
+      const { remainingDownloads } = await fileService.registerDownload(publicKey, {
+        count: req.method !== "HEAD",
+      });
+
+      // Charge the bytes about to be sent up front (HEAD requests are free)
+      if (req.method !== "HEAD") {
+        const bodyBytes = ranges
+          ? ranges.reduce((total, range) => total + range.end - range.start + 1, 0)
+          : info.size;
+        reservation = await rateLimitService.reserveDownload(rateLimitClient(req), bodyBytes);
+      }
 
       // Sanitize filename for HTTP headers
-      const safeFilename = encodeURIComponent(file.originalName)
+      const safeFilename = encodeURIComponent(info.originalName)
         .replace(/['()]/g, escape)
         .replace(/\*/g, "%2A");
 
-      // Set response headers for file download
+      // Set response headers shared by full and partial downloads
       res.set({
-        "Content-Type": file.mimeType,
+        "Accept-Ranges": info.maxDownloads ? "none" : "bytes",
         "Content-Disposition": `attachment; filename*=UTF-8''${safeFilename}`,
-        "Content-Length": file.size,
+        ETag: etag,
+        "Last-Modified": lastModified,
       });
 
-      // Pipe the file stream to the response
-      file.stream.pipe(res);
+      // Count only the bytes actually streamed to the client
+      let bytesServed = 0;
+      res.locals.audit = { bytes: 0 };
+      const countBytes = (stream) =>
+        stream.on("data", (chunk) => {
+          bytesServed += chunk.length;
+          res.locals.audit.bytes = bytesServed;
+        });
 
-      // Track the download after response finishes
-      res.on("finish", async () => {
-        try {
-          await rateLimitService.trackDownload(ip, file.size);
-        } catch (err) {
-          logger.error(`Error tracking download: ${err}`);
+      // Settle the reserved quota once the response is done, including aborted ones
+      res.once("close", () => {
+        metricsService.downloadedBytes.inc({}, bytesServed);
+        // Tell webhooks about downloads that reached the client in full
+        if (!failed && res.writableFinished && req.method !== "HEAD") {
+          webhookService.emit("file.downloaded", {
+            publicKey,
+            originalName: info.originalName,
+            size: info.size,
+            bytesSent: bytesServed,
+            partial: Boolean(ranges),
+          });
+        }
+        // Burn the file after its last allowed download
+        if (remainingDownloads === 0) {
+          fileService
+            .expireFile(publicKey)
+            .then(() => webhookService.emit("file.expired", { publicKey, reason: "maxDownloads" }))
+            .catch((err) => logger.error(`Error expiring file: ${err}`));
+        }
+        if (!reservation) return;
+        if (failed) {
+          // Nothing is charged when the download failed on our side
+          rateLimitService.releaseReservation(reservation);
+        } else if (res.writableFinished) {
+          rateLimitService.commitReservation(reservation);
+        } else {
+          // The client went away: only the bytes it received are charged
+          rateLimitService.releaseReservation(reservation, {
+            bytes: reservation.bytes - bytesServed,
+          });
         }
       });
+
+      if (!ranges) {
+        // Full download: retrieve the file using the fileService
+        const file = await fileService.downloadFile(publicKey);
+        res.set({
+          "Content-Type": file.mimeType,
+          "Content-Length": file.size,
+        });
+        await sendStream(countBytes(file.stream), res);
+      } else if (ranges.length === 1) {
+        // Single range: 206 with a Content-Range header
+        const [range] = ranges;
+        const file = await fileService.downloadFile(publicKey, { range });
+        res.status(206).set({
+          "Content-Type": file.mimeType,
+          "Content-Length": range.end - range.start + 1,
+          "Content-Range": `bytes ${range.start}-${range.end}/${info.size}`,
+        });
+        await sendStream(countBytes(file.stream), res);
+      } else {
+        // Multiple ranges: 206 with a multipart/byteranges body
+        const boundary = crypto.randomBytes(16).toString("hex");
+        const partHeaders = ranges.map(
+          (range) =>
+            `\r\n--${boundary}\r\n` +
+            `Content-Type: ${info.mimeType}\r\n` +
+            `Content-Range: bytes ${range.start}-${range.end}/${info.size}\r\n\r\n`
+        );
+        const closing = `\r\n--${boundary}--\r\n`;
+        const contentLength = ranges.reduce(
+          (total, range, i) =>
+            total + Buffer.byteLength(partHeaders[i]) + range.end - range.start + 1,
+          Buffer.byteLength(closing)
+        );
+
+        res.status(206).set({
+          "Content-Type": `multipart/byteranges; boundary=${boundary}`,
+          "Content-Length": contentLength,
+        });
+
+        // Stream each part in turn, opening the next range only when needed
+        for (let i = 0; i < ranges.length && !res.destroyed; i++) {
+          res.write(partHeaders[i]);
+          const file = await fileService.downloadFile(publicKey, { range: ranges[i] });
+          await sendStream(countBytes(file.stream), res, { end: false });
+        }
+        res.end(closing);
+      }
     } catch (err) {
+      // Give back any quota reserved for this download once the response closes
+      failed = true;
+      // Once the body has started the status can no longer change, so drop the connection
+      if (res.headersSent) {
+        logger.error(`Download stream error: ${err}`);
+        return res.destroy(err);
+      }
       // Pass errors to the next middleware
       next(err);
     }
   }
 
+  /**
+   * Unlock a password-protected file
+   * Exchanges the password for a short-lived token accepted by downloads
+   * (X-Unlock-Token header or `token` query parameter).
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async unlockFile(req, res, next) {
+    try {
+      const { publicKey } = req.params;
+      assertPublicKey(publicKey);
+
+      const info = await fileService.getFileInfo(publicKey);
+      if (!info.passwordProtected) {
+        const error = new Error("File is not password protected");
+        error.statusCode = 400;
+        error.details = "Download the file directly";
+        throw error;
+      }
+
+      // Accept the password in a JSON/form body or the download header
+      const password = (req.body && req.body.password) || req.get("X-File-Password");
+      await checkPasswordAttempt(publicKey, password, req, res);
+
+      res.set("Cache-Control", "no-store").json(issueUnlockToken(publicKey));
+    } catch (err) {
+      // Log and pass errors to the next middleware
+      logger.error(`Unlock error: ${err}`);
+      next(err);
+    }
+  }
+
+  /**
+   * Create a signed download URL
+   * Only the private-key holder can mint URLs; they expire and may be bound
+   * to a client IP or capped to a number of downloads.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async createSignedUrl(req, res, next) {
+    try {
+      const publicKey = await fileService.getPublicKey(req.params.privateKey);
+      res.locals.audit = { publicKey };
+      const { expiresIn, ip, maxDownloads } = req.body || {};
+      const { query, expiresAt } = signDownloadUrl(publicKey, {
+        expiresIn,
+        ip,
+        maxDownloads,
+      });
+
+      res.status(201).json({
+        url: `${req.protocol}://${req.get("host")}${req.baseUrl}/${publicKey}?${new URLSearchParams(query)}`,
+        expiresAt,
+        ...(query.ip && { ip: query.ip }),
+        ...(query.max && { maxDownloads: Number(query.max) }),
+      });
+    } catch (err) {
+      // Log and pass errors to the next middleware
+      logger.error(`Signed URL error: ${err}`);
+      next(err);
+    }
+  }
+
+  /**
+   * Update file settings
+   * Lets the private-key holder turn requireSignature on or off.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async updateFileSettings(req, res, next) {
+    try {
+      const requireSignature = parseRequireSignature((req.body || {}).requireSignature);
+      if (requireSignature === undefined) {
+        const error = new Error("No settings provided");
+        error.statusCode = 400;
+        error.details = "Send { \"requireSignature\": true | false }";
+        throw error;
+      }
+
+      const publicKey = await fileService.getPublicKey(req.params.privateKey);
+      res.locals.audit = { publicKey };
+      await fileService.updateFileSettings(publicKey, { requireSignature });
+      res.json({ publicKey, requireSignature });
+    } catch (err) {
+      // Log and pass errors to the next middleware
+      logger.error(`Settings update error: ${err}`);
+      next(err);
+    }
+  }
+
   /**
    * Delete a file
    * Handles file deletion requests and delegates to fileService.
@@ -122,8 +535,19 @@ class FileController {
     try {
       // Extract privateKey from request parameters
       const { privateKey } = req.params;
+      // Find the file first so its webhooks and the audit log can name it
+      let publicKey = null;
+      try {
+        publicKey = await fileService.getPublicKey(privateKey);
+      } catch (err) {
+        // Unknown keys fail in deleteFile below, whatever the provider reports, and count
+        // towards an automatic ban for key guessing; lookup errors do not
+        if (err.statusCode === 404) res.locals.offense = "invalidPrivateKey";
+      }
+      res.locals.audit = { publicKey };
       // Delete the file using the fileService
       const result = await fileService.deleteFile(privateKey);
+      if (publicKey) webhookService.emit("file.deleted", { publicKey });
       // Respond with the result of deletion
       res.json(result);
     } catch (err) {
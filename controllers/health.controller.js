@@ -0,0 +1,38 @@
+/**
+ * Controller for liveness and readiness probes.
+ */
+
+const healthService = require("../services/health.service"); // Service checking dependencies
+
+class HealthController {
+  /**
+   * Report that the process is alive; no dependencies are checked
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  liveness(req, res) {
+    res.set("Cache-Control", "no-store").json({ status: "ok" });
+  }
+
+  /**
+   * Report whether the instance can serve requests, with the result of every check.
+   * Responds 503 when a critical dependency is down.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async readiness(req, res, next) {
+    try {
+      const { ready, checks } = await healthService.readiness();
+      res
+        .status(ready ? 200 : 503)
+        .set("Cache-Control", "no-store")
+        .json({ status: ready ? "ready" : "not ready", checks });
+    } catch (err) {
+      next(err);
+    }
+  }
+}
+
+// Export an instance of HealthController for use in routes
+module.exports = new HealthController();
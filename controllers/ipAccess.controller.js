@@ -0,0 +1,83 @@
+/**
+ * Controller for managing IP rules and bans through the admin endpoints.
+ */
+
+const ipAccessService = require("../services/ipAccess.service"); // Service for IP rules and bans
+
+class IpAccessController {
+  /**
+   * List the allow and deny lists
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async listRules(req, res, next) {
+    try {
+      res.json(await ipAccessService.listRules());
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Add an address or CIDR range to the allow or deny list
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async addRule(req, res, next) {
+    try {
+      const { list, address, note } = req.body || {};
+      res.status(201).json(await ipAccessService.addRule(list, address, note));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Remove an address or CIDR range from a list; "/" in ranges is sent as %2F
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async removeRule(req, res, next) {
+    try {
+      await ipAccessService.removeRule(req.params.list, req.params.address);
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * List active bans
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async listBans(req, res, next) {
+    try {
+      res.json({ bans: await ipAccessService.listBans() });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Lift the ban of an address or IPv6 prefix
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async clearBan(req, res, next) {
+    try {
+      await ipAccessService.clearBan(req.params.address);
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  }
+}
+
+// Export a singleton instance of IpAccessController
+module.exports = new IpAccessController();
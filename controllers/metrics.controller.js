@@ -0,0 +1,20 @@
+/**
+ * Controller exposing the service's metrics to Prometheus.
+ */
+
+const metricsService = require("../services/metrics.service"); // Service holding the metrics
+
+class MetricsController {
+  /**
+   * Render every metric in the Prometheus text format
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getMetrics(req, res) {
+    res.set({ "Content-Type": metricsService.contentType, "Cache-Control": "no-store" });
+    res.send(metricsService.render());
+  }
+}
+
+// Export an instance of MetricsController for use in routes
+module.exports = new MetricsController();
@@ -0,0 +1,43 @@
+/**
+ * Controller reporting the caller's quotas.
+ */
+
+const { logger } = require("../utils/logger"); // Custom logger utility
+const rateLimitService = require("../services/rateLimit.service"); // Service for rate limiting
+const { rateLimitClient } = require("../middleware/apiKey.middleware"); // Quota owner of a request
+const { ipGroup } = require("../middleware/clientIp.middleware"); // IP address grouping for limits
+
+class QuotaController {
+  /**
+   * Report current usage and limits for the caller's API key or IP
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getQuota(req, res, next) {
+    try {
+      const quota = await rateLimitService.getQuota(rateLimitClient(req));
+
+      res.json({
+        // Whose quota this is: an API key, or the client IP for anonymous requests
+        identity: req.apiKey
+          ? { type: "apiKey", id: req.apiKey.id, name: req.apiKey.name }
+          : {
+              type: "ip",
+              ip: req.ip,
+              // IPv6 clients share the quota of their prefix
+              ...(ipGroup(req) !== req.ip && { prefix: ipGroup(req) }),
+            },
+        // The quota window and the usage of each limited operation
+        ...quota,
+      });
+    } catch (err) {
+      // Log and pass errors to the next middleware
+      logger.error(`Quota lookup error: ${err}`);
+      next(err);
+    }
+  }
+}
+
+// Export a singleton instance of QuotaController
+module.exports = new QuotaController();
@@ -0,0 +1,192 @@
+/**
+ * Controller for resumable uploads following the tus 1.0 protocol.
+ * Supports the core protocol plus the creation and termination extensions.
+ */
+
+const { logger } = require("../utils/logger"); // Custom logger utility
+const config = require("../config"); // Configuration settings
+const resumableUploadService = require("../services/resumableUpload.service"); // Service for resumable uploads
+const webhookService = require("../services/webhook.service"); // Service for webhook events
+const metricsService = require("../services/metrics.service"); // Service for Prometheus metrics
+const { parseSize } = require("../utils/parseSize"); // Size string parser
+const { setRateLimitHeaders } = require("../middleware/rateLimit.middleware"); // RateLimit response headers
+const { ipGroup } = require("../middleware/clientIp.middleware"); // IP address grouping for limits
+const {
+  TUS_VERSION,
+  TUS_EXTENSIONS,
+  parseUploadMetadata,
+} = require("../middleware/tus.middleware"); // tus protocol helpers
+
+/**
+ * Parse a non-negative integer header value.
+ * @param {string} value - Header value
+ * @returns {number|null} Parsed integer, or null if invalid
+ */
+const parseIntegerHeader = (value) => {
+  if (typeof value !== "string" || !/^\d+$/.test(value)) return null;
+  return Number(value);
+};
+
+class ResumableUploadController {
+  /**
+   * Describe the server's tus capabilities
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  options(req, res) {
+    res
+      .status(204)
+      .set({
+        "Tus-Version": TUS_VERSION,
+        "Tus-Extension": TUS_EXTENSIONS.join(","),
+        "Tus-Max-Size": parseSize(config.maxResumableUploadSize),
+      })
+      .end();
+  }
+
+  /**
+   * Create an upload (creation extension)
+   * Requires Upload-Length; Upload-Metadata must carry the file name.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async createUpload(req, res, next) {
+    try {
+      // Deferred lengths (creation-defer-length) are not supported
+      const length = parseIntegerHeader(req.get("Upload-Length"));
+      if (length === null) {
+        const error = new Error("Invalid Upload-Length");
+        error.statusCode = 400;
+        error.details = "Upload-Length must be a non-negative integer";
+        throw error;
+      }
+
+      const metadata = parseUploadMetadata(req.get("Upload-Metadata"));
+      if (!metadata) {
+        const error = new Error("Invalid Upload-Metadata");
+        error.statusCode = 400;
+        error.details = "Upload-Metadata must be comma-separated 'key base64value' pairs";
+        throw error;
+      }
+
+      const record = await resumableUploadService.createUpload({
+        ip: ipGroup(req),
+        apiKey: req.apiKey,
+        length,
+        metadata,
+      });
+
+      setRateLimitHeaders(res, record.quota);
+      res
+        .status(201)
+        .set({
+          Location: `${req.protocol}://${req.get("host")}${req.baseUrl}/${record.uploadId}`,
+          "Upload-Offset": record.offset,
+        })
+        .end();
+    } catch (err) {
+      setRateLimitHeaders(res, err); // Quota errors tell the client when to retry
+      // Log and pass errors to the next middleware
+      logger.error(`Resumable upload creation error: ${err}`);
+      next(err);
+    }
+  }
+
+  /**
+   * Report the current offset of an upload
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getUpload(req, res, next) {
+    try {
+      const record = await resumableUploadService.getUpload(req.params.uploadId);
+
+      res.status(200).set({
+        "Upload-Offset": record.offset,
+        "Upload-Length": record.length,
+        "Cache-Control": "no-store",
+      });
+      // Completed uploads expose the public key of the resulting file
+      if (record.publicKey) res.set("File-Public-Key", record.publicKey);
+      res.end();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Append a chunk to an upload
+   * The body must be application/offset+octet-stream starting at Upload-Offset.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async appendChunk(req, res, next) {
+    try {
+      if (req.get("Content-Type") !== "application/offset+octet-stream") {
+        const error = new Error("Unsupported Content-Type");
+        error.statusCode = 415;
+        error.details = "Chunks must be sent as application/offset+octet-stream";
+        throw error;
+      }
+
+      const offset = parseIntegerHeader(req.get("Upload-Offset"));
+      if (offset === null) {
+        const error = new Error("Invalid Upload-Offset");
+        error.statusCode = 400;
+        error.details = "Upload-Offset must be a non-negative integer";
+        throw error;
+      }
+
+      const { record, file } = await resumableUploadService.appendChunk(
+        req.params.uploadId,
+        offset,
+        req
+      );
+
+      res.status(204).set("Upload-Offset", record.offset);
+      res.locals.audit = { bytes: record.offset - offset };
+      metricsService.uploadedBytes.inc({}, record.offset - offset);
+      // The final chunk returns the keys of the finished file
+      if (file) {
+        res.set({
+          "File-Public-Key": file.publicKey,
+          "File-Private-Key": file.privateKey,
+        });
+        // The chunk that completes the upload is recorded as the upload itself
+        res.locals.audit = { operation: "upload", publicKey: file.publicKey, bytes: record.length };
+        webhookService.emit("file.uploaded", {
+          publicKey: file.publicKey,
+          originalName: record.fileName,
+          mimeType: record.fileType,
+          size: record.length,
+        });
+      }
+      res.end();
+    } catch (err) {
+      // Log and pass errors to the next middleware
+      logger.error(`Resumable upload chunk error: ${err}`);
+      next(err);
+    }
+  }
+
+  /**
+   * Terminate an upload (termination extension)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async terminateUpload(req, res, next) {
+    try {
+      await resumableUploadService.terminateUpload(req.params.uploadId);
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  }
+}
+
+// Export an instance of ResumableUploadController for use in routes
+module.exports = new ResumableUploadController();
@@ -0,0 +1,77 @@
+/**
+ * Controller for file webhooks, managed by the private-key holder,
+ * and for the dead-letter list on the admin endpoints.
+ */
+
+const fileService = require("../services/file.service"); // Service for file operations
+const webhookService = require("../services/webhook.service"); // Service for webhooks
+
+class WebhookController {
+  /**
+   * Register a webhook for a file; its signing secret is only returned in this response
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async createWebhook(req, res, next) {
+    try {
+      const publicKey = await fileService.getPublicKey(req.params.privateKey);
+      res.locals.audit = { publicKey };
+      const { url, events } = req.body || {};
+      const webhook = await webhookService.register(publicKey, { url, events });
+      res.status(201).json({ publicKey, ...webhook });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * List the webhooks of a file, without their secrets
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async listWebhooks(req, res, next) {
+    try {
+      const publicKey = await fileService.getPublicKey(req.params.privateKey);
+      res.json({ publicKey, webhooks: await webhookService.listForFile(publicKey) });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Remove a webhook from a file
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async deleteWebhook(req, res, next) {
+    try {
+      const publicKey = await fileService.getPublicKey(req.params.privateKey);
+      res.locals.audit = { publicKey };
+      await webhookService.unregister(publicKey, req.params.id);
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * List deliveries that failed every attempt, newest first (`limit`: 1-1000, default 100)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async listDeadLetters(req, res, next) {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+      res.json({ deadLetters: await webhookService.listDeadLetters(limit) });
+    } catch (err) {
+      next(err);
+    }
+  }
+}
+
+// Export a singleton instance of WebhookController
+module.exports = new WebhookController();
@@ -1,5 +1,7 @@
 const { logger } = require("../utils/logger"); // Import custom logger utility
 const fileService = require("../services/file.service"); // Import file service for file operations
+const webhookService = require("../services/webhook.service"); // Import webhook service for expiry events
+const metricsService = require("../services/metrics.service"); // Import metrics service for cleanup runs
 const config = require("../config"); // Import configuration settings
 
 // Set cleanup interval (1 minute for testing, can be set to config value for production)
@@ -14,6 +16,8 @@ class CleanupJob {
   constructor() {
     this.interval = null; // Holds the interval timer reference
     this.isRunning = false; // Flag to prevent overlapping cleanup jobs
+    this.startedAt = null; // When the job was started, for readiness checks
+    this.lastSuccessAt = null; // When a cleanup last completed, for readiness checks
   }
 
   /**
@@ -23,6 +27,7 @@ class CleanupJob {
   async start() {
     // Clear any existing interval to avoid duplicate jobs
     if (this.interval) clearInterval(this.interval);
+    this.startedAt = new Date();
 
     // Run initial cleanup immediately
     await this.runCleanup();
@@ -75,7 +80,29 @@ class CleanupJob {
       if (result.errors) {
         logger.debug("Cleanup errors:", result.errors);
       }
+
+      // Tell webhooks which files are gone
+      for (const { publicKey, reason } of result.deletedFiles || []) {
+        await webhookService.emit("file.expired", { publicKey, reason });
+      }
+
+      // Discard resumable uploads that were abandoned before completion
+      const staged = await fileService.cleanupStagedUploads();
+      if (staged.errors) {
+        logger.debug("Staged upload cleanup errors:", staged.errors);
+      }
+
+      // Give quarantined files another scan now that the scanners may be reachable
+      await fileService.rescanPendingFiles();
+
+      this.lastSuccessAt = new Date();
+      metricsService.observeCleanup({
+        success: true,
+        seconds: (Date.now() - startTime) / 1000,
+        result,
+      });
     } catch (err) {
+      metricsService.observeCleanup({ success: false, seconds: (Date.now() - startTime) / 1000 });
       // Log failure and error details
       logger.error(`Cleanup job failed: ${err.message}`, {
         error: err.stack,
@@ -86,6 +113,18 @@ class CleanupJob {
     }
   }
 
+  /**
+   * Report the state of the job, for readiness checks
+   * @returns {Object} `{ running, startedAt, lastSuccessAt }`, times as ISO strings or null
+   */
+  getHealth() {
+    return {
+      running: this.isRunning,
+      startedAt: this.startedAt && this.startedAt.toISOString(),
+      lastSuccessAt: this.lastSuccessAt && this.lastSuccessAt.toISOString(),
+    };
+  }
+
   /**
    * Stop the cleanup job.
    * Clears the interval timer and stops scheduled cleanups.
@@ -0,0 +1,64 @@
+const { logger } = require("../utils/logger"); // Import custom logger utility
+const webhookService = require("../services/webhook.service"); // Import webhook service for deliveries
+const config = require("../config"); // Import configuration settings
+
+/**
+ * WebhookJob class sends queued webhook deliveries.
+ * It polls the Redis queue every WEBHOOK_POLL_INTERVAL_MS.
+ */
+class WebhookJob {
+  constructor() {
+    this.interval = null; // Holds the interval timer reference
+    this.isRunning = false; // Flag to prevent overlapping polls
+  }
+
+  /**
+   * Start the webhook job.
+   * @throws {Error} If the WEBHOOK_URLS settings are invalid
+   */
+  start() {
+    // Fail at startup rather than on the first event if the settings are invalid
+    webhookService.globalEndpoints();
+
+    // Clear any existing interval to avoid duplicate jobs
+    if (this.interval) clearInterval(this.interval);
+
+    this.interval = setInterval(() => this.runDeliveries(), config.webhookPollInterval);
+    // Pending deliveries must not keep the process alive on shutdown
+    this.interval.unref();
+  }
+
+  /**
+   * Send the deliveries that are due.
+   * Skipped while the previous batch is still being delivered.
+   */
+  async runDeliveries() {
+    if (this.isRunning) return;
+    this.isRunning = true; // Set running flag
+
+    try {
+      const stats = await webhookService.processDue();
+      if (stats.delivered + stats.retried + stats.failed > 0) {
+        logger.info(`Webhook deliveries: ${JSON.stringify(stats)}`);
+      }
+    } catch (err) {
+      // Redis may be unreachable; the queue is tried again on the next poll
+      logger.error(`Webhook job failed: ${err.message}`);
+    } finally {
+      this.isRunning = false; // Reset running flag
+    }
+  }
+
+  /**
+   * Stop the webhook job.
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
+// Export an instance of WebhookJob for use in other modules
+module.exports = new WebhookJob();
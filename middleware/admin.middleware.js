@@ -0,0 +1,43 @@
+const crypto = require("crypto"); // Node.js crypto module
+const config = require("../config"); // Import configuration settings
+
+/**
+ * Check whether a request carries `Authorization: Bearer <token>`
+ * @param {Object} req - Express request object
+ * @param {string} token - Expected token
+ * @returns {boolean} Whether the request carries the token
+ */
+const hasBearerToken = (req, token) => {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(req.get("Authorization") || "");
+  // Compare digests so the check takes the same time for any token length
+  const given = crypto.createHash("sha256").update(match ? match[1] : "").digest();
+  const expected = crypto.createHash("sha256").update(token).digest();
+  return Boolean(match) && crypto.timingSafeEqual(given, expected);
+};
+
+/**
+ * Middleware to protect admin endpoints
+ * Requires `Authorization: Bearer <ADMIN_TOKEN>`; without ADMIN_TOKEN the
+ * admin endpoints are disabled.
+ */
+const requireAdmin = (req, res, next) => {
+  if (!config.adminToken) {
+    const error = new Error("Admin API disabled");
+    error.statusCode = 404;
+    error.details = "Set ADMIN_TOKEN to enable the admin endpoints";
+    return next(error);
+  }
+
+  if (!hasBearerToken(req, config.adminToken)) {
+    const error = new Error("Unauthorized");
+    error.statusCode = 401;
+    error.details = "A valid admin token is required";
+    return next(error);
+  }
+  // Mark the request so the audit log records it as made by an admin
+  req.admin = true;
+  next();
+};
+
+// Export the admin middleware and the token check
+module.exports = { requireAdmin, hasBearerToken };
@@ -0,0 +1,77 @@
+const apiKeyService = require("../services/apiKey.service"); // Import API key service
+const { logger } = require("../utils/logger"); // Import custom logger utility
+const { ipGroup } = require("./clientIp.middleware"); // Import rate limit address grouping
+
+/**
+ * Read the API key sent with a request, if any.
+ * Accepts `Authorization: Bearer <key>` and `X-API-Key: <key>`.
+ * @param {Object} req - Express request object
+ * @returns {string|null} API key, or null for anonymous requests
+ */
+const readApiKey = (req) => {
+  const header = req.get("X-API-Key");
+  if (header) return header.trim();
+
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(req.get("Authorization") || "");
+  return match ? match[1] : null;
+};
+
+/**
+ * Middleware to authenticate API keys
+ * Requests with a valid key get `req.apiKey` (the key record) and use the
+ * key's quotas; requests without a key stay anonymous and use IP limits.
+ */
+const authenticateApiKey = async (req, res, next) => {
+  req.apiKey = null;
+  const key = readApiKey(req);
+  if (!key) return next();
+
+  try {
+    req.apiKey = await apiKeyService.findKey(key);
+  } catch (err) {
+    // Keys cannot be checked while Redis is down
+    logger.error(`API key lookup error: ${err}`);
+    const error = new Error("Rate limit service unavailable");
+    error.statusCode = 503;
+    return next(error);
+  }
+
+  if (!req.apiKey) {
+    // Unknown keys are refused rather than treated as anonymous
+    const error = new Error("Invalid API key");
+    error.statusCode = 401;
+    error.details = "The API key is unknown or has been revoked";
+    return next(error);
+  }
+  next();
+};
+
+/**
+ * Create middleware that only lets API keys through if they allow an operation.
+ * Anonymous requests are not affected.
+ * @param {string} operation - One of API_KEY_OPERATIONS
+ * @returns {Function} Express middleware
+ */
+const requireOperation = (operation) => (req, res, next) => {
+  if (req.apiKey && !req.apiKey.operations.includes(operation)) {
+    const error = new Error("Operation not allowed for this API key");
+    error.statusCode = 403;
+    error.details = `The API key may only ${req.apiKey.operations.join(", ")}`;
+    return next(error);
+  }
+  next();
+};
+
+/**
+ * Get whom a request's quota is charged to: its API key, or its IP address (IPv6 prefix).
+ * @param {Object} req - Express request object
+ * @returns {Object|string} API key record or IP address, as taken by RateLimitService
+ */
+const rateLimitClient = (req) => req.apiKey || ipGroup(req);
+
+// Export the API key middlewares and helpers
+module.exports = {
+  authenticateApiKey,
+  requireOperation,
+  rateLimitClient,
+};
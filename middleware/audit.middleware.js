@@ -0,0 +1,49 @@
+const auditService = require("../services/audit.service"); // Import audit log service
+
+/**
+ * Get who made a request, as recorded in the audit log.
+ * @param {Object} req - Express request object
+ * @returns {string} "admin" for admin requests, "apiKey:<id>" for API key
+ *   requests, "anonymous" otherwise
+ */
+const auditIdentity = (req) => {
+  if (req.admin) return "admin";
+  return req.apiKey ? `apiKey:${req.apiKey.id}` : "anonymous";
+};
+
+/**
+ * Create middleware that writes an audit record once the response is done,
+ * whether the operation succeeded, was refused or the client went away.
+ * Handlers add what only they know to `res.locals.audit`: the publicKey of
+ * files addressed by private key, the bytes transferred, or a more precise
+ * operation. Private keys and other secrets from the request are never copied.
+ * @param {string} operation - Operation recorded, e.g. "upload"
+ * @returns {Function} Express middleware
+ */
+const audit = (operation) => (req, res, next) => {
+  // HEAD requests only read headers
+  if (req.method === "HEAD") return next();
+
+  // Only routes addressing a file by its public key name it in the path
+  const { publicKey } = req.params;
+  res.locals.audit = {};
+  res.once("close", () => {
+    auditService.record({
+      operation,
+      outcome: res.statusCode >= 400 ? "failure" : res.writableFinished ? "success" : "aborted",
+      status: res.statusCode,
+      identity: auditIdentity(req),
+      ip: req.ip,
+      requestId: req.id,
+      publicKey,
+      ...res.locals.audit,
+    });
+  });
+  next();
+};
+
+// Export the audit middleware and helpers
+module.exports = {
+  audit,
+  auditIdentity,
+};
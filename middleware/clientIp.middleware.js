@@ -0,0 +1,57 @@
+const config = require("../config"); // Import configuration settings
+const { createProxyMatcher, resolveClientIp, groupIp } = require("../utils/clientIp"); // Import client address helpers
+
+// Matcher built from TRUSTED_PROXIES, rebuilt only when the setting changes
+let matcher = null;
+let matcherSpec = null;
+
+/**
+ * Get the matcher for trusted proxy addresses.
+ * @returns {Function} `(ip) => boolean`
+ * @throws {Error} If TRUSTED_PROXIES is invalid
+ */
+const proxyMatcher = () => {
+  if (!matcher || matcherSpec !== config.trustedProxies) {
+    matcher = createProxyMatcher(config.trustedProxies);
+    matcherSpec = config.trustedProxies;
+  }
+  return matcher;
+};
+
+/**
+ * Middleware to resolve the client address of a request
+ * Requests relayed by a trusted proxy are attributed to the client named in the
+ * forwarding header set by FORWARDED_HEADER. Sets `req.ip` to that address, so logs,
+ * the error handler and rate limits all see the same client, and `req.ipGroup`
+ * to the address or IPv6 prefix its rate limits are counted under.
+ */
+const clientIp = (req, res, next) => {
+  try {
+    const ip = resolveClientIp(
+      req.socket.remoteAddress,
+      req.headers,
+      proxyMatcher(),
+      config.forwardedHeader
+    );
+    // Shadow Express's req.ip getter with the resolved address
+    Object.defineProperty(req, "ip", { value: ip, configurable: true, enumerable: true });
+    req.ipGroup = groupIp(ip, config.ipv6PrefixLength);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Get the address or IPv6 prefix a request's IP-based limits are counted under.
+ * @param {Object} req - Express request object
+ * @returns {string} IPv4 address or IPv6 prefix, e.g. "2001:db8:1:2::/64"
+ */
+const ipGroup = (req) => req.ipGroup || req.ip;
+
+// Export the client address middleware and helpers
+module.exports = {
+  clientIp,
+  proxyMatcher,
+  ipGroup,
+};
@@ -1,4 +1,5 @@
 const { logger } = require("../utils/logger"); // Import custom logger utility
+const { logPath } = require("../utils/logPath"); // Import redacted request paths for logs
 
 /**
  * Error handling middleware
@@ -9,8 +10,8 @@ const { logger } = require("../utils/logger"); // Import custom logger utility
  * @param {Function} next - Express next middleware function
  */
 const errorHandler = (err, req, res, next) => {
-  // Log error details including method, URL, IP, message, and stack trace
-  logger.error(`Error: ${req.method} ${req.url}|${req.ip}|${err.message}|${err.stack}`);
+  // Log error details including method, redacted path, IP, message, and stack trace
+  logger.error(`Error: ${req.method} ${logPath(req)}|${req.ip}|${err.message}|${err.stack}`);
 
   // Handle specific filesystem errors (file not found)
   if (err.code === "ENOENT") {
@@ -0,0 +1,60 @@
+const ipAccessService = require("../services/ipAccess.service"); // Import IP access service
+const { ipGroup } = require("./clientIp.middleware"); // Import rate limit address grouping
+
+/**
+ * Work out which offense a finished response counts as, if any.
+ * Handlers can name an offense the status code does not show in `res.locals.offense`.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {string|null} Offense name, as taken by IpAccessService.recordOffense
+ */
+const offenseFor = (req, res) => {
+  if (res.locals.offense) return res.locals.offense;
+  if (res.statusCode === 429) return "rateLimited";
+  // Downloads of keys that do not exist suggest someone is guessing them
+  if (res.statusCode === 404 && (req.method === "GET" || req.method === "HEAD")) return "notFound";
+  return null;
+};
+
+/**
+ * Middleware enforcing the IP allow and deny lists and bans
+ * Refuses denylisted and banned clients with 403, and counts the offenses of
+ * everyone else's requests towards an automatic ban once they are answered.
+ */
+const ipAccess = async (req, res, next) => {
+  try {
+    const access = await ipAccessService.checkAccess(req.ip, ipGroup(req));
+
+    if (access.reason === "denied") {
+      const error = new Error("Access denied");
+      error.statusCode = 403;
+      error.details = "Requests from this address are not allowed";
+      return next(error);
+    }
+
+    if (access.reason === "banned") {
+      res.set("Retry-After", String(access.retryAfter));
+      const error = new Error("Temporarily banned");
+      error.statusCode = 403;
+      error.details = `Too many refused requests from this address; try again in ${access.retryAfter} seconds`;
+      return next(error);
+    }
+
+    // Allowlisted clients are never banned
+    if (!access.allowlisted) {
+      res.on("finish", () => {
+        const offense = offenseFor(req, res);
+        if (offense) ipAccessService.recordOffense(ipGroup(req), offense);
+      });
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Export the IP access middleware
+module.exports = {
+  ipAccess,
+  offenseFor,
+};
@@ -0,0 +1,81 @@
+const config = require("../config"); // Import configuration settings
+const metricsService = require("../services/metrics.service"); // Import metrics service
+const { hasBearerToken } = require("./admin.middleware"); // Import bearer token check
+
+/**
+ * Get the route pattern a request matched, e.g. "/files/:publicKey".
+ * Paths hold public and private keys, so only the pattern may be used as a label.
+ * Express resets `req.baseUrl` when an error leaves a router, so the mount path is
+ * recovered by dropping as many segments from the request path as the route has.
+ * @param {Object} req - Express request object
+ * @returns {string} Route pattern, or "unmatched" if no route handled the request
+ */
+const routeLabel = (req) => {
+  if (!req.route || typeof req.route.path !== "string") return "unmatched";
+  const routeSegments = req.route.path.split("/").filter(Boolean);
+  const pathSegments = req.originalUrl.split("?")[0].split("/").filter(Boolean);
+  const mount = pathSegments.slice(0, Math.max(0, pathSegments.length - routeSegments.length));
+  return `/${[...mount, ...routeSegments].join("/")}`;
+};
+
+/**
+ * Middleware counting and timing every request once its response is finished
+ */
+const httpMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.once("finish", () => {
+    metricsService.observeRequest({
+      method: req.method,
+      route: routeLabel(req),
+      status: res.statusCode,
+      seconds: Number(process.hrtime.bigint() - start) / 1e9,
+    });
+  });
+  next();
+};
+
+/**
+ * Classify why an upload was refused.
+ * @param {Error} err - Error that ended the upload
+ * @returns {string|null} "type", "size", "quota" or "scan", or null for other errors
+ */
+const uploadRejectionReason = (err) => {
+  if (err.code === "LIMIT_FILE_TYPES") return "type";
+  if (err.code === "LIMIT_FILE_SIZE" || err.statusCode === 413) return "size";
+  if (err.statusCode === 429) return "quota";
+  if (err.code === "FILE_INFECTED") return "scan";
+  return null;
+};
+
+/**
+ * Error middleware for upload routes counting refused uploads by reason.
+ * The error is passed on unchanged to the error handler.
+ */
+const countUploadRejection = (err, req, res, next) => {
+  const reason = uploadRejectionReason(err);
+  if (reason) metricsService.uploadRejections.inc({ reason });
+  next(err);
+};
+
+/**
+ * Middleware to protect GET /metrics
+ * Requires `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set.
+ */
+const requireMetricsToken = (req, res, next) => {
+  if (config.metricsToken && !hasBearerToken(req, config.metricsToken)) {
+    const error = new Error("Unauthorized");
+    error.statusCode = 401;
+    error.details = "A valid metrics token is required";
+    return next(error);
+  }
+  next();
+};
+
+// Export the metrics middleware and helpers
+module.exports = {
+  httpMetrics,
+  routeLabel,
+  uploadRejectionReason,
+  countUploadRejection,
+  requireMetricsToken,
+};
@@ -1,32 +1,62 @@
 const rateLimitService = require("../services/rateLimit.service"); // Import rate limit service
 const { logger } = require("../utils/logger"); // Import custom logger utility
+const { rateLimitClient } = require("./apiKey.middleware"); // Import quota owner lookup
+
+/**
+ * Describe a quota in the IETF draft RateLimit headers
+ * Sets RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset (seconds), plus
+ * Retry-After when the quota is exhausted. With both a byte and a request limit,
+ * the headers describe whichever is closer to running out.
+ * @param {Object} res - Express response object
+ * @param {Object} quota - Quota status or limit error with `limit`, `remaining` and `resetIn` or
+ *   `retryAfter`, and optionally the same for request counts in `requests`
+ */
+const setRateLimitHeaders = (res, quota) => {
+  // Nothing to report when the quota could not be read
+  const limits = quota ? [quota, quota.requests].filter((q) => q && q.limit > 0) : [];
+  if (limits.length === 0) return;
+  const closest = limits.reduce((a, b) => (b.remaining / b.limit < a.remaining / a.limit ? b : a));
+
+  res.set({
+    "RateLimit-Limit": closest.limit,
+    "RateLimit-Remaining": Math.max(0, closest.remaining),
+    "RateLimit-Reset": quota.resetIn !== undefined ? quota.resetIn : quota.retryAfter,
+  });
+  if (quota.retryAfter !== undefined) res.set("Retry-After", quota.retryAfter);
+};
 
 /**
  * Middleware to enforce upload rate limits
- * Checks if the upload limit for the IP has been exceeded before allowing file upload.
+ * Counts the upload request before multer reads the body, refusing it when the request limit for
+ * the API key or IP is reached or the declared Content-Length no longer fits in the byte limit.
+ * The body includes the multipart framing, so it slightly overstates the file; the file's exact
+ * size is charged by the controller once it is stored.
  */
 const uploadRateLimit = async (req, res, next) => {
   try {
-    // If a file is present in the request, check the upload limit
-    if (req.file) {
-      const result = await rateLimitService.checkUploadLimit(req.ip, req.file.size);
-      // If not allowed, log and respond with 429 status
-      if (!result.allowed) {
-        logger.error(`Upload rate limit exceeded for IP ${req.ip}: ${result.error.message}`);
-        return res.status(429).json({ 
-          message: result.error.message,
-          details: {
-            currentUsage: result.error.currentUsage,
-            limit: result.error.limit,
-            remaining: result.error.remaining
-          }
-        });
-      }
+    // Without a usable Content-Length (chunked bodies), at least one byte must be left
+    const declared = Number(req.get("Content-Length"));
+    const expectedBytes = Number.isSafeInteger(declared) && declared > 0 ? declared : 1;
+    const result = await rateLimitService.checkUploadRequest(rateLimitClient(req), expectedBytes);
+    setRateLimitHeaders(res, result.allowed ? result : result.error);
+    // If not allowed, log and respond with the limit's status code
+    if (!result.allowed) {
+      logger.error(`Upload rate limit exceeded for IP ${req.ip}: ${result.error.message}`);
+      return res.status(result.error.statusCode || 429).json({ 
+        message: result.error.message,
+        details: {
+          currentUsage: result.error.currentUsage,
+          limit: result.error.limit,
+          remaining: result.error.remaining
+        }
+      });
     }
+    // The request has been counted; the controller settles it together with the file's bytes
+    req.uploadReservation = result.reservation;
     // Proceed to next middleware if allowed
     next();
   } catch (err) {
-    // Log and respond with 500 status if rate limit service fails
+    // Log and respond with 503 status if rate limit service fails
     logger.error(`Upload rate limit error for IP ${req.ip}: ${err}`);
     res.status(503).json({ 
       message: "Rate limit service unavailable",
@@ -37,26 +67,63 @@ const uploadRateLimit = async (req, res, next) => {
 
 /**
  * Middleware to enforce download rate limits
- * Checks if the download limit for the IP has been exceeded before allowing file download.
+ * Checks if the download limit for the API key or IP has been exceeded before allowing file download.
  */
 const downloadRateLimit = async (req, res, next) => {
   try {
-    // Check download limit for the IP
-    await rateLimitService.checkDownloadLimit(req.ip);
+    // Check download limit for the API key or IP
+    const quota = await rateLimitService.checkDownloadLimit(rateLimitClient(req));
+    setRateLimitHeaders(res, quota);
+    // The download has been counted; the controller reuses this instead of counting it twice
+    req.downloadQuota = quota;
     // Proceed to next middleware if allowed
     next();
   } catch (err) {
-    // Log and respond with 429 status if limit exceeded
-    logger.error(`Download rate limit exceeded for IP ${req.ip}: ${err}`);
-    res.status(429).json({ 
-      message: "Daily download limit exceeded",
+    if (err.statusCode === 429) {
+      // Log and respond with 429 status if limit exceeded
+      setRateLimitHeaders(res, err);
+      logger.error(`Download rate limit exceeded for IP ${req.ip}: ${err}`);
+      return res.status(429).json({
+        message: err.message,
+        details: "Please try again later"
+      });
+    }
+    // Respond with 503 status if the rate limit service fails
+    logger.error(`Download rate limit error for IP ${req.ip}: ${err}`);
+    res.status(503).json({
+      message: "Service temporarily unavailable",
       details: "Please try again later"
     });
   }
 };
 
-// Export the upload and download rate limit middlewares
+/**
+ * Middleware to enforce delete rate limits
+ * Checks if the delete request limit for the API key or IP has been exceeded before deleting a file.
+ */
+const deleteRateLimit = async (req, res, next) => {
+  try {
+    const result = await rateLimitService.checkDeleteLimit(rateLimitClient(req));
+    setRateLimitHeaders(res, result.allowed ? result : result.error);
+    if (!result.allowed) {
+      // Log and pass the error on with its status code
+      logger.error(`Delete rate limit exceeded for IP ${req.ip}: ${result.error.message}`);
+      const error = new Error(result.error.message);
+      error.statusCode = result.error.statusCode;
+      error.details = "Please try again later";
+      throw error;
+    }
+    // Proceed to next middleware if allowed
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Export the rate limit middlewares and the header helper
 module.exports = {
   uploadRateLimit,
   downloadRateLimit,
+  deleteRateLimit,
+  setRateLimitHeaders,
 };
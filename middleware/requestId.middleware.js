@@ -0,0 +1,26 @@
+const crypto = require("crypto"); // Node.js crypto module
+const { proxyMatcher } = require("./clientIp.middleware"); // Import trusted proxy matcher
+
+// Request ids accepted from trusted proxies
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Middleware to give every request an id
+ * Sets `req.id` and the X-Request-Id response header, so audit records, logs and
+ * client reports can be matched up. An X-Request-Id set by a trusted proxy is
+ * kept; anyone else gets a fresh id, so clients cannot forge audit entries' ids.
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id =
+    incoming && REQUEST_ID_PATTERN.test(incoming) && proxyMatcher()(req.socket.remoteAddress)
+      ? incoming
+      : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+};
+
+// Export the request id middleware
+module.exports = {
+  requestId,
+};
@@ -0,0 +1,118 @@
+const { Transform } = require("stream"); // Node.js stream module
+const { logger } = require("../utils/logger"); // Import custom logger utility
+const fileService = require("../services/file.service"); // Import file service for storage access
+const { createTypeInspector } = require("../utils/fileTypes"); // Import content type detection
+
+/**
+ * Multer storage engine that streams each file part straight into the
+ * storage provider instead of buffering it in memory.
+ * Bytes are counted as they pass through, so the size limit is enforced
+ * mid-stream; the provider removes its partial object when the stream fails
+ * because the limit was hit, the content type was rejected or the client aborted.
+ * The stored MIME type is the one detected from the content, not the client's claim.
+ * On success `req.file` carries `publicKey`, `privateKey` and `size`.
+ */
+class StreamStorage {
+  /**
+   * @param {Object} options - Engine options
+   * @param {number} options.maxFileSize - Maximum file size in bytes
+   */
+  constructor({ maxFileSize }) {
+    this.maxFileSize = maxFileSize;
+  }
+
+  /**
+   * Stream a file part into storage (called by multer)
+   * @param {Object} req - Express request object
+   * @param {Object} file - Multer file info with the incoming `stream`
+   * @param {Function} cb - Callback receiving the stored file info
+   */
+  _handleFile(req, file, cb) {
+    // API keys may carry their own maximum file size
+    const maxFileSize = (req.apiKey && req.apiKey.maxFileSize) || this.maxFileSize;
+    const upload = {
+      originalname: file.originalname,
+      mimetype: file.mimetype,
+      size: 0,
+    };
+
+    // Count bytes and fail as soon as the limit is exceeded
+    let received = 0;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > maxFileSize) {
+          const error = new Error("File too large");
+          error.statusCode = 413;
+          error.code = "LIMIT_FILE_SIZE";
+          error.details = `Maximum file size is ${maxFileSize} bytes`;
+          return callback(error);
+        }
+        callback(null, chunk);
+      },
+      flush(callback) {
+        // The size is only known once the part has been fully read;
+        // providers write metadata after the content, so it is set in time
+        upload.size = received;
+        callback();
+      },
+    });
+
+    // A client that disconnects mid-upload fails the stream so storage cleans up
+    const onClose = () => {
+      if (!req.complete) {
+        const error = new Error("Upload aborted by client");
+        error.statusCode = 400;
+        error.details = "The connection closed before the file was received";
+        counter.destroy(error);
+      }
+    };
+    req.once("close", onClose);
+
+    // Check the content against its name before anything reaches storage
+    const inspector = createTypeInspector(file.originalname, (mimetype) => {
+      upload.mimetype = mimetype;
+    });
+    inspector.once("error", (err) => counter.destroy(err));
+
+    // Stop reading the part once the upload has failed
+    counter.once("error", () => {
+      file.stream.unpipe(inspector);
+      file.stream.resume();
+    });
+    // The file service may wrap `upload.stream`, so the counter is kept separately
+    upload.stream = file.stream.pipe(inspector).pipe(counter);
+
+    fileService
+      .uploadFile(upload)
+      .then(
+        (result) => cb(null, { ...result, size: received }),
+        (err) => {
+          logger.error(`Streaming upload failed after ${received} bytes: ${err.message}`);
+          cb(err);
+        }
+      )
+      .finally(() => req.removeListener("close", onClose));
+  }
+
+  /**
+   * Remove a stored file when multer aborts the request (called by multer)
+   * @param {Object} req - Express request object
+   * @param {Object} file - File info returned by _handleFile
+   * @param {Function} cb - Callback
+   */
+  _removeFile(req, file, cb) {
+    if (!file.privateKey) return cb(null);
+    fileService.deleteFile(file.privateKey).then(() => cb(null), cb);
+  }
+}
+
+/**
+ * Create a streaming multer storage engine
+ * @param {Object} options - Engine options, see StreamStorage
+ * @returns {StreamStorage} Storage engine for multer's `storage` option
+ */
+const streamStorage = (options) => new StreamStorage(options);
+
+// Export the storage engine factory
+module.exports = { streamStorage };
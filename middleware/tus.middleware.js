@@ -0,0 +1,64 @@
+// Version of the tus protocol implemented by the resumable upload routes
+const TUS_VERSION = "1.0.0";
+
+// Extensions supported on top of the core protocol
+const TUS_EXTENSIONS = ["creation", "termination"];
+
+// Response headers browsers must be allowed to read for tus clients to work
+const TUS_EXPOSED_HEADERS = [
+  "Location",
+  "Tus-Resumable",
+  "Tus-Version",
+  "Tus-Extension",
+  "Tus-Max-Size",
+  "Upload-Offset",
+  "Upload-Length",
+  "Upload-Metadata",
+  "File-Public-Key",
+  "File-Private-Key",
+];
+
+/**
+ * Middleware enforcing the tus protocol version
+ * Adds Tus-Resumable to every response and rejects requests for other versions.
+ * OPTIONS requests are exempt so clients can discover the supported versions.
+ */
+const tusProtocol = (req, res, next) => {
+  res.set("Tus-Resumable", TUS_VERSION);
+
+  if (req.method !== "OPTIONS" && req.get("Tus-Resumable") !== TUS_VERSION) {
+    res.set("Tus-Version", TUS_VERSION);
+    return res.status(412).json({
+      message: "Unsupported tus version",
+      details: `Send the Tus-Resumable: ${TUS_VERSION} header`,
+    });
+  }
+  next();
+};
+
+/**
+ * Parse a tus Upload-Metadata header into an object.
+ * Format: comma-separated `key base64value` pairs; values may be omitted.
+ * @param {string} header - Upload-Metadata header value
+ * @returns {Object|null} Decoded metadata, or null if the header is malformed
+ */
+const parseUploadMetadata = (header) => {
+  const metadata = {};
+  if (!header) return metadata;
+
+  for (const pair of header.split(",")) {
+    const [key, value, ...rest] = pair.trim().split(" ");
+    if (!key || rest.length > 0) return null;
+    metadata[key] = value ? Buffer.from(value, "base64").toString("utf8") : "";
+  }
+  return metadata;
+};
+
+// Export the tus middleware and helpers
+module.exports = {
+  TUS_VERSION,
+  TUS_EXTENSIONS,
+  TUS_EXPOSED_HEADERS,
+  tusProtocol,
+  parseUploadMetadata,
+};
@@ -0,0 +1,101 @@
+const net = require("net"); // Node.js TCP and Unix socket client
+const ScannerInterface = require("./scannerInterface"); // Base scanner interface
+const { SCAN_STATUS } = require("./scannerInterface"); // Scan outcomes
+
+// Largest chunk sent in one INSTREAM frame
+const MAX_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Scanner that streams uploads to a ClamAV daemon (clamd) with the INSTREAM
+ * command, over a Unix socket or TCP. Content is sent as it arrives, so files
+ * are never buffered in memory; clamd's StreamMaxLength caps what it accepts.
+ */
+class ClamdScanner extends ScannerInterface {
+  /**
+   * @param {Object} options - Connection options
+   * @param {string} [options.socket] - Unix socket path; takes precedence over host/port
+   * @param {string} [options.host] - clamd hostname
+   * @param {number} [options.port] - clamd TCP port
+   * @param {number} options.timeout - Milliseconds without socket activity before giving up
+   */
+  constructor({ socket, host, port, timeout }) {
+    super();
+    this.connectOptions = socket ? { path: socket } : { host, port: Number(port) };
+    this.timeout = timeout;
+  }
+
+  get name() {
+    return "clamd";
+  }
+
+  // Scan a stream with INSTREAM and translate clamd's reply into a verdict
+  async scan(stream) {
+    const socket = net.createConnection(this.connectOptions);
+    socket.setTimeout(this.timeout);
+
+    // clamd answers once after the terminating frame (or early, e.g. on size limit errors)
+    let replied = false;
+    const reply = new Promise((resolve, reject) => {
+      const chunks = [];
+      socket.on("data", (chunk) => {
+        chunks.push(chunk);
+        const text = Buffer.concat(chunks).toString();
+        if (text.includes("\0")) {
+          replied = true;
+          resolve(text.slice(0, text.indexOf("\0")));
+          socket.end();
+        }
+      });
+      socket.on("timeout", () => socket.destroy(new Error("clamd timed out")));
+      socket.on("error", reject);
+      socket.on("close", () => reject(new Error("clamd closed the connection without a reply")));
+    });
+
+    // Stop streaming as soon as a reply or a socket error settles the scan
+    const settled = reply.then(() => {}, () => {});
+    const send = async (data) => {
+      if (!socket.write(data)) {
+        await Promise.race([new Promise((resolve) => socket.once("drain", resolve)), settled]);
+      }
+    };
+
+    try {
+      // "z" prefix: null-terminated command and reply
+      await send("zINSTREAM\0");
+      for await (const chunk of stream) {
+        for (let offset = 0; offset < chunk.length && !replied; offset += MAX_CHUNK_SIZE) {
+          const part = chunk.subarray(offset, offset + MAX_CHUNK_SIZE);
+          const length = Buffer.alloc(4);
+          length.writeUInt32BE(part.length);
+          await send(Buffer.concat([length, part]));
+        }
+        if (replied || socket.destroyed) break;
+      }
+      // A zero-length frame ends the stream
+      if (!replied && !socket.destroyed) await send(Buffer.alloc(4));
+    } catch (err) {
+      socket.destroy();
+      throw err;
+    }
+
+    return parseReply(await reply);
+  }
+}
+
+/**
+ * Translate a clamd INSTREAM reply into a verdict.
+ * @param {string} text - Reply such as "stream: OK" or "stream: Eicar-Signature FOUND"
+ * @returns {Object} `{ status, signature? }`
+ * @throws {Error} If clamd reported an error (e.g. "INSTREAM size limit exceeded. ERROR")
+ */
+const parseReply = (text) => {
+  const reply = text.trim();
+  if (reply.endsWith(" OK")) return { status: SCAN_STATUS.CLEAN };
+
+  const found = reply.match(/^stream: (.+) FOUND$/);
+  if (found) return { status: SCAN_STATUS.INFECTED, signature: found[1] };
+
+  throw new Error(`clamd error: ${reply}`);
+};
+
+module.exports = ClamdScanner;
@@ -0,0 +1,40 @@
+/**
+ * Possible outcomes of a scan, also stored as `scanStatus` in file metadata
+ */
+const SCAN_STATUS = {
+  CLEAN: "clean", // No scanner objected; the file may be downloaded
+  INFECTED: "infected", // A scanner found a threat; the file is rejected
+  PENDING: "pending", // Not every scanner gave a verdict; the file is quarantined
+};
+
+/**
+ * Abstract Scanner Interface
+ * Upload scanners must implement these members. Register custom scanners
+ * with `scanService.register(scanner)`.
+ */
+class ScannerInterface {
+  /**
+   * Name of the scanner, used in logs and rejection details
+   * @returns {string} Scanner name
+   * @throws {Error} If not implemented by subclass
+   */
+  get name() {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Scan the content of an upload.
+   * The stream must be read to its end unless a verdict is reached earlier;
+   * a scanner that cannot decide should throw so the file stays quarantined.
+   * @param {Readable} stream - Plaintext content of the upload
+   * @returns {Promise<Object>} `{ status, signature? }` where status is a SCAN_STATUS value
+   *   and signature names the threat found in an infected file
+   * @throws {Error} If not implemented by subclass
+   */
+  async scan(stream) {
+    throw new Error("Method not implemented");
+  }
+}
+
+module.exports = ScannerInterface;
+module.exports.SCAN_STATUS = SCAN_STATUS;
@@ -1,8 +1,10 @@
 const { Storage } = require("@google-cloud/storage"); // Import Google Cloud Storage SDK
 const path = require("path"); // Node.js path module
+const { pipeline } = require("stream/promises"); // Promise-based stream pipeline
 const StorageInterface = require("./storageInterface"); // Base storage interface
 const { logger } = require("../../utils/logger"); // Custom logger utility
-const { generateKeys } = require("../../utils/generateKeys"); // Utility for generating file keys
+const { generateKeys, hashKey } = require("../../utils/generateKeys"); // Utilities for generating and hashing file keys
+const { isExpired } = require("../../utils/fileLifecycle"); // Per-file expiry check
 
 class GoogleCloudStorage extends StorageInterface {
   constructor(configPath) {
@@ -41,80 +43,62 @@ class GoogleCloudStorage extends StorageInterface {
   // Upload a file to Google Cloud Storage
   async uploadFile(file) {
     const { publicKey, privateKey } = generateKeys(); // Generate unique keys for file
-    const gcsFile = this.bucket.file(publicKey); // Reference to the file in GCS
-
-    // Create metadata for the file
-    const metadata = {
-      privateKey,
-      originalName: file.originalname,
-      mimeType: file.mimetype,
-      size: file.size,
-      uploadedAt: new Date().toISOString(),
-      lastAccessed: new Date().toISOString(),
-    };
-
     const metadataFile = this.bucket.file(`${publicKey}.meta`); // Reference to metadata file
+    let blob;
 
     try {
-      // Upload metadata first
+      // Store the content once per SHA-256 digest; the file points at it.
+      // The stream pipeline propagates source errors such as aborts
+      blob = await this._storeBlob(file);
+
+      // Then upload metadata; only a hash of the private key is kept
+      const metadata = {
+        privateKeyHash: hashKey(privateKey),
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: blob.size,
+        blob: blob.digest,
+        uploadedAt: new Date().toISOString(),
+        lastAccessed: new Date().toISOString(),
+        // Scanned uploads stay quarantined until their verdict is recorded
+        ...(file.scanStatus && { scanStatus: file.scanStatus }),
+      };
       await metadataFile.save(JSON.stringify(metadata), {
         metadata: {
           contentType: "application/json",
         },
       });
 
-      // Then upload main file using stream
-      await new Promise((resolve, reject) => {
-        file.stream
-          .pipe(
-            gcsFile.createWriteStream({
-              metadata: {
-                contentType: file.mimetype,
-              },
-            })
-          )
-          .on("error", reject)
-          .on("finish", resolve);
-      });
+      // Index the private key so deletion is a single lookup
+      await this._writeIndexEntry(privateKey, publicKey);
 
       // Return keys for further operations
       return { publicKey, privateKey };
     } catch (err) {
-      // Cleanup both files if upload fails
-      await Promise.all([
-        gcsFile.delete().catch(() => {}),
-        metadataFile.delete().catch(() => {}),
-      ]);
+      // Cleanup the metadata and the content reference if upload fails
+      await metadataFile.delete().catch(() => {});
+      if (blob) await this._releaseBlob(blob.digest).catch(() => {});
       throw err;
     }
   }
 
-  // Download a file from Google Cloud Storage
-  async downloadFile(publicKey) {
-    const gcsFile = this.bucket.file(publicKey); // Reference to the file
-    const metadataFile = this.bucket.file(`${publicKey}.meta`); // Reference to metadata file
-
+  // Download a file (or an inclusive byte range of it) from Google Cloud Storage
+  async downloadFile(publicKey, range) {
     try {
-      // Get metadata from GCS
-      const [metadata] = await metadataFile.download();
-      const fileInfo = JSON.parse(metadata.toString());
-
-      // Update last accessed timestamp
-      fileInfo.lastAccessed = new Date().toISOString();
-      await metadataFile.save(JSON.stringify(fileInfo), {
-        metadata: {
-          contentType: "application/json",
-        },
+      // Update last accessed timestamp through the serialized metadata update
+      const fileInfo = await this.updateMetadata(publicKey, {
+        lastAccessed: new Date().toISOString(),
       });
 
-      // Get file stream and metadata
-      const fileStream = gcsFile.createReadStream();
-      const [fileMetadata] = await gcsFile.getMetadata();
+      // Get file stream; encrypted files are decrypted on the fly
+      const fileStream = await this._openContent(publicKey, fileInfo, range, (name, r) =>
+        this.bucket.file(name).createReadStream(r ? { start: r.start, end: r.end } : undefined)
+      );
 
       // Return file stream and info for response
       return {
         stream: fileStream,
-        mimeType: fileMetadata.contentType,
+        mimeType: fileInfo.mimeType,
         originalName: fileInfo.originalName,
         size: Number(fileInfo.size),
       };
@@ -126,32 +110,14 @@ class GoogleCloudStorage extends StorageInterface {
   // Delete a file from Google Cloud Storage using private key
   async deleteFile(privateKey) {
     try {
-      // Find file by matching privateKey in metadata files
-      const [files] = await this.bucket.getFiles();
-      let publicKey = null;
-
-      for (const file of files) {
-        if (file.name.endsWith(".meta")) {
-          const [metadata] = await file.download();
-          const fileInfo = JSON.parse(metadata.toString());
-
-          if (fileInfo.privateKey === privateKey) {
-            publicKey = file.name.replace(".meta", "");
-            break;
-          }
-        }
-      }
+      // Resolve the file through the privateKey index
+      const publicKey = await this._lookupPublicKey(privateKey);
 
       // If no matching file found, throw error
       if (!publicKey) throw new Error("File not found");
 
-      // Delete both file and metadata
-      await Promise.all([
-        this.bucket.file(publicKey).delete(),
-        this.bucket.file(`${publicKey}.meta`).delete(),
-      ]);
-
-      return { success: true };
+      // Remove the metadata and index entry, and release the stored content
+      return await this.removeFile(publicKey);
     } catch (err) {
       throw err;
     }
@@ -159,13 +125,16 @@ class GoogleCloudStorage extends StorageInterface {
 
   // Cleanup inactive files from Google Cloud Storage
   async cleanupInactiveFiles(inactivityPeriod) {
-    const [files] = await this.bucket.getFiles(); // Get all files in bucket
+    const [files] = await this.bucket.getFiles({ delimiter: "/" }); // Get top-level files in bucket
     const metaFiles = files.filter((f) => f.name.endsWith(".meta")); // Filter metadata files
     const cutoff = new Date(
       Date.now() - this.parseInactivityPeriod(inactivityPeriod)
     ); // Calculate cutoff date
 
     let deletedCount = 0;
+    const deletedFiles = []; // Removed files, for expiry notifications
+    let storedCount = 0; // Files kept, for the stored file metrics
+    let storedBytes = 0;
     const errors = [];
 
     for (const metaFile of metaFiles) {
@@ -175,15 +144,16 @@ class GoogleCloudStorage extends StorageInterface {
         const fileInfo = JSON.parse(metadata.toString());
         const lastAccessed = new Date(fileInfo.lastAccessed);
 
-        // If file is inactive, delete both file and metadata
-        if (lastAccessed < cutoff) {
+        // If file is inactive, expired or used up, delete both file and metadata
+        if (lastAccessed < cutoff || isExpired(fileInfo)) {
           const publicKey = metaFile.name.replace(".meta", "");
-          await Promise.all([
-            this.bucket.file(publicKey).delete(),
-            metaFile.delete(),
-          ]);
+          await this.removeFile(publicKey);
           deletedCount++;
-          logger.debug(`Deleted inactive GCS file: ${publicKey}`);
+          deletedFiles.push({ publicKey, reason: isExpired(fileInfo) ? "expired" : "inactive" });
+          logger.debug(`Deleted inactive or expired GCS file: ${publicKey}`);
+        } else {
+          storedCount++;
+          storedBytes += Number(fileInfo.size) || 0;
         }
       } catch (err) {
         // Track errors for reporting
@@ -200,34 +170,70 @@ class GoogleCloudStorage extends StorageInterface {
     // Return cleanup statistics
     return {
       deletedCount,
+      deletedFiles,
+      storedCount,
+      storedBytes,
       errorCount: errors.length,
       errors: errors.length > 0 ? errors : undefined,
     };
   }
 
-  // Helper method to parse inactivity period
-  // This method is used to convert the period string (e.g., "10m", "30d") into milliseconds
-  // It is used in the cleanupInactiveFiles method to determine which files to delete based on their last accessed time
-  // It supports days (d), hours (h), and minutes (m) as units
-  // If no valid unit is provided,
-  // it defaults to 30 days (30d) for backward compatibility
-  // This method is essential for the cleanup process to determine file inactivity
-  // and ensure that only files that have not been accessed within the specified period are deleted
-  parseInactivityPeriod(period) {
-    const unit = period.slice(-1);
-    const value = parseInt(period.slice(0, -1));
-
-    switch (unit) {
-      case "d":
-        return value * 24 * 60 * 60 * 1000; // days
-      case "h":
-        return value * 60 * 60 * 1000; // hours
-      case "m":
-        return value * 60 * 1000; // minutes
-      default:
-        return 30 * 24 * 60 * 60 * 1000; // default 30 days
+  // List files in Google Cloud Storage with their metadata, ordered by publicKey
+  async listFiles(options) {
+    const [files] = await this.bucket.getFiles({ delimiter: "/" }); // Get top-level files in bucket
+    const publicKeys = files
+      .filter((f) => f.name.endsWith(".meta"))
+      .map((f) => f.name.slice(0, -".meta".length));
+    return this._pageFiles(publicKeys, options);
+  }
+
+  // Read a raw object from the bucket
+  async _readObject(name) {
+    try {
+      const [data] = await this.bucket.file(name).download();
+      return data;
+    } catch (err) {
+      if (err.code === 404) err.statusCode = 404;
+      throw err;
     }
   }
+
+  // Write a raw object to the bucket
+  async _writeObject(name, data) {
+    await this.bucket.file(name).save(data);
+  }
+
+  // Delete a raw object from the bucket, ignoring missing objects
+  async _deleteObject(name) {
+    await this.bucket.file(name).delete({ ignoreNotFound: true });
+  }
+
+  // Write a stream to a raw object, removing the partial object on failure
+  async _writeStream(name, source) {
+    const gcsFile = this.bucket.file(name);
+    try {
+      await pipeline(source, gcsFile.createWriteStream({ resumable: false }));
+    } catch (err) {
+      await gcsFile.delete({ ignoreNotFound: true }).catch(() => {});
+      throw err;
+    }
+  }
+
+  // Move a raw object within the bucket
+  async _moveObject(from, to) {
+    await this.bucket.file(from).move(to);
+  }
+
+  // Open a read stream on a raw object
+  async _readStream(name) {
+    return this.bucket.file(name).createReadStream();
+  }
+
+  // List object names directly under a prefix (top-level files when no prefix is given)
+  async _listObjects(prefix = "") {
+    const [files] = await this.bucket.getFiles({ prefix, delimiter: "/" });
+    return files.map((f) => f.name);
+  }
 }
 
 // Export GoogleCloudStorage class for use in the app
@@ -6,7 +6,8 @@ const stream = require("stream"); // Node.js stream module
 const pipeline = promisify(stream.pipeline); // Promisified pipeline for stream operations
 const StorageInterface = require("./storageInterface"); // Base storage interface
 const { logger } = require("../../utils/logger"); // Custom logger utility
-const { generateKeys } = require("../../utils/generateKeys"); // Utility for generating file keys
+const { generateKeys, hashKey } = require("../../utils/generateKeys"); // Utilities for generating and hashing file keys
+const { isExpired } = require("../../utils/fileLifecycle"); // Per-file expiry check
 
 class LocalStorage extends StorageInterface {
   constructor(folderPath) {
@@ -28,48 +29,40 @@ class LocalStorage extends StorageInterface {
   // Upload a file to local storage
   async uploadFile(file) {
     const { publicKey, privateKey } = generateKeys(); // Generate unique keys for file
-    const filePath = path.join(this.folderPath, publicKey); // Path for the file
-    const writeStream = fs.createWriteStream(filePath); // Create write stream
+    let blob;
 
     try {
-      // Handle both buffer and stream inputs
-      if (file.buffer) {
-        await new Promise((resolve, reject) => {
-          writeStream.write(file.buffer, (err) => {
-            if (err) reject(err);
-            writeStream.end(resolve);
-          });
-        });
-      } else if (file.stream) {
-        await pipeline(file.stream, writeStream);
-      } else {
-        throw new Error("No valid file data found");
-      }
+      // Store the content once per SHA-256 digest; the file points at it
+      blob = await this._storeBlob(file);
 
-      // Save metadata for the uploaded file
-      await this._saveMetadata(publicKey, file, privateKey);
+      // Save metadata for the uploaded file and index its private key
+      await this._saveMetadata(publicKey, file, privateKey, blob);
+      await this._writeIndexEntry(privateKey, publicKey);
       return { publicKey, privateKey };
     } catch (err) {
       // Cleanup files if upload fails
-      await this._cleanupFailedUpload(filePath);
+      await this._cleanupFailedUpload(publicKey, blob);
       logger.error(`Upload failed: ${err}`);
       throw err;
     }
   }
 
-  // Save metadata for a file
-  async _saveMetadata(publicKey, file, privateKey) {
+  // Save metadata for a file; only a hash of the private key is kept
+  async _saveMetadata(publicKey, file, privateKey, blob) {
     if (!file.originalname || typeof file.originalname !== "string") {
       throw new Error("Invalid original filename");
     }
 
     const metadata = {
-      privateKey,
+      privateKeyHash: hashKey(privateKey),
       originalName: file.originalname,
       mimeType: file.mimetype,
-      size: file.size,
+      size: blob.size,
+      blob: blob.digest,
       uploadedAt: new Date().toISOString(),
       lastAccessed: new Date().toISOString(),
+      // Scanned uploads stay quarantined until their verdict is recorded
+      ...(file.scanStatus && { scanStatus: file.scanStatus }),
     };
 
     const metaPath = path.join(this.folderPath, `${publicKey}.meta`);
@@ -83,37 +76,43 @@ class LocalStorage extends StorageInterface {
   }
 
   // Cleanup files if upload fails
-  async _cleanupFailedUpload(filePath) {
+  async _cleanupFailedUpload(publicKey, blob) {
     try {
-      await fsp.unlink(filePath);
-      await fsp.unlink(`${filePath}.meta`).catch(() => {});
+      await fsp.unlink(path.join(this.folderPath, `${publicKey}.meta`)).catch(() => {});
+      if (blob) await this._releaseBlob(blob.digest);
     } catch (err) {
       logger.error(`Cleanup failed: ${err}`);
     }
   }
 
-  // Download a file from local storage
-  async downloadFile(publicKey) {
-    const filePath = path.join(this.folderPath, publicKey);
+  // Download a file (or an inclusive byte range of it) from local storage
+  async downloadFile(publicKey, range) {
     const metaPath = path.join(this.folderPath, `${publicKey}.meta`);
 
     try {
-      // Check if files exist first
+      // Check if the metadata exists first
       await fsp.access(metaPath, fs.constants.R_OK);
-      await fsp.access(filePath, fs.constants.R_OK);
 
-      // Read metadata and update last accessed time
-      const metaData = JSON.parse(await fsp.readFile(metaPath, "utf8"));
-      metaData.lastAccessed = new Date().toISOString();
-      await fsp.writeFile(metaPath, JSON.stringify(metaData));
+      // Update last accessed time through the serialized metadata update
+      const metaData = await this.updateMetadata(publicKey, {
+        lastAccessed: new Date().toISOString(),
+      });
 
-      const stats = await fsp.stat(filePath); // Get file size
+      // Open the stored content; encrypted files are decrypted on the fly
+      let storedSize;
+      const fileStream = await this._openContent(publicKey, metaData, range, async (name, r) => {
+        const objectPath = this._objectPath(name);
+        storedSize = (await fsp.stat(objectPath)).size; // Fails with ENOENT if missing
+        return fs.createReadStream(objectPath, r ? { start: r.start, end: r.end } : undefined);
+      });
 
       return {
-        stream: fs.createReadStream(filePath),
+        stream: fileStream,
         mimeType: metaData.mimeType,
         originalName: metaData.originalName,
-        size: stats.size, // Ensure size is always available
+        // Ensure size is always available; encrypted content is larger than the plaintext
+        size:
+          metaData.blob || metaData.encryption ? Number(metaData.size) : storedSize,
       };
     } catch (err) {
       if (err.code === "ENOENT") {
@@ -127,21 +126,8 @@ class LocalStorage extends StorageInterface {
   // Delete a file from local storage using private key
   async deleteFile(privateKey) {
     try {
-      // Find all metadata files
-      const files = await fsp.readdir(this.folderPath);
-      const metaFiles = files.filter((f) => f.endsWith(".meta"));
-
-      // Find the file matching the privateKey
-      let publicKey = null;
-      for (const metaFile of metaFiles) {
-        const metaPath = path.join(this.folderPath, metaFile);
-        const metaData = JSON.parse(await fsp.readFile(metaPath, "utf8"));
-
-        if (metaData.privateKey === privateKey) {
-          publicKey = metaFile.replace(".meta", "");
-          break;
-        }
-      }
+      // Resolve the file through the privateKey index
+      const publicKey = await this._lookupPublicKey(privateKey);
 
       if (!publicKey) {
         const error = new Error("Invalid private key");
@@ -149,12 +135,8 @@ class LocalStorage extends StorageInterface {
         throw error;
       }
 
-      const filePath = path.join(this.folderPath, publicKey);
-      const metaPath = path.join(this.folderPath, `${publicKey}.meta`);
-
-      await Promise.all([fsp.unlink(filePath), fsp.unlink(metaPath)]);
-
-      return { success: true };
+      // Remove the metadata and index entry, and release the stored content
+      return await this.removeFile(publicKey);
     } catch (err) {
       logger.error(`Delete failed: ${err}`);
       if (!err.statusCode) {
@@ -173,6 +155,9 @@ class LocalStorage extends StorageInterface {
     );
 
     let deletedCount = 0;
+    const deletedFiles = []; // Removed files, for expiry notifications
+    let storedCount = 0; // Files kept, for the stored file metrics
+    let storedBytes = 0;
     const errors = [];
 
     for (const metaFile of metaFiles) {
@@ -181,12 +166,16 @@ class LocalStorage extends StorageInterface {
         const metaData = JSON.parse(await fsp.readFile(metaPath, "utf8"));
         const lastAccessed = new Date(metaData.lastAccessed);
 
-        // If file is inactive, delete both file and metadata
-        if (lastAccessed < cutoff) {
+        // If file is inactive, expired or used up, delete both file and metadata
+        if (lastAccessed < cutoff || isExpired(metaData)) {
           const publicKey = metaFile.replace(".meta", "");
-          await this._deleteByPublicKey(publicKey);
+          await this.removeFile(publicKey);
           deletedCount++;
-          logger.debug(`Deleted inactive file: ${publicKey}`);
+          deletedFiles.push({ publicKey, reason: isExpired(metaData) ? "expired" : "inactive" });
+          logger.debug(`Deleted inactive or expired file: ${publicKey}`);
+        } else {
+          storedCount++;
+          storedBytes += Number(metaData.size) || 0;
         }
       } catch (err) {
         errors.push({ file: metaFile, error: err.message });
@@ -201,36 +190,95 @@ class LocalStorage extends StorageInterface {
 
     return {
       deletedCount,
+      deletedFiles,
+      storedCount,
+      storedBytes,
       errorCount: errors.length,
       errors: errors.length > 0 ? errors : undefined,
     };
   }
 
-  // internal deletion method
-  async _deleteByPublicKey(publicKey) {
-    const filePath = path.join(this.folderPath, publicKey);
-    const metaPath = path.join(this.folderPath, `${publicKey}.meta`);
+  // List files in local storage with their metadata, ordered by publicKey
+  async listFiles(options) {
+    const files = await fsp.readdir(this.folderPath);
+    const publicKeys = files
+      .filter((f) => f.endsWith(".meta"))
+      .map((f) => f.slice(0, -".meta".length));
+    return this._pageFiles(publicKeys, options);
+  }
+
+  // Resolve an object name (which may contain "/") to a path inside the storage folder
+  // Names that would resolve outside the folder, e.g. through "..", are refused
+  _objectPath(name) {
+    const objectPath = path.join(this.folderPath, ...name.split("/"));
+    const relative = path.relative(this.folderPath, objectPath);
+    if (relative === ".." || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+      const error = new Error("Invalid object name");
+      error.statusCode = 400;
+      error.details = "Object names must stay inside the storage folder";
+      throw error;
+    }
+    return objectPath;
+  }
+
+  // Read a raw object from the storage folder
+  async _readObject(name) {
+    try {
+      return await fsp.readFile(this._objectPath(name));
+    } catch (err) {
+      if (err.code === "ENOENT") err.statusCode = 404;
+      throw err;
+    }
+  }
+
+  // Write a raw object, creating parent folders as needed
+  async _writeObject(name, data) {
+    const objectPath = this._objectPath(name);
+    await fsp.mkdir(path.dirname(objectPath), { recursive: true });
+    await fsp.writeFile(objectPath, data);
+  }
+
+  // Delete a raw object, ignoring missing files
+  async _deleteObject(name) {
+    await fsp.unlink(this._objectPath(name)).catch((err) => {
+      if (err.code !== "ENOENT") throw err;
+    });
+  }
 
-    await Promise.all([
-      fsp.unlink(filePath).catch(() => {}),
-      fsp.unlink(metaPath).catch(() => {}),
-    ]);
-  }
-
-  // Helper method to parse inactivity period string into milliseconds
-  parseInactivityPeriod(period) {
-    const unit = period.slice(-1);
-    const value = parseInt(period.slice(0, -1));
-
-    switch (unit) {
-      case "d":
-        return value * 24 * 60 * 60 * 1000; // days
-      case "h":
-        return value * 60 * 60 * 1000; // hours
-      case "m":
-        return value * 60 * 1000; // minutes
-      default:
-        return 30 * 24 * 60 * 60 * 1000; // default 30 days
+  // Write a stream to a raw object, removing the partial file on failure
+  async _writeStream(name, source) {
+    const objectPath = this._objectPath(name);
+    await fsp.mkdir(path.dirname(objectPath), { recursive: true });
+    try {
+      await pipeline(source, fs.createWriteStream(objectPath));
+    } catch (err) {
+      await fsp.unlink(objectPath).catch(() => {});
+      throw err;
+    }
+  }
+
+  // Move a raw object by renaming it, creating parent folders as needed
+  async _moveObject(from, to) {
+    const objectPath = this._objectPath(to);
+    await fsp.mkdir(path.dirname(objectPath), { recursive: true });
+    await fsp.rename(this._objectPath(from), objectPath);
+  }
+
+  // Open a read stream on a raw object
+  async _readStream(name) {
+    return fs.createReadStream(this._objectPath(name));
+  }
+
+  // List the files directly inside the storage folder or one of its subfolders
+  async _listObjects(prefix = "") {
+    try {
+      const entries = await fsp.readdir(this._objectPath(prefix), {
+        withFileTypes: true,
+      });
+      return entries.filter((e) => e.isFile()).map((e) => `${prefix}${e.name}`);
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
     }
   }
 }
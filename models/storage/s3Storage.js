@@ -0,0 +1,359 @@
+const {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  HeadObjectCommand,
+  CopyObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCopyCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3"); // Import S3 client and commands from the AWS SDK
+const { Upload } = require("@aws-sdk/lib-storage"); // Managed multipart upload for streams of unknown length
+const StorageInterface = require("./storageInterface"); // Base storage interface
+const { logger } = require("../../utils/logger"); // Custom logger utility
+const { generateKeys, hashKey } = require("../../utils/generateKeys"); // Utilities for generating and hashing file keys
+const { isExpired } = require("../../utils/fileLifecycle"); // Per-file expiry check
+
+// Largest object a single CopyObject request can copy
+const MAX_COPY_OBJECT_SIZE = 5 * 1024 * 1024 * 1024; // 5GB
+// Part size for larger copies; 10,000 parts cover S3's 5TB object limit
+const COPY_PART_SIZE = 512 * 1024 * 1024; // 512MB
+
+/**
+ * Storage provider for any S3-compatible endpoint (AWS S3, MinIO, Ceph RGW).
+ * Files are stored as `<publicKey>` objects with a `<publicKey>.meta` JSON sidecar,
+ * mirroring the layout used by the Google Cloud Storage provider.
+ */
+class S3Storage extends StorageInterface {
+  constructor(s3Config = {}) {
+    super();
+
+    // Validate required config fields
+    if (!s3Config.bucket) {
+      throw new Error("Invalid S3 configuration - missing bucket");
+    }
+
+    // Initialize S3 client; endpoint and path-style addressing are needed for MinIO/Ceph
+    this.client = new S3Client({
+      region: s3Config.region || "us-east-1",
+      endpoint: s3Config.endpoint || undefined,
+      forcePathStyle: Boolean(s3Config.forcePathStyle),
+      credentials:
+        s3Config.accessKeyId && s3Config.secretAccessKey
+          ? {
+              accessKeyId: s3Config.accessKeyId,
+              secretAccessKey: s3Config.secretAccessKey,
+            }
+          : undefined, // Fall back to the default AWS credential chain
+    });
+    this.bucketName = s3Config.bucket;
+  }
+
+  // Upload a file to the S3 bucket
+  async uploadFile(file) {
+    const { publicKey, privateKey } = generateKeys(); // Generate unique keys for file
+    let blob;
+
+    try {
+      // Store the content once per SHA-256 digest; the file points at it
+      blob = await this._storeBlob(file);
+
+      // Then upload metadata; only a hash of the private key is kept
+      await this._putMetadata(publicKey, {
+        privateKeyHash: hashKey(privateKey),
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: blob.size,
+        blob: blob.digest,
+        uploadedAt: new Date().toISOString(),
+        lastAccessed: new Date().toISOString(),
+        // Scanned uploads stay quarantined until their verdict is recorded
+        ...(file.scanStatus && { scanStatus: file.scanStatus }),
+      });
+
+      // Index the private key so deletion is a single lookup
+      await this._writeIndexEntry(privateKey, publicKey);
+
+      // Return keys for further operations
+      return { publicKey, privateKey };
+    } catch (err) {
+      // Cleanup the metadata and the content reference if upload fails
+      await this._deleteObject(`${publicKey}.meta`).catch(() => {});
+      if (blob) await this._releaseBlob(blob.digest).catch(() => {});
+      throw err;
+    }
+  }
+
+  // Download a file (or an inclusive byte range of it) from the S3 bucket
+  async downloadFile(publicKey, range) {
+    try {
+      // Update last accessed timestamp through the serialized metadata update
+      const fileInfo = await this.updateMetadata(publicKey, {
+        lastAccessed: new Date().toISOString(),
+      });
+
+      // Get file stream; encrypted files are decrypted on the fly
+      const stream = await this._openContent(publicKey, fileInfo, range, async (name, r) => {
+        const object = await this.client.send(
+          new GetObjectCommand({
+            Bucket: this.bucketName,
+            Key: name,
+            Range: r ? `bytes=${r.start}-${r.end}` : undefined,
+          })
+        );
+        return object.Body;
+      });
+
+      // Return file stream and info for response
+      return {
+        stream,
+        mimeType: fileInfo.mimeType,
+        originalName: fileInfo.originalName,
+        size: Number(fileInfo.size),
+      };
+    } catch (err) {
+      throw this._normalizeError(err, publicKey);
+    }
+  }
+
+  // Delete a file from the S3 bucket using private key
+  async deleteFile(privateKey) {
+    // Resolve the file through the privateKey index
+    const publicKey = await this._lookupPublicKey(privateKey);
+
+    // If no matching file found, throw error
+    if (!publicKey) throw new Error("File not found");
+
+    // Remove the metadata and index entry, and release the stored content
+    return this.removeFile(publicKey);
+  }
+
+  // Cleanup inactive files from the S3 bucket
+  async cleanupInactiveFiles(inactivityPeriod) {
+    const metaKeys = (await this._listObjects()).filter((k) => k.endsWith(".meta")); // Filter metadata objects
+    const cutoff = new Date(
+      Date.now() - this.parseInactivityPeriod(inactivityPeriod)
+    ); // Calculate cutoff date
+
+    let deletedCount = 0;
+    const deletedFiles = []; // Removed files, for expiry notifications
+    let storedCount = 0; // Files kept, for the stored file metrics
+    let storedBytes = 0;
+    const errors = [];
+
+    for (const metaKey of metaKeys) {
+      try {
+        // Read metadata and parse last accessed time
+        const publicKey = metaKey.replace(".meta", "");
+        const fileInfo = await this.getMetadata(publicKey);
+        const lastAccessed = new Date(fileInfo.lastAccessed);
+
+        // If file is inactive, expired or used up, delete both file and metadata
+        if (lastAccessed < cutoff || isExpired(fileInfo)) {
+          await this.removeFile(publicKey);
+          deletedCount++;
+          deletedFiles.push({ publicKey, reason: isExpired(fileInfo) ? "expired" : "inactive" });
+          logger.debug(`Deleted inactive or expired S3 file: ${publicKey}`);
+        } else {
+          storedCount++;
+          storedBytes += Number(fileInfo.size) || 0;
+        }
+      } catch (err) {
+        // Track errors for reporting
+        errors.push({ file: metaKey, error: err.message });
+        logger.error(`Error processing S3 file ${metaKey}:`, err);
+      }
+    }
+
+    // Log warning if any errors occurred during cleanup
+    if (errors.length > 0) {
+      logger.warn(`S3 cleanup completed with ${errors.length} errors`);
+    }
+
+    // Return cleanup statistics
+    return {
+      deletedCount,
+      deletedFiles,
+      storedCount,
+      storedBytes,
+      errorCount: errors.length,
+      errors: errors.length > 0 ? errors : undefined,
+    };
+  }
+
+  // List files in the S3 bucket with their metadata, ordered by publicKey
+  async listFiles(options) {
+    const publicKeys = (await this._listObjects())
+      .filter((k) => k.endsWith(".meta"))
+      .map((k) => k.slice(0, -".meta".length));
+    return this._pageFiles(publicKeys, options);
+  }
+
+  // Write the `.meta` sidecar for a file
+  async _putMetadata(publicKey, metadata) {
+    await this.client.send(
+      new PutObjectCommand({
+        Bucket: this.bucketName,
+        Key: `${publicKey}.meta`,
+        Body: JSON.stringify(metadata),
+        ContentType: "application/json",
+      })
+    );
+  }
+
+  // Delete several objects in a single request
+  async _deleteObjects(keys) {
+    await this.client.send(
+      new DeleteObjectsCommand({
+        Bucket: this.bucketName,
+        Delete: { Objects: keys.map((Key) => ({ Key })), Quiet: true },
+      })
+    );
+  }
+
+  // Read a raw object from the bucket
+  async _readObject(name) {
+    try {
+      const object = await this.client.send(
+        new GetObjectCommand({ Bucket: this.bucketName, Key: name })
+      );
+      return Buffer.from(await object.Body.transformToByteArray());
+    } catch (err) {
+      throw this._normalizeError(err, name);
+    }
+  }
+
+  // Write a raw object to the bucket
+  async _writeObject(name, data) {
+    await this.client.send(
+      new PutObjectCommand({ Bucket: this.bucketName, Key: name, Body: data })
+    );
+  }
+
+  // Delete a raw object from the bucket (S3 deletes are idempotent)
+  async _deleteObject(name) {
+    await this._deleteObjects([name]);
+  }
+
+  // Write a stream to a raw object; failed managed uploads leave no object behind
+  async _writeStream(name, source) {
+    await new Upload({
+      client: this.client,
+      params: { Bucket: this.bucketName, Key: name, Body: source },
+    }).done();
+  }
+
+  // Move a raw object by copying it and deleting the original; objects too
+  // large for a single CopyObject are copied part by part
+  async _moveObject(from, to) {
+    const head = await this.client.send(
+      new HeadObjectCommand({ Bucket: this.bucketName, Key: from })
+    );
+
+    if (head.ContentLength > MAX_COPY_OBJECT_SIZE) {
+      await this._copyObjectInParts(from, to, head);
+    } else {
+      await this.client.send(
+        new CopyObjectCommand({
+          Bucket: this.bucketName,
+          CopySource: `${this.bucketName}/${from}`,
+          Key: to,
+        })
+      );
+    }
+    await this._deleteObject(from);
+  }
+
+  // Copy an object with a multipart upload of UploadPartCopy ranges,
+  // aborting the upload so no parts are left behind if a step fails
+  async _copyObjectInParts(from, to, head) {
+    const { UploadId } = await this.client.send(
+      new CreateMultipartUploadCommand({
+        Bucket: this.bucketName,
+        Key: to,
+        ContentType: head.ContentType,
+      })
+    );
+
+    try {
+      const parts = [];
+      for (let start = 0; start < head.ContentLength; start += COPY_PART_SIZE) {
+        const end = Math.min(start + COPY_PART_SIZE, head.ContentLength) - 1;
+        const PartNumber = parts.length + 1;
+        const { CopyPartResult } = await this.client.send(
+          new UploadPartCopyCommand({
+            Bucket: this.bucketName,
+            Key: to,
+            UploadId,
+            PartNumber,
+            CopySource: `${this.bucketName}/${from}`,
+            CopySourceRange: `bytes=${start}-${end}`,
+          })
+        );
+        parts.push({ ETag: CopyPartResult.ETag, PartNumber });
+      }
+
+      await this.client.send(
+        new CompleteMultipartUploadCommand({
+          Bucket: this.bucketName,
+          Key: to,
+          UploadId,
+          MultipartUpload: { Parts: parts },
+        })
+      );
+    } catch (err) {
+      await this.client
+        .send(new AbortMultipartUploadCommand({ Bucket: this.bucketName, Key: to, UploadId }))
+        .catch(() => {});
+      throw err;
+    }
+  }
+
+  // Open a read stream on a raw object
+  async _readStream(name) {
+    try {
+      const object = await this.client.send(
+        new GetObjectCommand({ Bucket: this.bucketName, Key: name })
+      );
+      return object.Body;
+    } catch (err) {
+      throw this._normalizeError(err, name);
+    }
+  }
+
+  // List object keys directly under a prefix, following pagination (top-level files when no prefix is given)
+  async _listObjects(prefix = "") {
+    const keys = [];
+    let ContinuationToken;
+
+    do {
+      const page = await this.client.send(
+        new ListObjectsV2Command({
+          Bucket: this.bucketName,
+          Prefix: prefix || undefined,
+          Delimiter: "/",
+          ContinuationToken,
+        })
+      );
+      (page.Contents || []).forEach((object) => keys.push(object.Key));
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    return keys;
+  }
+
+  // Map S3 "not found" errors onto the 404 shape used by the other providers
+  _normalizeError(err, publicKey) {
+    if (err.name === "NoSuchKey" || err.$metadata?.httpStatusCode === 404) {
+      err.message = `File not found: ${publicKey}`;
+      err.statusCode = 404;
+    }
+    return err;
+  }
+}
+
+// Export S3Storage class for use in the app
+module.exports = S3Storage;
@@ -1,8 +1,40 @@
+const crypto = require("crypto"); // Node.js crypto module
+const { Readable, Transform, pipeline } = require("stream"); // Node.js stream module
+const { hashKey } = require("../../utils/generateKeys"); // Utility for hashing private keys
+const { matchesFileFilter } = require("../../utils/fileFilter"); // Metadata filters for file listings
+const { parseDuration } = require("../../utils/parseDuration"); // Duration string parser
+const {
+  isEncryptionEnabled,
+  createEncryption,
+  createDecryption,
+  rewrapDataKey,
+} = require("../../utils/encryption"); // Encryption at rest helpers
+
+// Prefix for privateKey -> publicKey index entries
+const KEY_INDEX_PREFIX = "keys/";
+
+// Prefix for resumable upload staging (info records and appended chunks)
+const STAGING_PREFIX = "uploads/";
+
+// Prefix for content-addressed blobs (`<sha256>` content and `<sha256>.json` records)
+const BLOB_PREFIX = "blobs/";
+
+// Prefix for the probe objects written by readiness checks
+const HEALTH_PREFIX = "health/";
+
+// Metadata sidecars a single listing request may read before returning a cursor
+const MAX_LISTING_SCAN = 10000;
+
 /**
  * Abstract Storage Interface
  * All storage providers must implement these methods
  */
 class StorageInterface {
+  constructor() {
+    // Pending tasks per object name, so updates to one metadata file or blob record run in order
+    this._locks = new Map();
+  }
+
   /**
    * Upload a file to storage
    * @param {Object} file - File object to upload
@@ -15,9 +47,10 @@ class StorageInterface {
   /**
    * Download a file from storage
    * @param {string} publicKey - Public key for the file
+   * @param {Object} [range] - Optional inclusive byte range `{ start, end }` to stream
    * @throws {Error} If not implemented by subclass
    */
-  async downloadFile(publicKey) {
+  async downloadFile(publicKey, range) {
     throw new Error("Method not implemented");
   }
 
@@ -33,11 +66,696 @@ class StorageInterface {
   /**
    * Cleanup inactive files from storage
    * @param {string} inactivityPeriod - Period of inactivity
+   * @returns {Promise<Object>} `{ deletedCount, deletedFiles, storedCount, storedBytes, errorCount,
+   *   errors? }`, where deletedFiles lists `{ publicKey, reason }` with reason "expired" or
+   *   "inactive", and storedCount and storedBytes count the files kept and their total size
    * @throws {Error} If not implemented by subclass
    */
   async cleanupInactiveFiles(inactivityPeriod) {
     throw new Error("Method not implemented");
   }
+
+  /**
+   * List stored files with their metadata, ordered by publicKey
+   * @param {Object} [options] - Listing options
+   * @param {Object} [options.filter] - Filter from utils/fileFilter parseFileFilter
+   * @param {string} [options.cursor] - `nextCursor` of the previous page
+   * @param {number} [options.limit] - Most files to return (default: 100)
+   * @returns {Promise<Object>} `{ files, nextCursor }`, where files lists `{ publicKey, metadata }`
+   *   and nextCursor is null once every file has been looked at
+   * @throws {Error} If not implemented by subclass
+   */
+  async listFiles(options) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Read the metadata sidecar for a file without touching its last access time
+   * @param {string} publicKey - Public key for the file
+   * @returns {Promise<Object>} Parsed metadata
+   * @throws {Error} With statusCode 404 if the file does not exist
+   */
+  async getMetadata(publicKey) {
+    try {
+      return JSON.parse((await this._readObject(`${publicKey}.meta`)).toString());
+    } catch (err) {
+      if (err.statusCode === 404) err.message = `File not found: ${publicKey}`;
+      throw err;
+    }
+  }
+
+  /**
+   * Update fields of a file's metadata sidecar.
+   * Updates to the same file are applied one at a time so concurrent
+   * read-modify-write cycles (e.g. download counters) do not lose writes.
+   * @param {string} publicKey - Public key for the file
+   * @param {Object|Function} update - Fields to merge, or a function that receives
+   *   the current metadata and returns the fields to merge (null to skip writing);
+   *   throwing from the function aborts the update
+   * @returns {Promise<Object>} Metadata after the update
+   * @throws {Error} With statusCode 404 if the file does not exist
+   */
+  async updateMetadata(publicKey, update) {
+    return this._withLock(`${publicKey}.meta`, async () => {
+      const metadata = await this.getMetadata(publicKey);
+      const changes = typeof update === "function" ? update(metadata) : update;
+      if (!changes) return metadata;
+
+      const updated = { ...metadata, ...changes };
+      await this._writeObject(`${publicKey}.meta`, JSON.stringify(updated));
+      return updated;
+    });
+  }
+
+  /**
+   * Run a task once every earlier task for the same object name has settled.
+   * The lock is held in process only, like the rest of the metadata handling.
+   * @param {string} name - Object name to serialize on
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} Result of the task
+   */
+  async _withLock(name, task) {
+    const previous = this._locks.get(name) || Promise.resolve();
+    const current = previous
+      .catch(() => {}) // A failed task must not block the next one
+      .then(task);
+
+    this._locks.set(name, current);
+    try {
+      return await current;
+    } finally {
+      // Drop the entry once no newer task is queued behind this one
+      if (this._locks.get(name) === current) {
+        this._locks.delete(name);
+      }
+    }
+  }
+
+  /**
+   * Delete a file by its public key: its metadata, its index entry and its
+   * reference to the stored content
+   * @param {string} publicKey - Public key for the file
+   * @returns {Promise<Object>} `{ success: true }`
+   * @throws {Error} With statusCode 404 if the file does not exist
+   */
+  async removeFile(publicKey) {
+    // Holding the metadata lock makes concurrent removals release the blob only once
+    return this._withLock(`${publicKey}.meta`, async () => {
+      const metadata = await this.getMetadata(publicKey);
+      await this._deleteObject(`${publicKey}.meta`);
+      await this._removeIndexHash(this._privateKeyHash(metadata));
+
+      // Files stored before deduplication keep their content under the publicKey
+      if (metadata.blob) {
+        await this._releaseBlob(metadata.blob);
+      } else {
+        await this._deleteObject(publicKey);
+      }
+      return { success: true };
+    });
+  }
+
+  /**
+   * Store the content of a new file as a content-addressed blob.
+   * The content is hashed with SHA-256 (and encrypted when ENCRYPTION_KEYS is
+   * configured) while it streams into a temporary object; content that is
+   * already stored gains a reference instead of a second copy.
+   * @param {Object} file - File with a `buffer` or a `stream`
+   * @returns {Promise<Object>} `{ digest, size }` of the stored content
+   */
+  async _storeBlob(file) {
+    const source = file.stream || (file.buffer && Readable.from([file.buffer]));
+    if (!source) throw new Error("No valid file data found");
+
+    // Hash and count the plaintext on its way through
+    const hash = crypto.createHash("sha256");
+    let size = 0;
+    const hasher = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        size += chunk.length;
+        callback(null, chunk);
+      },
+    });
+
+    const encryption = isEncryptionEnabled() ? createEncryption() : null;
+    const streams = encryption ? [source, hasher, encryption.cipher] : [source, hasher];
+    pipeline(...streams, () => {}); // Errors surface through _writeStream
+
+    const tempName = `${BLOB_PREFIX}tmp/${crypto.randomUUID()}`;
+    await this._writeStream(tempName, streams[streams.length - 1]);
+
+    const digest = hash.digest("hex");
+    await this._adoptBlob(tempName, digest, size, encryption && encryption.wrap(digest));
+    return { digest, size };
+  }
+
+  /**
+   * Make a temporary object the blob for its digest, or add a reference to
+   * the blob already stored for it and discard the temporary copy
+   * @param {string} tempName - Temporary object holding the content
+   * @param {string} digest - SHA-256 hex digest of the plaintext
+   * @param {number} size - Plaintext size in bytes
+   * @param {Object} [encryption] - Encryption info if the temporary object is encrypted
+   * @returns {Promise<Object>} Blob record
+   */
+  async _adoptBlob(tempName, digest, size, encryption) {
+    const blobName = `${BLOB_PREFIX}${digest}`;
+
+    return this._withLock(`${blobName}.json`, async () => {
+      let record = await this._getBlob(digest);
+
+      if (!record) {
+        await this._moveObject(tempName, blobName);
+        record = { digest, size, refCount: 0, createdAt: new Date().toISOString(), encryption };
+      } else if (encryption && !record.encryption) {
+        // Content stored before encryption was enabled is replaced by the encrypted copy
+        await this._moveObject(tempName, blobName);
+        record.encryption = encryption;
+      } else {
+        await this._deleteObject(tempName);
+      }
+
+      record.refCount += 1;
+      await this._writeObject(`${blobName}.json`, JSON.stringify(record));
+      return record;
+    });
+  }
+
+  /**
+   * Read the record of a blob
+   * @param {string} digest - SHA-256 hex digest of the content
+   * @returns {Promise<Object|null>} Blob record, or null if no such blob exists
+   */
+  async _getBlob(digest) {
+    try {
+      return JSON.parse((await this._readObject(`${BLOB_PREFIX}${digest}.json`)).toString());
+    } catch (err) {
+      if (err.statusCode === 404) return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Drop one reference to a blob; the content is deleted with its last reference
+   * @param {string} digest - SHA-256 hex digest of the content
+   */
+  async _releaseBlob(digest) {
+    const blobName = `${BLOB_PREFIX}${digest}`;
+
+    await this._withLock(`${blobName}.json`, async () => {
+      const record = await this._getBlob(digest);
+      if (!record) return;
+
+      if (record.refCount > 1) {
+        record.refCount -= 1;
+        await this._writeObject(`${blobName}.json`, JSON.stringify(record));
+        return;
+      }
+      await this._deleteObject(blobName);
+      await this._deleteObject(`${blobName}.json`);
+    });
+  }
+
+  /**
+   * Open the content of a file, decrypting it if it was stored encrypted.
+   * @param {string} publicKey - Public key for the file
+   * @param {Object} metadata - File metadata
+   * @param {Object} [range] - Optional inclusive plaintext range `{ start, end }`
+   * @param {Function} openRaw - Opens a stored object by name, given an optional stored byte range
+   * @returns {Promise<Readable>} Plaintext stream
+   * @throws {Error} With statusCode 404 if the content is missing
+   */
+  async _openContent(publicKey, metadata, range, openRaw) {
+    // Files stored before deduplication keep their content (and key) under the publicKey
+    let name = publicKey;
+    let encryption = metadata.encryption;
+    let context = publicKey;
+
+    if (metadata.blob) {
+      const blob = await this._getBlob(metadata.blob);
+      if (!blob) {
+        const error = new Error(`File not found: ${publicKey}`);
+        error.statusCode = 404;
+        throw error;
+      }
+      name = `${BLOB_PREFIX}${metadata.blob}`;
+      encryption = blob.encryption;
+      context = metadata.blob;
+    }
+
+    if (!encryption) return openRaw(name, range);
+
+    const { cipherRange, decipher } = createDecryption(
+      encryption,
+      context,
+      Number(metadata.size),
+      range
+    );
+    return pipeline(await openRaw(name, cipherRange), decipher, () => {}); // Errors surface through the decipher
+  }
+
+  /**
+   * Re-wrap every data key with the active master key.
+   * Run after prepending a new key to ENCRYPTION_KEYS; file bodies are not
+   * touched, so the old key can be removed as soon as this succeeds.
+   * @returns {Promise<Object>} Re-wrap statistics
+   */
+  async rewrapDataKeys() {
+    let rewrappedCount = 0;
+    const errors = [];
+
+    // Re-wrap under the lock of the JSON object that holds the key
+    const rewrap = async (name, context) => {
+      try {
+        await this._withLock(name, async () => {
+          const holder = JSON.parse((await this._readObject(name)).toString());
+          if (!holder.encryption) return; // Stored before encryption was enabled
+
+          const encryption = rewrapDataKey(holder.encryption, context);
+          if (!encryption) return; // Already wrapped by the active key
+          await this._writeObject(name, JSON.stringify({ ...holder, encryption }));
+          rewrappedCount++;
+        });
+      } catch (err) {
+        errors.push({ file: name, error: err.message });
+      }
+    };
+
+    // Blob records, plus files encrypted before deduplication stored keys with the blob
+    const blobRecords = (await this._listObjects(BLOB_PREFIX)).filter((n) => n.endsWith(".json"));
+    for (const name of blobRecords) {
+      await rewrap(name, name.slice(BLOB_PREFIX.length, -".json".length));
+    }
+    const metaNames = (await this._listObjects()).filter((n) => n.endsWith(".meta"));
+    for (const name of metaNames) {
+      await rewrap(name, name.replace(".meta", ""));
+    }
+
+    return {
+      rewrappedCount,
+      errorCount: errors.length,
+      errors: errors.length > 0 ? errors : undefined,
+    };
+  }
+
+  /**
+   * List the files whose metadata carries a given scan status
+   * @param {string} scanStatus - Scan status to look for, e.g. "pending"
+   * @returns {Promise<string[]>} Public keys of the matching files
+   */
+  async listFilesByScanStatus(scanStatus) {
+    const metaNames = (await this._listObjects()).filter((n) => n.endsWith(".meta"));
+    const publicKeys = [];
+
+    for (const metaName of metaNames) {
+      try {
+        const metadata = JSON.parse((await this._readObject(metaName)).toString());
+        if (metadata.scanStatus === scanStatus) publicKeys.push(metaName.replace(".meta", ""));
+      } catch (err) {
+        // Files deleted while listing are simply skipped
+        if (err.statusCode !== 404) throw err;
+      }
+    }
+    return publicKeys;
+  }
+
+  /**
+   * Page through files for listFiles: read the metadata of the files after the
+   * cursor in publicKey order and keep those matching the filter
+   * @param {string[]} publicKeys - Public keys of every stored file, in any order
+   * @param {Object} [options] - Options passed to listFiles
+   * @returns {Promise<Object>} `{ files, nextCursor }` as returned by listFiles
+   */
+  async _pageFiles(publicKeys, { filter = {}, cursor, limit = 100 } = {}) {
+    const remaining = publicKeys.filter((key) => !cursor || key > cursor).sort();
+    const files = [];
+    let scanned = 0;
+
+    for (const publicKey of remaining) {
+      // Sparse matches: let the caller continue where this request stopped
+      if (scanned >= MAX_LISTING_SCAN) return { files, nextCursor: remaining[scanned - 1] };
+      scanned++;
+      let metadata;
+      try {
+        metadata = await this.getMetadata(publicKey);
+      } catch (err) {
+        // Files removed while listing are skipped
+        if (err.statusCode === 404) continue;
+        throw err;
+      }
+      if (matchesFileFilter(metadata, filter)) files.push({ publicKey, metadata });
+      if (files.length >= limit) {
+        return { files, nextCursor: scanned < remaining.length ? publicKey : null };
+      }
+    }
+    return { files, nextCursor: null };
+  }
+
+  /**
+   * Open the plaintext content of a file for internal use (e.g. rescans),
+   * without counting as an access
+   * @param {string} publicKey - Public key for the file
+   * @returns {Promise<Readable>} Plaintext stream
+   * @throws {Error} With statusCode 404 if the file does not exist
+   */
+  async openFileContent(publicKey) {
+    const metadata = await this.getMetadata(publicKey);
+    return this._openContent(publicKey, metadata, undefined, (name) => this._readStream(name));
+  }
+
+  /**
+   * Check that storage can be written to and read from, by writing a probe
+   * object, reading it back and deleting it again
+   * @throws {Error} If any step fails or the probe reads back differently
+   */
+  async checkHealth() {
+    const name = `${HEALTH_PREFIX}${crypto.randomUUID()}`;
+    const token = crypto.randomBytes(16).toString("hex");
+    await this._writeObject(name, token);
+    try {
+      const data = await this._readObject(name);
+      if (data.toString() !== token) {
+        throw new Error("Storage probe read back different contents");
+      }
+    } finally {
+      await this._deleteObject(name);
+    }
+  }
+
+  /**
+   * Read a raw object from storage
+   * @param {string} name - Object name relative to the storage root
+   * @returns {Promise<Buffer>} Object contents
+   * @throws {Error} With statusCode 404 if the object does not exist
+   */
+  async _readObject(name) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Write a raw object to storage, replacing any existing object
+   * @param {string} name - Object name relative to the storage root
+   * @param {Buffer|string} data - Object contents
+   * @throws {Error} If not implemented by subclass
+   */
+  async _writeObject(name, data) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Delete a raw object from storage; missing objects are ignored
+   * @param {string} name - Object name relative to the storage root
+   * @throws {Error} If not implemented by subclass
+   */
+  async _deleteObject(name) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Write a stream to a raw object; partial objects are removed if the stream fails
+   * @param {string} name - Object name relative to the storage root
+   * @param {Readable} stream - Source stream
+   * @throws {Error} If not implemented by subclass
+   */
+  async _writeStream(name, stream) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Open a read stream on a raw object
+   * @param {string} name - Object name relative to the storage root
+   * @returns {Promise<Readable>} Object stream
+   * @throws {Error} If not implemented by subclass
+   */
+  async _readStream(name) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Move a raw object to a new name, replacing any object already there
+   * @param {string} from - Current object name
+   * @param {string} to - New object name
+   * @throws {Error} If not implemented by subclass
+   */
+  async _moveObject(from, to) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * List the names of the objects directly under a prefix (no recursion).
+   * Without a prefix this lists the top-level files and `.meta` sidecars.
+   * @param {string} [prefix] - Folder-like prefix ending in "/"
+   * @returns {Promise<string[]>} Object names, including the prefix
+   * @throws {Error} If not implemented by subclass
+   */
+  async _listObjects(prefix) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Record a privateKey -> publicKey index entry.
+   * The privateKey is hashed so the index never holds it in the clear.
+   * @param {string} privateKey - Private key for the file
+   * @param {string} publicKey - Public key for the file
+   */
+  async _writeIndexEntry(privateKey, publicKey) {
+    await this._writeObject(`${KEY_INDEX_PREFIX}${hashKey(privateKey)}`, publicKey);
+  }
+
+  /**
+   * Resolve a privateKey to its publicKey with a single index read
+   * @param {string} privateKey - Private key for the file
+   * @returns {Promise<string|null>} Public key, or null if no entry exists
+   */
+  async _lookupPublicKey(privateKey) {
+    try {
+      const data = await this._readObject(`${KEY_INDEX_PREFIX}${hashKey(privateKey)}`);
+      return data.toString().trim() || null;
+    } catch (err) {
+      if (err.statusCode === 404) return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Find the publicKey of the file a privateKey belongs to
+   * @param {string} privateKey - Private key for the file
+   * @returns {Promise<string|null>} Public key, or null if no file matches
+   */
+  async resolvePrivateKey(privateKey) {
+    if (!privateKey) return null;
+    return this._lookupPublicKey(privateKey);
+  }
+
+  /**
+   * Remove an index entry by the hash of its privateKey
+   * @param {string} privateKeyHash - SHA-256 hex digest of the private key
+   */
+  async _removeIndexHash(privateKeyHash) {
+    if (!privateKeyHash) return;
+    await this._deleteObject(`${KEY_INDEX_PREFIX}${privateKeyHash}`);
+  }
+
+  /**
+   * Hash of a file's privateKey as recorded in its metadata.
+   * Metadata written before hashing was introduced still holds the raw key.
+   * @param {Object} metadata - File metadata
+   * @returns {string|null} SHA-256 hex digest, or null if none is recorded
+   */
+  _privateKeyHash(metadata) {
+    if (metadata.privateKeyHash) return metadata.privateKeyHash;
+    return metadata.privateKey ? hashKey(metadata.privateKey) : null;
+  }
+
+  /**
+   * Rebuild the privateKey index from every `.meta` sidecar in storage.
+   * Used to migrate stores created before the index existed; metadata that
+   * still holds a raw privateKey is rewritten to hold only its hash.
+   * @returns {Promise<Object>} Rebuild statistics
+   */
+  async rebuildKeyIndex() {
+    const metaNames = (await this._listObjects()).filter((n) => n.endsWith(".meta"));
+
+    let indexedCount = 0;
+    const errors = [];
+
+    for (const metaName of metaNames) {
+      try {
+        const publicKey = metaName.replace(".meta", "");
+        const metadata = JSON.parse((await this._readObject(metaName)).toString());
+        const privateKeyHash = this._privateKeyHash(metadata);
+        if (!privateKeyHash) continue; // Nothing to index for this file
+
+        await this._writeObject(`${KEY_INDEX_PREFIX}${privateKeyHash}`, publicKey);
+        if (metadata.privateKey) {
+          // Undefined fields are dropped when the metadata is serialized
+          await this.updateMetadata(publicKey, { privateKeyHash, privateKey: undefined });
+        }
+        indexedCount++;
+      } catch (err) {
+        errors.push({ file: metaName, error: err.message });
+      }
+    }
+
+    return {
+      indexedCount,
+      errorCount: errors.length,
+      errors: errors.length > 0 ? errors : undefined,
+    };
+  }
+
+  /**
+   * Start a staged (resumable) upload
+   * @param {string} uploadId - Unique id for the upload
+   * @param {Object} info - Upload info; must contain the declared `length`
+   * @returns {Promise<Object>} Stored upload info
+   */
+  async createStagedUpload(uploadId, info) {
+    const record = {
+      ...info,
+      uploadId,
+      offset: 0,
+      createdAt: new Date().toISOString(),
+    };
+    await this._writeObject(`${STAGING_PREFIX}${uploadId}.json`, JSON.stringify(record));
+    return record;
+  }
+
+  /**
+   * Read the info for a staged upload
+   * @param {string} uploadId - Upload id
+   * @returns {Promise<Object|null>} Upload info, or null if it does not exist
+   */
+  async getStagedUpload(uploadId) {
+    try {
+      return JSON.parse((await this._readObject(`${STAGING_PREFIX}${uploadId}.json`)).toString());
+    } catch (err) {
+      if (err.statusCode === 404) return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Append a chunk to a staged upload at its current offset.
+   * Chunks are stored as separate objects named after their starting offset,
+   * which works on object stores that cannot append in place.
+   * @param {Object} record - Upload info as returned by getStagedUpload
+   * @param {Readable} stream - Chunk data
+   * @returns {Promise<Object>} Updated upload info
+   */
+  async appendStagedChunk(record, stream) {
+    const { uploadId } = record;
+
+    // Count bytes as they pass through to advance the offset
+    let received = 0;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        callback(null, chunk);
+      },
+    });
+    pipeline(stream, counter, () => {}); // Errors surface through _writeStream
+
+    const chunkName = `${STAGING_PREFIX}${uploadId}/${String(record.offset).padStart(16, "0")}`;
+    await this._writeStream(chunkName, counter);
+
+    // Empty chunks leave nothing worth keeping
+    if (received === 0) {
+      await this._deleteObject(chunkName);
+      return record;
+    }
+
+    record.offset += received;
+    await this._writeObject(`${STAGING_PREFIX}${uploadId}.json`, JSON.stringify(record));
+    return record;
+  }
+
+  /**
+   * Update the info record of a staged upload
+   * @param {string} uploadId - Upload id
+   * @param {Object} record - Full upload info to store
+   */
+  async saveStagedUpload(uploadId, record) {
+    await this._writeObject(`${STAGING_PREFIX}${uploadId}.json`, JSON.stringify(record));
+  }
+
+  /**
+   * Open the assembled contents of a staged upload as a single stream
+   * @param {string} uploadId - Upload id
+   * @returns {Promise<Readable>} Chunks concatenated in offset order
+   */
+  async openStagedUpload(uploadId) {
+    const chunkNames = (await this._listObjects(`${STAGING_PREFIX}${uploadId}/`)).sort();
+    const storage = this;
+
+    // Read the chunks one after another so only one is open at a time
+    return Readable.from(
+      (async function* () {
+        for (const name of chunkNames) {
+          for await (const data of await storage._readStream(name)) {
+            yield data;
+          }
+        }
+      })()
+    );
+  }
+
+  /**
+   * Delete the chunks and info record of a staged upload
+   * @param {string} uploadId - Upload id
+   */
+  async deleteStagedUpload(uploadId) {
+    const chunkNames = await this._listObjects(`${STAGING_PREFIX}${uploadId}/`);
+    await Promise.all(chunkNames.map((name) => this._deleteObject(name)));
+    await this._deleteObject(`${STAGING_PREFIX}${uploadId}.json`);
+  }
+
+  /**
+   * Delete staged uploads that were started longer ago than the given period
+   * @param {string} expiryPeriod - Period string (e.g., "24h")
+   * @returns {Promise<Object>} Cleanup statistics
+   */
+  async cleanupStagedUploads(expiryPeriod) {
+    const infoNames = (await this._listObjects(STAGING_PREFIX)).filter((n) =>
+      n.endsWith(".json")
+    );
+    const cutoff = new Date(Date.now() - this.parseInactivityPeriod(expiryPeriod));
+
+    let deletedCount = 0;
+    const errors = [];
+
+    for (const infoName of infoNames) {
+      const uploadId = infoName.slice(STAGING_PREFIX.length, -".json".length);
+      try {
+        const record = await this.getStagedUpload(uploadId);
+        if (record && new Date(record.createdAt) < cutoff) {
+          await this.deleteStagedUpload(uploadId);
+          deletedCount++;
+        }
+      } catch (err) {
+        errors.push({ file: infoName, error: err.message });
+      }
+    }
+
+    return {
+      deletedCount,
+      errorCount: errors.length,
+      errors: errors.length > 0 ? errors : undefined,
+    };
+  }
+
+  /**
+   * Parse an inactivity period string (e.g., "10m", "12h", "30d") into milliseconds.
+   * Shared by all providers when deciding which files are inactive.
+   * Falls back to 30 days if the period cannot be parsed.
+   * @param {string} period - Period string
+   * @returns {number} Period in milliseconds
+   */
+  parseInactivityPeriod(period) {
+    const ms = parseDuration(period);
+    return ms === null ? 30 * 24 * 60 * 60 * 1000 : ms; // default 30 days
+  }
 }
 
-module.exports = StorageInterface;
\ No newline at end of file
+module.exports = StorageInterface;
@@ -0,0 +1,61 @@
+const express = require("express");
+const AdminFileController = require("../controllers/adminFile.controller");
+const ApiKeyController = require("../controllers/apiKey.controller");
+const AuditController = require("../controllers/audit.controller");
+const IpAccessController = require("../controllers/ipAccess.controller");
+const WebhookController = require("../controllers/webhook.controller");
+const { requireAdmin } = require("../middleware/admin.middleware");
+const { audit } = require("../middleware/audit.middleware");
+
+// exporting the router to be used in the main app
+// This file handles administrative routes, protected by ADMIN_TOKEN
+module.exports = () => {
+  const router = express.Router();
+
+  // Every admin request must carry the admin token
+  router.use(requireAdmin);
+
+  // Route for creating an API key
+  router.post("/api-keys", ApiKeyController.createKey);
+
+  // Route for listing API keys
+  router.get("/api-keys", ApiKeyController.listKeys);
+
+  // Route for revoking an API key
+  router.delete("/api-keys/:id", ApiKeyController.revokeKey);
+
+  // Route for listing the IP allow and deny lists
+  router.get("/ip-rules", IpAccessController.listRules);
+
+  // Route for adding an address or CIDR range to a list
+  router.post("/ip-rules", IpAccessController.addRule);
+
+  // Route for removing an address or CIDR range from a list
+  router.delete("/ip-rules/:list/:address", IpAccessController.removeRule);
+
+  // Route for listing active bans
+  router.get("/bans", IpAccessController.listBans);
+
+  // Route for lifting a ban
+  router.delete("/bans/:address", IpAccessController.clearBan);
+
+  // Route for listing webhook deliveries that failed every attempt
+  router.get("/webhooks/dead-letters", WebhookController.listDeadLetters);
+
+  // Route for searching the audit log of file operations
+  router.get("/audit", AuditController.queryRecords);
+
+  // Route for listing and searching stored files
+  router.get("/files", AdminFileController.listFiles);
+
+  // Route for deleting every file matching a filter
+  router.delete("/files", AdminFileController.deleteFiles);
+
+  // Route for reading the metadata of a file
+  router.get("/files/:publicKey", AdminFileController.getFile);
+
+  // Route for deleting a file without its private key
+  router.delete("/files/:publicKey", audit("adminDelete"), AdminFileController.deleteFile);
+
+  return router;
+};
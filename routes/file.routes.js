@@ -1,24 +1,35 @@
 const express = require("express");
 const multer = require("multer");
 const FileController = require("../controllers/file.controller");
+const WebhookController = require("../controllers/webhook.controller");
+const { isAllowedFileName } = require("../utils/fileTypes");
+const { streamStorage } = require("../middleware/streamStorage.middleware");
 const {
   uploadRateLimit,
   downloadRateLimit,
+  deleteRateLimit,
 } = require("../middleware/rateLimit.middleware");
+const { requireOperation } = require("../middleware/apiKey.middleware");
+const { audit } = require("../middleware/audit.middleware");
+const { countUploadRejection } = require("../middleware/metrics.middleware");
 
-// Memory storage with proper limits
+// Maximum size of a single uploaded file
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+
+// Stream uploads straight into the storage provider with proper limits
 const upload = multer({
-  storage: multer.memoryStorage(), // Store files in memory
+  storage: streamStorage({ maxFileSize: MAX_FILE_SIZE }), // Size is enforced mid-stream
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB max file size
     files: 1, // Only one file per request
-    parts: 2 // file + fields if any
+    fields: 5, // expiresIn, expiresAt, maxDownloads, password and requireSignature
+    parts: 6 // file + fields if any
   },
   fileFilter: (req, file, cb) => {
     // Allow only specific file types
-    if (!file.originalname.match(/\.(jpg|jpeg|png|pdf|txt)$/)) {
+    if (!isAllowedFileName(file.originalname)) {
       const err = new Error("Only certain file types are allowed");
       err.code = "LIMIT_FILE_TYPES";
+      err.statusCode = 400;
       return cb(err);
     }
     cb(null, true);
@@ -35,16 +46,70 @@ module.exports = () => {
   // Route for uploading a file
   router.post(
     "/",
+    audit("upload"), // Record the upload, including refused ones
+    requireOperation("upload"), // API keys must allow uploads
     uploadRateLimit, // Check upload rate limit before processing
     upload.single("file"), // This file must come after rate limiting
-    FileController.uploadFile // Controller handles upload logic
+    FileController.uploadFile, // Controller handles upload logic
+    countUploadRejection // Count refused uploads by reason
   );
 
   // Route for downloading a file by public key
-  router.get("/:publicKey", downloadRateLimit, FileController.downloadFile);
+  router.get(
+    "/:publicKey",
+    audit("download"),
+    requireOperation("download"),
+    downloadRateLimit,
+    FileController.downloadFile
+  );
+
+  // Route for exchanging a password for a short-lived unlock token
+  router.post(
+    "/:publicKey/unlock",
+    audit("unlock"),
+    requireOperation("download"),
+    FileController.unlockFile
+  );
+
+  // Route for minting signed download URLs by private key
+  router.post(
+    "/:privateKey/signed-urls",
+    audit("signUrl"),
+    requireOperation("manage"),
+    FileController.createSignedUrl
+  );
+
+  // Routes for managing a file's webhooks by private key
+  router.post(
+    "/:privateKey/webhooks",
+    audit("addWebhook"),
+    requireOperation("manage"),
+    WebhookController.createWebhook
+  );
+  router.get("/:privateKey/webhooks", requireOperation("manage"), WebhookController.listWebhooks);
+  router.delete(
+    "/:privateKey/webhooks/:id",
+    audit("removeWebhook"),
+    requireOperation("manage"),
+    WebhookController.deleteWebhook
+  );
+
+  // Route for updating file settings (requireSignature) by private key
+  router.patch(
+    "/:privateKey",
+    audit("update"),
+    requireOperation("manage"),
+    FileController.updateFileSettings
+  );
 
   // Route for deleting a file by private key
-  router.delete("/:privateKey", FileController.deleteFile);
+  router.delete(
+    "/:privateKey",
+    audit("delete"),
+    requireOperation("delete"),
+    deleteRateLimit, // Check delete request limit before deleting
+    FileController.deleteFile
+  );
 
   return router;
 };
@@ -0,0 +1,16 @@
+const express = require("express");
+const HealthController = require("../controllers/health.controller");
+
+// exporting the router to be used in the main app
+// This file serves the liveness and readiness probes for orchestrators
+module.exports = () => {
+  const router = express.Router();
+
+  // Route for checking that the process is alive
+  router.get("/healthz", HealthController.liveness);
+
+  // Route for checking that Redis, storage and the cleanup job are usable
+  router.get("/readyz", HealthController.readiness);
+
+  return router;
+};
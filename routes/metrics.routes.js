@@ -0,0 +1,17 @@
+const express = require("express");
+const MetricsController = require("../controllers/metrics.controller");
+const { requireMetricsToken } = require("../middleware/metrics.middleware");
+
+// exporting the router to be used in the main app
+// This file exposes metrics for Prometheus; METRICS_TOKEN protects them when set
+module.exports = () => {
+  const router = express.Router();
+
+  // Scrapers must send METRICS_TOKEN if one is configured
+  router.use(requireMetricsToken);
+
+  // Route for scraping the metrics
+  router.get("/", MetricsController.getMetrics);
+
+  return router;
+};
@@ -0,0 +1,17 @@
+const express = require("express");
+const QuotaController = require("../controllers/quota.controller");
+const { authenticateApiKey } = require("../middleware/apiKey.middleware");
+
+// exporting the router to be used in the main app
+// This file reports the caller's quotas; API keys see their own quotas
+module.exports = () => {
+  const router = express.Router();
+
+  // Requests may carry an API key like file requests do
+  router.use(authenticateApiKey);
+
+  // Route for reading current usage and limits
+  router.get("/", QuotaController.getQuota);
+
+  return router;
+};
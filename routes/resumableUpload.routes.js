@@ -0,0 +1,42 @@
+const express = require("express");
+const ResumableUploadController = require("../controllers/resumableUpload.controller");
+const { tusProtocol } = require("../middleware/tus.middleware");
+const { requireOperation } = require("../middleware/apiKey.middleware");
+const { audit } = require("../middleware/audit.middleware");
+const { countUploadRejection } = require("../middleware/metrics.middleware");
+
+// exporting the router to be used in the main app
+// This file handles resumable uploads using the tus 1.0 protocol
+// (core, creation and termination extensions)
+module.exports = () => {
+  const router = express.Router();
+
+  // Every tus request must use a supported protocol version
+  router.use(tusProtocol);
+
+  // Every tus request is part of an upload, so API keys must allow uploads
+  router.use(requireOperation("upload"));
+
+  // Route for discovering server capabilities
+  router.options("/", ResumableUploadController.options);
+  router.options("/:uploadId", ResumableUploadController.options);
+
+  // Route for creating a new upload; refusals are counted by reason
+  router.post("/", ResumableUploadController.createUpload, countUploadRejection);
+
+  // Route for reading the current offset of an upload
+  router.head("/:uploadId", ResumableUploadController.getUpload);
+
+  // Route for appending a chunk to an upload; the final chunk is audited as the upload
+  router.patch(
+    "/:uploadId",
+    audit("uploadChunk"),
+    ResumableUploadController.appendChunk,
+    countUploadRejection // Count chunks and completions that are refused
+  );
+
+  // Route for terminating an upload
+  router.delete("/:uploadId", ResumableUploadController.terminateUpload);
+
+  return router;
+};
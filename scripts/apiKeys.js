@@ -0,0 +1,58 @@
+/**
+ * Manage API keys from the command line:
+ *   npm run apikeys -- create <name> [--daily-upload-limit 5GB] [--daily-download-limit 50GB]
+ *                                    [--max-file-size 500MB] [--operations upload,download]
+ *   npm run apikeys -- list
+ *   npm run apikeys -- revoke <id>
+ */
+
+const { parseArgs } = require("util"); // Node.js argument parser
+const { logger } = require("../utils/logger"); // Import custom logger utility
+const apiKeyService = require("../services/apiKey.service"); // Service for API keys
+const rateLimitService = require("../services/rateLimit.service"); // Owner of the Redis connection
+
+const { positionals, values } = parseArgs({
+  allowPositionals: true,
+  options: {
+    "daily-upload-limit": { type: "string" },
+    "daily-download-limit": { type: "string" },
+    "max-file-size": { type: "string" },
+    operations: { type: "string" },
+  },
+});
+const [command, argument] = positionals;
+
+const run = async () => {
+  switch (command) {
+    case "create": {
+      const created = await apiKeyService.createKey({
+        name: argument,
+        dailyUploadLimit: values["daily-upload-limit"],
+        dailyDownloadLimit: values["daily-download-limit"],
+        maxFileSize: values["max-file-size"],
+        operations: values.operations,
+      });
+      // The key is only shown now; Redis keeps its hash
+      console.log(JSON.stringify(created, null, 2));
+      break;
+    }
+    case "list":
+      console.log(JSON.stringify(await apiKeyService.listKeys(), null, 2));
+      break;
+    case "revoke":
+      await apiKeyService.revokeKey(argument);
+      break;
+    default:
+      throw new Error("Usage: apikeys create <name> [options] | list | revoke <id>");
+  }
+};
+
+run()
+  .then(async () => {
+    await rateLimitService.disconnect();
+    process.exit(0);
+  })
+  .catch((err) => {
+    logger.error(`API key command failed: ${err.details || err.message}`);
+    process.exit(1);
+  });
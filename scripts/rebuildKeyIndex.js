@@ -0,0 +1,21 @@
+/**
+ * Rebuild the privateKey -> publicKey index for the configured storage provider.
+ * Run once after upgrading an existing store: `npm run index:rebuild`
+ */
+
+const { logger } = require("../utils/logger"); // Import custom logger utility
+const fileService = require("../services/file.service"); // Service for file operations
+
+fileService
+  .rebuildKeyIndex()
+  .then((result) => {
+    // Report any metadata files that could not be indexed
+    if (result.errors) {
+      logger.warn("Some files could not be indexed", { errors: result.errors });
+    }
+    process.exit(result.errorCount > 0 ? 1 : 0);
+  })
+  .catch((err) => {
+    logger.error(`Key index rebuild failed: ${err.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,21 @@
+/**
+ * Scan quarantined files again: clean files become downloadable, infected ones are deleted.
+ * The cleanup job does this on every run; use `npm run scan:pending` to do it right away.
+ */
+
+const { logger } = require("../utils/logger"); // Import custom logger utility
+const fileService = require("../services/file.service"); // Service for file operations
+
+fileService
+  .rescanPendingFiles()
+  .then((result) => {
+    // Files that are still pending stay quarantined until the next rescan
+    if (result.pendingCount > 0) {
+      logger.warn(`${result.pendingCount} files are still waiting for a verdict`);
+    }
+    process.exit(result.errorCount > 0 ? 1 : 0);
+  })
+  .catch((err) => {
+    logger.error(`Rescan failed: ${err.message}`);
+    process.exit(1);
+  });
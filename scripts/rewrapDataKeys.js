@@ -0,0 +1,22 @@
+/**
+ * Re-wrap every file's data key with the active master key (the first entry in ENCRYPTION_KEYS).
+ * Run after prepending a new master key: `npm run keys:rewrap`
+ * File bodies are not re-encrypted; the old key can be removed once this succeeds.
+ */
+
+const { logger } = require("../utils/logger"); // Import custom logger utility
+const fileService = require("../services/file.service"); // Service for file operations
+
+fileService
+  .rewrapDataKeys()
+  .then((result) => {
+    // Report any metadata files whose data key could not be re-wrapped
+    if (result.errors) {
+      logger.warn("Some data keys could not be re-wrapped", { errors: result.errors });
+    }
+    process.exit(result.errorCount > 0 ? 1 : 0);
+  })
+  .catch((err) => {
+    logger.error(`Data key re-wrap failed: ${err.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,143 @@
+const crypto = require("crypto"); // Node.js crypto module
+const { logger } = require("../utils/logger"); // Import custom logger utility
+const rateLimitService = require("./rateLimit.service"); // Import rate limit service for its Redis client
+const { hashKey } = require("../utils/generateKeys"); // Import key hashing
+const { parseSize } = require("../utils/parseSize"); // Import size string parser
+
+// Operations an API key can be allowed to perform
+const API_KEY_OPERATIONS = ["upload", "download", "delete", "manage"];
+
+// Prefix that makes API keys recognisable in logs and secret scanners
+const API_KEY_PREFIX = "fsk_";
+
+// Redis key of an API key record, by the SHA-256 of the key
+const recordKey = (hash) => `apikey:${hash}`;
+
+// Redis hash mapping key ids to key hashes, for listing and revoking
+const INDEX_KEY = "apikeys";
+
+// Build a 400 error for an invalid key option
+const invalidOption = (message, details) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.details = details;
+  return error;
+};
+
+// Parse an optional size limit; undefined falls back to the global default
+const parseLimit = (value, name) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const bytes = typeof value === "number" ? value : parseSize(value);
+  if (!Number.isInteger(bytes) || bytes <= 0) {
+    throw invalidOption(`Invalid ${name}`, `${name} must be a size such as 500MB or 2GB`);
+  }
+  return bytes;
+};
+
+/**
+ * Service managing API keys.
+ * Keys are shown once on creation; Redis only stores their SHA-256 hash
+ * with the key's own quotas and allowed operations. Requests without a key
+ * keep using the per-IP limits.
+ */
+class ApiKeyService {
+  // Redis client shared with the rate limit service
+  get client() {
+    return rateLimitService.client;
+  }
+
+  /**
+   * Create an API key.
+   * @param {Object} options - Key options
+   * @param {string} options.name - Label for the key, e.g. the team using it
+   * @param {string|number} [options.dailyUploadLimit] - Daily upload quota (default: DAILY_UPLOAD_LIMIT)
+   * @param {string|number} [options.dailyDownloadLimit] - Daily download quota (default: DAILY_DOWNLOAD_LIMIT)
+   * @param {string|number} [options.maxFileSize] - Largest accepted upload (default: the upload route's limit)
+   * @param {string[]|string} [options.operations] - Allowed operations (default: all)
+   * @returns {Promise<Object>} `{ key, ...record }`; the key itself is never shown again
+   * @throws {Error} With statusCode 400 if an option is invalid
+   */
+  async createKey({ name, dailyUploadLimit, dailyDownloadLimit, maxFileSize, operations } = {}) {
+    if (typeof name !== "string" || !name.trim()) {
+      throw invalidOption("Invalid name", "Give the key a name");
+    }
+
+    const allowed =
+      operations === undefined
+        ? API_KEY_OPERATIONS
+        : (Array.isArray(operations) ? operations : String(operations).split(","))
+            .map((op) => op.trim())
+            .filter(Boolean);
+    const unknown = allowed.filter((op) => !API_KEY_OPERATIONS.includes(op));
+    if (allowed.length === 0 || unknown.length > 0) {
+      throw invalidOption(
+        "Invalid operations",
+        `operations must be a list of ${API_KEY_OPERATIONS.join(", ")}`
+      );
+    }
+
+    const record = {
+      id: crypto.randomBytes(6).toString("hex"),
+      name: name.trim(),
+      dailyUploadLimit: parseLimit(dailyUploadLimit, "dailyUploadLimit"),
+      dailyDownloadLimit: parseLimit(dailyDownloadLimit, "dailyDownloadLimit"),
+      maxFileSize: parseLimit(maxFileSize, "maxFileSize"),
+      operations: [...new Set(allowed)],
+      createdAt: new Date().toISOString(),
+    };
+
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+    const hash = hashKey(key);
+    await this.client.set(recordKey(hash), JSON.stringify(record));
+    await this.client.hSet(INDEX_KEY, record.id, hash);
+
+    logger.info(`API key created: ${record.id} (${record.name})`);
+    return { key, ...record };
+  }
+
+  /**
+   * Look up the record of an API key presented by a client.
+   * @param {string} key - API key from the request
+   * @returns {Promise<Object|null>} Key record, or null if the key is unknown or revoked
+   */
+  async findKey(key) {
+    const record = await this.client.get(recordKey(hashKey(key)));
+    return record ? JSON.parse(record) : null;
+  }
+
+  /**
+   * List all API keys, without the keys themselves.
+   * @returns {Promise<Object[]>} Key records, oldest first
+   */
+  async listKeys() {
+    const index = await this.client.hGetAll(INDEX_KEY);
+    const records = [];
+    for (const hash of Object.values(index)) {
+      const record = await this.client.get(recordKey(hash));
+      if (record) records.push(JSON.parse(record));
+    }
+    return records.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Revoke an API key; requests using it are rejected from then on.
+   * @param {string} id - Id of the key
+   * @throws {Error} With statusCode 404 if no key has this id
+   */
+  async revokeKey(id) {
+    const hash = await this.client.hGet(INDEX_KEY, String(id));
+    if (!hash) {
+      const error = new Error("API key not found");
+      error.statusCode = 404;
+      error.details = `No API key has the id ${id}`;
+      throw error;
+    }
+    await this.client.del(recordKey(hash));
+    await this.client.hDel(INDEX_KEY, String(id));
+    logger.info(`API key revoked: ${id}`);
+  }
+}
+
+// Export a singleton instance of ApiKeyService
+module.exports = new ApiKeyService();
+module.exports.API_KEY_OPERATIONS = API_KEY_OPERATIONS;
@@ -0,0 +1,129 @@
+const config = require("../config"); // Import configuration settings
+const { logger } = require("../utils/logger"); // Import custom logger utility
+const rateLimitService = require("./rateLimit.service"); // Import rate limit service for its Redis client
+const { parseDuration } = require("../utils/parseDuration"); // Import duration string parser
+
+// Redis stream of audit records; entry ids are the millisecond they were added
+const STREAM_KEY = "audit";
+
+// Entries read from the stream per round trip while filtering
+const BATCH_SIZE = 500;
+
+// Entries a single query may look through before returning a cursor
+const MAX_SCANNED = 10000;
+
+// Build a 400 error for an invalid query option
+const invalidOption = (message, details) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.details = details;
+  return error;
+};
+
+// Parse a time bound given as an ISO 8601 date or milliseconds since the epoch
+const parseTime = (value, name) => {
+  if (value === undefined || value === null || value === "") return null;
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw invalidOption("Invalid time range", `${name} must be an ISO 8601 date or a timestamp in ms`);
+  }
+  return time;
+};
+
+/**
+ * Service keeping the audit log of file operations.
+ * Every upload, download, deletion and change of a file is appended to a
+ * Redis stream with who made it, from where and how it ended; records
+ * older than AUDIT_RETENTION are trimmed. Records never hold private keys,
+ * passwords, tokens or signatures.
+ */
+class AuditService {
+  // Redis client shared with the rate limit service
+  get client() {
+    return rateLimitService.client;
+  }
+
+  /**
+   * Append a record to the audit log.
+   * Errors are logged with the record, never thrown, so the operation is not affected.
+   * @param {Object} record - Audit record
+   * @param {string} record.operation - Operation, e.g. "upload" or "download"
+   * @param {string} record.outcome - "success", "failure" or "aborted"
+   * @param {number} record.status - HTTP status of the response
+   * @param {string} record.identity - "admin", "apiKey:<id>" or "anonymous"
+   * @param {string} record.ip - Client address
+   * @param {string} [record.publicKey] - Public key of the file, once known
+   * @param {number} [record.bytes] - Bytes uploaded or sent
+   * @param {string} [record.requestId] - Id of the request
+   */
+  async record(record) {
+    const entry = { timestamp: new Date().toISOString(), ...record };
+    try {
+      const retention = parseDuration(config.auditRetention);
+      await this.client.xAdd(
+        STREAM_KEY,
+        "*",
+        { record: JSON.stringify(entry) },
+        // Approximate trimming lets Redis drop whole nodes at a time
+        retention
+          ? { TRIM: { strategy: "MINID", strategyModifier: "~", threshold: Date.now() - retention } }
+          : undefined
+      );
+    } catch (err) {
+      // Keep the record in the application log rather than losing it
+      logger.error(`Audit record not stored: ${err.message}`, { audit: entry });
+    }
+  }
+
+  /**
+   * Search the audit log, newest first.
+   * @param {Object} [filters] - Query filters
+   * @param {string} [filters.publicKey] - Only records of this file
+   * @param {string} [filters.identity] - Only records of this identity ("apiKey:<id>" or "anonymous")
+   * @param {string} [filters.ip] - Only records from this address
+   * @param {string} [filters.operation] - Only records of this operation
+   * @param {string} [filters.outcome] - Only records with this outcome
+   * @param {string|number} [filters.from] - Only records from this time on (ISO 8601 or ms)
+   * @param {string|number} [filters.to] - Only records up to this time (ISO 8601 or ms)
+   * @param {number} [filters.limit] - Most records to return (default: 100)
+   * @param {string} [filters.cursor] - `nextCursor` of the previous page
+   * @returns {Promise<Object>} `{ records, nextCursor }`; nextCursor is null once the range is exhausted
+   * @throws {Error} With statusCode 400 if the time range is invalid
+   */
+  async query({ from, to, limit = 100, cursor, ...filters } = {}) {
+    const start = parseTime(from, "from");
+    const end = parseTime(to, "to");
+    if (start !== null && end !== null && start > end) {
+      throw invalidOption("Invalid time range", "from must not be after to");
+    }
+    if (cursor !== undefined && !/^\d+-\d+$/.test(String(cursor))) {
+      throw invalidOption("Invalid cursor", "Pass the nextCursor of the previous page");
+    }
+
+    const wanted = Object.entries(filters).filter(([, value]) => value !== undefined && value !== "");
+    const matches = (record) => wanted.every(([field, value]) => record[field] === value);
+
+    const records = [];
+    let scanned = 0;
+    // Exclusive bounds continue after the last entry already looked at
+    let upper = cursor ? `(${cursor}` : end !== null ? String(end) : "+";
+    const lower = start !== null ? String(start) : "-";
+
+    while (scanned < MAX_SCANNED) {
+      const entries = await this.client.xRevRange(STREAM_KEY, upper, lower, { COUNT: BATCH_SIZE });
+      for (const { id, message } of entries) {
+        scanned++;
+        upper = `(${id}`;
+        const record = JSON.parse(message.record);
+        if (matches(record)) records.push({ id, ...record });
+        if (records.length >= limit) return { records, nextCursor: id };
+      }
+      if (entries.length < BATCH_SIZE) return { records, nextCursor: null };
+    }
+    // Sparse matches: let the caller continue where this query stopped
+    return { records, nextCursor: upper.slice(1) };
+  }
+}
+
+// Export a singleton instance of AuditService
+module.exports = new AuditService();
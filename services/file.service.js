@@ -2,6 +2,29 @@ const { logger } = require("../utils/logger"); // Import custom logger utility
 const config = require("../config"); // Import configuration settings
 const LocalStorage = require("../models/storage/localStorage"); // Import LocalStorage provider
 const GoogleCloudStorage = require("../models/storage/googleCloudStorage"); // Import GoogleCloudStorage provider
+const S3Storage = require("../models/storage/s3Storage"); // Import S3-compatible storage provider
+const { isExpired } = require("../utils/fileLifecycle"); // Import per-file expiry check
+const { verifyPassword } = require("../utils/password"); // Import password hash check
+const scanService = require("./scan.service"); // Import upload scanning pipeline
+const metricsService = require("./metrics.service"); // Import metrics service for storage timings
+const { SCAN_STATUS } = require("../models/scanners/scannerInterface"); // Import scan outcomes
+
+// Metadata fields that are never shown, not even to admins
+const SECRET_METADATA = ["privateKey", "privateKeyHash", "passwordHash", "encryption"];
+
+// Files deleted per listing page during bulk deletion
+const BULK_DELETE_PAGE = 500;
+
+// Build the admin view of a file: its whole metadata sidecar without secrets
+const adminFileView = (publicKey, metadata) => {
+  const view = { publicKey };
+  for (const [field, value] of Object.entries(metadata)) {
+    if (!SECRET_METADATA.includes(field)) view[field] = value;
+  }
+  view.size = Number(metadata.size);
+  view.passwordProtected = Boolean(metadata.passwordHash);
+  return view;
+};
 
 class FileService {
   constructor() {
@@ -11,6 +34,8 @@ class FileService {
     if (!this.storage) {
       throw new Error("Storage provider initialization failed");
     }
+    // Time every storage operation for the metrics
+    this.storage = metricsService.instrumentStorage(this.storage, config.provider || "local");
   }
 
   // Select and initialize the appropriate storage provider
@@ -26,6 +51,15 @@ class FileService {
           }
           // Return new GoogleCloudStorage instance
           return new GoogleCloudStorage(config.configPath);
+        case "s3":
+          // Log initialization of S3-compatible storage
+          logger.info("Initializing S3 Storage");
+          // Ensure a bucket is configured for S3 storage
+          if (!config.s3.bucket) {
+            throw new Error("S3 Storage requires S3_BUCKET");
+          }
+          // Return new S3Storage instance
+          return new S3Storage(config.s3);
         case "local":
         default:
           // Log initialization of Local Storage
@@ -40,14 +74,39 @@ class FileService {
     }
   }
 
-  // Upload a file using the selected storage provider
+  // Upload a file using the selected storage provider, scanning it on the way in
   async uploadFile(file) {
     try {
-      // Call uploadFile on the storage provider
+      // Without scanners the file is stored as before
+      if (!scanService.enabled) {
+        // Call uploadFile on the storage provider
+        const result = await this.storage.uploadFile(file);
+        // Log successful upload with public key
+        logger.info(`File uploaded successfully: ${result.publicKey}`);
+        return result;
+      }
+
+      // The file object is updated in place: callers may still set its size or
+      // detected type while the content streams
+      const scan = scanService.createScan();
+      const source = file.stream;
+      source.on("error", (err) => scan.stream.destroy(err));
+      file.stream = source.pipe(scan.stream);
+      // Stored as quarantined, so it cannot be downloaded before the verdict
+      file.scanStatus = SCAN_STATUS.PENDING;
+
       const result = await this.storage.uploadFile(file);
-      // Log successful upload with public key
-      logger.info(`File uploaded successfully: ${result.publicKey}`);
-      return result;
+      const verdict = await this._applyScanResult(result.publicKey, await scan.result);
+      if (verdict.status === SCAN_STATUS.INFECTED) {
+        const error = new Error("File rejected by virus scan");
+        error.statusCode = 422;
+        error.code = "FILE_INFECTED";
+        error.details = `${verdict.scanner} detected ${verdict.signature}`;
+        throw error;
+      }
+      // Log successful upload with public key and scan outcome
+      logger.info(`File uploaded successfully: ${result.publicKey} (scan: ${verdict.status})`);
+      return { ...result, scanStatus: verdict.status };
     } catch (err) {
       // Log error if upload fails
       logger.error(`Error in uploadFile service: ${err}|${err.stack}`);
@@ -56,11 +115,210 @@ class FileService {
     }
   }
 
-  // Download a file using the selected storage provider
-  async downloadFile(publicKey) {
+  // Record a scan verdict: mark the file clean, delete it if infected, or leave it quarantined
+  async _applyScanResult(publicKey, verdict) {
+    if (verdict.status === SCAN_STATUS.INFECTED) {
+      await this.storage.removeFile(publicKey);
+      logger.warn(`Infected file removed: ${publicKey} (${verdict.scanner}: ${verdict.signature})`);
+    } else if (verdict.status === SCAN_STATUS.CLEAN) {
+      await this.storage.updateMetadata(publicKey, { scanStatus: SCAN_STATUS.CLEAN });
+    } else {
+      logger.warn(`File quarantined until it can be scanned: ${publicKey}`);
+    }
+    return verdict;
+  }
+
+  // Scan quarantined files again and release, delete or keep each one
+  async rescanPendingFiles() {
+    try {
+      const stats = { cleanCount: 0, infectedCount: 0, pendingCount: 0, errorCount: 0 };
+      if (!scanService.enabled) return stats;
+
+      const publicKeys = await this.storage.listFilesByScanStatus(SCAN_STATUS.PENDING);
+      for (const publicKey of publicKeys) {
+        try {
+          const stream = await this.storage.openFileContent(publicKey);
+          const verdict = await this._applyScanResult(publicKey, await scanService.scanStream(stream));
+          stats[`${verdict.status}Count`]++;
+        } catch (err) {
+          logger.error(`Error rescanning ${publicKey}: ${err.message}`);
+          stats.errorCount++;
+        }
+      }
+
+      // Log rescan statistics
+      logger.info(`Pending files rescanned: ${JSON.stringify(stats)}`);
+      return stats;
+    } catch (err) {
+      // Log error if the rescan fails
+      logger.error(`Error in rescanPendingFiles: ${err}|${err.stack}`);
+      if (!err.statusCode) err.statusCode = 500;
+      throw err;
+    }
+  }
+
+  // Get the public metadata of a file without downloading it
+  async getFileInfo(publicKey) {
+    try {
+      // Read the metadata sidecar from the storage provider
+      const metadata = await this.storage.getMetadata(publicKey);
+      // Only expose fields that are safe to share with downloaders
+      return {
+        publicKey,
+        originalName: metadata.originalName,
+        mimeType: metadata.mimeType,
+        size: Number(metadata.size),
+        uploadedAt: metadata.uploadedAt,
+        expiresAt: metadata.expiresAt,
+        maxDownloads: metadata.maxDownloads,
+        downloadCount: metadata.downloadCount,
+        passwordProtected: Boolean(metadata.passwordHash),
+        requireSignature: Boolean(metadata.requireSignature),
+        scanStatus: metadata.scanStatus,
+      };
+    } catch (err) {
+      // Log error if metadata lookup fails
+      logger.error(`Error in getFileInfo service: ${err}|${err.stack}`);
+      if (!err.statusCode) err.statusCode = 500;
+      throw err;
+    }
+  }
+
+  // Resolve the publicKey of the file owned by a privateKey holder
+  async getPublicKey(privateKey) {
+    try {
+      const publicKey = await this.storage.resolvePrivateKey(privateKey);
+      if (!publicKey) {
+        const error = new Error("File not found");
+        error.statusCode = 404;
+        error.details = "No file matches the provided key";
+        throw error;
+      }
+      return publicKey;
+    } catch (err) {
+      // Log error if the lookup fails
+      logger.error(`Error in getPublicKey service: ${err}|${err.stack}`);
+      if (!err.statusCode) err.statusCode = 500;
+      throw err;
+    }
+  }
+
+  // Change owner-controlled access settings such as requireSignature
+  async updateFileSettings(publicKey, settings) {
+    try {
+      await this.storage.updateMetadata(publicKey, settings);
+      // Log the applied settings
+      logger.info(`File settings updated: ${publicKey} ${JSON.stringify(settings)}`);
+    } catch (err) {
+      // Log error if the metadata update fails
+      logger.error(`Error in updateFileSettings service: ${err}|${err.stack}`);
+      if (!err.statusCode) err.statusCode = 500;
+      throw err;
+    }
+  }
+
+  // Store the expiry and download allowance chosen by the uploader
+  async updateFileLifecycle(publicKey, lifecycle) {
+    try {
+      // Limited files start counting downloads from zero
+      const changes = { ...lifecycle };
+      if (changes.maxDownloads) changes.downloadCount = 0;
+      await this.storage.updateMetadata(publicKey, changes);
+      // Log the applied lifecycle
+      logger.info(`File lifecycle set: ${publicKey} ${JSON.stringify(lifecycle)}`);
+    } catch (err) {
+      // Log error if the metadata update fails
+      logger.error(`Error in updateFileLifecycle service: ${err}|${err.stack}`);
+      if (!err.statusCode) err.statusCode = 500;
+      throw err;
+    }
+  }
+
+  // Require a password for downloads; only the salted hash is stored
+  async protectFile(publicKey, passwordHash) {
+    try {
+      await this.storage.updateMetadata(publicKey, { passwordHash });
+      // Log that the file is now protected
+      logger.info(`File password set: ${publicKey}`);
+    } catch (err) {
+      // Log error if the metadata update fails
+      logger.error(`Error in protectFile service: ${err}|${err.stack}`);
+      if (!err.statusCode) err.statusCode = 500;
+      throw err;
+    }
+  }
+
+  // Check a download password against the stored hash
+  async checkFilePassword(publicKey, password) {
+    try {
+      const metadata = await this.storage.getMetadata(publicKey);
+      return await verifyPassword(password, metadata.passwordHash);
+    } catch (err) {
+      // Log error if the metadata lookup fails
+      logger.error(`Error in checkFilePassword service: ${err}|${err.stack}`);
+      if (!err.statusCode) err.statusCode = 500;
+      throw err;
+    }
+  }
+
+  // Check that a file may still be downloaded and count the download (unless `options.count` is false)
+  async registerDownload(publicKey, options = {}) {
+    const { count = true } = options;
+    try {
+      // Check and count in one serialized update so concurrent downloads cannot overshoot
+      const metadata = await this.storage.updateMetadata(publicKey, (current) => {
+        if (isExpired(current)) {
+          const error = new Error("File has expired");
+          error.statusCode = 410;
+          error.details = "This file is no longer available";
+          throw error;
+        }
+        // Files stored before scanning was enabled carry no scan status
+        if (current.scanStatus && current.scanStatus !== SCAN_STATUS.CLEAN) {
+          const error = new Error("File is quarantined");
+          error.statusCode = 423;
+          error.details = "The file cannot be downloaded until a virus scan marks it clean";
+          throw error;
+        }
+        // Only files with a download allowance keep a counter
+        if (!count || !current.maxDownloads) return null;
+        return { downloadCount: (current.downloadCount || 0) + 1 };
+      });
+
+      return {
+        remainingDownloads: metadata.maxDownloads
+          ? metadata.maxDownloads - metadata.downloadCount
+          : undefined,
+      };
+    } catch (err) {
+      // Log error if the file can no longer be downloaded
+      logger.error(`Error in registerDownload service: ${err}|${err.stack}`);
+      if (!err.statusCode) err.statusCode = 500;
+      throw err;
+    }
+  }
+
+  // Delete a file by its public key once it has expired or used up its downloads
+  async expireFile(publicKey) {
+    try {
+      // Metadata only holds a hash of the privateKey, so delete by public key
+      const result = await this.storage.removeFile(publicKey);
+      // Log the removal with public key
+      logger.info(`File expired and deleted: ${publicKey}`);
+      return result;
+    } catch (err) {
+      // Log error if deletion fails
+      logger.error(`Error in expireFile service: ${err}|${err.stack}`);
+      if (!err.statusCode) err.statusCode = 500;
+      throw err;
+    }
+  }
+
+  // Download a file (optionally only `options.range`) using the selected storage provider
+  async downloadFile(publicKey, options = {}) {
     try {
       // Call downloadFile on the storage provider
-      const result = await this.storage.downloadFile(publicKey);
+      const result = await this.storage.downloadFile(publicKey, options.range);
       // Log successful download with public key
       logger.info(`File downloaded successfully: ${publicKey}`);
       return result;
@@ -77,8 +335,8 @@ class FileService {
     try {
       // Call deleteFile on the storage provider
       const result = await this.storage.deleteFile(privateKey);
-      // Log successful deletion with private key
-      logger.info(`File deleted successfully: ${privateKey}`);
+      // The private key is a secret, so it is never logged
+      logger.info("File deleted successfully");
       return result;
     } catch (err) {
       // Log error if deletion fails
@@ -88,6 +346,38 @@ class FileService {
     }
   }
 
+  // Rebuild the privateKey -> publicKey index for files stored before it existed
+  async rebuildKeyIndex() {
+    try {
+      // Call rebuildKeyIndex on the storage provider
+      const result = await this.storage.rebuildKeyIndex();
+      // Log completion with indexed count
+      logger.info(`Key index rebuilt. Files indexed: ${result.indexedCount}`);
+      return result;
+    } catch (err) {
+      // Log error if rebuild fails
+      logger.error(`Error in rebuildKeyIndex: ${err}|${err.stack}`);
+      if (!err.statusCode) err.statusCode = 500;
+      throw err;
+    }
+  }
+
+  // Re-wrap every file's data key with the active master key after a rotation
+  async rewrapDataKeys() {
+    try {
+      // Call rewrapDataKeys on the storage provider
+      const result = await this.storage.rewrapDataKeys();
+      // Log completion with re-wrapped count
+      logger.info(`Data keys re-wrapped. Files updated: ${result.rewrappedCount}`);
+      return result;
+    } catch (err) {
+      // Log error if the re-wrap fails
+      logger.error(`Error in rewrapDataKeys: ${err}|${err.stack}`);
+      if (!err.statusCode) err.statusCode = 500;
+      throw err;
+    }
+  }
+
   // Cleanup inactive files using the selected storage provider
   async cleanupInactiveFiles() {
     try {
@@ -107,6 +397,111 @@ class FileService {
       throw err;
     }
   }
+
+  // Discard resumable uploads that were never completed within the expiry period
+  async cleanupStagedUploads() {
+    try {
+      // Call cleanupStagedUploads on the storage provider
+      const result = await this.storage.cleanupStagedUploads(
+        config.resumableUploadExpiry
+      );
+      // Log completion with deleted count
+      logger.info(
+        `Staged upload cleanup completed. Uploads deleted: ${result.deletedCount}`
+      );
+      return result;
+    } catch (err) {
+      // Log error if cleanup fails
+      logger.error(`Error in cleanupStagedUploads: ${err}|${err.stack}`);
+      if (!err.statusCode) err.statusCode = 500;
+      throw err;
+    }
+  }
+
+  // List files with their metadata for admins, ordered by publicKey and filtered by `filter`
+  async listFiles(filter, { cursor, limit } = {}) {
+    try {
+      const page = await this.storage.listFiles({ filter, cursor, limit });
+      return {
+        files: page.files.map(({ publicKey, metadata }) => adminFileView(publicKey, metadata)),
+        nextCursor: page.nextCursor,
+      };
+    } catch (err) {
+      // Log error if listing fails
+      logger.error(`Error in listFiles service: ${err}|${err.stack}`);
+      if (!err.statusCode) err.statusCode = 500;
+      throw err;
+    }
+  }
+
+  // Get the full metadata of a file for admins, without its secrets
+  async getFileMetadata(publicKey) {
+    try {
+      return adminFileView(publicKey, await this.storage.getMetadata(publicKey));
+    } catch (err) {
+      // Log error if metadata lookup fails
+      logger.error(`Error in getFileMetadata service: ${err}|${err.stack}`);
+      if (!err.statusCode) err.statusCode = 500;
+      throw err;
+    }
+  }
+
+  // Delete a file by its public key on an admin's behalf; no private key is needed
+  async forceDeleteFile(publicKey) {
+    try {
+      const result = await this.storage.removeFile(publicKey);
+      // Log the removal with public key
+      logger.info(`File force-deleted by admin: ${publicKey}`);
+      return result;
+    } catch (err) {
+      // Log error if deletion fails
+      logger.error(`Error in forceDeleteFile service: ${err}|${err.stack}`);
+      if (!err.statusCode) err.statusCode = 500;
+      throw err;
+    }
+  }
+
+  // Delete every file matching `filter`; with `dryRun` only report which files would go
+  async deleteFilesByFilter(filter, { dryRun = false } = {}) {
+    const matched = [];
+    const deletedFiles = [];
+    const errors = [];
+    let cursor;
+
+    do {
+      const page = await this.storage.listFiles({ filter, cursor, limit: BULK_DELETE_PAGE });
+      for (const { publicKey } of page.files) {
+        matched.push(publicKey);
+        if (dryRun) continue;
+        try {
+          await this.storage.removeFile(publicKey);
+          deletedFiles.push(publicKey);
+        } catch (err) {
+          // Files removed meanwhile are gone either way
+          if (err.statusCode === 404) continue;
+          errors.push({ publicKey, error: err.message });
+          logger.error(`Error force-deleting ${publicKey}: ${err}`);
+        }
+      }
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    if (dryRun) return { dryRun: true, matchedCount: matched.length, matchedFiles: matched };
+
+    // Log completion with deleted count
+    logger.info(`Bulk delete by admin completed. Files deleted: ${deletedFiles.length}`);
+    return {
+      deletedCount: deletedFiles.length,
+      deletedFiles,
+      errorCount: errors.length,
+      errors: errors.length > 0 ? errors : undefined,
+    };
+  }
+
+  // Check that the storage provider can be written to and read from, for readiness checks
+  async checkStorageHealth() {
+    await this.storage.checkHealth();
+  }
 }
 
 // Export a singleton instance of FileService
@@ -0,0 +1,100 @@
+const config = require("../config"); // Import configuration settings
+const { logger } = require("../utils/logger"); // Import custom logger utility
+const rateLimitService = require("./rateLimit.service"); // Import rate limit service for its Redis client
+const fileService = require("./file.service"); // Import file service for the storage provider
+const cleanupJob = require("../jobs/cleanup.job"); // Import cleanup job for its last run
+
+// Cleanup intervals that may pass without a successful run before the job counts as stale
+const CLEANUP_STALE_INTERVALS = 3;
+
+/**
+ * Run a check, failing it if it takes longer than HEALTH_CHECK_TIMEOUT_MS.
+ * @param {Function} check - Async function to run
+ * @returns {Promise<number>} Milliseconds the check took
+ * @throws {Error} The check's error, or a timeout error
+ */
+const timed = async (check) => {
+  const start = Date.now();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Timed out after ${config.healthCheckTimeout}ms`)),
+      config.healthCheckTimeout
+    );
+  });
+  try {
+    await Promise.race([check(), timeout]);
+    return Date.now() - start;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Service reporting whether the instance can serve requests.
+ * Dependency errors are logged in full; responses only carry their code,
+ * since readiness endpoints are usually reachable without credentials.
+ */
+class HealthService {
+  /**
+   * Check Redis with a PING.
+   * Redis is only critical with RATE_LIMIT_FAILURE_MODE=closed; in "open" mode
+   * quotas are counted in memory while it is away, so the instance keeps serving.
+   * @returns {Promise<Object>} `{ status, critical, latencyMs?, degraded, failureMode, error? }`
+   */
+  async checkRedis() {
+    const { degraded, failureMode } = rateLimitService.getHealth();
+    const critical = failureMode === "closed";
+    try {
+      const latencyMs = await timed(() => rateLimitService.ping());
+      return { status: "up", critical, latencyMs, degraded, failureMode };
+    } catch (err) {
+      logger.warn(`Readiness check failed for Redis: ${err.message}`);
+      return { status: "down", critical, degraded, failureMode, error: err.code || "unreachable" };
+    }
+  }
+
+  /**
+   * Check the storage provider by writing, reading and deleting a probe object
+   * @returns {Promise<Object>} `{ status, critical, provider, latencyMs?, error? }`
+   */
+  async checkStorage() {
+    const provider = config.provider || "local";
+    try {
+      const latencyMs = await timed(() => fileService.checkStorageHealth());
+      return { status: "up", critical: true, provider, latencyMs };
+    } catch (err) {
+      logger.warn(`Readiness check failed for ${provider} storage: ${err.message}`);
+      return { status: "down", critical: true, provider, error: err.code || "probe failed" };
+    }
+  }
+
+  /**
+   * Check that the cleanup job has completed recently. A stale cleanup does not stop
+   * the instance from serving, so it is reported but not critical.
+   * @returns {Object} `{ status, critical, running, lastSuccessAt }` with status
+   *   "ok", "pending" (no run completed yet) or "stale"
+   */
+  checkCleanup() {
+    const { running, startedAt, lastSuccessAt } = cleanupJob.getHealth();
+    const staleAfter = CLEANUP_STALE_INTERVALS * Number(config.timeToCleanUpProcess);
+    const since = lastSuccessAt || startedAt;
+    let status = lastSuccessAt ? "ok" : "pending";
+    if (since && Date.now() - Date.parse(since) > staleAfter) status = "stale";
+    return { status, critical: false, running, lastSuccessAt };
+  }
+
+  /**
+   * Run every readiness check
+   * @returns {Promise<Object>} `{ ready, checks }`; ready is false if a critical check is down
+   */
+  async readiness() {
+    const [redis, storage] = await Promise.all([this.checkRedis(), this.checkStorage()]);
+    const checks = { redis, storage, cleanup: this.checkCleanup() };
+    const ready = Object.values(checks).every((check) => !check.critical || check.status !== "down");
+    return { ready, checks };
+  }
+}
+
+// Export a singleton instance of HealthService
+module.exports = new HealthService();
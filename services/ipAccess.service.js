@@ -0,0 +1,271 @@
+const config = require("../config"); // Import configuration settings
+const { logger } = require("../utils/logger"); // Import custom logger utility
+const rateLimitService = require("./rateLimit.service"); // Import rate limit service for its Redis client
+const { createProxyMatcher } = require("../utils/clientIp"); // Import CIDR matching
+const { parseDuration } = require("../utils/parseDuration"); // Import duration string parser
+const { countAttempt } = require("../utils/redisScripts"); // Import atomic attempt counter
+
+// Lists of IP rules: allowlisted clients are never refused or banned, denylisted ones always are
+const IP_LISTS = ["allow", "deny"];
+
+// Redis hash of a list's rules, by address or CIDR range
+const listKey = (list) => `iprules:${list}`;
+
+// Redis hash of active bans, by address or IPv6 prefix
+const BANS_KEY = "ipbans";
+
+// Redis counter of a client's recent offenses of one kind
+const offenseKey = (offense, address) => `offense:${offense}:${address}`;
+
+// Offenses that lead to automatic bans, with the setting holding each one's threshold
+const OFFENSES = {
+  rateLimited: "autoBanAfter429",
+  notFound: "autoBanAfter404",
+  invalidPrivateKey: "autoBanAfterInvalidKeys",
+};
+
+// Rules are re-read from Redis at most this often, so other instances' changes apply quickly
+const RULES_CACHE_MS = 10 * 1000;
+
+// Build an error with a status code and details
+const accessError = (message, statusCode, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+// Check that a list name is one of IP_LISTS
+const checkList = (list) => {
+  if (!IP_LISTS.includes(list)) {
+    throw accessError("Invalid list", 400, `list must be one of ${IP_LISTS.join(", ")}`);
+  }
+};
+
+/**
+ * Service managing IP access rules and bans.
+ * Admins keep allow and deny lists of addresses and CIDR ranges in Redis;
+ * clients that keep hitting limits or guessing keys are banned for
+ * AUTO_BAN_DURATION. Bans apply to the address or IPv6 prefix rate limits
+ * are counted under.
+ */
+class IpAccessService {
+  constructor() {
+    // Matchers for the cached rules, and when they were read
+    this.matchers = null;
+    this.matchersLoadedAt = 0;
+  }
+
+  // Redis client shared with the rate limit service
+  get client() {
+    return rateLimitService.client;
+  }
+
+  /**
+   * List the rules of both lists.
+   * @returns {Promise<Object>} `{ allow, deny }`, each a list of rules, oldest first
+   */
+  async listRules() {
+    const rules = {};
+    for (const list of IP_LISTS) {
+      const entries = await this.client.hGetAll(listKey(list));
+      rules[list] = Object.values(entries)
+        .map((entry) => JSON.parse(entry))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+    return rules;
+  }
+
+  /**
+   * Add an address or CIDR range to a list.
+   * @param {string} list - "allow" or "deny"
+   * @param {string} address - IP address or CIDR range, e.g. "203.0.113.0/24"
+   * @param {string} [note] - Why the rule exists
+   * @returns {Promise<Object>} The stored rule
+   * @throws {Error} With statusCode 400 if the list or address is invalid
+   */
+  async addRule(list, address, note) {
+    checkList(list);
+    const entry = String(address || "").trim();
+    if (!entry) throw accessError("Invalid address", 400, "Give an IP address or CIDR range");
+    try {
+      createProxyMatcher([entry], "IP rule");
+    } catch (err) {
+      throw accessError("Invalid address", 400, err.message);
+    }
+
+    const rule = {
+      list,
+      address: entry,
+      note: typeof note === "string" && note.trim() ? note.trim() : undefined,
+      createdAt: new Date().toISOString(),
+    };
+    await this.client.hSet(listKey(list), entry, JSON.stringify(rule));
+    this.matchers = null;
+
+    logger.info(`IP rule added: ${list} ${entry}`);
+    return rule;
+  }
+
+  /**
+   * Remove an address or CIDR range from a list.
+   * @param {string} list - "allow" or "deny"
+   * @param {string} address - Address or range exactly as it was added
+   * @throws {Error} With statusCode 404 if the list has no such rule
+   */
+  async removeRule(list, address) {
+    checkList(list);
+    const removed = await this.client.hDel(listKey(list), String(address));
+    if (!removed) {
+      throw accessError("IP rule not found", 404, `The ${list} list has no rule for ${address}`);
+    }
+    this.matchers = null;
+    logger.info(`IP rule removed: ${list} ${address}`);
+  }
+
+  /**
+   * Decide whether a client may use the /files endpoints.
+   * Redis errors are logged and let the request through with the last known rules.
+   * @param {string} ip - Client IP address
+   * @param {string} address - Address or IPv6 prefix the client is banned under
+   * @returns {Promise<Object>} `{ allowed: true, allowlisted }`, or
+   *   `{ allowed: false, reason: "denied" | "banned", ban?, retryAfter? }`
+   */
+  async checkAccess(ip, address) {
+    const matchers = await this._loadMatchers();
+    if (matchers.allow(ip)) return { allowed: true, allowlisted: true };
+    if (matchers.deny(ip)) return { allowed: false, reason: "denied" };
+
+    try {
+      const ban = await this._findBan(address);
+      if (ban) {
+        const retryAfter = Math.max(1, Math.ceil((Date.parse(ban.expiresAt) - Date.now()) / 1000));
+        return { allowed: false, reason: "banned", ban, retryAfter };
+      }
+    } catch (err) {
+      logger.error(`Ban check error: ${err}`);
+    }
+    return { allowed: true, allowlisted: false };
+  }
+
+  /**
+   * Count an offense and ban the client once it reaches the offense's threshold.
+   * Errors are logged, never thrown.
+   * @param {string} address - Address or IPv6 prefix the client is banned under
+   * @param {string} offense - "rateLimited", "notFound" or "invalidPrivateKey"
+   * @returns {Promise<Object|null>} The new ban, or null if the client was not banned
+   */
+  async recordOffense(address, offense) {
+    const threshold = config[OFFENSES[offense]];
+    if (!threshold) return null;
+
+    try {
+      const key = offenseKey(offense, address);
+      // Count the offense; the window starts with the first one
+      const { count } = await countAttempt(this.client, key, Math.ceil(this._windowMs() / 1000));
+      if (count < threshold) return null;
+
+      await this.client.del(key);
+      return await this.ban(address, offense, count);
+    } catch (err) {
+      logger.error(`Offense tracking error: ${err}`);
+      return null;
+    }
+  }
+
+  /**
+   * Ban an address or IPv6 prefix for AUTO_BAN_DURATION.
+   * @param {string} address - Address or IPv6 prefix
+   * @param {string} reason - Offense that led to the ban
+   * @param {number} offenses - Offenses counted in the window
+   * @returns {Promise<Object>} The ban
+   */
+  async ban(address, reason, offenses) {
+    const now = Date.now();
+    const ban = {
+      address,
+      reason,
+      offenses,
+      bannedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this._durationMs()).toISOString(),
+    };
+    await this.client.hSet(BANS_KEY, address, JSON.stringify(ban));
+    logger.warn(`Client banned until ${ban.expiresAt}: ${address} (${offenses} ${reason})`);
+    return ban;
+  }
+
+  /**
+   * List active bans.
+   * @returns {Promise<Object[]>} Bans, soonest to expire first
+   */
+  async listBans() {
+    const entries = await this.client.hGetAll(BANS_KEY);
+    const bans = [];
+    for (const address of Object.keys(entries)) {
+      const ban = await this._findBan(address, entries[address]);
+      if (ban) bans.push(ban);
+    }
+    return bans.sort((a, b) => a.expiresAt.localeCompare(b.expiresAt));
+  }
+
+  /**
+   * Lift a ban and forget the client's recent offenses.
+   * @param {string} address - Address or IPv6 prefix, as listed by listBans()
+   * @throws {Error} With statusCode 404 if the address is not banned
+   */
+  async clearBan(address) {
+    const ban = await this._findBan(String(address));
+    for (const offense of Object.keys(OFFENSES)) {
+      await this.client.del(offenseKey(offense, address));
+    }
+    if (!ban) {
+      throw accessError("Ban not found", 404, `${address} is not banned`);
+    }
+    await this.client.hDel(BANS_KEY, String(address));
+    logger.info(`Ban lifted: ${address}`);
+  }
+
+  // Read a ban, removing it if it has expired
+  async _findBan(address, stored) {
+    const value = stored === undefined ? await this.client.hGet(BANS_KEY, address) : stored;
+    if (!value) return null;
+    const ban = JSON.parse(value);
+    if (Date.parse(ban.expiresAt) > Date.now()) return ban;
+    await this.client.hDel(BANS_KEY, address);
+    return null;
+  }
+
+  // Build matchers for both lists, re-reading the rules once the cache is stale
+  async _loadMatchers() {
+    if (this.matchers && Date.now() - this.matchersLoadedAt < RULES_CACHE_MS) {
+      return this.matchers;
+    }
+    try {
+      const rules = await this.listRules();
+      this.matchers = {
+        allow: createProxyMatcher(rules.allow.map((rule) => rule.address), "IP rule"),
+        deny: createProxyMatcher(rules.deny.map((rule) => rule.address), "IP rule"),
+      };
+    } catch (err) {
+      // Keep enforcing the last rules read until Redis answers again
+      logger.error(`IP rule loading error: ${err}`);
+      this.matchers = this.matchers || { allow: () => false, deny: () => false };
+    }
+    this.matchersLoadedAt = Date.now();
+    return this.matchers;
+  }
+
+  // Length of the offense counting window in milliseconds
+  _windowMs() {
+    return parseDuration(config.autoBanWindow) || 10 * 60 * 1000;
+  }
+
+  // Length of automatic bans in milliseconds
+  _durationMs() {
+    return parseDuration(config.autoBanDuration) || 60 * 60 * 1000;
+  }
+}
+
+// Export a singleton instance of IpAccessService
+module.exports = new IpAccessService();
+module.exports.IP_LISTS = IP_LISTS;
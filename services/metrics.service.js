@@ -0,0 +1,245 @@
+const { Counter, Gauge, Histogram, Registry } = require("../utils/metrics"); // Import Prometheus metric types
+
+// Buckets for dependency calls in seconds, which are mostly much faster than requests
+const DEPENDENCY_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+// Buckets for cleanup runs in seconds, which go through every stored file
+const CLEANUP_BUCKETS = [0.1, 0.5, 1, 5, 10, 30, 60, 300, 900, 3600];
+
+// Redis client methods that manage the connection rather than run a command
+const REDIS_CONNECTION_METHODS = new Set(["connect", "disconnect", "quit", "QUIT"]);
+
+/**
+ * Wrap an object so every method call that returns a promise is timed.
+ * Methods run on the object itself, so calls between its own methods are not counted twice.
+ * @param {Object} target - Object to wrap
+ * @param {Function} observe - Called with (method, seconds, failed) once a call settles
+ * @param {Set<string>} [skip] - Methods not to time
+ * @returns {Proxy} The wrapped object
+ */
+const timeMethods = (target, observe, skip = new Set()) =>
+  new Proxy(target, {
+    get(object, property) {
+      const value = object[property];
+      if (typeof value !== "function" || typeof property !== "string" || skip.has(property)) {
+        return value;
+      }
+      return (...args) => {
+        const start = process.hrtime.bigint();
+        const seconds = () => Number(process.hrtime.bigint() - start) / 1e9;
+        const result = value.apply(object, args);
+        // Synchronous methods, such as event registration, are passed through untimed
+        if (!result || typeof result.then !== "function") return result;
+        return result.then(
+          (resolved) => {
+            observe(property, seconds(), false);
+            return resolved;
+          },
+          (err) => {
+            observe(property, seconds(), true);
+            throw err;
+          }
+        );
+      };
+    },
+  });
+
+/**
+ * Service holding the metrics exposed on GET /metrics.
+ * Values are kept in memory per process; Prometheus adds them up across instances.
+ */
+class MetricsService {
+  constructor() {
+    this.registry = new Registry();
+
+    // HTTP requests by route pattern, never the raw path, which holds keys
+    this.httpRequests = this.registry.register(
+      new Counter({
+        name: "http_requests_total",
+        help: "HTTP requests served, by method, route and status",
+        labelNames: ["method", "route", "status"],
+      })
+    );
+    this.httpDuration = this.registry.register(
+      new Histogram({
+        name: "http_request_duration_seconds",
+        help: "Time from receiving a request to finishing its response, by method, route and status",
+        labelNames: ["method", "route", "status"],
+      })
+    );
+
+    // File content moved through the API
+    this.uploadedBytes = this.registry.register(
+      new Counter({ name: "file_uploaded_bytes_total", help: "Bytes of file content received" })
+    );
+    this.downloadedBytes = this.registry.register(
+      new Counter({ name: "file_downloaded_bytes_total", help: "Bytes of file content sent" })
+    );
+    this.uploadRejections = this.registry.register(
+      new Counter({
+        name: "file_upload_rejections_total",
+        help: "Uploads refused, by reason (type, size, quota, scan)",
+        labelNames: ["reason"],
+      })
+    );
+    this.rateLimitHits = this.registry.register(
+      new Counter({
+        name: "rate_limit_hits_total",
+        help: "Requests refused by a rate limit, by operation",
+        labelNames: ["operation"],
+      })
+    );
+
+    // Dependencies
+    this.redisDuration = this.registry.register(
+      new Histogram({
+        name: "redis_command_duration_seconds",
+        help: "Time taken by Redis commands, by command",
+        labelNames: ["command"],
+        buckets: DEPENDENCY_BUCKETS,
+      })
+    );
+    this.redisErrors = this.registry.register(
+      new Counter({
+        name: "redis_command_errors_total",
+        help: "Redis commands that failed, by command",
+        labelNames: ["command"],
+      })
+    );
+    this.storageDuration = this.registry.register(
+      new Histogram({
+        name: "storage_operation_duration_seconds",
+        help: "Time taken by storage provider operations, by provider and operation",
+        labelNames: ["provider", "operation"],
+        buckets: DEPENDENCY_BUCKETS,
+      })
+    );
+    this.storageErrors = this.registry.register(
+      new Counter({
+        name: "storage_operation_errors_total",
+        help: "Storage provider operations that failed, by provider and operation",
+        labelNames: ["provider", "operation"],
+      })
+    );
+
+    // Cleanup job
+    this.cleanupRuns = this.registry.register(
+      new Counter({
+        name: "cleanup_runs_total",
+        help: "Cleanup job runs, by outcome (success or failure)",
+        labelNames: ["outcome"],
+      })
+    );
+    this.cleanupDuration = this.registry.register(
+      new Histogram({
+        name: "cleanup_duration_seconds",
+        help: "Time taken by cleanup job runs",
+        buckets: CLEANUP_BUCKETS,
+      })
+    );
+    this.cleanupDeleted = this.registry.register(
+      new Counter({
+        name: "cleanup_deleted_files_total",
+        help: "Files deleted by the cleanup job, by reason (expired or inactive)",
+        labelNames: ["reason"],
+      })
+    );
+    this.cleanupLastSuccess = this.registry.register(
+      new Gauge({
+        name: "cleanup_last_success_timestamp_seconds",
+        help: "When the cleanup job last completed, in seconds since the epoch",
+      })
+    );
+
+    // Stored files, as counted by the last cleanup run
+    this.storedFiles = this.registry.register(
+      new Gauge({ name: "stored_files", help: "Files in storage at the last cleanup run" })
+    );
+    this.storedBytes = this.registry.register(
+      new Gauge({
+        name: "stored_files_bytes",
+        help: "Total size of the files in storage at the last cleanup run",
+      })
+    );
+  }
+
+  // Content-Type of the rendered metrics
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  // Render every metric in the Prometheus text format
+  render() {
+    return this.registry.render();
+  }
+
+  /**
+   * Record a served HTTP request
+   * @param {Object} request - Request details
+   * @param {string} request.method - HTTP method
+   * @param {string} request.route - Route pattern, e.g. "/files/:publicKey"
+   * @param {number} request.status - Response status
+   * @param {number} request.seconds - Time taken
+   */
+  observeRequest({ method, route, status, seconds }) {
+    const labels = { method, route, status };
+    this.httpRequests.inc(labels);
+    this.httpDuration.observe(labels, seconds);
+  }
+
+  /**
+   * Record a finished cleanup run
+   * @param {Object} run - Run details
+   * @param {boolean} run.success - Whether the run completed
+   * @param {number} run.seconds - Time taken
+   * @param {Object} [run.result] - Result of cleanupInactiveFiles
+   */
+  observeCleanup({ success, seconds, result }) {
+    this.cleanupRuns.inc({ outcome: success ? "success" : "failure" });
+    this.cleanupDuration.observe({}, seconds);
+    if (!success) return;
+
+    this.cleanupLastSuccess.set({}, Date.now() / 1000);
+    for (const { reason } of result.deletedFiles || []) this.cleanupDeleted.inc({ reason });
+    // Providers that do not report what is left keep the previous values
+    if (result.storedCount !== undefined) this.storedFiles.set({}, result.storedCount);
+    if (result.storedBytes !== undefined) this.storedBytes.set({}, result.storedBytes);
+  }
+
+  /**
+   * Time the commands sent through a Redis client
+   * @param {Object} client - Redis client
+   * @returns {Proxy} The client, timing every command
+   */
+  instrumentRedis(client) {
+    return timeMethods(
+      client,
+      (command, seconds, failed) => {
+        this.redisDuration.observe({ command }, seconds);
+        if (failed) this.redisErrors.inc({ command });
+      },
+      REDIS_CONNECTION_METHODS
+    );
+  }
+
+  /**
+   * Time the operations of a storage provider
+   * @param {Object} storage - Storage provider
+   * @param {string} provider - Provider name, e.g. "local" or "s3"
+   * @returns {Proxy} The provider, timing every operation
+   */
+  instrumentStorage(storage, provider) {
+    return timeMethods(storage, (operation, seconds, failed) => {
+      this.storageDuration.observe({ provider, operation }, seconds);
+      if (failed) this.storageErrors.inc({ provider, operation });
+    });
+  }
+
+  // Drop every recorded value
+  reset() {
+    this.registry.reset();
+  }
+}
+
+// Export a singleton instance of MetricsService
+module.exports = new MetricsService();
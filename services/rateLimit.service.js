@@ -1,21 +1,63 @@
 const { logger } = require("../utils/logger"); // Import custom logger utility
 const config = require("../config"); // Import configuration settings
 const { createClient } = require("redis"); // Import Redis client constructor
+const { parseSize } = require("../utils/parseSize"); // Import size string parser
+const { parseDuration } = require("../utils/parseDuration"); // Import duration string parser
+const {
+  runScript,
+  countAttempt,
+  CONSUME_QUOTA,
+  RELEASE_QUOTA,
+} = require("../utils/redisScripts"); // Import atomic quota and attempt counter scripts
+const { parseQuotaWindow, windowBuckets, secondsUntilReleased } = require("../utils/quotaWindow"); // Import quota window helpers
+const FallbackLimiter = require("../utils/fallbackLimiter"); // Import in-memory quota counters
+const metricsService = require("./metrics.service"); // Import metrics service for limit hits and Redis timings
+
+// What quota checks can do while Redis is unreachable
+const FAILURE_MODES = ["open", "closed"];
 
 class RateLimitService {
   constructor() {
+    // Fail at startup rather than on the first request if QUOTA_WINDOW is invalid
+    parseQuotaWindow(config.quotaWindow);
+    if (!FAILURE_MODES.includes(config.rateLimitFailureMode)) {
+      throw new Error(
+        `Invalid RATE_LIMIT_FAILURE_MODE "${config.rateLimitFailureMode}": use open or closed`
+      );
+    }
+
+    // Quota counters kept in memory while Redis is unreachable
+    this.fallback = new FallbackLimiter(config.rateLimitFallbackSize);
+    // When Redis became unreachable, or null while it is available
+    this.degradedSince = null;
+    // Pending write of the fallback counters to Redis
+    this.reconciling = null;
+
     // Create Redis client with configuration
-    this.client = createClient({
-      host: config.redis.host || "127.0.0.1",
-      port: config.redis.port || 6379,
+    const client = createClient({
+      socket: {
+        host: config.redis.host || "127.0.0.1",
+        port: Number(config.redis.port) || 6379,
+        // Keep reconnecting with exponential backoff
+        reconnectStrategy: (retries) => this._reconnectDelay(retries),
+      },
       password: config.redis.password,
-      db: config.redis.db || 0,
+      database: Number(config.redis.db) || 0,
+      // Fail commands at once while disconnected instead of queueing them,
+      // so quota checks fall back rather than hang
+      disableOfflineQueue: true,
     });
+    // Time every command for the metrics
+    this.client = metricsService.instrumentRedis(client);
 
     // Log successful Redis connection
     this.client.on("connect", () => logger.info("Redis connected"));
+    // Once Redis is usable again, add the usage counted meanwhile
+    this.client.on("ready", () => this._redisAvailable());
     // Log Redis errors
     this.client.on("error", (err) => logger.error(`Redis error: ${err}`));
+    // Log reconnection attempts
+    this.client.on("reconnecting", () => logger.warn("Redis reconnecting"));
 
     // Connect to Redis server asynchronously
     this.client
@@ -30,55 +72,236 @@ class RateLimitService {
 
   // Parse human-readable size string (e.g., "100MB", "1GB") into bytes
   parseSize(sizeStr) {
-    const unit = sizeStr.slice(-2); // Get last two characters as unit
-    const value = parseInt(sizeStr.slice(0, -2)); // Get numeric value
+    return parseSize(sizeStr);
+  }
+
+  // Run a Lua script by its digest, sending the source once if Redis does not have it cached
+  async _runScript(script, keys, args) {
+    return runScript(this.client, script, keys, args);
+  }
+
+  // Wait before the next reconnection attempt: 100ms doubling up to REDIS_RECONNECT_MAX_DELAY_MS,
+  // with some jitter so instances do not reconnect in lockstep
+  _reconnectDelay(retries) {
+    const delay = Math.min(100 * 2 ** retries, config.redis.reconnectMaxDelay);
+    return Math.round(delay * (0.8 + Math.random() * 0.2));
+  }
 
-    switch (unit) {
-      case "MB":
-        return value * 1024 * 1024; // Convert MB to bytes
-      case "GB":
-        return value * 1024 * 1024 * 1024; // Convert GB to bytes
-      default:
-        return parseInt(sizeStr) || 0; // Fallback: parse as integer bytes
+  /**
+   * Report whether quotas are counted in Redis or in memory, for health checks
+   * @returns {Object} `{ redis, degraded, since?, failureMode, fallbackCounters }`
+   */
+  getHealth() {
+    const degraded = this.degradedSince !== null;
+    return {
+      redis: degraded || this.client.isReady === false ? "down" : "up",
+      degraded,
+      ...(degraded && { since: new Date(this.degradedSince).toISOString() }),
+      failureMode: config.rateLimitFailureMode,
+      fallbackCounters: this.fallback.size,
+    };
+  }
+
+  // Send a PING to Redis, for readiness checks; throws if Redis is unreachable
+  async ping() {
+    await this.client.ping();
+  }
+
+  // Switch quota counting to memory after a failed Redis command
+  _redisUnavailable(err) {
+    if (this.degradedSince === null) {
+      this.degradedSince = Date.now();
+      logger.warn(`Redis unavailable, counting quotas in memory: ${err}`);
     }
   }
 
-  // Check if the daily upload limit for an IP has been exceeded
-  async checkUploadLimit(ip, fileSize) {
-    const uploadLimit = this.parseSize(config.dailyUploadLimit); // Get upload limit in bytes
-    const key = `upload:${ip}:${new Date().toISOString().slice(0, 10)}`; // Redis key for daily upload tracking
+  // Switch quota counting back to Redis and add the usage counted in memory meanwhile
+  _redisAvailable() {
+    if (this.degradedSince === null && this.fallback.size === 0) return;
+    if (this.degradedSince !== null) {
+      logger.info(`Redis available again after ${Date.now() - this.degradedSince}ms`);
+      this.degradedSince = null;
+    }
+    if (!this.reconciling) {
+      this.reconciling = this.reconcile()
+        .catch((err) => this._redisUnavailable(err))
+        .finally(() => {
+          this.reconciling = null;
+        });
+    }
+  }
 
-    try {
-      const current = parseInt(await this.client.get(key)) || 0; // Get current usage
-      if (current + fileSize > uploadLimit) {
-        // If limit exceeded, return not allowed with details
-        return {
-          allowed: false,
-          error: {
-            message: "Daily upload limit exceeded",
-            statusCode: 429,
-            currentUsage: current,
-            limit: uploadLimit,
-            remaining: Math.max(0, uploadLimit - current),
-          },
-        };
-      }
+  /**
+   * Add the usage counted in memory while Redis was unreachable to the Redis counters.
+   * Usage that has since left its window is dropped. Counters that cannot be written
+   * are kept for the next attempt.
+   * @returns {Promise<number>} Number of counters written
+   */
+  async reconcile() {
+    let written = 0;
+    for (const key of this.fallback.keys()) {
+      // Keys are quota:<operation>:<window>:<id>
+      const window = parseQuotaWindow(key.split(":")[2]);
+      const buckets = this.fallback.take(key);
+      const { oldest, ttl } = windowBuckets(window);
 
-      await this.client.incrBy(key, fileSize); // Increment usage by file size
-      if (current === 0) {
-        await this.client.expire(key, 86400); // Set TTL to 24 hours if first upload
+      try {
+        for (const [bucket, usage] of buckets) {
+          if (bucket >= oldest) {
+            await this._runScript(
+              CONSUME_QUOTA,
+              [key],
+              [bucket, oldest, 0, usage.bytes, usage.requests, 0, 0, ttl]
+            );
+          }
+          buckets.delete(bucket);
+        }
+      } catch (err) {
+        this.fallback.restore(key, buckets);
+        throw err;
       }
+      written++;
+    }
+    if (written > 0) logger.info(`Reconciled ${written} quota counters to Redis`);
+    return written;
+  }
+
+  // Window quotas are counted over, from QUOTA_WINDOW
+  get quotaWindow() {
+    return parseQuotaWindow(config.quotaWindow);
+  }
+
+  // Resolve who a quota belongs to: an IP address, or an API key record with its own limits.
+  // Returns the counter id and the byte and request limits per operation (0: no limit)
+  _quotaSubject(client) {
+    const apiKey = client && typeof client === "object" ? client : null;
+    return {
+      id: apiKey ? `key:${apiKey.id}` : client,
+      limits: {
+        upload: {
+          bytes: (apiKey && apiKey.dailyUploadLimit) || this.parseSize(config.dailyUploadLimit),
+          requests: config.uploadRequestLimit || 0,
+        },
+        download: {
+          bytes: (apiKey && apiKey.dailyDownloadLimit) || this.parseSize(config.dailyDownloadLimit),
+          requests: config.downloadRequestLimit || 0,
+        },
+        delete: { bytes: 0, requests: config.deleteRequestLimit || 0 },
+      },
+    };
+  }
+
+  // Message for an exceeded limit, e.g. "Daily upload limit exceeded" or "Upload request limit exceeded"
+  _limitMessage(operation, bytesExceeded, window) {
+    const period = { hour: "Hourly", day: "Daily", week: "Weekly", month: "Monthly" }[window.calendar];
+    const limit = `${operation}${bytesExceeded ? "" : " request"} limit exceeded`;
+    return period ? `${period} ${limit}` : limit.charAt(0).toUpperCase() + limit.slice(1);
+  }
+
+  /**
+   * Check and charge an operation's quota for an IP or API key in one atomic step.
+   * @param {string} operation - "upload", "download" or "delete"
+   * @param {Object|string} client - API key record or IP address
+   * @param {Object} [usageChange] - What to check and charge
+   * @param {number} [usageChange.needBytes] - Bytes that must still fit in the byte limit
+   * @param {number} [usageChange.addBytes] - Bytes to charge
+   * @param {number} [usageChange.addRequests] - Requests to charge
+   * @param {boolean} [usageChange.enforce] - Whether to refuse when a limit would be exceeded
+   * @returns {Promise<Object>} `{ allowed: true, currentUsage, limit, remaining, requests?, resetIn,
+   *   reservation? }` or `{ allowed: false, error }`; byte fields are left out for operations
+   *   without a byte limit, and `reservation` describes the usage charged, if any
+   */
+  async _consumeQuota(operation, client, usageChange = {}) {
+    const { needBytes = 0, addBytes = 0, addRequests = 0, enforce = true } = usageChange;
+    const { id, limits } = this._quotaSubject(client);
+    const { bytes: byteLimit, requests: requestLimit } = limits[operation];
+    const window = this.quotaWindow;
+    const now = Date.now();
+    const { current, oldest, ttl } = windowBuckets(window, now);
 
-      // Return allowed with updated usage details
+    const key = `quota:${operation}:${window.name}:${id}`; // Redis hash of usage per time bucket
+    const args = [
+      current,
+      oldest,
+      needBytes,
+      addBytes,
+      addRequests,
+      enforce ? byteLimit : 0,
+      enforce ? requestLimit : 0,
+      ttl,
+    ];
+
+    let result;
+    let fallback = false;
+    try {
+      result = await this._runScript(CONSUME_QUOTA, [key], args);
+      // A command went through: Redis is back if it was away
+      if (this.degradedSince !== null) this._redisAvailable();
+    } catch (err) {
+      // Fail closed: callers report the error as 503
+      if (config.rateLimitFailureMode !== "open") throw err;
+      // Fail open: count in memory until Redis is back
+      this._redisUnavailable(err);
+      result = this.fallback.consume(key, args);
+      fallback = true;
+    }
+    const [allowed, bytes, requests, bucket, bytesExceeded] = result;
+
+    const usage = {
+      ...(byteLimit > 0 && {
+        currentUsage: bytes,
+        limit: byteLimit,
+        remaining: Math.max(0, byteLimit - bytes),
+      }),
+      ...(requestLimit > 0 && {
+        requests: {
+          currentUsage: requests,
+          limit: requestLimit,
+          remaining: Math.max(0, requestLimit - requests),
+        },
+      }),
+    };
+    if (allowed) {
       return {
         allowed: true,
-        currentUsage: current + fileSize,
-        limit: uploadLimit,
-        remaining: uploadLimit - (current + fileSize),
+        ...usage,
+        // The quota grows again when the oldest usage leaves the window
+        resetIn: secondsUntilReleased(window, bucket, now),
+        // Where the usage was charged, so it can be released again
+        ...((addBytes > 0 || addRequests > 0) && {
+          reservation: { key, bucket: current, bytes: addBytes, requests: addRequests, fallback },
+        }),
       };
+    }
+
+    // Report the limit that was hit and when enough usage leaves the window to retry
+    metricsService.rateLimitHits.inc({ operation });
+    const exceeded = bytesExceeded ? usage : usage.requests;
+    return {
+      allowed: false,
+      error: {
+        message: this._limitMessage(operation, bytesExceeded, window),
+        statusCode: 429,
+        currentUsage: exceeded.currentUsage,
+        limit: exceeded.limit,
+        remaining: exceeded.remaining,
+        retryAfter: secondsUntilReleased(window, bucket, now),
+      },
+    };
+  }
+
+  // Count an upload request for an IP or API key before its body is read, refusing it when the
+  // request limit is reached or the expected bytes no longer fit in the byte limit.
+  // The result's `reservation` must be committed once the upload succeeds or released if it fails
+  async checkUploadRequest(client, expectedBytes) {
+    try {
+      return await this._consumeQuota("upload", client, {
+        needBytes: expectedBytes,
+        addRequests: 1,
+      });
     } catch (err) {
       // Log error and return service unavailable
-      logger.error(`Upload limit check error: ${err}`);
+      logger.error(`Upload request check error: ${err}`);
       return {
         allowed: false,
         error: { message: "Rate limit service unavailable", statusCode: 503 },
@@ -86,23 +309,50 @@ class RateLimitService {
     }
   }
 
-  // Check if the daily download limit for an IP has been exceeded
-  async checkDownloadLimit(ip) {
-    const downloadLimit = this.parseSize(config.dailyDownloadLimit); // Get download limit in bytes
-    const key = `download:${ip}:${new Date().toISOString().slice(0, 10)}`; // Redis key for daily download tracking
+  // Check if the upload limits for an IP or API key have been exceeded, counting the upload if not.
+  // Uploads whose request checkUploadRequest already counted pass `countRequest: false`.
+  // The result's `reservation` must be committed once the upload succeeds or released if it fails
+  async checkUploadLimit(client, fileSize, { countRequest = true } = {}) {
+    try {
+      // Check and count the upload in one atomic step, so parallel uploads cannot overshoot
+      return await this._consumeQuota("upload", client, {
+        needBytes: fileSize,
+        addBytes: fileSize,
+        addRequests: countRequest ? 1 : 0,
+      });
+    } catch (err) {
+      // Log error and return service unavailable
+      logger.error(`Upload limit check error: ${err}`);
+      return {
+        allowed: false,
+        error: { message: "Rate limit service unavailable", statusCode: 503 },
+      };
+    }
+  }
 
+  // Check if the download limits for an IP or API key have been exceeded, counting the request if not;
+  // returns the current usage for RateLimit headers
+  async checkDownloadLimit(client) {
     try {
-      const current = parseInt(await this.client.get(key)) || 0; // Get current usage
-      if (current >= downloadLimit) {
+      // At least one byte of the quota must be left; the bytes are counted once served
+      // Download requests are not given back, so their reservation is not needed
+      const { allowed, error: limit, reservation, ...usage } = await this._consumeQuota(
+        "download",
+        client,
+        { needBytes: 1, addRequests: 1 }
+      );
+      if (!allowed) {
         // If limit exceeded, throw error
-        const error = new Error("Daily download limit exceeded");
+        const error = new Error(limit.message);
         error.statusCode = 429;
         error.details = "Please try again later";
-        error.currentUsage = current;
-        error.limit = downloadLimit;
-        error.remaining = Math.max(0, downloadLimit - current);
+        error.currentUsage = limit.currentUsage;
+        error.limit = limit.limit;
+        error.remaining = limit.remaining;
+        error.retryAfter = limit.retryAfter;
         throw error;
       }
+      return usage;
     } catch (err) {
       // Log error and propagate with proper status code
       logger.error(`Download limit check error: ${err}`);
@@ -114,16 +364,11 @@ class RateLimitService {
     }
   }
 
-  // Track the download usage for an IP by incrementing the daily counter
-  async trackDownload(ip, size) {
-    const key = `download:${ip}:${new Date().toISOString().slice(0, 10)}`; // Redis key for daily download tracking
-
+  // Track the download usage for an IP or API key by adding the bytes served
+  async trackDownload(client, size) {
     try {
-      await this.client.incrBy(key, size); // Increment usage by file size
-      const current = parseInt(await this.client.get(key)) || 0; // Get updated usage
-      if (current === size) {
-        await this.client.expire(key, 86400); // Set TTL to 24 hours if first download
-      }
+      // Served bytes are always counted, even when they take usage past the limit
+      await this._consumeQuota("download", client, { addBytes: size, enforce: false });
     } catch (err) {
       // Log error and propagate with proper status code
       logger.error(`Download tracking error: ${err}`);
@@ -134,6 +379,176 @@ class RateLimitService {
       throw err;
     }
   }
+
+  // Charge the bytes of a download before serving it; the reservation is committed once the
+  // response finishes, and whatever was not served is released if it does not
+  async reserveDownload(client, size) {
+    try {
+      // Served bytes are always counted, even when they take usage past the limit
+      const { reservation } = await this._consumeQuota("download", client, {
+        addBytes: size,
+        enforce: false,
+      });
+      return reservation || null;
+    } catch (err) {
+      // Log error and propagate with proper status code
+      logger.error(`Download reservation error: ${err}`);
+      if (!err.statusCode) {
+        err.statusCode = 503;
+        err.details = "Service temporarily unavailable";
+      }
+      throw err;
+    }
+  }
+
+  // Keep the usage charged by a reservation; it can no longer be released
+  commitReservation(reservation) {
+    if (reservation) reservation.settled = true;
+  }
+
+  /**
+   * Give back usage charged by a reservation that was not used, e.g. a failed upload
+   * or the unsent part of an aborted download. Only the first commit or release counts.
+   * @param {Object} reservation - Reservation from checkUploadRequest, checkUploadLimit or
+   *   reserveDownload
+   * @param {Object} [amount] - What to give back (default: everything charged)
+   * @param {number} [amount.bytes] - Bytes to give back
+   * @param {number} [amount.requests] - Requests to give back
+   */
+  async releaseReservation(reservation, amount = {}) {
+    if (!reservation || reservation.settled) return;
+    reservation.settled = true;
+    const { key, bucket } = reservation;
+    // Never give back more than was charged
+    const bytes = Math.min(reservation.bytes, amount.bytes === undefined ? Infinity : amount.bytes);
+    const requests = Math.min(
+      reservation.requests,
+      amount.requests === undefined ? Infinity : amount.requests
+    );
+    if (bytes <= 0 && requests <= 0) return;
+
+    try {
+      // Usage charged in memory is released there, unless it was already added to Redis
+      if (reservation.fallback && this.fallback.release(key, bucket, bytes, requests)) return;
+      await this._runScript(RELEASE_QUOTA, [key], [bucket, bytes, requests]);
+    } catch (err) {
+      // Log error; the usage stays charged, which only errs on the strict side
+      logger.error(`Quota release error: ${err}`);
+    }
+  }
+
+  // Check if the delete request limit for an IP or API key has been exceeded, counting the request if not
+  async checkDeleteLimit(client) {
+    // Deletes are only counted when DELETE_REQUEST_LIMIT is set
+    if (!config.deleteRequestLimit) return { allowed: true };
+
+    try {
+      return await this._consumeQuota("delete", client, { addRequests: 1 });
+    } catch (err) {
+      // Log error and return service unavailable
+      logger.error(`Delete limit check error: ${err}`);
+      return {
+        allowed: false,
+        error: { message: "Rate limit service unavailable", statusCode: 503 },
+      };
+    }
+  }
+
+  // Report the current window's usage of an IP or API key for every limited operation
+  async getQuota(client) {
+    const operations = ["upload", "download", ...(config.deleteRequestLimit ? ["delete"] : [])];
+
+    try {
+      const quota = { window: this.quotaWindow.name };
+      for (const operation of operations) {
+        const { allowed, ...usage } = await this._consumeQuota(operation, client, { enforce: false });
+        quota[operation] = usage;
+      }
+      // Usage counted in memory only covers this instance while Redis is unreachable
+      if (this.degradedSince !== null) quota.degraded = true;
+      return quota;
+    } catch (err) {
+      // Log error and report service unavailable
+      logger.error(`Quota lookup error: ${err}`);
+      const error = new Error("Rate limit service unavailable");
+      error.statusCode = 503;
+      throw error;
+    }
+  }
+
+  // Reserve a password attempt on a file for an IP before the password is checked.
+  // Attempts are counted up front, so parallel guesses cannot all pass before any failure
+  // is recorded; a correct password clears the count again
+  async reservePasswordAttempt(publicKey, ip) {
+    const key = `password:${publicKey}:${ip}`; // Redis key for attempts on this file from this IP
+
+    try {
+      const { allowed, count, ttl } = await countAttempt(
+        this.client,
+        key,
+        this._passwordWindowSeconds(),
+        config.maxPasswordAttempts
+      );
+      if (!allowed) {
+        // If too many failures, refuse until the window expires
+        metricsService.rateLimitHits.inc({ operation: "password" });
+        return {
+          allowed: false,
+          error: {
+            message: "Too many failed password attempts",
+            statusCode: 429,
+            retryAfter: ttl,
+          },
+        };
+      }
+      return { allowed: true, remaining: config.maxPasswordAttempts - count };
+    } catch (err) {
+      // Log error and refuse: guessing must not be unlimited while Redis is down
+      logger.error(`Password attempt check error: ${err}`);
+      return {
+        allowed: false,
+        error: { message: "Rate limit service unavailable", statusCode: 503 },
+      };
+    }
+  }
+
+  // Forget failed attempts after a correct password
+  async resetPasswordAttempts(publicKey, ip) {
+    try {
+      await this.client.del(`password:${publicKey}:${ip}`);
+    } catch (err) {
+      logger.error(`Password attempt reset error: ${err}`);
+    }
+  }
+
+  // Count a download through a signed URL with a download cap
+  async consumeSignedUrl(signature, maxDownloads, ttlSeconds) {
+    const key = `signed:${signature}`; // Redis key for downloads through this URL
+
+    try {
+      // Count this download unless the cap is reached; the counter is forgotten once the URL expires
+      const { allowed, count } = await countAttempt(this.client, key, ttlSeconds, maxDownloads);
+      if (!allowed) {
+        return {
+          allowed: false,
+          error: { message: "Signed URL download limit reached", statusCode: 403 },
+        };
+      }
+      return { allowed: true, remaining: maxDownloads - count };
+    } catch (err) {
+      // Log error and refuse: the cap cannot be enforced while Redis is down
+      logger.error(`Signed URL tracking error: ${err}`);
+      return {
+        allowed: false,
+        error: { message: "Rate limit service unavailable", statusCode: 503 },
+      };
+    }
+  }
+
+  // Length of the failed password attempt window in seconds
+  _passwordWindowSeconds() {
+    return Math.ceil((parseDuration(config.passwordAttemptWindow) || 15 * 60 * 1000) / 1000);
+  }
 }
 
 // Export a singleton instance of RateLimitService
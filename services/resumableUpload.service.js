@@ -0,0 +1,258 @@
+const crypto = require("crypto"); // Node.js crypto module for upload ids
+const { Transform } = require("stream"); // Node.js stream module
+const { logger } = require("../utils/logger"); // Import custom logger utility
+const config = require("../config"); // Import configuration settings
+const fileService = require("./file.service"); // Import file service for storage access
+const rateLimitService = require("./rateLimit.service"); // Import rate limit service
+const { parseSize } = require("../utils/parseSize"); // Import size string parser
+const { isAllowedFileName, createTypeInspector } = require("../utils/fileTypes"); // Import file type checks
+const { parseLifecycleOptions } = require("../utils/fileLifecycle"); // Import per-upload expiry options
+const { normalizePassword, hashPassword } = require("../utils/password"); // Import download password helpers
+const { parseRequireSignature } = require("../utils/signedUrl"); // Import signed URL flag parser
+
+// Upload ids as issued by createUpload; they name staged objects in storage
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+/**
+ * Service implementing resumable uploads (tus 1.0 core, creation and termination).
+ * Chunks are staged in the active storage provider and, once complete,
+ * finalized into a normal publicKey/privateKey pair through FileService.
+ */
+class ResumableUploadService {
+  constructor() {
+    // Upload ids with a chunk currently being written (one writer per upload)
+    this.activeUploads = new Set();
+  }
+
+  // Storage provider used for staging
+  get storage() {
+    return fileService.storage;
+  }
+
+  // Maximum accepted Upload-Length in bytes
+  get maxSize() {
+    return parseSize(config.maxResumableUploadSize);
+  }
+
+  // Create a new upload after validating its size, type and the uploader's quota
+  // Uploads with an API key use the key's quota and maximum file size
+  async createUpload({ ip, apiKey, length, metadata = {} }) {
+    const fileName = metadata.filename || metadata.name;
+    const fileType = metadata.filetype || metadata.type || "application/octet-stream";
+
+    // A file name is needed to validate the type and to serve the download later
+    if (!isAllowedFileName(fileName)) {
+      const error = new Error("Only certain file types are allowed");
+      error.code = "LIMIT_FILE_TYPES";
+      error.statusCode = 400;
+      error.details = "Provide an allowed file name in the Upload-Metadata 'filename' key";
+      throw error;
+    }
+
+    // Optional expiresIn/expiresAt/maxDownloads metadata; expiresIn counts from creation
+    const lifecycle = parseLifecycleOptions(metadata);
+
+    // Optional download password; only its hash is kept in the staging record
+    const { password: rawPassword, ...publicMetadata } = metadata;
+    const password = normalizePassword(rawPassword);
+    const requireSignature = parseRequireSignature(metadata.requireSignature);
+
+    // Reject uploads larger than the configured (or the API key's) maximum
+    const maxSize = (apiKey && apiKey.maxFileSize) || this.maxSize;
+    if (length > maxSize) {
+      const error = new Error("File too large");
+      error.statusCode = 413;
+      error.details = apiKey && apiKey.maxFileSize
+        ? `Maximum upload size is ${maxSize} bytes`
+        : `Maximum upload size is ${config.maxResumableUploadSize}`;
+      throw error;
+    }
+
+    // Charge the declared length against the daily upload limit up front
+    const limitCheck = await rateLimitService.checkUploadLimit(apiKey || ip, length);
+    if (!limitCheck.allowed) {
+      const { message, statusCode, ...usage } = limitCheck.error;
+      // Keep the usage details for the RateLimit headers
+      const error = Object.assign(new Error(message), usage);
+      error.statusCode = statusCode || 429;
+      error.details = "Please try again later";
+      throw error;
+    }
+
+    const uploadId = crypto.randomBytes(16).toString("hex");
+    const { reservation, ...quota } = limitCheck;
+    let record;
+    try {
+      record = await this.storage.createStagedUpload(uploadId, {
+        length,
+        fileName,
+        fileType,
+        metadata: publicMetadata,
+        lifecycle,
+        passwordHash: password ? await hashPassword(password) : undefined,
+        requireSignature,
+        // Kept so the quota can be given back if the upload is terminated or rejected
+        quotaReservation: reservation,
+      });
+    } catch (err) {
+      await rateLimitService.releaseReservation(reservation);
+      throw err;
+    }
+    logger.info(`Resumable upload created: ${uploadId} (${length} bytes)`);
+    // The quota status is reported to the client, not stored
+    return { ...record, quota };
+  }
+
+  // Get the current state of an upload
+  // Ids that createUpload cannot have issued are never looked up, so they cannot reach other objects
+  async getUpload(uploadId) {
+    const record = UPLOAD_ID_PATTERN.test(uploadId)
+      ? await this.storage.getStagedUpload(uploadId)
+      : null;
+    if (!record) {
+      const error = new Error("Upload not found");
+      error.statusCode = 404;
+      error.details = "The upload does not exist or has expired";
+      throw error;
+    }
+    return record;
+  }
+
+  // Append a chunk at the given offset; finalizes the file once all bytes arrived
+  async appendChunk(uploadId, offset, stream) {
+    if (this.activeUploads.has(uploadId)) {
+      const error = new Error("Upload is locked");
+      error.statusCode = 423;
+      error.details = "Another request is currently writing to this upload";
+      throw error;
+    }
+
+    this.activeUploads.add(uploadId);
+    try {
+      let record = await this.getUpload(uploadId);
+
+      if (record.completed) {
+        const error = new Error("Upload already completed");
+        error.statusCode = 403;
+        error.details = "No more data can be appended to this upload";
+        throw error;
+      }
+
+      // Offsets must match exactly so no bytes are lost or duplicated
+      if (offset !== record.offset) {
+        const error = new Error("Upload-Offset does not match");
+        error.statusCode = 409;
+        error.details = `Current offset is ${record.offset}`;
+        throw error;
+      }
+
+      record = await this.storage.appendStagedChunk(
+        record,
+        limitStream(stream, record.length - offset)
+      );
+
+      // All bytes received: turn the staged chunks into a regular file
+      if (record.offset === record.length) {
+        return { record, file: await this._finalize(record) };
+      }
+      return { record };
+    } finally {
+      this.activeUploads.delete(uploadId);
+    }
+  }
+
+  // Terminate an upload, free its staged chunks and give back the quota it reserved
+  async terminateUpload(uploadId) {
+    const record = await this.getUpload(uploadId);
+    await this.storage.deleteStagedUpload(uploadId);
+    if (!record.completed) await rateLimitService.releaseReservation(record.quotaReservation);
+    logger.info(`Resumable upload terminated: ${uploadId}`);
+  }
+
+  // Assemble the chunks into a normal publicKey/privateKey pair
+  async _finalize(record) {
+    const staged = await this.storage.openStagedUpload(record.uploadId);
+    const upload = {
+      originalname: record.fileName,
+      mimetype: record.fileType,
+      size: record.length,
+    };
+
+    // Record the type detected from the content instead of the declared one
+    const inspector = createTypeInspector(record.fileName, (mimetype) => {
+      upload.mimetype = mimetype;
+    });
+    staged.on("error", (err) => inspector.destroy(err));
+    inspector.on("error", () => staged.destroy());
+    upload.stream = staged.pipe(inspector);
+
+    let result;
+    try {
+      result = await fileService.uploadFile(upload);
+    } catch (err) {
+      // Rejected content can never complete, so free its staged chunks
+      if (err.code === "LIMIT_FILE_TYPES" || err.code === "FILE_INFECTED") {
+        await this.storage.deleteStagedUpload(record.uploadId);
+        await rateLimitService.releaseReservation(record.quotaReservation);
+        logger.warn(`Resumable upload rejected: ${record.uploadId} (${err.details})`);
+      }
+      throw err;
+    }
+
+    // Apply the expiry and download allowance requested at creation
+    if (record.lifecycle && Object.keys(record.lifecycle).length > 0) {
+      await fileService.updateFileLifecycle(result.publicKey, record.lifecycle);
+    }
+
+    // Protect the file with the password given at creation
+    if (record.passwordHash) {
+      await fileService.protectFile(result.publicKey, record.passwordHash);
+    }
+
+    // Only signed URLs may download the file
+    if (record.requireSignature) {
+      await fileService.updateFileSettings(result.publicKey, { requireSignature: true });
+    }
+
+    // Keep a small completed record so HEAD keeps answering until expiry
+    await this.storage.deleteStagedUpload(record.uploadId);
+    await this.storage.saveStagedUpload(record.uploadId, {
+      uploadId: record.uploadId,
+      length: record.length,
+      offset: record.offset,
+      createdAt: record.createdAt,
+      completed: true,
+      publicKey: result.publicKey,
+    });
+
+    logger.info(`Resumable upload completed: ${record.uploadId} -> ${result.publicKey}`);
+    return result;
+  }
+}
+
+/**
+ * Wrap a request stream so it fails once more than `remaining` bytes arrive.
+ * @param {Readable} stream - Incoming chunk data
+ * @param {number} remaining - Bytes still allowed for this upload
+ * @returns {Readable} Guarded stream
+ */
+const limitStream = (stream, remaining) => {
+  let received = 0;
+  const guard = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > remaining) {
+        const error = new Error("Chunk exceeds Upload-Length");
+        error.statusCode = 413;
+        error.details = `Only ${remaining} more bytes are expected`;
+        return callback(error);
+      }
+      callback(null, chunk);
+    },
+  });
+  stream.on("error", (err) => guard.destroy(err));
+  return stream.pipe(guard);
+};
+
+// Export a singleton instance of ResumableUploadService
+module.exports = new ResumableUploadService();
@@ -0,0 +1,164 @@
+const { PassThrough, Transform } = require("stream"); // Node.js stream module
+const { logger } = require("../utils/logger"); // Import custom logger utility
+const config = require("../config"); // Import configuration settings
+const ClamdScanner = require("../models/scanners/clamdScanner"); // Import ClamAV daemon scanner
+const { SCAN_STATUS } = require("../models/scanners/scannerInterface"); // Import scan outcomes
+
+/**
+ * Service running uploads through the chain of configured scanners.
+ * Every scanner reads its own copy of the content while it streams into
+ * storage; the upload only waits for the scanners' replies at the end.
+ * A file is clean only if every scanner says so, infected if any scanner
+ * finds a threat, and pending (quarantined) otherwise.
+ */
+class ScanService {
+  constructor() {
+    // Initialize scanners based on config
+    this.scanners = this.initializeScanners();
+  }
+
+  // Build the scanners named in SCANNERS, in order
+  initializeScanners() {
+    return String(config.scanners || "")
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean)
+      .map((name) => {
+        switch (name) {
+          case "clamd":
+            // Log initialization of the ClamAV scanner
+            logger.info("Initializing clamd scanner");
+            return new ClamdScanner({ ...config.clamd, timeout: config.scanTimeout });
+          default:
+            throw new Error(`Unknown scanner "${name}" in SCANNERS`);
+        }
+      });
+  }
+
+  // Whether uploads are scanned at all
+  get enabled() {
+    return this.scanners.length > 0;
+  }
+
+  /**
+   * Add a custom scanner to the end of the chain
+   * @param {ScannerInterface} scanner - Scanner to run on every upload
+   */
+  register(scanner) {
+    this.scanners.push(scanner);
+  }
+
+  /**
+   * Start scanning content that is about to be stored.
+   * @returns {Object} `{ stream, result }`: a pass-through stream to pipe the
+   *   content through, and a promise of the combined verdict `{ status, scanner?, signature? }`
+   *   that never rejects
+   */
+  createScan() {
+    const inputs = this.scanners.map(() => new PassThrough());
+
+    // Scanners get SCAN_TIMEOUT_IN_MS after the content ends to reply
+    let timer;
+    let finished = false;
+    let startDeadline;
+    const deadline = new Promise((resolve) => {
+      startDeadline = () => {
+        // Scanners may all have replied before the content ended
+        if (!finished) timer = setTimeout(resolve, config.scanTimeout);
+      };
+    });
+
+    const verdicts = this.scanners.map((scanner, i) =>
+      this._runScanner(scanner, inputs[i], deadline)
+    );
+    const result = Promise.all(verdicts)
+      .then(combineVerdicts)
+      .finally(() => {
+        finished = true;
+        clearTimeout(timer);
+      });
+
+    // Copy every chunk to the scanners, waiting for slow ones to catch up
+    let ended = false;
+    const stream = new Transform({
+      transform(chunk, encoding, callback) {
+        const waits = inputs
+          .filter((input) => !input.destroyed && !input.write(chunk))
+          .map(
+            (input) =>
+              new Promise((resolve) => {
+                input.once("drain", resolve);
+                input.once("close", resolve);
+              })
+          );
+        Promise.all(waits).then(() => callback(null, chunk));
+      },
+      flush(callback) {
+        ended = true;
+        inputs.forEach((input) => input.end());
+        startDeadline();
+        callback();
+      },
+      destroy(err, callback) {
+        // A failed upload aborts the scans too (the stream is also destroyed after it ends)
+        if (!ended) inputs.forEach((input) => input.destroy(err || new Error("Upload aborted")));
+        callback(err);
+      },
+    });
+
+    return { stream, result };
+  }
+
+  /**
+   * Scan content that is already stored, e.g. a quarantined file
+   * @param {Readable} stream - Plaintext content
+   * @returns {Promise<Object>} Combined verdict `{ status, scanner?, signature? }`
+   */
+  async scanStream(stream) {
+    const scan = this.createScan();
+    stream.on("error", (err) => scan.stream.destroy(err));
+    stream.pipe(scan.stream).resume();
+    return scan.result;
+  }
+
+  // Run one scanner; failures and timeouts count as "pending"
+  _runScanner(scanner, input, deadline) {
+    let settled = false;
+    input.on("error", () => {}); // Scanners see aborts through their own reads
+
+    const verdict = Promise.resolve()
+      .then(() => scanner.scan(input))
+      .then(
+        (outcome) => ({ ...outcome, scanner: scanner.name }),
+        (err) => {
+          logger.warn(`Scanner ${scanner.name} failed: ${err.message}`);
+          return { status: SCAN_STATUS.PENDING, scanner: scanner.name };
+        }
+      )
+      .finally(() => {
+        settled = true;
+        // Let content the scanner no longer reads flow away instead of blocking the upload
+        input.resume();
+      });
+
+    const timeout = deadline.then(() => {
+      if (!settled) logger.warn(`Scanner ${scanner.name} timed out`);
+      return { status: SCAN_STATUS.PENDING, scanner: scanner.name };
+    });
+
+    return Promise.race([verdict, timeout]);
+  }
+}
+
+// Infected if any scanner found a threat, clean only if all of them agree
+const combineVerdicts = (verdicts) => {
+  const infected = verdicts.find((verdict) => verdict.status === SCAN_STATUS.INFECTED);
+  if (infected) return infected;
+  if (verdicts.every((verdict) => verdict.status === SCAN_STATUS.CLEAN)) {
+    return { status: SCAN_STATUS.CLEAN };
+  }
+  return { status: SCAN_STATUS.PENDING };
+};
+
+// Export a singleton instance of ScanService
+module.exports = new ScanService();
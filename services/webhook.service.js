@@ -0,0 +1,305 @@
+const crypto = require("crypto"); // Node.js crypto module
+const config = require("../config"); // Import configuration settings
+const { logger } = require("../utils/logger"); // Import custom logger utility
+const rateLimitService = require("./rateLimit.service"); // Import rate limit service for its Redis client
+const { runScript, CLAIM_DUE } = require("../utils/redisScripts"); // Import atomic queue claim script
+const { signWebhook, assertWebhookUrl, postWebhook } = require("../utils/webhooks"); // Import webhook helpers
+
+// Events file webhooks can receive
+const WEBHOOK_EVENTS = ["file.uploaded", "file.downloaded", "file.deleted", "file.expired"];
+
+// Events after which the file is gone, along with its registrations
+const FINAL_EVENTS = ["file.deleted", "file.expired"];
+
+// Redis sorted set of queued delivery ids, scored by when they are due (ms)
+const QUEUE_KEY = "webhooks:queue";
+
+// Redis key of a queued delivery
+const jobKey = (id) => `webhook:job:${id}`;
+
+// Redis list of deliveries that failed every attempt, newest first
+const DEAD_LETTER_KEY = "webhooks:dead";
+
+// Dead letters kept; older ones are dropped
+const DEAD_LETTER_LIMIT = 1000;
+
+// Redis hash of a file's webhook registrations, by id
+const fileKey = (publicKey) => `webhooks:file:${publicKey}`;
+
+// Webhooks a single file may have
+const MAX_FILE_WEBHOOKS = 5;
+
+// Deliveries claimed per poll
+const BATCH_SIZE = 20;
+
+// Longest wait between two attempts
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Build a 400 error for an invalid registration option
+const invalidOption = (message, details) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Service delivering file events to webhooks.
+ * Events go to the endpoints in WEBHOOK_URLS and to the endpoints registered
+ * for the file by its owner. Each delivery is queued in Redis and sent by
+ * the webhook job, so request handlers never wait for a receiver; failed
+ * deliveries are retried with exponential backoff and end up in a
+ * dead-letter list after WEBHOOK_MAX_ATTEMPTS.
+ */
+class WebhookService {
+  // Redis client shared with the rate limit service
+  get client() {
+    return rateLimitService.client;
+  }
+
+  /**
+   * Get the endpoints that receive every event.
+   * @returns {Array<string>} URLs from WEBHOOK_URLS
+   * @throws {Error} If WEBHOOK_URLS is set without WEBHOOK_SECRET, or holds an invalid URL
+   */
+  globalEndpoints() {
+    const urls = String(config.webhookUrls || "")
+      .split(",")
+      .map((url) => url.trim())
+      .filter(Boolean);
+    if (urls.length > 0 && !config.webhookSecret) {
+      throw new Error("WEBHOOK_SECRET is required when WEBHOOK_URLS is set");
+    }
+    for (const url of urls) {
+      if (!/^https?:\/\//i.test(url)) throw new Error(`Invalid WEBHOOK_URLS entry "${url}"`);
+    }
+    return urls;
+  }
+
+  /**
+   * Register a webhook for one file.
+   * @param {string} publicKey - Public key of the file
+   * @param {Object} options - Registration options
+   * @param {string} options.url - Public http(s) URL to deliver events to
+   * @param {string[]|string} [options.events] - Events to receive (default: all)
+   * @returns {Promise<Object>} `{ id, url, events, secret, createdAt }`; the secret is never shown again
+   * @throws {Error} With statusCode 400 if an option is invalid or the file has too many webhooks
+   */
+  async register(publicKey, { url, events } = {}) {
+    const target = assertWebhookUrl(url);
+    const wanted =
+      events === undefined
+        ? WEBHOOK_EVENTS
+        : (Array.isArray(events) ? events : String(events).split(","))
+            .map((event) => event.trim())
+            .filter(Boolean);
+    const unknown = wanted.filter((event) => !WEBHOOK_EVENTS.includes(event));
+    if (wanted.length === 0 || unknown.length > 0) {
+      throw invalidOption("Invalid events", `events must be a list of ${WEBHOOK_EVENTS.join(", ")}`);
+    }
+
+    const existing = await this.client.hGetAll(fileKey(publicKey));
+    if (Object.keys(existing).length >= MAX_FILE_WEBHOOKS) {
+      throw invalidOption(
+        "Too many webhooks",
+        `A file can have at most ${MAX_FILE_WEBHOOKS} webhooks; remove one first`
+      );
+    }
+
+    const webhook = {
+      id: crypto.randomBytes(6).toString("hex"),
+      url: target,
+      events: [...new Set(wanted)],
+      secret: crypto.randomBytes(24).toString("base64url"),
+      createdAt: new Date().toISOString(),
+    };
+    await this.client.hSet(fileKey(publicKey), webhook.id, JSON.stringify(webhook));
+
+    logger.info(`Webhook registered: ${webhook.id} for ${publicKey}`);
+    return webhook;
+  }
+
+  /**
+   * List the webhooks of a file, without their secrets.
+   * @param {string} publicKey - Public key of the file
+   * @returns {Promise<Object[]>} Webhooks, oldest first
+   */
+  async listForFile(publicKey) {
+    const entries = await this.client.hGetAll(fileKey(publicKey));
+    return Object.values(entries)
+      .map((entry) => {
+        const { secret, ...webhook } = JSON.parse(entry);
+        return webhook;
+      })
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Remove a webhook from a file.
+   * @param {string} publicKey - Public key of the file
+   * @param {string} id - Id of the webhook
+   * @throws {Error} With statusCode 404 if the file has no webhook with this id
+   */
+  async unregister(publicKey, id) {
+    const removed = await this.client.hDel(fileKey(publicKey), String(id));
+    if (!removed) {
+      const error = new Error("Webhook not found");
+      error.statusCode = 404;
+      error.details = `The file has no webhook with the id ${id}`;
+      throw error;
+    }
+    logger.info(`Webhook removed: ${id} from ${publicKey}`);
+  }
+
+  /**
+   * Queue an event for every endpoint that wants it.
+   * Errors are logged, never thrown, so callers need not wait for this.
+   * @param {string} type - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event data; must include the file's publicKey and no secrets
+   * @returns {Promise<number>} Deliveries queued
+   */
+  async emit(type, data) {
+    try {
+      const event = {
+        id: crypto.randomBytes(12).toString("hex"),
+        type,
+        createdAt: new Date().toISOString(),
+        data,
+      };
+
+      // Global endpoints are signed with WEBHOOK_SECRET when the delivery is sent
+      const targets = this.globalEndpoints().map((url) => ({ url }));
+      const registered = await this.client.hGetAll(fileKey(data.publicKey));
+      for (const entry of Object.values(registered)) {
+        const { url, secret, events } = JSON.parse(entry);
+        if (events.includes(type)) targets.push({ url, secret });
+      }
+      // Registrations end with the file
+      if (FINAL_EVENTS.includes(type)) await this.client.del(fileKey(data.publicKey));
+
+      for (const target of targets) {
+        const id = crypto.randomBytes(12).toString("hex");
+        const job = { id, event, ...target, attempts: 0 };
+        await this.client.set(jobKey(id), JSON.stringify(job));
+        await this.client.zAdd(QUEUE_KEY, { score: Date.now(), value: id });
+      }
+      return targets.length;
+    } catch (err) {
+      logger.error(`Webhook queueing error for ${type}: ${err}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Send the deliveries that are due.
+   * Deliveries are claimed atomically, so several instances can share the queue;
+   * a claim lapses if the instance dies before handling it.
+   * @returns {Promise<Object>} `{ delivered, retried, failed }`
+   */
+  async processDue() {
+    const now = Date.now();
+    const lease = now + config.webhookTimeout + 30 * 1000;
+    const ids = await runScript(this.client, CLAIM_DUE, [QUEUE_KEY], [now, lease, BATCH_SIZE]);
+
+    const stats = { delivered: 0, retried: 0, failed: 0 };
+    // Deliver the batch side by side so one slow receiver does not hold up the rest
+    await Promise.all(
+      ids.map(async (id) => {
+        stats[await this.deliver(id)]++;
+      })
+    );
+    return stats;
+  }
+
+  /**
+   * Send one delivery, then remove, reschedule or dead-letter it.
+   * @param {string} id - Id of a claimed delivery
+   * @returns {Promise<string>} "delivered", "retried" or "failed"
+   */
+  async deliver(id) {
+    const stored = await this.client.get(jobKey(id));
+    if (!stored) {
+      // Sent by another instance after this one's claim had lapsed
+      await this.client.zRem(QUEUE_KEY, id);
+      return "delivered";
+    }
+    const job = JSON.parse(stored);
+    job.attempts++;
+
+    let failure = null;
+    try {
+      // Webhooks registered by file owners carry their own secret and must stay public;
+      // WEBHOOK_URLS are set by the operator and may point into the local network
+      const publicOnly = Boolean(job.secret);
+      // Checked again on every delivery, as the rules may have changed since registration
+      if (publicOnly) assertWebhookUrl(job.url);
+      const body = JSON.stringify(job.event);
+      const secret = job.secret || config.webhookSecret;
+      const response = await postWebhook(job.url, {
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "file-sharing-api-webhooks",
+          "X-Webhook-Id": job.event.id,
+          "X-Webhook-Event": job.event.type,
+          "X-Webhook-Signature": signWebhook(secret, Math.floor(Date.now() / 1000), body),
+        },
+        body,
+        timeout: config.webhookTimeout,
+        publicOnly,
+      });
+      if (!response.ok) failure = `HTTP ${response.status}`;
+    } catch (err) {
+      failure = err.message;
+    }
+
+    if (!failure) {
+      await this.client.del(jobKey(id));
+      await this.client.zRem(QUEUE_KEY, id);
+      return "delivered";
+    }
+
+    if (job.attempts >= config.webhookMaxAttempts) {
+      // Keep the event for inspection, but not the receiver's secret
+      const { secret, ...letter } = job;
+      await this.client.lPush(
+        DEAD_LETTER_KEY,
+        JSON.stringify({ ...letter, lastError: failure, failedAt: new Date().toISOString() })
+      );
+      await this.client.lTrim(DEAD_LETTER_KEY, 0, DEAD_LETTER_LIMIT - 1);
+      await this.client.del(jobKey(id));
+      await this.client.zRem(QUEUE_KEY, id);
+      logger.error(`Webhook ${job.event.type} to ${job.url} failed ${job.attempts} times: ${failure}`);
+      return "failed";
+    }
+
+    job.lastError = failure;
+    await this.client.set(jobKey(id), JSON.stringify(job));
+    await this.client.zAdd(QUEUE_KEY, {
+      score: Date.now() + this._retryDelay(job.attempts),
+      value: id,
+    });
+    logger.warn(`Webhook ${job.event.type} to ${job.url} failed (attempt ${job.attempts}): ${failure}`);
+    return "retried";
+  }
+
+  /**
+   * List deliveries that failed every attempt.
+   * @param {number} [limit] - Most recent dead letters to return (default: 100)
+   * @returns {Promise<Object[]>} Dead letters, newest first
+   */
+  async listDeadLetters(limit = 100) {
+    const entries = await this.client.lRange(DEAD_LETTER_KEY, 0, limit - 1);
+    return entries.map((entry) => JSON.parse(entry));
+  }
+
+  // Wait before the next attempt: WEBHOOK_RETRY_DELAY_MS doubling per attempt up to an
+  // hour, with some jitter so deliveries that failed together do not retry in lockstep
+  _retryDelay(attempts) {
+    const delay = Math.min(config.webhookRetryDelay * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+    return Math.round(delay * (0.8 + Math.random() * 0.2));
+  }
+}
+
+// Export a singleton instance of WebhookService
+module.exports = new WebhookService();
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
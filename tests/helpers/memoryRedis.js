@@ -0,0 +1,367 @@
+/**
+ * In-memory Redis client for tests.
+ * Implements the subset of node-redis v4 commands the services use. Every
+ * command yields to the event loop first, so concurrent callers interleave
+ * between commands like they would against a real server; the Lua scripts
+ * from utils/redisScripts run as one step, like EVAL does.
+ */
+
+const crypto = require("crypto");
+const {
+  CONSUME_QUOTA,
+  RELEASE_QUOTA,
+  COUNT_ATTEMPT,
+  CLAIM_DUE,
+} = require("../../utils/redisScripts");
+
+// Let other pending commands run first
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+class MemoryRedis {
+  constructor() {
+    this.data = new Map();
+    this.ttls = new Map();
+    // Scripts the server has cached, as EVALSHA finds them
+    this.loadedScripts = new Set();
+    // JavaScript equivalents of the Lua scripts, by digest
+    this.scripts = new Map([
+      [CONSUME_QUOTA.sha1, (keys, args) => this._consumeQuota(keys, args)],
+      [RELEASE_QUOTA.sha1, (keys, args) => this._releaseQuota(keys, args)],
+      [COUNT_ATTEMPT.sha1, (keys, args) => this._countAttempt(keys, args)],
+      [CLAIM_DUE.sha1, (keys, args) => this._claimDue(keys, args)],
+    ]);
+  }
+
+  // Same steps as CONSUME_QUOTA in utils/redisScripts.js
+  _consumeQuota([key], args) {
+    const [current, oldest, needBytes, addBytes, addRequests, byteLimit, requestLimit, ttl] =
+      args.map(Number);
+    const hash = this._hash(key);
+    const buckets = new Map();
+    let bytes = 0;
+    let requests = 0;
+
+    for (const [field, value] of [...hash]) {
+      const match = /^([a-z]):(-?\d+)$/i.exec(field);
+      const bucket = match ? Number(match[2]) : null;
+      if (bucket === null || bucket < oldest) {
+        hash.delete(field);
+        continue;
+      }
+      const usage = buckets.get(bucket) || [0, 0];
+      if (match[1] === "b") {
+        bytes += Number(value);
+        usage[0] += Number(value);
+      } else {
+        requests += Number(value);
+        usage[1] += Number(value);
+      }
+      buckets.set(bucket, usage);
+    }
+    const order = [...buckets.keys()].sort((a, b) => a - b);
+
+    const excessBytes = byteLimit > 0 ? bytes + needBytes - byteLimit : 0;
+    const excessRequests = requestLimit > 0 ? requests + addRequests - requestLimit : 0;
+    // Redis removes hashes whose last field was deleted
+    const dropIfEmpty = () => hash.size === 0 && this.data.delete(key);
+
+    if (excessBytes > 0 || excessRequests > 0) {
+      dropIfEmpty();
+      let release = -1;
+      let freedBytes = 0;
+      let freedRequests = 0;
+      for (const bucket of order) {
+        freedBytes += buckets.get(bucket)[0];
+        freedRequests += buckets.get(bucket)[1];
+        if (freedBytes >= excessBytes && freedRequests >= excessRequests) {
+          release = bucket;
+          break;
+        }
+      }
+      return [0, bytes, requests, release, excessBytes > 0 ? 1 : 0];
+    }
+
+    const add = (field, amount) =>
+      hash.set(field, String((Number(hash.get(field)) || 0) + amount));
+    if (addBytes > 0) add(`b:${current}`, addBytes);
+    if (addRequests > 0) add(`r:${current}`, addRequests);
+    if (addBytes > 0 || addRequests > 0) this.ttls.set(key, ttl);
+    dropIfEmpty();
+    return [1, bytes + addBytes, requests + addRequests, order.length > 0 ? order[0] : current];
+  }
+
+  // Same steps as RELEASE_QUOTA in utils/redisScripts.js
+  _releaseQuota([key], args) {
+    const [bucket, bytes, requests] = args.map(Number);
+    const hash = this._hash(key);
+    for (const [field, amount] of [[`b:${bucket}`, bytes], [`r:${bucket}`, requests]]) {
+      if (amount <= 0) continue;
+      const left = (Number(hash.get(field)) || 0) - amount;
+      if (left > 0) hash.set(field, String(left));
+      else hash.delete(field);
+    }
+    if (hash.size === 0) this.data.delete(key);
+    return 1;
+  }
+
+  // Same steps as COUNT_ATTEMPT in utils/redisScripts.js
+  _countAttempt([key], args) {
+    const [ttlSeconds, limit] = args.map(Number);
+    let count = parseInt(this.data.get(key)) || 0;
+    let allowed = 1;
+    if (limit > 0 && count >= limit) allowed = 0;
+    else count = this._incrBy(key, 1);
+    let ttl = this._ttl(key);
+    if (ttl < 0) {
+      this.ttls.set(key, ttlSeconds);
+      ttl = ttlSeconds;
+    }
+    return [allowed, count, ttl];
+  }
+
+  // Same steps as CLAIM_DUE in utils/redisScripts.js
+  _claimDue([key], args) {
+    const [now, until, limit] = args.map(Number);
+    const ids = [...this._sortedSet(key)]
+      .filter(([, score]) => score <= now)
+      .sort((a, b) => a[1] - b[1])
+      .slice(0, limit)
+      .map(([id]) => id);
+    for (const id of ids) this._sortedSet(key).set(id, until);
+    return ids;
+  }
+
+  async ping() {
+    await tick();
+    return "PONG";
+  }
+
+  async get(key) {
+    await tick();
+    const value = this.data.get(key);
+    return value === undefined ? null : value;
+  }
+
+  async set(key, value) {
+    await tick();
+    this.data.set(key, String(value));
+    return "OK";
+  }
+
+  async del(key) {
+    await tick();
+    this.ttls.delete(key);
+    return this.data.delete(key) ? 1 : 0;
+  }
+
+  _incrBy(key, increment) {
+    const value = (parseInt(this.data.get(key)) || 0) + increment;
+    this.data.set(key, String(value));
+    return value;
+  }
+
+  async incrBy(key, increment) {
+    await tick();
+    return this._incrBy(key, increment);
+  }
+
+  async incr(key) {
+    return this.incrBy(key, 1);
+  }
+
+  async expire(key, seconds) {
+    await tick();
+    if (!this.data.has(key)) return 0;
+    this.ttls.set(key, seconds);
+    return 1;
+  }
+
+  _ttl(key) {
+    if (!this.data.has(key)) return -2;
+    return this.ttls.has(key) ? this.ttls.get(key) : -1;
+  }
+
+  async ttl(key) {
+    await tick();
+    return this._ttl(key);
+  }
+
+  _hash(key) {
+    if (!this.data.has(key)) this.data.set(key, new Map());
+    return this.data.get(key);
+  }
+
+  async hSet(key, field, value) {
+    await tick();
+    this._hash(key).set(field, String(value));
+    return 1;
+  }
+
+  async hGet(key, field) {
+    await tick();
+    const value = this.data.has(key) ? this.data.get(key).get(field) : undefined;
+    return value === undefined ? null : value;
+  }
+
+  async hDel(key, field) {
+    await tick();
+    return this.data.has(key) && this.data.get(key).delete(field) ? 1 : 0;
+  }
+
+  async hGetAll(key) {
+    await tick();
+    return Object.fromEntries(this.data.has(key) ? this.data.get(key) : []);
+  }
+
+  // Sorted sets are kept as a Map of member to score
+  _sortedSet(key) {
+    return this._hash(key);
+  }
+
+  async zAdd(key, { score, value }) {
+    await tick();
+    const set = this._sortedSet(key);
+    const added = set.has(value) ? 0 : 1;
+    set.set(value, Number(score));
+    return added;
+  }
+
+  async zRem(key, member) {
+    await tick();
+    const removed = this.data.has(key) && this.data.get(key).delete(member) ? 1 : 0;
+    if (removed && this.data.get(key).size === 0) this.data.delete(key);
+    return removed;
+  }
+
+  async zScore(key, member) {
+    await tick();
+    const score = this.data.has(key) ? this.data.get(key).get(member) : undefined;
+    return score === undefined ? null : score;
+  }
+
+  async zCard(key) {
+    await tick();
+    return this.data.has(key) ? this.data.get(key).size : 0;
+  }
+
+  // Lists are kept as arrays, head first
+  _list(key) {
+    if (!this.data.has(key)) this.data.set(key, []);
+    return this.data.get(key);
+  }
+
+  async lPush(key, element) {
+    await tick();
+    return this._list(key).unshift(String(element));
+  }
+
+  // Resolve negative list indexes the way Redis does
+  _range(list, start, stop) {
+    const from = start < 0 ? Math.max(0, list.length + start) : start;
+    const to = stop < 0 ? list.length + stop : Math.min(stop, list.length - 1);
+    return [from, to];
+  }
+
+  async lTrim(key, start, stop) {
+    await tick();
+    const list = this._list(key);
+    const [from, to] = this._range(list, start, stop);
+    this.data.set(key, list.slice(from, to + 1));
+    if (this.data.get(key).length === 0) this.data.delete(key);
+    return "OK";
+  }
+
+  async lRange(key, start, stop) {
+    await tick();
+    if (!this.data.has(key)) return [];
+    const list = this.data.get(key);
+    const [from, to] = this._range(list, start, stop);
+    return list.slice(from, to + 1);
+  }
+
+  async lLen(key) {
+    await tick();
+    return this.data.has(key) ? this.data.get(key).length : 0;
+  }
+
+  // Streams are kept as arrays of { id, message }, oldest first
+  _stream(key) {
+    if (!this.data.has(key)) this.data.set(key, []);
+    return this.data.get(key);
+  }
+
+  // Compare two stream ids given as [ms, seq]
+  _compareIds([ms1, seq1], [ms2, seq2]) {
+    return ms1 === ms2 ? seq1 - seq2 : ms1 - ms2;
+  }
+
+  // Parse an XRANGE bound; "(" makes it exclusive, and a bare time covers every sequence number
+  _streamBound(bound, isEnd) {
+    if (bound === "-") return { id: [-Infinity, 0], exclusive: false };
+    if (bound === "+") return { id: [Infinity, 0], exclusive: false };
+    const exclusive = bound.startsWith("(");
+    const [ms, seq] = (exclusive ? bound.slice(1) : bound).split("-");
+    return {
+      id: [Number(ms), seq === undefined ? (isEnd ? Infinity : 0) : Number(seq)],
+      exclusive,
+    };
+  }
+
+  async xAdd(key, id, message, options = {}) {
+    await tick();
+    const stream = this._stream(key);
+    // "*" ids never go backwards, even if the clock does
+    const last = stream.length > 0 ? stream[stream.length - 1].id.split("-").map(Number) : null;
+    const now = Date.now();
+    const entryId = last && last[0] >= now ? `${last[0]}-${last[1] + 1}` : `${now}-0`;
+    stream.push({ id: entryId, message: { ...message } });
+
+    if (options && options.TRIM && options.TRIM.strategy === "MINID") {
+      const threshold = this._streamBound(String(options.TRIM.threshold), false).id;
+      this.data.set(
+        key,
+        stream.filter((entry) => this._compareIds(entry.id.split("-").map(Number), threshold) >= 0)
+      );
+    }
+    return entryId;
+  }
+
+  async xRevRange(key, end, start, options = {}) {
+    await tick();
+    if (!this.data.has(key)) return [];
+    const upper = this._streamBound(end, true);
+    const lower = this._streamBound(start, false);
+    const inRange = (entry) => {
+      const id = entry.id.split("-").map(Number);
+      const belowUpper = this._compareIds(id, upper.id);
+      const aboveLower = this._compareIds(id, lower.id);
+      return (
+        (upper.exclusive ? belowUpper < 0 : belowUpper <= 0) &&
+        (lower.exclusive ? aboveLower > 0 : aboveLower >= 0)
+      );
+    };
+    const entries = this.data.get(key).filter(inRange).reverse();
+    return entries
+      .slice(0, options.COUNT || entries.length)
+      .map(({ id, message }) => ({ id, message: { ...message } }));
+  }
+
+  async evalSha(sha1, { keys = [], arguments: args = [] } = {}) {
+    await tick();
+    if (!this.loadedScripts.has(sha1)) {
+      throw new Error("NOSCRIPT No matching script. Please use EVAL.");
+    }
+    return this.scripts.get(sha1)(keys, args);
+  }
+
+  async eval(lua, { keys = [], arguments: args = [] } = {}) {
+    await tick();
+    // EVAL caches the script under its SHA-1 digest
+    const sha1 = crypto.createHash("sha1").update(lua).digest("hex");
+    if (!this.scripts.has(sha1)) throw new Error("ERR script not emulated by MemoryRedis");
+    this.loadedScripts.add(sha1);
+    return this.scripts.get(sha1)(keys, args);
+  }
+}
+
+module.exports = MemoryRedis;
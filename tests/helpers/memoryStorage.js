@@ -0,0 +1,88 @@
+/**
+ * In-memory storage provider for tests.
+ * Implements only the raw object primitives; everything else comes from StorageInterface.
+ */
+
+const { Readable } = require("stream");
+const StorageInterface = require("../../models/storage/storageInterface");
+const { generateKeys, hashKey } = require("../../utils/generateKeys");
+
+class MemoryStorage extends StorageInterface {
+  constructor() {
+    super();
+    this.objects = new Map();
+  }
+
+  async uploadFile(file) {
+    const { publicKey, privateKey } = generateKeys();
+    const blob = await this._storeBlob(file);
+    await this._writeObject(
+      `${publicKey}.meta`,
+      JSON.stringify({
+        privateKeyHash: hashKey(privateKey),
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: blob.size,
+        blob: blob.digest,
+        uploadedAt: new Date().toISOString(),
+        lastAccessed: new Date().toISOString(),
+        ...(file.scanStatus && { scanStatus: file.scanStatus }),
+      })
+    );
+    await this._writeIndexEntry(privateKey, publicKey);
+    return { publicKey, privateKey };
+  }
+
+  async deleteFile(privateKey) {
+    const publicKey = await this._lookupPublicKey(privateKey);
+    if (!publicKey) throw new Error("File not found");
+    return this.removeFile(publicKey);
+  }
+
+  async listFiles(options) {
+    const publicKeys = (await this._listObjects())
+      .filter((name) => name.endsWith(".meta"))
+      .map((name) => name.slice(0, -".meta".length));
+    return this._pageFiles(publicKeys, options);
+  }
+
+  async _readObject(name) {
+    if (!this.objects.has(name)) {
+      const error = new Error(`File not found: ${name}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return this.objects.get(name);
+  }
+
+  async _writeObject(name, data) {
+    this.objects.set(name, Buffer.from(data));
+  }
+
+  async _deleteObject(name) {
+    this.objects.delete(name);
+  }
+
+  async _writeStream(name, stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    this.objects.set(name, Buffer.concat(chunks));
+  }
+
+  async _moveObject(from, to) {
+    this.objects.set(to, await this._readObject(from));
+    this.objects.delete(from);
+  }
+
+  async _readStream(name) {
+    return Readable.from([await this._readObject(name)]);
+  }
+
+  async _listObjects(prefix = "") {
+    return [...this.objects.keys()].filter(
+      (k) => k.startsWith(prefix) && !k.slice(prefix.length).includes("/")
+    );
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,155 @@
+/**
+ * Integration tests for the admin file endpoints
+ * Storage, webhooks and the audit log are replaced by the mocks from tests/setup.js
+ */
+
+const request = require("supertest");
+const app = require("../../app");
+const config = require("../../config");
+const fileService = require("../../services/file.service");
+const webhookService = require("../../services/webhook.service");
+const auditService = require("../../services/audit.service");
+
+const publicKey = "0123456789abcdef0123456789abcdef";
+const otherKey = "fedcba9876543210fedcba9876543210";
+const auth = ["Authorization", "Bearer admin-secret"];
+
+// Wait for "close" listeners that run after supertest has the response
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("Admin file endpoints", () => {
+  const originalToken = config.adminToken;
+
+  beforeAll(() => {
+    config.adminToken = "admin-secret";
+  });
+
+  afterAll(() => {
+    config.adminToken = originalToken;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should require the admin token", async () => {
+    await request(app).get("/admin/files").expect(401);
+    await request(app).delete(`/admin/files/${publicKey}`).expect(401);
+    expect(fileService.listFiles).not.toHaveBeenCalled();
+    expect(fileService.forceDeleteFile).not.toHaveBeenCalled();
+  });
+
+  it("should list files with the parsed filter and page", async () => {
+    const page = {
+      files: [{ publicKey, originalName: "photo.png", mimeType: "image/png", size: 2048 }],
+      nextCursor: publicKey,
+    };
+    fileService.listFiles.mockResolvedValueOnce(page);
+
+    await request(app)
+      .get("/admin/files")
+      .query({ mimeType: "image/*", minSize: "1KB", uploadedBefore: "2026-03-01", limit: "5000" })
+      .set(...auth)
+      .expect(200, page);
+
+    expect(fileService.listFiles).toHaveBeenCalledWith(
+      { mimeType: "image/*", minSize: 1024, uploadedBefore: Date.UTC(2026, 2, 1) },
+      { cursor: undefined, limit: 1000 }
+    );
+  });
+
+  it("should refuse invalid filters", async () => {
+    const res = await request(app).get("/admin/files?maxSize=lots").set(...auth).expect(400);
+
+    expect(res.body).toEqual({
+      message: "Invalid file filter",
+      details: "maxSize must be a number of bytes, optionally with KB, MB or GB",
+    });
+    expect(fileService.listFiles).not.toHaveBeenCalled();
+  });
+
+  it("should show the metadata of a file", async () => {
+    const metadata = { publicKey, originalName: "photo.png", passwordProtected: false };
+    fileService.getFileMetadata.mockResolvedValueOnce(metadata);
+
+    await request(app).get(`/admin/files/${publicKey}`).set(...auth).expect(200, metadata);
+
+    expect(fileService.getFileMetadata).toHaveBeenCalledWith(publicKey);
+  });
+
+  it("should refuse malformed public keys", async () => {
+    await request(app).get("/admin/files/..%2F..%2Fetc").set(...auth).expect(400);
+    await request(app).delete("/admin/files/not-a-key").set(...auth).expect(400);
+    expect(fileService.getFileMetadata).not.toHaveBeenCalled();
+    expect(fileService.forceDeleteFile).not.toHaveBeenCalled();
+  });
+
+  it("should force-delete a file and notify and audit it", async () => {
+    await request(app)
+      .delete(`/admin/files/${publicKey}`)
+      .set(...auth)
+      .expect(200, { success: true });
+    await settle();
+
+    expect(fileService.forceDeleteFile).toHaveBeenCalledWith(publicKey);
+    expect(webhookService.emit).toHaveBeenCalledWith("file.deleted", { publicKey });
+    expect(auditService.record).toHaveBeenCalledWith(
+      expect.objectContaining({
+        operation: "adminDelete",
+        outcome: "success",
+        identity: "admin",
+        publicKey,
+      })
+    );
+  });
+
+  it("should pass on a missing file", async () => {
+    const error = new Error("File not found");
+    error.statusCode = 404;
+    fileService.forceDeleteFile.mockRejectedValueOnce(error);
+
+    await request(app).delete(`/admin/files/${publicKey}`).set(...auth).expect(404);
+
+    expect(webhookService.emit).not.toHaveBeenCalled();
+  });
+
+  it("should bulk delete matching files, requiring a filter", async () => {
+    await request(app).delete("/admin/files").set(...auth).expect(400);
+    expect(fileService.deleteFilesByFilter).not.toHaveBeenCalled();
+
+    const result = { deletedCount: 2, deletedFiles: [publicKey, otherKey], errorCount: 0 };
+    fileService.deleteFilesByFilter.mockResolvedValueOnce(result);
+
+    await request(app)
+      .delete("/admin/files?accessedBefore=2026-01-01")
+      .set(...auth)
+      .expect(200, result);
+
+    expect(fileService.deleteFilesByFilter).toHaveBeenCalledWith(
+      { accessedBefore: Date.UTC(2026, 0, 1) },
+      { dryRun: false }
+    );
+    expect(webhookService.emit).toHaveBeenCalledWith("file.deleted", { publicKey: otherKey });
+    expect(auditService.record).toHaveBeenCalledTimes(2);
+    expect(auditService.record).toHaveBeenCalledWith(
+      expect.objectContaining({ operation: "adminDelete", identity: "admin", publicKey: otherKey })
+    );
+  });
+
+  it("should only report matches on a dry run", async () => {
+    const result = { dryRun: true, matchedCount: 1, matchedFiles: [publicKey] };
+    fileService.deleteFilesByFilter.mockResolvedValueOnce(result);
+
+    await request(app)
+      .delete("/admin/files?name=report&dryRun=true")
+      .set(...auth)
+      .expect(200, result);
+
+    expect(fileService.deleteFilesByFilter).toHaveBeenCalledWith(
+      { name: "report" },
+      { dryRun: true }
+    );
+    expect(webhookService.emit).not.toHaveBeenCalled();
+    expect(auditService.record).not.toHaveBeenCalled();
+  });
+});
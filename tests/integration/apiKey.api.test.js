@@ -0,0 +1,202 @@
+/**
+ * Integration tests for API key authentication and the admin key endpoints
+ * Key lookups, storage and rate limiting are replaced by the mocks from tests/setup.js
+ */
+
+const request = require("supertest");
+const { finished } = require("stream/promises");
+const app = require("../../app");
+const config = require("../../config");
+const apiKeyService = require("../../services/apiKey.service");
+const fileService = require("../../services/file.service");
+const rateLimitService = require("../../services/rateLimit.service");
+
+const apiKey = {
+  id: "a1b2c3d4e5f6",
+  name: "Reports team",
+  dailyUploadLimit: 5 * 1024 ** 3,
+  maxFileSize: 1024,
+  operations: ["upload", "download"],
+  createdAt: "2025-01-01T00:00:00.000Z",
+};
+
+describe("API key authentication", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    apiKeyService.findKey.mockImplementation(async (key) =>
+      key === "fsk_valid" ? apiKey : null
+    );
+    fileService.uploadFile.mockImplementation(async (file) => {
+      file.stream.resume();
+      await finished(file.stream);
+      return { publicKey: "key-public", privateKey: "key-private" };
+    });
+    fileService.deleteFile.mockResolvedValue({ success: true });
+  });
+
+  it("should charge uploads with an X-API-Key header to the key", async () => {
+    await request(app)
+      .post("/files")
+      .set("X-API-Key", "fsk_valid")
+      .attach("file", Buffer.from("hello"), "notes.txt")
+      .expect(201);
+
+    expect(apiKeyService.findKey).toHaveBeenCalledWith("fsk_valid");
+    expect(rateLimitService.checkUploadRequest).toHaveBeenCalledWith(apiKey, expect.any(Number));
+    expect(rateLimitService.checkUploadLimit).toHaveBeenCalledWith(apiKey, 5, {
+      countRequest: false,
+    });
+  });
+
+  it("should accept keys as bearer tokens", async () => {
+    await request(app)
+      .post("/files")
+      .set("Authorization", "Bearer fsk_valid")
+      .attach("file", Buffer.from("hello"), "notes.txt")
+      .expect(201);
+
+    expect(rateLimitService.checkUploadRequest).toHaveBeenCalledWith(apiKey, expect.any(Number));
+    expect(rateLimitService.checkUploadLimit).toHaveBeenCalledWith(apiKey, 5, {
+      countRequest: false,
+    });
+  });
+
+  it("should keep IP limits for anonymous requests", async () => {
+    await request(app)
+      .post("/files")
+      .attach("file", Buffer.from("hello"), "notes.txt")
+      .expect(201);
+
+    expect(apiKeyService.findKey).not.toHaveBeenCalled();
+    expect(rateLimitService.checkUploadRequest).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.any(Number)
+    );
+    expect(rateLimitService.checkUploadLimit).toHaveBeenCalledWith(expect.any(String), 5, {
+      countRequest: false,
+    });
+  });
+
+  it("should reject unknown keys", async () => {
+    const res = await request(app)
+      .post("/files")
+      .set("X-API-Key", "fsk_revoked")
+      .attach("file", Buffer.from("hello"), "notes.txt")
+      .expect(401);
+
+    expect(res.body).toHaveProperty("message", "Invalid API key");
+    expect(fileService.uploadFile).not.toHaveBeenCalled();
+  });
+
+  it("should reject operations the key does not allow", async () => {
+    const res = await request(app)
+      .delete("/files/key-private")
+      .set("X-API-Key", "fsk_valid")
+      .expect(403);
+
+    expect(res.body).toHaveProperty("message", "Operation not allowed for this API key");
+    expect(fileService.deleteFile).not.toHaveBeenCalled();
+  });
+
+  it("should enforce the key's maximum file size", async () => {
+    const res = await request(app)
+      .post("/files")
+      .set("X-API-Key", "fsk_valid")
+      .attach("file", Buffer.alloc(2048, "a"), "notes.txt")
+      .expect(413);
+
+    expect(res.body).toHaveProperty("details", "Maximum file size is 1024 bytes");
+  });
+
+  it("should use the key's maximum size for resumable uploads", async () => {
+    const res = await request(app)
+      .post("/files/uploads")
+      .set("Tus-Resumable", "1.0.0")
+      .set("X-API-Key", "fsk_valid")
+      .set("Upload-Length", "2048")
+      .set("Upload-Metadata", `filename ${Buffer.from("notes.txt").toString("base64")}`)
+      .expect(413);
+
+    expect(res.body).toHaveProperty("details", "Maximum upload size is 1024 bytes");
+  });
+
+  it("should report Redis failures as unavailable", async () => {
+    apiKeyService.findKey.mockRejectedValueOnce(new Error("connection refused"));
+
+    await request(app).get("/files/0123456789abcdef0123456789abcdef")
+      .set("X-API-Key", "fsk_valid")
+      .expect(503);
+  });
+});
+
+describe("Admin API key endpoints", () => {
+  const originalToken = config.adminToken;
+
+  beforeAll(() => {
+    config.adminToken = "admin-secret";
+  });
+
+  afterAll(() => {
+    config.adminToken = originalToken;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should require the admin token", async () => {
+    await request(app).get("/admin/api-keys").expect(401);
+    await request(app)
+      .get("/admin/api-keys")
+      .set("Authorization", "Bearer wrong")
+      .expect(401);
+    expect(apiKeyService.listKeys).not.toHaveBeenCalled();
+  });
+
+  it("should be disabled without ADMIN_TOKEN", async () => {
+    config.adminToken = undefined;
+    try {
+      await request(app)
+        .get("/admin/api-keys")
+        .set("Authorization", "Bearer admin-secret")
+        .expect(404);
+    } finally {
+      config.adminToken = "admin-secret";
+    }
+  });
+
+  it("should create keys", async () => {
+    apiKeyService.createKey.mockResolvedValue({ key: "fsk_new", ...apiKey });
+
+    const res = await request(app)
+      .post("/admin/api-keys")
+      .set("Authorization", "Bearer admin-secret")
+      .send({ name: "Reports team", maxFileSize: "1KB", operations: ["upload", "download"] })
+      .expect(201);
+
+    expect(res.body).toHaveProperty("key", "fsk_new");
+    expect(apiKeyService.createKey).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "Reports team", maxFileSize: "1KB" })
+    );
+  });
+
+  it("should list keys", async () => {
+    apiKeyService.listKeys.mockResolvedValue([apiKey]);
+
+    const res = await request(app)
+      .get("/admin/api-keys")
+      .set("Authorization", "Bearer admin-secret")
+      .expect(200);
+
+    expect(res.body).toEqual({ apiKeys: [apiKey] });
+  });
+
+  it("should revoke keys", async () => {
+    await request(app)
+      .delete(`/admin/api-keys/${apiKey.id}`)
+      .set("Authorization", "Bearer admin-secret")
+      .expect(204);
+
+    expect(apiKeyService.revokeKey).toHaveBeenCalledWith(apiKey.id);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Integration tests for the audit log of file operations and its admin endpoint
+ * The audit log, storage and rate limiting are replaced by the mocks from tests/setup.js
+ */
+
+const request = require("supertest");
+const { Readable } = require("stream");
+const app = require("../../app");
+const config = require("../../config");
+const auditService = require("../../services/audit.service");
+const apiKeyService = require("../../services/apiKey.service");
+const fileService = require("../../services/file.service");
+const { logger } = require("../../utils/logger");
+
+const publicKey = "0123456789abcdef0123456789abcdef";
+const content = Buffer.from("abcdefghijklmnopqrstuvwxyz");
+
+// Wait for "close" listeners that run after supertest has the response
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("Audit records", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fileService.getFileInfo.mockResolvedValue({
+      publicKey,
+      originalName: "alphabet.txt",
+      mimeType: "text/plain",
+      size: content.length,
+      uploadedAt: "2026-03-11T12:00:00.000Z",
+    });
+    fileService.downloadFile.mockImplementation(async () => ({
+      stream: Readable.from([content]),
+      mimeType: "text/plain",
+      originalName: "alphabet.txt",
+      size: content.length,
+    }));
+  });
+
+  it("should record uploads with the stored size", async () => {
+    fileService.uploadFile.mockImplementationOnce(async (file) => {
+      await new Promise((resolve) => file.stream.on("end", resolve).resume());
+      return { publicKey, privateKey: "key-private" };
+    });
+
+    const res = await request(app)
+      .post("/files")
+      .attach("file", Buffer.from("notes"), "notes.txt")
+      .expect(201);
+    await settle();
+
+    expect(auditService.record).toHaveBeenCalledWith({
+      operation: "upload",
+      outcome: "success",
+      status: 201,
+      identity: "anonymous",
+      ip: expect.stringMatching(/127\.0\.0\.1$/),
+      requestId: res.headers["x-request-id"],
+      publicKey,
+      bytes: 5,
+    });
+  });
+
+  it("should record downloads with the bytes sent and the API key", async () => {
+    apiKeyService.findKey.mockResolvedValueOnce({ id: "a1b2c3", operations: ["download"] });
+
+    await request(app).get(`/files/${publicKey}`).set("X-API-Key", "fsk_test").expect(200);
+    await settle();
+
+    expect(auditService.record).toHaveBeenCalledWith(
+      expect.objectContaining({
+        operation: "download",
+        outcome: "success",
+        identity: "apiKey:a1b2c3",
+        publicKey,
+        bytes: content.length,
+      })
+    );
+  });
+
+  it("should record refused operations", async () => {
+    const error = new Error("File not found");
+    error.statusCode = 404;
+    fileService.getFileInfo.mockRejectedValueOnce(error);
+
+    await request(app).get(`/files/${publicKey}`).expect(404);
+    await settle();
+
+    expect(auditService.record).toHaveBeenCalledWith(
+      expect.objectContaining({ operation: "download", outcome: "failure", status: 404, publicKey })
+    );
+  });
+
+  it("should record deletions by public key, never the private key", async () => {
+    fileService.getPublicKey.mockResolvedValueOnce(publicKey);
+    fileService.deleteFile.mockResolvedValueOnce({ success: true });
+
+    await request(app).delete("/files/key-private").expect(200);
+    await settle();
+
+    expect(auditService.record).toHaveBeenCalledWith(
+      expect.objectContaining({ operation: "delete", outcome: "success", publicKey })
+    );
+    expect(JSON.stringify(auditService.record.mock.calls)).not.toContain("key-private");
+  });
+
+  it("should keep private keys and tokens out of the request logs", async () => {
+    const info = jest.spyOn(logger, "info").mockImplementation(() => {});
+    const error = jest.spyOn(logger, "error").mockImplementation(() => {});
+    fileService.getPublicKey.mockResolvedValueOnce(publicKey);
+    fileService.updateFileSettings.mockRejectedValueOnce(new Error("Storage offline"));
+
+    await request(app).patch("/files/key-private").send({ requireSignature: true }).expect(500);
+    await request(app).get(`/files/${publicKey}?token=unlock-secret&sig=signature-secret`);
+
+    const logged = JSON.stringify([...info.mock.calls, ...error.mock.calls]);
+    expect(logged).toContain("PATCH /files/[REDACTED]");
+    expect(logged).toContain(`/files/${publicKey}?token=%5BREDACTED%5D&sig=%5BREDACTED%5D`);
+    expect(logged).not.toContain("key-private");
+    expect(logged).not.toContain("secret");
+    info.mockRestore();
+    error.mockRestore();
+  });
+
+  it("should not record HEAD requests", async () => {
+    await request(app).head(`/files/${publicKey}`).expect(200);
+    await settle();
+
+    expect(auditService.record).not.toHaveBeenCalled();
+  });
+});
+
+describe("Request ids", () => {
+  it("should not take request ids from clients that are not trusted proxies", async () => {
+    const res = await request(app).get("/quota").set("X-Request-Id", "forged-id");
+
+    expect(res.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
+
+describe("Admin audit endpoint", () => {
+  const originalToken = config.adminToken;
+
+  beforeAll(() => {
+    config.adminToken = "admin-secret";
+  });
+
+  afterAll(() => {
+    config.adminToken = originalToken;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should require the admin token", async () => {
+    await request(app).get("/admin/audit").expect(401);
+    expect(auditService.query).not.toHaveBeenCalled();
+  });
+
+  it("should search the audit log", async () => {
+    const page = {
+      records: [{ id: "1773230400000-0", operation: "download", publicKey }],
+      nextCursor: "1773230400000-0",
+    };
+    auditService.query.mockResolvedValueOnce(page);
+
+    await request(app)
+      .get("/admin/audit")
+      .query({
+        publicKey,
+        identity: "apiKey:a1b2c3",
+        from: "2026-03-01T00:00:00Z",
+        to: "2026-03-31T00:00:00Z",
+        limit: 5000,
+      })
+      .set("Authorization", "Bearer admin-secret")
+      .expect(200, page);
+
+    expect(auditService.query).toHaveBeenCalledWith({
+      publicKey,
+      identity: "apiKey:a1b2c3",
+      from: "2026-03-01T00:00:00Z",
+      to: "2026-03-31T00:00:00Z",
+      limit: 1000,
+    });
+  });
+
+  it("should reject invalid time ranges", async () => {
+    const error = new Error("Invalid time range");
+    error.statusCode = 400;
+    auditService.query.mockRejectedValueOnce(error);
+
+    const res = await request(app)
+      .get("/admin/audit?from=yesterday")
+      .set("Authorization", "Bearer admin-secret")
+      .expect(400);
+
+    expect(res.body).toHaveProperty("message", "Invalid time range");
+  });
+});
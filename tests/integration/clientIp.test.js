@@ -0,0 +1,90 @@
+/**
+ * Integration tests for client identity behind trusted reverse proxies
+ * Storage, key lookups and rate limiting are replaced by the mocks from tests/setup.js
+ */
+
+const request = require("supertest");
+const app = require("../../app");
+const config = require("../../config");
+const rateLimitService = require("../../services/rateLimit.service");
+
+describe("Client identity behind proxies", () => {
+  const realTrustedProxies = config.trustedProxies;
+  const realForwardedHeader = config.forwardedHeader;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    rateLimitService.getQuota.mockResolvedValue({ window: "day" });
+  });
+
+  afterEach(() => {
+    config.trustedProxies = realTrustedProxies;
+    config.forwardedHeader = realForwardedHeader;
+  });
+
+  it("should ignore forwarding headers from untrusted peers", async () => {
+    const res = await request(app)
+      .get("/quota")
+      .set("X-Forwarded-For", "203.0.113.7")
+      .expect(200);
+
+    expect(res.body.identity).toEqual({ type: "ip", ip: "127.0.0.1" });
+    expect(rateLimitService.getQuota).toHaveBeenCalledWith("127.0.0.1");
+  });
+
+  it("should limit the client named by a trusted proxy", async () => {
+    config.trustedProxies = "127.0.0.1/32";
+
+    const res = await request(app)
+      .get("/quota")
+      .set("X-Forwarded-For", "198.51.100.1, 203.0.113.7")
+      .expect(200);
+
+    expect(res.body.identity).toEqual({ type: "ip", ip: "203.0.113.7" });
+    expect(rateLimitService.getQuota).toHaveBeenCalledWith("203.0.113.7");
+  });
+
+  it("should ignore a Forwarded header sent by the client", async () => {
+    config.trustedProxies = "127.0.0.1/32";
+
+    const res = await request(app)
+      .get("/quota")
+      .set("X-Forwarded-For", "203.0.113.9")
+      .set("Forwarded", "for=8.8.8.8")
+      .expect(200);
+
+    expect(res.body.identity).toEqual({ type: "ip", ip: "203.0.113.9" });
+  });
+
+  it("should count IPv6 clients by prefix", async () => {
+    config.trustedProxies = "127.0.0.1";
+    config.forwardedHeader = "Forwarded";
+
+    const res = await request(app)
+      .get("/quota")
+      .set("Forwarded", 'for="[2001:db8:1:2:3:4:5:6]:4711";proto=https')
+      .set("X-Forwarded-For", "203.0.113.9")
+      .expect(200);
+
+    expect(res.body.identity).toEqual({
+      type: "ip",
+      ip: "2001:db8:1:2:3:4:5:6",
+      prefix: "2001:db8:1:2::/64",
+    });
+    expect(rateLimitService.getQuota).toHaveBeenCalledWith("2001:db8:1:2::/64");
+  });
+
+  it("should apply download limits to the forwarded client", async () => {
+    config.trustedProxies = "127.0.0.1";
+    rateLimitService.checkDownloadLimit.mockRejectedValueOnce(
+      Object.assign(new Error("Daily download limit exceeded"), { statusCode: 429 })
+    );
+
+    await request(app)
+      .get("/files/0123456789abcdef0123456789abcdef")
+      .set("X-Forwarded-For", "203.0.113.7")
+      .expect(429);
+
+    expect(rateLimitService.checkDownloadLimit).toHaveBeenCalledWith("203.0.113.7");
+  });
+});
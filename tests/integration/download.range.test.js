@@ -0,0 +1,145 @@
+/**
+ * Integration tests for HTTP Range support on GET /files/:publicKey
+ * Storage and rate limiting are replaced by the mocks from tests/setup.js
+ */
+
+const request = require("supertest");
+const { Readable } = require("stream");
+const app = require("../../app");
+const fileService = require("../../services/file.service");
+const rateLimitService = require("../../services/rateLimit.service");
+
+const publicKey = "0123456789abcdef0123456789abcdef";
+const content = Buffer.from("abcdefghijklmnopqrstuvwxyz");
+const uploadedAt = "2025-01-01T00:00:00.000Z";
+
+// Collect a binary response body as a Buffer
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.on("end", () => callback(null, Buffer.concat(chunks)));
+};
+
+describe("GET /files/:publicKey with Range", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fileService.getFileInfo.mockResolvedValue({
+      publicKey,
+      originalName: "alphabet.txt",
+      mimeType: "text/plain",
+      size: content.length,
+      uploadedAt,
+    });
+    // Serve the requested slice like a storage provider would
+    fileService.downloadFile.mockImplementation(async (key, options = {}) => {
+      const { start = 0, end = content.length - 1 } = options.range || {};
+      return {
+        stream: Readable.from([content.subarray(start, end + 1)]),
+        mimeType: "text/plain",
+        originalName: "alphabet.txt",
+        size: content.length,
+      };
+    });
+  });
+
+  it("should advertise range support on full downloads", async () => {
+    const res = await request(app).get(`/files/${publicKey}`).expect(200);
+
+    expect(res.headers["accept-ranges"]).toBe("bytes");
+    expect(res.headers.etag).toBe(`"${publicKey}"`);
+    expect(res.text).toBe(content.toString());
+  });
+
+  it("should serve a single range with 206", async () => {
+    const res = await request(app)
+      .get(`/files/${publicKey}`)
+      .set("Range", "bytes=2-5")
+      .expect(206);
+
+    expect(res.headers["content-range"]).toBe(`bytes 2-5/${content.length}`);
+    expect(res.headers["content-length"]).toBe("4");
+    expect(res.text).toBe("cdef");
+    expect(fileService.downloadFile).toHaveBeenCalledWith(publicKey, {
+      range: { start: 2, end: 5 },
+    });
+  });
+
+  it("should serve multiple ranges as multipart/byteranges", async () => {
+    const res = await request(app)
+      .get(`/files/${publicKey}`)
+      .set("Range", "bytes=0-1,-2")
+      .buffer(true)
+      .parse(binaryParser)
+      .expect(206);
+
+    const boundary = res.headers["content-type"].match(/boundary=(\w+)/)[1];
+    const body = res.body.toString();
+    expect(res.headers["content-type"]).toContain("multipart/byteranges");
+    expect(Number(res.headers["content-length"])).toBe(res.body.length);
+    expect(body).toContain(`Content-Range: bytes 0-1/${content.length}\r\n\r\nab`);
+    expect(body).toContain(`Content-Range: bytes 24-25/${content.length}\r\n\r\nyz`);
+    expect(body.endsWith(`--${boundary}--\r\n`)).toBe(true);
+  });
+
+  it("should return 416 for unsatisfiable ranges", async () => {
+    const res = await request(app)
+      .get(`/files/${publicKey}`)
+      .set("Range", "bytes=100-200")
+      .expect(416);
+
+    expect(res.headers["content-range"]).toBe(`bytes */${content.length}`);
+    expect(fileService.downloadFile).not.toHaveBeenCalled();
+  });
+
+  it("should send the full file when If-Range does not match", async () => {
+    const res = await request(app)
+      .get(`/files/${publicKey}`)
+      .set("Range", "bytes=0-1")
+      .set("If-Range", '"stale-etag"')
+      .expect(200);
+
+    expect(res.text).toBe(content.toString());
+  });
+
+  it("should charge the download quota only for bytes served", async () => {
+    const reservation = { bytes: 4 };
+    rateLimitService.reserveDownload.mockResolvedValueOnce(reservation);
+
+    await request(app).get(`/files/${publicKey}`).set("Range", "bytes=0-3").expect(206);
+    // The reservation is settled on response close, after supertest has resolved
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(rateLimitService.reserveDownload).toHaveBeenCalledWith(expect.any(String), 4);
+    expect(rateLimitService.commitReservation).toHaveBeenCalledWith(reservation);
+    expect(rateLimitService.releaseReservation).not.toHaveBeenCalled();
+  });
+
+  it("should release the reserved quota when the storage stream fails", async () => {
+    const reservation = { bytes: content.length };
+    rateLimitService.reserveDownload.mockResolvedValueOnce(reservation);
+    fileService.downloadFile.mockResolvedValueOnce({
+      stream: new Readable({
+        read() {
+          this.push(content.subarray(0, 4));
+          this.destroy(new Error("bucket unavailable"));
+        },
+      }),
+      mimeType: "text/plain",
+      originalName: "alphabet.txt",
+      size: content.length,
+    });
+
+    await expect(request(app).get(`/files/${publicKey}`)).rejects.toThrow();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    // Nothing is charged for a download that failed on the server
+    expect(rateLimitService.releaseReservation).toHaveBeenCalledWith(reservation);
+    expect(rateLimitService.commitReservation).not.toHaveBeenCalled();
+  });
+
+  it("should not reserve quota for HEAD requests", async () => {
+    await request(app).head(`/files/${publicKey}`).expect(200);
+
+    expect(rateLimitService.reserveDownload).not.toHaveBeenCalled();
+  });
+});
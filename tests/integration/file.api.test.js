@@ -63,6 +63,9 @@ const mockRateLimitService = {
   }),
   checkDownloadLimit: jest.fn().mockResolvedValue(undefined),
   trackDownload: jest.fn().mockResolvedValue(undefined),
+  reserveDownload: jest.fn().mockResolvedValue(null),
+  commitReservation: jest.fn(),
+  releaseReservation: jest.fn().mockResolvedValue(undefined),
   client: {
     connect: jest.fn().mockResolvedValue(undefined),
     disconnect: jest.fn().mockResolvedValue(undefined)
@@ -179,7 +182,7 @@ describe("File API", () => {
 
     it("should enforce download limits", async () => {
       mockRateLimitService.checkDownloadLimit.mockRejectedValueOnce(
-        new Error("Daily download limit exceeded")
+        Object.assign(new Error("Daily download limit exceeded"), { statusCode: 429 })
       );
 
       const res = await request(app)
@@ -221,7 +224,7 @@ describe("File API", () => {
 
     it("should enforce download limits", async () => {
       mockRateLimitService.checkDownloadLimit.mockRejectedValueOnce(
-        new Error("Daily download limit exceeded")
+        Object.assign(new Error("Daily download limit exceeded"), { statusCode: 429 })
       );
 
       const res = await request(app)
@@ -0,0 +1,128 @@
+/**
+ * Integration tests for per-upload expiry and download allowances
+ * Storage and rate limiting are replaced by the mocks from tests/setup.js
+ */
+
+const request = require("supertest");
+const { Readable } = require("stream");
+const { finished } = require("stream/promises");
+const app = require("../../app");
+const fileService = require("../../services/file.service");
+
+const publicKey = "0123456789abcdef0123456789abcdef";
+
+// Wait until pending close handlers have run
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("File lifecycle options", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Drain the streamed part like a storage provider would
+    fileService.uploadFile.mockImplementation(async (file) => {
+      file.stream.resume();
+      await finished(file.stream);
+      return { publicKey, privateKey: "lifecycle-private" };
+    });
+    fileService.getFileInfo.mockResolvedValue({
+      publicKey,
+      originalName: "dump.txt",
+      mimeType: "text/plain",
+      size: 4,
+      uploadedAt: "2025-01-01T00:00:00.000Z",
+    });
+    fileService.downloadFile.mockImplementation(async () => ({
+      stream: Readable.from([Buffer.from("logs")]),
+      mimeType: "text/plain",
+      originalName: "dump.txt",
+      size: 4,
+    }));
+    fileService.registerDownload.mockResolvedValue({});
+  });
+
+  describe("POST /files", () => {
+    it("should store expiresIn and maxDownloads with the upload", async () => {
+      const res = await request(app)
+        .post("/files")
+        .attach("file", Buffer.from("logs"), "dump.txt")
+        .field("expiresIn", "1h")
+        .field("maxDownloads", "1")
+        .expect(201);
+
+      expect(res.body).toMatchObject({ publicKey, maxDownloads: 1 });
+      expect(new Date(res.body.expiresAt).getTime()).toBeGreaterThan(Date.now());
+      expect(fileService.updateFileLifecycle).toHaveBeenCalledWith(publicKey, {
+        expiresAt: res.body.expiresAt,
+        maxDownloads: 1,
+      });
+    });
+
+    it("should reject invalid options and remove the stored file", async () => {
+      const res = await request(app)
+        .post("/files")
+        .attach("file", Buffer.from("logs"), "dump.txt")
+        .field("maxDownloads", "zero")
+        .expect(400);
+
+      expect(res.body).toHaveProperty("message", "Invalid maxDownloads");
+      expect(fileService.deleteFile).toHaveBeenCalledWith("lifecycle-private");
+      expect(fileService.updateFileLifecycle).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /files/:publicKey", () => {
+    it("should return 410 once the file has expired", async () => {
+      const gone = new Error("File has expired");
+      gone.statusCode = 410;
+      gone.details = "This file is no longer available";
+      fileService.registerDownload.mockRejectedValueOnce(gone);
+
+      const res = await request(app).get(`/files/${publicKey}`).expect(410);
+
+      expect(res.body).toEqual({
+        message: "File has expired",
+        details: "This file is no longer available",
+      });
+      expect(fileService.downloadFile).not.toHaveBeenCalled();
+    });
+
+    it("should delete the file after its last allowed download", async () => {
+      fileService.registerDownload.mockResolvedValueOnce({ remainingDownloads: 0 });
+
+      const res = await request(app).get(`/files/${publicKey}`).expect(200);
+      await flush();
+
+      expect(res.text).toBe("logs");
+      expect(fileService.registerDownload).toHaveBeenCalledWith(publicKey, { count: true });
+      expect(fileService.expireFile).toHaveBeenCalledWith(publicKey);
+    });
+
+    it("should serve files with a download allowance whole and count every request", async () => {
+      fileService.getFileInfo.mockResolvedValue({
+        publicKey,
+        originalName: "dump.txt",
+        mimeType: "text/plain",
+        size: 4,
+        uploadedAt: "2025-01-01T00:00:00.000Z",
+        maxDownloads: 1,
+      });
+      fileService.registerDownload.mockResolvedValueOnce({ remainingDownloads: 0 });
+
+      // A range skipping the first byte still gets, and uses up, the whole file
+      const res = await request(app).get(`/files/${publicKey}`).set("Range", "bytes=1-").expect(200);
+      await flush();
+
+      expect(res.text).toBe("logs");
+      expect(res.headers["accept-ranges"]).toBe("none");
+      expect(fileService.downloadFile).toHaveBeenCalledWith(publicKey);
+      expect(fileService.registerDownload).toHaveBeenCalledWith(publicKey, { count: true });
+      expect(fileService.expireFile).toHaveBeenCalledWith(publicKey);
+    });
+
+    it("should not count HEAD requests as downloads", async () => {
+      await request(app).head(`/files/${publicKey}`).expect(200);
+
+      expect(fileService.registerDownload).toHaveBeenCalledWith(publicKey, { count: false });
+      expect(fileService.expireFile).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Integration tests for password-protected shares
+ * Storage and rate limiting are replaced by the mocks from tests/setup.js
+ */
+
+const request = require("supertest");
+const { Readable } = require("stream");
+const { finished } = require("stream/promises");
+const app = require("../../app");
+const config = require("../../config");
+const fileService = require("../../services/file.service");
+const rateLimitService = require("../../services/rateLimit.service");
+const MemoryRedis = require("../helpers/memoryRedis");
+
+const publicKey = "0123456789abcdef0123456789abcdef";
+
+describe("Password-protected shares", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fileService.uploadFile.mockImplementation(async (file) => {
+      file.stream.resume();
+      await finished(file.stream);
+      return { publicKey, privateKey: "protected-private" };
+    });
+    fileService.getFileInfo.mockResolvedValue({
+      publicKey,
+      originalName: "bundle.txt",
+      mimeType: "text/plain",
+      size: 6,
+      uploadedAt: "2025-01-01T00:00:00.000Z",
+      passwordProtected: true,
+    });
+    fileService.downloadFile.mockImplementation(async () => ({
+      stream: Readable.from([Buffer.from("secret")]),
+      mimeType: "text/plain",
+      originalName: "bundle.txt",
+      size: 6,
+    }));
+    fileService.registerDownload.mockResolvedValue({});
+    fileService.checkFilePassword.mockImplementation(
+      async (key, password) => password === "open sesame"
+    );
+    rateLimitService.reservePasswordAttempt.mockResolvedValue({ allowed: true });
+  });
+
+  it("should store only a hash of the upload password", async () => {
+    const res = await request(app)
+      .post("/files")
+      .attach("file", Buffer.from("secret"), "bundle.txt")
+      .field("password", "open sesame")
+      .expect(201);
+
+    expect(res.body).toMatchObject({ publicKey, passwordProtected: true });
+    const [key, hash] = fileService.protectFile.mock.calls[0];
+    expect(key).toBe(publicKey);
+    expect(hash).toMatch(/^scrypt\$/);
+    expect(hash).not.toContain("open sesame");
+  });
+
+  it("should require a password to download", async () => {
+    const res = await request(app).get(`/files/${publicKey}`).expect(401);
+
+    expect(res.body).toHaveProperty("message", "Password required");
+    expect(fileService.downloadFile).not.toHaveBeenCalled();
+  });
+
+  it("should download with the password header", async () => {
+    const res = await request(app)
+      .get(`/files/${publicKey}`)
+      .set("X-File-Password", "open sesame")
+      .expect(200);
+
+    expect(res.text).toBe("secret");
+    expect(rateLimitService.resetPasswordAttempts).toHaveBeenCalledWith(
+      publicKey,
+      expect.any(String)
+    );
+  });
+
+  it("should count attempts before checking the password, without counting a download", async () => {
+    await request(app)
+      .get(`/files/${publicKey}`)
+      .set("X-File-Password", "guess")
+      .expect(401);
+
+    expect(rateLimitService.reservePasswordAttempt).toHaveBeenCalledWith(
+      publicKey,
+      expect.any(String)
+    );
+    expect(rateLimitService.reservePasswordAttempt.mock.invocationCallOrder[0]).toBeLessThan(
+      fileService.checkFilePassword.mock.invocationCallOrder[0]
+    );
+    expect(rateLimitService.resetPasswordAttempts).not.toHaveBeenCalled();
+    expect(fileService.registerDownload).not.toHaveBeenCalled();
+  });
+
+  it("should let at most MAX_PASSWORD_ATTEMPTS parallel guesses reach the hash check", async () => {
+    const realService = jest.requireActual("../../services/rateLimit.service");
+    const realClient = realService.client;
+    realService.client = new MemoryRedis();
+    rateLimitService.reservePasswordAttempt.mockImplementation((...args) =>
+      realService.reservePasswordAttempt(...args)
+    );
+    // A slow hash check, so every guess is in flight before any finishes
+    fileService.checkFilePassword.mockImplementation(async () => {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      return false;
+    });
+
+    try {
+      const responses = await Promise.all(
+        Array.from({ length: config.maxPasswordAttempts + 3 }, () =>
+          request(app).get(`/files/${publicKey}`).set("X-File-Password", "guess")
+        )
+      );
+
+      const statuses = responses.map((res) => res.status).sort();
+      expect(fileService.checkFilePassword).toHaveBeenCalledTimes(config.maxPasswordAttempts);
+      expect(statuses.filter((status) => status === 401)).toHaveLength(config.maxPasswordAttempts);
+      expect(statuses.filter((status) => status === 429)).toHaveLength(3);
+    } finally {
+      realService.client = realClient;
+    }
+  });
+
+  it("should refuse attempts once the IP is blocked for the file", async () => {
+    rateLimitService.reservePasswordAttempt.mockResolvedValueOnce({
+      allowed: false,
+      error: { message: "Too many failed password attempts", statusCode: 429, retryAfter: 120 },
+    });
+
+    const res = await request(app)
+      .get(`/files/${publicKey}`)
+      .set("X-File-Password", "open sesame")
+      .expect(429);
+
+    expect(res.headers["retry-after"]).toBe("120");
+    expect(fileService.checkFilePassword).not.toHaveBeenCalled();
+  });
+
+  it("should exchange the password for an unlock token", async () => {
+    const unlock = await request(app)
+      .post(`/files/${publicKey}/unlock`)
+      .send({ password: "open sesame" })
+      .expect(200);
+
+    expect(unlock.body).toHaveProperty("token");
+    expect(unlock.body).toHaveProperty("expiresAt");
+    expect(unlock.headers["cache-control"]).toBe("no-store");
+
+    jest.clearAllMocks();
+    const res = await request(app)
+      .get(`/files/${publicKey}`)
+      .set("X-Unlock-Token", unlock.body.token)
+      .expect(200);
+
+    expect(res.text).toBe("secret");
+    expect(fileService.checkFilePassword).not.toHaveBeenCalled();
+
+    // The token also works as a query parameter for plain links
+    await request(app).get(`/files/${publicKey}?token=${unlock.body.token}`).expect(200);
+  });
+
+  it("should not unlock with a wrong password", async () => {
+    await request(app)
+      .post(`/files/${publicKey}/unlock`)
+      .send({ password: "guess" })
+      .expect(401);
+
+    expect(rateLimitService.reservePasswordAttempt).toHaveBeenCalled();
+    expect(rateLimitService.resetPasswordAttempts).not.toHaveBeenCalled();
+  });
+
+  it("should reject unlocking files without a password", async () => {
+    fileService.getFileInfo.mockResolvedValueOnce({ publicKey, passwordProtected: false });
+
+    await request(app)
+      .post(`/files/${publicKey}/unlock`)
+      .send({ password: "open sesame" })
+      .expect(400);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Integration tests for signed download URLs
+ * Storage and rate limiting are replaced by the mocks from tests/setup.js
+ */
+
+const request = require("supertest");
+const { Readable } = require("stream");
+const { finished } = require("stream/promises");
+const app = require("../../app");
+const config = require("../../config");
+const fileService = require("../../services/file.service");
+const rateLimitService = require("../../services/rateLimit.service");
+
+const publicKey = "0123456789abcdef0123456789abcdef";
+const privateKey = "signed-private-key";
+
+// Path and query of a URL returned by the API
+const pathOf = (url) => {
+  const parsed = new URL(url);
+  return `${parsed.pathname}${parsed.search}`;
+};
+
+describe("Signed download URLs", () => {
+  const originalKeys = config.signingKeys;
+
+  beforeAll(() => {
+    config.signingKeys = "k1:integration-secret";
+  });
+
+  afterAll(() => {
+    config.signingKeys = originalKeys;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fileService.uploadFile.mockImplementation(async (file) => {
+      file.stream.resume();
+      await finished(file.stream);
+      return { publicKey, privateKey };
+    });
+    fileService.getPublicKey.mockResolvedValue(publicKey);
+    fileService.getFileInfo.mockResolvedValue({
+      publicKey,
+      originalName: "report.txt",
+      mimeType: "text/plain",
+      size: 6,
+      uploadedAt: "2025-01-01T00:00:00.000Z",
+      requireSignature: true,
+    });
+    fileService.downloadFile.mockImplementation(async () => ({
+      stream: Readable.from([Buffer.from("report")]),
+      mimeType: "text/plain",
+      originalName: "report.txt",
+      size: 6,
+    }));
+    fileService.registerDownload.mockResolvedValue({});
+    rateLimitService.consumeSignedUrl.mockResolvedValue({ allowed: true });
+  });
+
+  it("should mint a signed URL for the private-key holder", async () => {
+    const res = await request(app)
+      .post(`/files/${privateKey}/signed-urls`)
+      .send({ expiresIn: "10m", maxDownloads: 2 })
+      .expect(201);
+
+    expect(fileService.getPublicKey).toHaveBeenCalledWith(privateKey);
+    expect(res.body).toMatchObject({ maxDownloads: 2, expiresAt: expect.any(String) });
+    expect(res.body.url).toContain(`/files/${publicKey}?expires=`);
+    expect(res.body.url).toContain("kid=k1");
+  });
+
+  it("should refuse unsigned downloads of files that require a signature", async () => {
+    const res = await request(app).get(`/files/${publicKey}`).expect(403);
+
+    expect(res.body).toHaveProperty("message", "Signed URL required");
+    expect(fileService.downloadFile).not.toHaveBeenCalled();
+  });
+
+  it("should download through a signed URL and count capped uses", async () => {
+    const { body } = await request(app)
+      .post(`/files/${privateKey}/signed-urls`)
+      .send({ maxDownloads: 1 })
+      .expect(201);
+
+    const res = await request(app).get(pathOf(body.url)).expect(200);
+
+    expect(res.text).toBe("report");
+    expect(rateLimitService.consumeSignedUrl).toHaveBeenCalledWith(
+      new URL(body.url).searchParams.get("sig"),
+      1,
+      expect.any(Number)
+    );
+  });
+
+  it("should count ranged downloads against the signed URL", async () => {
+    fileService.downloadFile.mockImplementation(async (key, { range } = {}) => ({
+      stream: Readable.from([
+        range ? Buffer.from("report").subarray(range.start, range.end + 1) : Buffer.from("report"),
+      ]),
+      mimeType: "text/plain",
+      size: 6,
+    }));
+    const { body } = await request(app)
+      .post(`/files/${privateKey}/signed-urls`)
+      .send({ maxDownloads: 1 })
+      .expect(201);
+
+    await request(app).get(pathOf(body.url)).set("Range", "bytes=1-").expect(206);
+    await request(app).head(pathOf(body.url)).expect(200);
+
+    expect(rateLimitService.consumeSignedUrl).toHaveBeenCalledTimes(1);
+  });
+
+  it("should reject downloads once the signed URL is used up", async () => {
+    rateLimitService.consumeSignedUrl.mockResolvedValue({
+      allowed: false,
+      error: { message: "Signed URL download limit reached", statusCode: 403 },
+    });
+    const { body } = await request(app)
+      .post(`/files/${privateKey}/signed-urls`)
+      .send({ maxDownloads: 1 })
+      .expect(201);
+
+    const res = await request(app).get(pathOf(body.url)).expect(403);
+
+    expect(res.body).toHaveProperty("message", "Signed URL download limit reached");
+    expect(fileService.registerDownload).not.toHaveBeenCalled();
+  });
+
+  it("should reject tampered URLs", async () => {
+    const { body } = await request(app).post(`/files/${privateKey}/signed-urls`).expect(201);
+    const url = new URL(body.url);
+    url.searchParams.set("expires", String(Number(url.searchParams.get("expires")) + 3600));
+
+    const res = await request(app).get(pathOf(url.toString())).expect(403);
+
+    expect(res.body).toHaveProperty("message", "Invalid signed URL");
+  });
+
+  it("should reject URLs bound to another IP", async () => {
+    const { body } = await request(app)
+      .post(`/files/${privateKey}/signed-urls`)
+      .send({ ip: "203.0.113.9" })
+      .expect(201);
+
+    await request(app).get(pathOf(body.url)).expect(403);
+  });
+
+  it("should let the owner require signatures at upload and later", async () => {
+    const upload = await request(app)
+      .post("/files")
+      .attach("file", Buffer.from("report"), "report.txt")
+      .field("requireSignature", "true")
+      .expect(201);
+
+    expect(upload.body).toMatchObject({ publicKey, requireSignature: true });
+    expect(fileService.updateFileSettings).toHaveBeenCalledWith(publicKey, {
+      requireSignature: true,
+    });
+
+    const res = await request(app)
+      .patch(`/files/${privateKey}`)
+      .send({ requireSignature: false })
+      .expect(200);
+
+    expect(res.body).toEqual({ publicKey, requireSignature: false });
+    expect(fileService.updateFileSettings).toHaveBeenLastCalledWith(publicKey, {
+      requireSignature: false,
+    });
+  });
+
+  it("should reject settings updates without settings", async () => {
+    await request(app).patch(`/files/${privateKey}`).send({}).expect(400);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Integration tests for the liveness and readiness endpoints
+ * Redis and storage are replaced by the mocks from tests/setup.js
+ */
+
+const request = require("supertest");
+const app = require("../../app");
+const rateLimitService = require("../../services/rateLimit.service");
+const fileService = require("../../services/file.service");
+
+describe("GET /healthz", () => {
+  it("should report the process alive without checking dependencies", async () => {
+    await request(app).get("/healthz").expect(200, { status: "ok" });
+    expect(fileService.checkStorageHealth).not.toHaveBeenCalled();
+  });
+});
+
+describe("GET /readyz", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should report ready with the result of every check", async () => {
+    const res = await request(app).get("/readyz").expect(200);
+
+    expect(res.headers["cache-control"]).toBe("no-store");
+    expect(res.body).toMatchObject({
+      status: "ready",
+      checks: {
+        redis: { status: "up", critical: false },
+        storage: { status: "up", critical: true },
+        cleanup: { critical: false },
+      },
+    });
+    expect(rateLimitService.ping).toHaveBeenCalled();
+    expect(fileService.checkStorageHealth).toHaveBeenCalled();
+  });
+
+  it("should answer 503 when storage is down", async () => {
+    fileService.checkStorageHealth.mockRejectedValueOnce(new Error("Bucket not found"));
+
+    const res = await request(app).get("/readyz").expect(503);
+
+    expect(res.body).toMatchObject({
+      status: "not ready",
+      checks: { storage: { status: "down", error: "probe failed" } },
+    });
+    expect(JSON.stringify(res.body)).not.toContain("Bucket not found");
+  });
+
+  it("should answer 503 when Redis is down and quotas fail closed", async () => {
+    rateLimitService.getHealth.mockReturnValueOnce({ degraded: true, failureMode: "closed" });
+    rateLimitService.ping.mockRejectedValueOnce(new Error("The client is closed"));
+
+    const res = await request(app).get("/readyz").expect(503);
+
+    expect(res.body.checks.redis).toMatchObject({ status: "down", critical: true });
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Integration tests for IP access rules, bans and their admin endpoints
+ * Rules, bans, storage and rate limiting are replaced by the mocks from tests/setup.js
+ */
+
+const request = require("supertest");
+const app = require("../../app");
+const config = require("../../config");
+const ipAccessService = require("../../services/ipAccess.service");
+const fileService = require("../../services/file.service");
+const rateLimitService = require("../../services/rateLimit.service");
+
+const publicKey = "0123456789abcdef0123456789abcdef";
+
+const ban = {
+  address: "198.51.100.1",
+  reason: "notFound",
+  offenses: 50,
+  bannedAt: "2026-03-11T12:00:00.000Z",
+  expiresAt: "2026-03-11T13:00:00.000Z",
+};
+
+// Wait for "finish" listeners that run after supertest has the response
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("IP access enforcement", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should refuse denylisted clients", async () => {
+    ipAccessService.checkAccess.mockResolvedValueOnce({ allowed: false, reason: "denied" });
+
+    const res = await request(app).get(`/files/${publicKey}`).expect(403);
+
+    expect(res.body).toHaveProperty("message", "Access denied");
+    expect(rateLimitService.checkDownloadLimit).not.toHaveBeenCalled();
+  });
+
+  it("should refuse banned clients until the ban expires", async () => {
+    ipAccessService.checkAccess.mockResolvedValueOnce({
+      allowed: false,
+      reason: "banned",
+      ban,
+      retryAfter: 1800,
+    });
+
+    const res = await request(app).delete("/files/key-private").expect(403);
+
+    expect(res.body).toHaveProperty("message", "Temporarily banned");
+    expect(res.headers["retry-after"]).toBe("1800");
+    expect(fileService.deleteFile).not.toHaveBeenCalled();
+  });
+
+  it("should check the client address and its ban group", async () => {
+    await request(app).get(`/files/${publicKey}`).set("X-Forwarded-For", "203.0.113.7");
+
+    expect(ipAccessService.checkAccess).toHaveBeenCalledWith(
+      expect.stringMatching(/127\.0\.0\.1$/),
+      expect.stringMatching(/127\.0\.0\.1$/)
+    );
+  });
+
+  it("should count downloads of unknown files", async () => {
+    const error = new Error("File not found");
+    error.statusCode = 404;
+    fileService.getFileInfo.mockRejectedValueOnce(error);
+
+    await request(app).get(`/files/${publicKey}`).expect(404);
+    await settle();
+
+    expect(ipAccessService.recordOffense).toHaveBeenCalledWith(
+      expect.any(String),
+      "notFound"
+    );
+  });
+
+  it("should count unknown private keys on delete, whatever error the provider reports", async () => {
+    // Google Cloud Storage and S3 report unknown keys as "File not found"
+    const error = new Error("File not found");
+    error.statusCode = 404;
+    fileService.getPublicKey.mockRejectedValueOnce(error);
+    fileService.deleteFile.mockRejectedValueOnce(error);
+
+    await request(app).delete("/files/guessed-key").expect(404);
+    await settle();
+
+    expect(ipAccessService.recordOffense).toHaveBeenCalledWith(
+      expect.any(String),
+      "invalidPrivateKey"
+    );
+  });
+
+  it("should not count failed key lookups as guesses", async () => {
+    const error = new Error("Bucket unreachable");
+    error.statusCode = 500;
+    fileService.getPublicKey.mockRejectedValueOnce(error);
+    fileService.deleteFile.mockRejectedValueOnce(error);
+
+    await request(app).delete("/files/some-key").expect(500);
+    await settle();
+
+    expect(ipAccessService.recordOffense).not.toHaveBeenCalled();
+  });
+
+  it("should count refused requests", async () => {
+    rateLimitService.checkDeleteLimit.mockResolvedValueOnce({
+      allowed: false,
+      error: { message: "Daily delete request limit exceeded", statusCode: 429, retryAfter: 60 },
+    });
+
+    await request(app).delete("/files/key-private").expect(429);
+    await settle();
+
+    expect(ipAccessService.recordOffense).toHaveBeenCalledWith(expect.any(String), "rateLimited");
+  });
+
+  it("should never count offenses of allowlisted clients", async () => {
+    ipAccessService.checkAccess.mockResolvedValueOnce({ allowed: true, allowlisted: true });
+    const error = new Error("File not found");
+    error.statusCode = 404;
+    fileService.getPublicKey.mockRejectedValueOnce(error);
+    fileService.deleteFile.mockRejectedValueOnce(error);
+
+    await request(app).delete("/files/guessed-key").expect(404);
+    await settle();
+
+    expect(ipAccessService.recordOffense).not.toHaveBeenCalled();
+  });
+});
+
+describe("Admin IP rule and ban endpoints", () => {
+  const originalToken = config.adminToken;
+
+  beforeAll(() => {
+    config.adminToken = "admin-secret";
+  });
+
+  afterAll(() => {
+    config.adminToken = originalToken;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should require the admin token", async () => {
+    await request(app).get("/admin/bans").expect(401);
+    expect(ipAccessService.listBans).not.toHaveBeenCalled();
+  });
+
+  it("should add rules", async () => {
+    const rule = { list: "deny", address: "203.0.113.0/24", createdAt: ban.bannedAt };
+    ipAccessService.addRule.mockResolvedValueOnce(rule);
+
+    const res = await request(app)
+      .post("/admin/ip-rules")
+      .set("Authorization", "Bearer admin-secret")
+      .send({ list: "deny", address: "203.0.113.0/24", note: "Scraper" })
+      .expect(201);
+
+    expect(res.body).toEqual(rule);
+    expect(ipAccessService.addRule).toHaveBeenCalledWith("deny", "203.0.113.0/24", "Scraper");
+  });
+
+  it("should list and remove rules", async () => {
+    await request(app)
+      .get("/admin/ip-rules")
+      .set("Authorization", "Bearer admin-secret")
+      .expect(200, { allow: [], deny: [] });
+
+    await request(app)
+      .delete("/admin/ip-rules/deny/203.0.113.0%2F24")
+      .set("Authorization", "Bearer admin-secret")
+      .expect(204);
+
+    expect(ipAccessService.removeRule).toHaveBeenCalledWith("deny", "203.0.113.0/24");
+  });
+
+  it("should list and lift bans", async () => {
+    ipAccessService.listBans.mockResolvedValueOnce([ban]);
+
+    await request(app)
+      .get("/admin/bans")
+      .set("Authorization", "Bearer admin-secret")
+      .expect(200, { bans: [ban] });
+
+    await request(app)
+      .delete("/admin/bans/2001:db8:1:2::%2F64")
+      .set("Authorization", "Bearer admin-secret")
+      .expect(204);
+
+    expect(ipAccessService.clearBan).toHaveBeenCalledWith("2001:db8:1:2::/64");
+  });
+});
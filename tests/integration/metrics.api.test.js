@@ -0,0 +1,119 @@
+/**
+ * Integration tests for the Prometheus metrics endpoint
+ * Storage and rate limiting are replaced by the mocks from tests/setup.js
+ */
+
+const request = require("supertest");
+const { Readable } = require("stream");
+const app = require("../../app");
+const config = require("../../config");
+const fileService = require("../../services/file.service");
+const metricsService = require("../../services/metrics.service");
+
+const publicKey = "0123456789abcdef0123456789abcdef";
+const content = Buffer.from("abcdefghijklmnopqrstuvwxyz");
+
+// Wait for "finish" and "close" listeners that run after supertest has the response
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+// Scrape the metrics
+const scrape = async () => (await request(app).get("/metrics").expect(200)).text;
+
+describe("GET /metrics", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    metricsService.reset();
+    fileService.getFileInfo.mockResolvedValue({
+      publicKey,
+      originalName: "alphabet.txt",
+      mimeType: "text/plain",
+      size: content.length,
+      uploadedAt: "2026-03-11T12:00:00.000Z",
+    });
+    fileService.downloadFile.mockImplementation(async () => ({
+      stream: Readable.from([content]),
+      mimeType: "text/plain",
+      originalName: "alphabet.txt",
+      size: content.length,
+    }));
+  });
+
+  it("should serve the Prometheus text format", async () => {
+    const res = await request(app).get("/metrics").expect(200);
+
+    expect(res.headers["content-type"]).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(res.text).toContain("# TYPE http_requests_total counter");
+    expect(res.text).toContain("# TYPE stored_files gauge");
+  });
+
+  it("should count requests by route pattern and bytes sent, without keys", async () => {
+    await request(app).get(`/files/${publicKey}`).expect(200);
+    await request(app).get("/no-such-route").expect(404);
+    await settle();
+
+    const text = await scrape();
+    expect(text).toMatch(/^http_requests_total\{method="GET",route="\/files\/:publicKey",status="200"\} 1$/m);
+    expect(text).toMatch(
+      /^http_request_duration_seconds_count\{method="GET",route="\/files\/:publicKey",status="200"\} 1$/m
+    );
+    expect(text).toMatch(/^http_requests_total\{method="GET",route="unmatched",status="404"\} 1$/m);
+    expect(text).toMatch(new RegExp(`^file_downloaded_bytes_total ${content.length}$`, "m"));
+    expect(text).not.toContain(publicKey);
+  });
+
+  it("should label refused requests by their route pattern", async () => {
+    const error = new Error("File not found");
+    error.statusCode = 404;
+    fileService.getFileInfo.mockRejectedValueOnce(error);
+
+    await request(app).get(`/files/${publicKey}`).expect(404);
+    await settle();
+
+    expect(await scrape()).toMatch(
+      /^http_requests_total\{method="GET",route="\/files\/:publicKey",status="404"\} 1$/m
+    );
+  });
+
+  it("should count uploads and upload rejections by reason", async () => {
+    fileService.uploadFile.mockImplementationOnce(async (file) => {
+      await new Promise((resolve) => file.stream.on("end", resolve).resume());
+      return { publicKey, privateKey: "key-private" };
+    });
+    await request(app).post("/files").attach("file", Buffer.from("notes"), "notes.txt").expect(201);
+
+    await request(app).post("/files").attach("file", Buffer.from("MZ"), "setup.exe").expect(400);
+
+    const quotaError = { allowed: false, error: { message: "Upload limit exceeded", statusCode: 429 } };
+    require("../../services/rateLimit.service").checkUploadLimit.mockResolvedValueOnce(quotaError);
+    fileService.uploadFile.mockImplementationOnce(async (file) => {
+      await new Promise((resolve) => file.stream.on("end", resolve).resume());
+      return { publicKey, privateKey: "key-private" };
+    });
+    await request(app).post("/files").attach("file", Buffer.from("notes"), "notes.txt").expect(429);
+    await settle();
+
+    const text = await scrape();
+    expect(text).toMatch(/^file_uploaded_bytes_total 5$/m);
+    expect(text).toMatch(/^file_upload_rejections_total\{reason="type"\} 1$/m);
+    expect(text).toMatch(/^file_upload_rejections_total\{reason="quota"\} 1$/m);
+    expect(text).toMatch(/^http_requests_total\{method="POST",route="\/files",status="400"\} 1$/m);
+  });
+
+  describe("with METRICS_TOKEN", () => {
+    const originalToken = config.metricsToken;
+
+    beforeAll(() => {
+      config.metricsToken = "metrics-secret";
+    });
+
+    afterAll(() => {
+      config.metricsToken = originalToken;
+    });
+
+    it("should require the token", async () => {
+      await request(app).get("/metrics").expect(401);
+      await request(app).get("/metrics").set("Authorization", "Bearer wrong").expect(401);
+      await request(app).get("/metrics").set("Authorization", "Bearer metrics-secret").expect(200);
+    });
+  });
+});
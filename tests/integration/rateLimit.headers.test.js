@@ -0,0 +1,228 @@
+/**
+ * Integration tests for RateLimit response headers and GET /quota
+ * Storage, key lookups and rate limiting are replaced by the mocks from tests/setup.js
+ */
+
+const request = require("supertest");
+const { Readable } = require("stream");
+const { finished } = require("stream/promises");
+const app = require("../../app");
+const apiKeyService = require("../../services/apiKey.service");
+const fileService = require("../../services/file.service");
+const rateLimitService = require("../../services/rateLimit.service");
+const MemoryStorage = require("../helpers/memoryStorage");
+
+const publicKey = "0123456789abcdef0123456789abcdef";
+const MB = 1024 * 1024;
+
+// Error like the one RateLimitService throws for exhausted download quotas
+const downloadLimitError = () =>
+  Object.assign(new Error("Daily download limit exceeded"), {
+    statusCode: 429,
+    currentUsage: 1024 * MB,
+    limit: 1024 * MB,
+    remaining: 0,
+    retryAfter: 3600,
+  });
+
+describe("RateLimit headers", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fileService.uploadFile.mockImplementation(async (file) => {
+      file.stream.resume();
+      await finished(file.stream);
+      return { publicKey, privateKey: "headers-private" };
+    });
+    fileService.deleteFile.mockResolvedValue({ success: true });
+    fileService.getFileInfo.mockResolvedValue({
+      publicKey,
+      originalName: "notes.txt",
+      mimeType: "text/plain",
+      size: 5,
+      uploadedAt: "2025-01-01T00:00:00.000Z",
+    });
+    fileService.downloadFile.mockImplementation(async () => ({
+      stream: Readable.from([Buffer.from("hello")]),
+      mimeType: "text/plain",
+      originalName: "notes.txt",
+      size: 5,
+    }));
+    rateLimitService.checkUploadLimit.mockResolvedValue({
+      allowed: true,
+      currentUsage: 5,
+      limit: 100 * MB,
+      remaining: 100 * MB - 5,
+      resetIn: 7200,
+    });
+    rateLimitService.checkDownloadLimit.mockResolvedValue({
+      currentUsage: 0,
+      limit: 1024 * MB,
+      remaining: 1024 * MB,
+      resetIn: 7200,
+    });
+  });
+
+  afterAll(() => {
+    rateLimitService.checkUploadLimit.mockResolvedValue({ allowed: true });
+    rateLimitService.checkDownloadLimit.mockResolvedValue(undefined);
+  });
+
+  it("should describe the upload quota on uploads", async () => {
+    const res = await request(app)
+      .post("/files")
+      .attach("file", Buffer.from("hello"), "notes.txt")
+      .expect(201);
+
+    expect(res.headers["ratelimit-limit"]).toBe(String(100 * MB));
+    expect(res.headers["ratelimit-remaining"]).toBe(String(100 * MB - 5));
+    expect(res.headers["ratelimit-reset"]).toBe("7200");
+    expect(res.headers["retry-after"]).toBeUndefined();
+  });
+
+  it("should send Retry-After when the upload quota is used up", async () => {
+    rateLimitService.checkUploadLimit.mockResolvedValue({
+      allowed: false,
+      error: {
+        message: "Daily upload limit exceeded",
+        statusCode: 429,
+        currentUsage: 100 * MB,
+        limit: 100 * MB,
+        remaining: 0,
+        retryAfter: 1800,
+      },
+    });
+
+    const res = await request(app)
+      .post("/files")
+      .attach("file", Buffer.from("hello"), "notes.txt")
+      .expect(429);
+
+    expect(res.headers["retry-after"]).toBe("1800");
+    expect(res.headers["ratelimit-remaining"]).toBe("0");
+    expect(res.headers["ratelimit-reset"]).toBe("1800");
+  });
+
+  it("should describe the download quota on downloads", async () => {
+    const res = await request(app).get(`/files/${publicKey}`).expect(200);
+
+    expect(res.headers["ratelimit-limit"]).toBe(String(1024 * MB));
+    expect(res.headers["ratelimit-remaining"]).toBe(String(1024 * MB));
+    expect(res.headers["ratelimit-reset"]).toBe("7200");
+  });
+
+  it("should send Retry-After when the download quota is used up", async () => {
+    rateLimitService.checkDownloadLimit.mockRejectedValue(downloadLimitError());
+
+    const res = await request(app).get(`/files/${publicKey}`).expect(429);
+
+    expect(res.headers["retry-after"]).toBe("3600");
+    expect(res.headers["ratelimit-remaining"]).toBe("0");
+  });
+
+  it("should not report rate limit service failures as exhausted quotas", async () => {
+    rateLimitService.checkDownloadLimit.mockRejectedValueOnce(
+      Object.assign(new Error("The client is closed"), { statusCode: 503 })
+    );
+
+    const res = await request(app).get(`/files/${publicKey}`).expect(503);
+
+    expect(res.body.message).toBe("Service temporarily unavailable");
+    expect(res.headers["retry-after"]).toBeUndefined();
+  });
+
+  it("should check the download quota only once per download", async () => {
+    await request(app).get(`/files/${publicKey}`).expect(200);
+
+    expect(rateLimitService.checkDownloadLimit).toHaveBeenCalledTimes(1);
+  });
+
+  it("should refuse deletes once the delete request limit is reached", async () => {
+    rateLimitService.checkDeleteLimit.mockResolvedValueOnce({
+      allowed: false,
+      error: {
+        message: "Daily delete request limit exceeded",
+        statusCode: 429,
+        currentUsage: 10,
+        limit: 10,
+        remaining: 0,
+        retryAfter: 600,
+      },
+    });
+
+    const res = await request(app).delete("/files/headers-private").expect(429);
+
+    expect(res.body.message).toBe("Daily delete request limit exceeded");
+    expect(res.headers["ratelimit-limit"]).toBe("10");
+    expect(res.headers["retry-after"]).toBe("600");
+    expect(fileService.deleteFile).not.toHaveBeenCalled();
+  });
+
+  it("should describe the upload quota when creating resumable uploads", async () => {
+    // Stage resumable uploads in memory
+    fileService.storage = new MemoryStorage();
+
+    const res = await request(app)
+      .post("/files/uploads")
+      .set("Tus-Resumable", "1.0.0")
+      .set("Upload-Length", "5")
+      .set("Upload-Metadata", `filename ${Buffer.from("notes.txt").toString("base64")}`)
+      .expect(201);
+
+    expect(res.headers["ratelimit-limit"]).toBe(String(100 * MB));
+    expect(res.headers["ratelimit-reset"]).toBe("7200");
+  });
+
+  it("should expose the headers to browsers", async () => {
+    const res = await request(app)
+      .get(`/files/${publicKey}`)
+      .set("Origin", "https://example.com")
+      .expect(200);
+
+    expect(res.headers["access-control-expose-headers"]).toEqual(
+      expect.stringContaining("RateLimit-Remaining")
+    );
+    expect(res.headers["access-control-expose-headers"]).toEqual(
+      expect.stringContaining("Retry-After")
+    );
+  });
+});
+
+describe("GET /quota", () => {
+  const usage = {
+    upload: { currentUsage: 5 * MB, limit: 100 * MB, remaining: 95 * MB, resetIn: 7200 },
+    download: { currentUsage: 0, limit: 1024 * MB, remaining: 1024 * MB, resetIn: 7200 },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    rateLimitService.getQuota.mockResolvedValue(usage);
+  });
+
+  it("should report the quota of the caller's IP", async () => {
+    const res = await request(app).get("/quota").expect(200);
+
+    expect(res.body).toEqual({
+      identity: { type: "ip", ip: expect.any(String) },
+      ...usage,
+    });
+    expect(rateLimitService.getQuota).toHaveBeenCalledWith(res.body.identity.ip);
+  });
+
+  it("should report the quota of the caller's API key", async () => {
+    const apiKey = { id: "a1b2c3d4e5f6", name: "Reports team", operations: ["upload"] };
+    apiKeyService.findKey.mockResolvedValueOnce(apiKey);
+
+    const res = await request(app).get("/quota").set("X-API-Key", "fsk_valid").expect(200);
+
+    expect(res.body.identity).toEqual({ type: "apiKey", id: apiKey.id, name: apiKey.name });
+    expect(rateLimitService.getQuota).toHaveBeenCalledWith(apiKey);
+  });
+
+  it("should report Redis failures as unavailable", async () => {
+    rateLimitService.getQuota.mockRejectedValue(
+      Object.assign(new Error("Rate limit service unavailable"), { statusCode: 503 })
+    );
+
+    await request(app).get("/quota").expect(503);
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * Integration tests for resumable (tus) uploads under /files/uploads
+ * Chunks are staged in the in-memory storage provider from tests/helpers, and in
+ * LocalStorage on a temporary folder where upload ids could reach the file system
+ */
+
+const fs = require("fs");
+const os = require("os");
+const nodePath = require("path");
+const request = require("supertest");
+const app = require("../../app");
+const fileService = require("../../services/file.service");
+const rateLimitService = require("../../services/rateLimit.service");
+const MemoryStorage = require("../helpers/memoryStorage");
+const LocalStorage = require("../../models/storage/localStorage");
+
+// Encode Upload-Metadata pairs
+const encodeMetadata = (metadata) =>
+  Object.entries(metadata)
+    .map(([key, value]) => `${key} ${Buffer.from(value).toString("base64")}`)
+    .join(",");
+
+describe("Resumable uploads (tus)", () => {
+  let storage;
+  let uploadedContent;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage = new MemoryStorage();
+    fileService.storage = storage;
+    uploadedContent = null;
+    // Drain the assembled stream like a storage provider would
+    fileService.uploadFile.mockImplementation(async (file) => {
+      const chunks = [];
+      for await (const chunk of file.stream) chunks.push(chunk);
+      uploadedContent = Buffer.concat(chunks).toString();
+      return { publicKey: "final-public-key", privateKey: "final-private-key" };
+    });
+  });
+
+  // Create an upload and return its path relative to the app
+  const createUpload = async (length, metadata = { filename: "notes.txt" }) => {
+    const res = await request(app)
+      .post("/files/uploads")
+      .set("Tus-Resumable", "1.0.0")
+      .set("Upload-Length", String(length))
+      .set("Upload-Metadata", encodeMetadata(metadata))
+      .expect(201);
+    return new URL(res.headers.location).pathname;
+  };
+
+  const patchChunk = (path, offset, body) =>
+    request(app)
+      .patch(path)
+      .set("Tus-Resumable", "1.0.0")
+      .set("Content-Type", "application/offset+octet-stream")
+      .set("Upload-Offset", String(offset))
+      .send(Buffer.from(body));
+
+  it("should describe capabilities on OPTIONS", async () => {
+    const res = await request(app).options("/files/uploads").expect(204);
+
+    expect(res.headers["tus-version"]).toBe("1.0.0");
+    expect(res.headers["tus-extension"]).toBe("creation,termination");
+    expect(Number(res.headers["tus-max-size"])).toBeGreaterThan(0);
+  });
+
+  it("should reject unsupported protocol versions", async () => {
+    const res = await request(app)
+      .post("/files/uploads")
+      .set("Tus-Resumable", "0.2.0")
+      .set("Upload-Length", "5")
+      .expect(412);
+
+    expect(res.headers["tus-version"]).toBe("1.0.0");
+  });
+
+  it("should upload a file in several chunks and resume from HEAD", async () => {
+    const path = await createUpload(11);
+    expect(rateLimitService.checkUploadLimit).toHaveBeenCalledWith(
+      expect.any(String),
+      11
+    );
+
+    await patchChunk(path, 0, "hello ").expect(204);
+
+    const head = await request(app)
+      .head(path)
+      .set("Tus-Resumable", "1.0.0")
+      .expect(200);
+    expect(head.headers["upload-offset"]).toBe("6");
+    expect(head.headers["upload-length"]).toBe("11");
+
+    const res = await patchChunk(path, 6, "world").expect(204);
+
+    expect(res.headers["upload-offset"]).toBe("11");
+    expect(res.headers["file-public-key"]).toBe("final-public-key");
+    expect(res.headers["file-private-key"]).toBe("final-private-key");
+    expect(uploadedContent).toBe("hello world");
+    expect(fileService.uploadFile).toHaveBeenCalledWith(
+      expect.objectContaining({ originalname: "notes.txt", size: 11 })
+    );
+  });
+
+  it("should reject a chunk at the wrong offset", async () => {
+    const path = await createUpload(10);
+
+    await patchChunk(path, 3, "abc").expect(409);
+  });
+
+  it("should reject chunks beyond Upload-Length", async () => {
+    const path = await createUpload(3);
+
+    await patchChunk(path, 0, "abcdef").expect(413);
+  });
+
+  it("should reject disallowed file types", async () => {
+    await request(app)
+      .post("/files/uploads")
+      .set("Tus-Resumable", "1.0.0")
+      .set("Upload-Length", "5")
+      .set("Upload-Metadata", encodeMetadata({ filename: "run.exe" }))
+      .expect(400);
+  });
+
+  it("should reject content that does not match its extension", async () => {
+    const path = await createUpload(5, { filename: "photo.png" });
+
+    const res = await patchChunk(path, 0, "hello").expect(400);
+
+    expect(res.body).toHaveProperty("message", "File content does not match its extension");
+    // The rejected upload cannot be resumed
+    expect(storage.objects.size).toBe(0);
+    await request(app).head(path).set("Tus-Resumable", "1.0.0").expect(404);
+  });
+
+  it("should reject uploads over the daily limit", async () => {
+    rateLimitService.checkUploadLimit.mockResolvedValueOnce({
+      allowed: false,
+      error: { message: "Daily upload limit exceeded", statusCode: 429 },
+    });
+
+    await request(app)
+      .post("/files/uploads")
+      .set("Tus-Resumable", "1.0.0")
+      .set("Upload-Length", "5")
+      .set("Upload-Metadata", encodeMetadata({ filename: "a.txt" }))
+      .expect(429);
+  });
+
+  it("should terminate an upload and free its chunks", async () => {
+    const path = await createUpload(10);
+    await patchChunk(path, 0, "abc").expect(204);
+
+    await request(app).delete(path).set("Tus-Resumable", "1.0.0").expect(204);
+
+    expect(storage.objects.size).toBe(0);
+    await request(app).head(path).set("Tus-Resumable", "1.0.0").expect(404);
+  });
+
+  it("should give back the quota of terminated and rejected uploads", async () => {
+    const reservation = { key: "quota:upload:day:ip", bucket: 1, bytes: 5, requests: 1 };
+    rateLimitService.checkUploadLimit.mockResolvedValue({ allowed: true, reservation });
+
+    const terminated = await createUpload(5);
+    await request(app).delete(terminated).set("Tus-Resumable", "1.0.0").expect(204);
+    expect(rateLimitService.releaseReservation).toHaveBeenCalledWith(reservation);
+
+    rateLimitService.releaseReservation.mockClear();
+    const rejected = await createUpload(5, { filename: "photo.png" });
+    await patchChunk(rejected, 0, "hello").expect(400);
+    expect(rateLimitService.releaseReservation).toHaveBeenCalledWith(reservation);
+
+    rateLimitService.checkUploadLimit.mockResolvedValue({ allowed: true });
+  });
+
+  it("should keep the quota of completed uploads", async () => {
+    const reservation = { key: "quota:upload:day:ip", bucket: 1, bytes: 5, requests: 1 };
+    rateLimitService.checkUploadLimit.mockResolvedValueOnce({ allowed: true, reservation });
+
+    const path = await createUpload(5);
+    await patchChunk(path, 0, "hello").expect(204);
+    await request(app).delete(path).set("Tus-Resumable", "1.0.0").expect(204);
+
+    expect(rateLimitService.releaseReservation).not.toHaveBeenCalled();
+  });
+});
+
+describe("Resumable uploads (tus) on local storage", () => {
+  let root;
+  let storage;
+  // JSON file outside the storage folder, shaped like an upload record
+  let outside;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    root = fs.mkdtempSync(nodePath.join(os.tmpdir(), "tus-"));
+    storage = new LocalStorage(nodePath.join(root, "storage"));
+    fileService.storage = storage;
+    outside = nodePath.join(root, "victim.json");
+    fs.writeFileSync(outside, JSON.stringify({ offset: 1, length: 2 }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const tus = (method, path) => request(app)[method](path).set("Tus-Resumable", "1.0.0");
+
+  it("should stage chunks in the storage folder", async () => {
+    const res = await tus("post", "/files/uploads")
+      .set("Upload-Length", "10")
+      .set("Upload-Metadata", encodeMetadata({ filename: "notes.txt" }))
+      .expect(201);
+    const path = new URL(res.headers.location).pathname;
+
+    await tus("patch", path)
+      .set("Content-Type", "application/offset+octet-stream")
+      .set("Upload-Offset", "0")
+      .send(Buffer.from("abc"))
+      .expect(204);
+
+    const head = await tus("head", path).expect(200);
+    expect(head.headers["upload-offset"]).toBe("3");
+  });
+
+  it.each(["..%2F..%2Fvictim", "..%2Fblobs%2Fabc", "0123456789abcdef0123456789ABCDEF"])(
+    "should answer 404 for the upload id %s without touching other files",
+    async (uploadId) => {
+      await tus("head", `/files/uploads/${uploadId}`).expect(404);
+      await tus("patch", `/files/uploads/${uploadId}`)
+        .set("Content-Type", "application/offset+octet-stream")
+        .set("Upload-Offset", "1")
+        .send(Buffer.from("x"))
+        .expect(404);
+      await tus("delete", `/files/uploads/${uploadId}`).expect(404);
+
+      expect(fs.existsSync(outside)).toBe(true);
+      expect(fs.readdirSync(root).sort()).toEqual(["storage", "victim.json"]);
+    }
+  );
+
+  it("should refuse object names that leave the storage folder", async () => {
+    await expect(storage.getStagedUpload("../../victim")).rejects.toMatchObject({
+      statusCode: 400,
+    });
+    await expect(storage.deleteStagedUpload("../../victim")).rejects.toMatchObject({
+      statusCode: 400,
+    });
+    expect(fs.existsSync(outside)).toBe(true);
+  });
+});
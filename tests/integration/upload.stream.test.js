@@ -0,0 +1,247 @@
+/**
+ * Integration tests for streaming uploads on POST /files
+ * The storage provider is replaced by the file service mock from tests/setup.js
+ */
+
+const http = require("http");
+const request = require("supertest");
+const app = require("../../app");
+const fileService = require("../../services/file.service");
+const rateLimitService = require("../../services/rateLimit.service");
+
+describe("POST /files streaming upload", () => {
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = null;
+    // Drain the part like a storage provider would, recording what arrived
+    fileService.uploadFile.mockImplementation(async (file) => {
+      stored = { file, chunks: [] };
+      try {
+        for await (const chunk of file.stream) stored.chunks.push(chunk);
+      } catch (err) {
+        stored.error = err;
+        throw err;
+      }
+      stored.size = file.size;
+      return { publicKey: "stream-public", privateKey: "stream-private" };
+    });
+    fileService.deleteFile.mockResolvedValue({ success: true });
+  });
+
+  it("should stream the file into storage without buffering it", async () => {
+    const res = await request(app)
+      .post("/files")
+      .attach("file", Buffer.from("streamed content"), "notes.txt")
+      .expect(201);
+
+    expect(res.body).toEqual({
+      publicKey: "stream-public",
+      privateKey: "stream-private",
+    });
+    expect(stored.file.buffer).toBeUndefined();
+    expect(Buffer.concat(stored.chunks).toString()).toBe("streamed content");
+    // The size is known by the time the provider writes metadata
+    expect(stored.size).toBe(16);
+    expect(rateLimitService.checkUploadLimit).toHaveBeenCalledWith(
+      expect.any(String),
+      16,
+      { countRequest: false }
+    );
+  });
+
+  it("should stop files over the size limit mid-stream", async () => {
+    const res = await request(app)
+      .post("/files")
+      .attach("file", Buffer.alloc(11 * 1024 * 1024), "large.txt")
+      .expect(413);
+
+    expect(res.body).toHaveProperty("message", "File too large");
+    expect(stored.error).toMatchObject({ code: "LIMIT_FILE_SIZE" });
+    // Nothing past the limit reached storage
+    expect(Buffer.concat(stored.chunks).length).toBeLessThanOrEqual(10 * 1024 * 1024);
+  });
+
+  it("should reject unsupported file types before storing", async () => {
+    const res = await request(app)
+      .post("/files")
+      .attach("file", Buffer.from("x"), "run.exe")
+      .expect(400);
+
+    expect(res.body).toHaveProperty("message", "Only certain file types are allowed");
+    expect(fileService.uploadFile).not.toHaveBeenCalled();
+  });
+
+  it("should reject content that does not match its extension", async () => {
+    // A Windows executable renamed to look like an image
+    const res = await request(app)
+      .post("/files")
+      .attach("file", Buffer.concat([Buffer.from("MZ"), Buffer.alloc(64)]), "photo.png")
+      .expect(400);
+
+    expect(res.body).toHaveProperty("message", "File content does not match its extension");
+    expect(stored.error).toMatchObject({ code: "LIMIT_FILE_TYPES" });
+    expect(stored.chunks).toHaveLength(0);
+  });
+
+  it("should record the detected MIME type instead of the declared one", async () => {
+    const png = Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      Buffer.alloc(32),
+    ]);
+
+    await request(app)
+      .post("/files")
+      .attach("file", png, { filename: "photo.png", contentType: "text/html" })
+      .expect(201);
+
+    expect(stored.file.mimetype).toBe("image/png");
+    expect(Buffer.concat(stored.chunks)).toEqual(png);
+  });
+
+  it("should report quarantined uploads", async () => {
+    fileService.uploadFile.mockImplementationOnce(async (file) => {
+      const chunks = [];
+      for await (const chunk of file.stream) chunks.push(chunk);
+      return { publicKey: "stream-public", privateKey: "stream-private", scanStatus: "pending" };
+    });
+
+    const res = await request(app)
+      .post("/files")
+      .attach("file", Buffer.from("scan me"), "notes.txt")
+      .expect(201);
+
+    expect(res.body).toHaveProperty("scanStatus", "pending");
+  });
+
+  it("should refuse uploads over the request limit before reading the body", async () => {
+    rateLimitService.checkUploadRequest.mockResolvedValueOnce({
+      allowed: false,
+      error: {
+        message: "Daily upload request limit exceeded",
+        statusCode: 429,
+        currentUsage: 10,
+        limit: 10,
+        remaining: 0,
+        retryAfter: 60,
+      },
+    });
+
+    const res = await request(app)
+      .post("/files")
+      .attach("file", Buffer.from("too many"), "notes.txt")
+      .expect(429);
+
+    expect(res.body).toHaveProperty("message", "Daily upload request limit exceeded");
+    expect(res.headers["retry-after"]).toBe("60");
+    expect(fileService.uploadFile).not.toHaveBeenCalled();
+    // The declared body size is checked against the byte limit up front
+    expect(rateLimitService.checkUploadRequest).toHaveBeenCalledWith(
+      expect.any(String),
+      Number(res.req.getHeader("Content-Length"))
+    );
+  });
+
+  it("should settle the counted request together with the file's bytes", async () => {
+    const counted = { requests: 1 };
+    const reservation = { bytes: 5 };
+    rateLimitService.checkUploadRequest.mockResolvedValueOnce({ allowed: true, reservation: counted });
+    rateLimitService.checkUploadLimit.mockResolvedValueOnce({ allowed: true, reservation });
+
+    await request(app).post("/files").attach("file", Buffer.from("hello"), "notes.txt").expect(201);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(rateLimitService.commitReservation).toHaveBeenCalledWith(counted);
+    expect(rateLimitService.commitReservation).toHaveBeenCalledWith(reservation);
+  });
+
+  it("should delete the stored file when the upload limit is exceeded", async () => {
+    rateLimitService.checkUploadLimit.mockResolvedValueOnce({
+      allowed: false,
+      error: { message: "Daily upload limit exceeded" },
+    });
+
+    await request(app)
+      .post("/files")
+      .attach("file", Buffer.from("over quota"), "notes.txt")
+      .expect(429);
+
+    expect(fileService.deleteFile).toHaveBeenCalledWith("stream-private");
+  });
+
+  it("should commit the reserved quota once the keys are sent", async () => {
+    const reservation = { bytes: 5 };
+    rateLimitService.checkUploadLimit.mockResolvedValueOnce({ allowed: true, reservation });
+
+    await request(app).post("/files").attach("file", Buffer.from("hello"), "notes.txt").expect(201);
+    // The reservation is settled on response close, after supertest has resolved
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(rateLimitService.commitReservation).toHaveBeenCalledWith(reservation);
+    expect(rateLimitService.releaseReservation).not.toHaveBeenCalled();
+  });
+
+  it("should release the reserved quota when storing the file settings fails", async () => {
+    const reservation = { bytes: 5 };
+    rateLimitService.checkUploadLimit.mockResolvedValueOnce({ allowed: true, reservation });
+    fileService.updateFileLifecycle.mockRejectedValueOnce(new Error("metadata write failed"));
+
+    await request(app)
+      .post("/files")
+      .field("expiresIn", "1h")
+      .attach("file", Buffer.from("hello"), "notes.txt")
+      .expect(500);
+
+    expect(fileService.deleteFile).toHaveBeenCalledWith("stream-private");
+    expect(rateLimitService.releaseReservation).toHaveBeenCalledWith(reservation);
+    expect(rateLimitService.commitReservation).not.toHaveBeenCalled();
+  });
+
+  it("should fail the storage stream when the client aborts", async () => {
+    const server = app.listen(0);
+    try {
+      const boundary = "----stream-test";
+      const head =
+        `--${boundary}\r\n` +
+        'Content-Disposition: form-data; name="file"; filename="partial.txt"\r\n' +
+        "Content-Type: text/plain\r\n\r\n";
+
+      const req = http.request({
+        port: server.address().port,
+        method: "POST",
+        path: "/files",
+        headers: {
+          "Content-Type": `multipart/form-data; boundary=${boundary}`,
+          "Content-Length": head.length + 1024 * 1024,
+        },
+      });
+      req.on("error", () => {}); // The socket is destroyed on purpose
+      req.write(head);
+      req.write(Buffer.alloc(64 * 1024));
+
+      // Disconnect once storage has started receiving data
+      await new Promise((resolve) => {
+        const poll = setInterval(() => {
+          if (stored && stored.chunks.length > 0) {
+            clearInterval(poll);
+            resolve();
+          }
+        }, 10);
+      });
+      req.destroy();
+
+      await new Promise((resolve) => {
+        const poll = setInterval(() => {
+          if (stored.error) {
+            clearInterval(poll);
+            resolve();
+          }
+        }, 10);
+      });
+      expect(stored.error.message).toBe("Upload aborted by client");
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Integration tests for webhook events and the webhook endpoints
+ * Webhooks, storage and rate limiting are replaced by the mocks from tests/setup.js
+ */
+
+const request = require("supertest");
+const { Readable } = require("stream");
+const app = require("../../app");
+const config = require("../../config");
+const fileService = require("../../services/file.service");
+const webhookService = require("../../services/webhook.service");
+const MemoryStorage = require("../helpers/memoryStorage");
+
+const publicKey = "0123456789abcdef0123456789abcdef";
+const content = Buffer.from("abcdefghijklmnopqrstuvwxyz");
+
+// Drain the upload like a storage provider would
+const store = async (file) => {
+  await new Promise((resolve) => file.stream.on("end", resolve).resume());
+  return { publicKey, privateKey: "key-private" };
+};
+
+// Wait for "close" listeners that run after supertest has the response
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("Webhook events", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fileService.getFileInfo.mockResolvedValue({
+      publicKey,
+      originalName: "alphabet.txt",
+      mimeType: "text/plain",
+      size: content.length,
+      uploadedAt: "2026-03-11T12:00:00.000Z",
+    });
+    fileService.downloadFile.mockImplementation(async (key, options = {}) => {
+      const { start = 0, end = content.length - 1 } = options.range || {};
+      return {
+        stream: Readable.from([content.subarray(start, end + 1)]),
+        mimeType: "text/plain",
+        originalName: "alphabet.txt",
+        size: content.length,
+      };
+    });
+  });
+
+  it("should emit file.uploaded once the upload was acknowledged", async () => {
+    fileService.uploadFile.mockImplementationOnce(store);
+
+    await request(app).post("/files").attach("file", Buffer.from("notes"), "notes.txt").expect(201);
+    await settle();
+
+    expect(webhookService.emit).toHaveBeenCalledWith("file.uploaded", {
+      publicKey,
+      originalName: "notes.txt",
+      mimeType: "text/plain",
+      size: 5,
+    });
+  });
+
+  it("should emit file.uploaded when a resumable upload completes", async () => {
+    fileService.storage = new MemoryStorage();
+    fileService.uploadFile.mockImplementationOnce(store);
+
+    const created = await request(app)
+      .post("/files/uploads")
+      .set("Tus-Resumable", "1.0.0")
+      .set("Upload-Length", "5")
+      .set("Upload-Metadata", `filename ${Buffer.from("notes.txt").toString("base64")}`)
+      .expect(201);
+    await request(app)
+      .patch(new URL(created.headers.location).pathname)
+      .set("Tus-Resumable", "1.0.0")
+      .set("Content-Type", "application/offset+octet-stream")
+      .set("Upload-Offset", "0")
+      .send(Buffer.from("hello"))
+      .expect(204);
+
+    expect(webhookService.emit).toHaveBeenCalledWith(
+      "file.uploaded",
+      expect.objectContaining({ publicKey, originalName: "notes.txt", size: 5 })
+    );
+  });
+
+  it("should emit file.downloaded with the bytes sent", async () => {
+    await request(app).get(`/files/${publicKey}`).set("Range", "bytes=0-9").expect(206);
+    await settle();
+
+    expect(webhookService.emit).toHaveBeenCalledWith("file.downloaded", {
+      publicKey,
+      originalName: "alphabet.txt",
+      size: content.length,
+      bytesSent: 10,
+      partial: true,
+    });
+  });
+
+  it("should not emit file.downloaded for HEAD requests", async () => {
+    await request(app).head(`/files/${publicKey}`).expect(200);
+    await settle();
+
+    expect(webhookService.emit).not.toHaveBeenCalled();
+  });
+
+  it("should emit file.expired after the last allowed download", async () => {
+    fileService.registerDownload.mockResolvedValueOnce({ remainingDownloads: 0 });
+
+    await request(app).get(`/files/${publicKey}`).expect(200);
+    await settle();
+
+    expect(webhookService.emit).toHaveBeenCalledWith("file.expired", {
+      publicKey,
+      reason: "maxDownloads",
+    });
+  });
+
+  it("should emit file.deleted", async () => {
+    fileService.getPublicKey.mockResolvedValueOnce(publicKey);
+    fileService.deleteFile.mockResolvedValueOnce({ success: true });
+
+    await request(app).delete("/files/key-private").expect(200);
+
+    expect(webhookService.emit).toHaveBeenCalledWith("file.deleted", { publicKey });
+  });
+
+  it("should not emit anything when the private key is unknown", async () => {
+    fileService.getPublicKey.mockRejectedValueOnce(new Error("Invalid private key"));
+    fileService.deleteFile.mockRejectedValueOnce(new Error("Invalid private key"));
+
+    await request(app).delete("/files/guessed-key").expect(500);
+
+    expect(webhookService.emit).not.toHaveBeenCalled();
+  });
+});
+
+describe("File webhook endpoints", () => {
+  const webhook = {
+    id: "a1b2c3d4e5f6",
+    url: "https://tickets.example.com/hooks",
+    events: ["file.downloaded"],
+    createdAt: "2026-03-11T12:00:00.000Z",
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fileService.getPublicKey.mockResolvedValue(publicKey);
+  });
+
+  it("should register a webhook and return its secret", async () => {
+    webhookService.register.mockResolvedValueOnce({ ...webhook, secret: "whsec" });
+
+    const res = await request(app)
+      .post("/files/key-private/webhooks")
+      .send({ url: webhook.url, events: ["file.downloaded"] })
+      .expect(201);
+
+    expect(res.body).toEqual({ publicKey, ...webhook, secret: "whsec" });
+    expect(fileService.getPublicKey).toHaveBeenCalledWith("key-private");
+    expect(webhookService.register).toHaveBeenCalledWith(publicKey, {
+      url: webhook.url,
+      events: ["file.downloaded"],
+    });
+  });
+
+  it("should reject invalid webhooks", async () => {
+    const error = new Error("Invalid webhook URL");
+    error.statusCode = 400;
+    webhookService.register.mockRejectedValueOnce(error);
+
+    const res = await request(app)
+      .post("/files/key-private/webhooks")
+      .send({ url: "http://169.254.169.254/" })
+      .expect(400);
+
+    expect(res.body).toHaveProperty("message", "Invalid webhook URL");
+  });
+
+  it("should list and remove webhooks", async () => {
+    webhookService.listForFile.mockResolvedValueOnce([webhook]);
+
+    await request(app)
+      .get("/files/key-private/webhooks")
+      .expect(200, { publicKey, webhooks: [webhook] });
+
+    await request(app).delete(`/files/key-private/webhooks/${webhook.id}`).expect(204);
+
+    expect(webhookService.unregister).toHaveBeenCalledWith(publicKey, webhook.id);
+  });
+});
+
+describe("Admin dead-letter endpoint", () => {
+  const originalToken = config.adminToken;
+
+  beforeAll(() => {
+    config.adminToken = "admin-secret";
+  });
+
+  afterAll(() => {
+    config.adminToken = originalToken;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should require the admin token", async () => {
+    await request(app).get("/admin/webhooks/dead-letters").expect(401);
+    expect(webhookService.listDeadLetters).not.toHaveBeenCalled();
+  });
+
+  it("should list dead letters", async () => {
+    const letter = {
+      id: "0f0e0d0c0b0a090807060504",
+      url: "https://tickets.example.com/hooks",
+      attempts: 8,
+      lastError: "HTTP 500",
+      event: { type: "file.deleted", data: { publicKey } },
+    };
+    webhookService.listDeadLetters.mockResolvedValueOnce([letter]);
+
+    await request(app)
+      .get("/admin/webhooks/dead-letters?limit=5000")
+      .set("Authorization", "Bearer admin-secret")
+      .expect(200, { deadLetters: [letter] });
+
+    expect(webhookService.listDeadLetters).toHaveBeenCalledWith(1000);
+  });
+});
@@ -19,19 +19,86 @@ jest.mock("redis", () => {
 // Mock file service to prevent cleanup job errors
 jest.mock("../services/file.service", () => ({
   cleanupInactiveFiles: jest.fn().mockResolvedValue({ deletedCount: 0 }),
+  cleanupStagedUploads: jest.fn().mockResolvedValue({ deletedCount: 0 }),
+  rescanPendingFiles: jest.fn().mockResolvedValue({ cleanCount: 0 }),
+  checkStorageHealth: jest.fn().mockResolvedValue(undefined),
   uploadFile: jest.fn(),
+  getFileInfo: jest.fn(),
+  getPublicKey: jest.fn(),
+  updateFileSettings: jest.fn().mockResolvedValue(undefined),
+  updateFileLifecycle: jest.fn().mockResolvedValue(undefined),
+  protectFile: jest.fn().mockResolvedValue(undefined),
+  checkFilePassword: jest.fn().mockResolvedValue(false),
+  registerDownload: jest.fn().mockResolvedValue({}),
+  expireFile: jest.fn().mockResolvedValue({ success: true }),
   downloadFile: jest.fn(),
-  deleteFile: jest.fn()
+  deleteFile: jest.fn(),
+  listFiles: jest.fn().mockResolvedValue({ files: [], nextCursor: null }),
+  getFileMetadata: jest.fn(),
+  forceDeleteFile: jest.fn().mockResolvedValue({ success: true }),
+  deleteFilesByFilter: jest.fn()
 }));
 
 // Mock rateLimit service
 jest.mock("../services/rateLimit.service", () => ({
+  checkUploadRequest: jest.fn().mockResolvedValue({ allowed: true }),
   checkUploadLimit: jest.fn().mockResolvedValue({ allowed: true }),
   checkDownloadLimit: jest.fn().mockResolvedValue(undefined),
   trackDownload: jest.fn().mockResolvedValue(undefined),
+  reserveDownload: jest.fn().mockResolvedValue(null),
+  commitReservation: jest.fn(),
+  releaseReservation: jest.fn().mockResolvedValue(undefined),
+  checkDeleteLimit: jest.fn().mockResolvedValue({ allowed: true }),
+  reservePasswordAttempt: jest.fn().mockResolvedValue({ allowed: true }),
+  resetPasswordAttempts: jest.fn().mockResolvedValue(undefined),
+  consumeSignedUrl: jest.fn().mockResolvedValue({ allowed: true }),
+  getQuota: jest.fn(),
+  getHealth: jest.fn().mockReturnValue({
+    redis: "up",
+    degraded: false,
+    failureMode: "open",
+    fallbackCounters: 0
+  }),
+  ping: jest.fn().mockResolvedValue(undefined),
   disconnect: jest.fn().mockResolvedValue(undefined)
 }));
 
+// Mock API key service; requests without a key stay anonymous
+jest.mock("../services/apiKey.service", () => ({
+  createKey: jest.fn(),
+  findKey: jest.fn().mockResolvedValue(null),
+  listKeys: jest.fn().mockResolvedValue([]),
+  revokeKey: jest.fn().mockResolvedValue(undefined)
+}));
+
+// Mock IP access service; every client is allowed and no offense leads to a ban
+jest.mock("../services/ipAccess.service", () => ({
+  listRules: jest.fn().mockResolvedValue({ allow: [], deny: [] }),
+  addRule: jest.fn(),
+  removeRule: jest.fn().mockResolvedValue(undefined),
+  checkAccess: jest.fn().mockResolvedValue({ allowed: true, allowlisted: false }),
+  recordOffense: jest.fn().mockResolvedValue(null),
+  listBans: jest.fn().mockResolvedValue([]),
+  clearBan: jest.fn().mockResolvedValue(undefined)
+}));
+
+// Mock audit service; records are accepted but never stored
+jest.mock("../services/audit.service", () => ({
+  record: jest.fn().mockResolvedValue(undefined),
+  query: jest.fn().mockResolvedValue({ records: [], nextCursor: null })
+}));
+
+// Mock webhook service; events are accepted but never queued
+jest.mock("../services/webhook.service", () => ({
+  globalEndpoints: jest.fn().mockReturnValue([]),
+  register: jest.fn(),
+  listForFile: jest.fn().mockResolvedValue([]),
+  unregister: jest.fn().mockResolvedValue(undefined),
+  emit: jest.fn().mockResolvedValue(0),
+  processDue: jest.fn().mockResolvedValue({ delivered: 0, retried: 0, failed: 0 }),
+  listDeadLetters: jest.fn().mockResolvedValue([])
+}));
+
 // Set up mock filesystem
 vol.mkdirSync("/test-uploads", { recursive: true });
 
@@ -40,6 +107,7 @@ afterAll(async () => {
   try {
     const cleanupJob = require("../jobs/cleanup.job");
     cleanupJob.stop();
+    require("../jobs/webhook.job").stop();
   } catch (error) {
     console.error("Error during test cleanup:", error);
   }
@@ -0,0 +1,211 @@
+/**
+ * Unit tests for the admin file listing and deletion
+ * Covers filter parsing and matching, paging through storage listings and the
+ * FileService admin methods on top of the in-memory provider
+ */
+
+jest.mock("../../utils/logger");
+// Back the real FileService with the in-memory provider
+jest.mock("../../models/storage/localStorage", () => require("../helpers/memoryStorage"));
+
+const { parseFileFilter, matchesFileFilter } = require("../../utils/fileFilter");
+const MemoryStorage = require("../helpers/memoryStorage");
+const fileService = jest.requireActual("../../services/file.service");
+
+// Upload time of stored files unless a test gives one
+const UPLOADED_AT = "2026-03-10T12:00:00Z";
+
+// Store a file and set its upload time
+const store = async (storage, originalname, mimetype, content, uploadedAt = UPLOADED_AT) => {
+  const { publicKey, privateKey } = await storage.uploadFile({
+    buffer: Buffer.from(content),
+    originalname,
+    mimetype,
+  });
+  await storage.updateMetadata(publicKey, { uploadedAt, lastAccessed: uploadedAt });
+  return { publicKey, privateKey };
+};
+
+describe("parseFileFilter()", () => {
+  it("should parse names, MIME types, sizes and dates", () => {
+    expect(
+      parseFileFilter({
+        name: "Report",
+        mimeType: "Image/*",
+        minSize: "1KB",
+        maxSize: "2 mb",
+        uploadedAfter: "2026-03-01T00:00:00Z",
+        accessedBefore: "1772323200000",
+        limit: "10",
+      })
+    ).toEqual({
+      name: "report",
+      mimeType: "image/*",
+      minSize: 1024,
+      maxSize: 2 * 1024 * 1024,
+      uploadedAfter: Date.UTC(2026, 2, 1),
+      accessedBefore: 1772323200000,
+    });
+    expect(parseFileFilter({ name: "", minSize: "" })).toEqual({});
+  });
+
+  it.each([
+    [{ minSize: "-1" }, "minSize must be a number of bytes, optionally with KB, MB or GB"],
+    [{ maxSize: "10TB" }, "maxSize must be a number of bytes, optionally with KB, MB or GB"],
+    [{ uploadedAfter: "last week" }, "uploadedAfter must be an ISO 8601 date or a timestamp in ms"],
+    [{ name: ["a", "b"] }, "name may only be given once"],
+  ])("should reject %j", (query, details) => {
+    let error;
+    try {
+      parseFileFilter(query);
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toMatchObject({ message: "Invalid file filter", statusCode: 400, details });
+  });
+});
+
+describe("matchesFileFilter()", () => {
+  const metadata = {
+    originalName: "Quarterly Report.pdf",
+    mimeType: "application/pdf",
+    size: 2048,
+    uploadedAt: "2026-03-10T12:00:00.000Z",
+    lastAccessed: "2026-03-11T12:00:00.000Z",
+  };
+
+  it("should match every condition, with inclusive bounds", () => {
+    expect(matchesFileFilter(metadata, {})).toBe(true);
+    expect(
+      matchesFileFilter(metadata, {
+        name: "report",
+        mimeType: "application/*",
+        minSize: 2048,
+        maxSize: 2048,
+        uploadedAfter: Date.parse(metadata.uploadedAt),
+        accessedBefore: Date.parse(metadata.lastAccessed),
+      })
+    ).toBe(true);
+  });
+
+  it("should reject files failing any condition", () => {
+    expect(matchesFileFilter(metadata, { name: "invoice" })).toBe(false);
+    expect(matchesFileFilter(metadata, { mimeType: "application/zip" })).toBe(false);
+    expect(matchesFileFilter(metadata, { mimeType: "app/*" })).toBe(false);
+    expect(matchesFileFilter(metadata, { minSize: 2049 })).toBe(false);
+    expect(matchesFileFilter(metadata, { uploadedBefore: Date.UTC(2026, 2, 1) })).toBe(false);
+    expect(matchesFileFilter({ ...metadata, lastAccessed: undefined }, { accessedAfter: 0 })).toBe(
+      false
+    );
+  });
+});
+
+describe("StorageInterface listing", () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+  });
+
+  it("should page through files in publicKey order", async () => {
+    const keys = [];
+    for (let i = 0; i < 5; i++) {
+      const { publicKey } = await store(storage, `file${i}.txt`, "text/plain", "x");
+      keys.push(publicKey);
+    }
+    keys.sort();
+
+    const first = await storage.listFiles({ limit: 2 });
+    expect(first.files.map((f) => f.publicKey)).toEqual(keys.slice(0, 2));
+    expect(first.nextCursor).toBe(keys[1]);
+
+    const second = await storage.listFiles({ cursor: first.nextCursor, limit: 3 });
+    expect(second.files.map((f) => f.publicKey)).toEqual(keys.slice(2));
+    expect(second.nextCursor).toBeNull();
+    expect(second.files[0].metadata).toMatchObject({ originalName: expect.any(String), size: 1 });
+  });
+
+  it("should only return files matching the filter", async () => {
+    const { publicKey } = await store(storage, "photo.png", "image/png", "png");
+    await store(storage, "notes.txt", "text/plain", "notes");
+
+    const page = await storage.listFiles({ filter: { mimeType: "image/*" } });
+
+    expect(page.files.map((f) => f.publicKey)).toEqual([publicKey]);
+    expect(page.nextCursor).toBeNull();
+  });
+
+  it("should skip files removed while listing", async () => {
+    await store(storage, "a.txt", "text/plain", "a");
+    jest.spyOn(storage, "getMetadata").mockImplementationOnce(async () => {
+      const error = new Error("File not found");
+      error.statusCode = 404;
+      throw error;
+    });
+
+    await expect(storage.listFiles({})).resolves.toEqual({ files: [], nextCursor: null });
+  });
+});
+
+describe("FileService admin methods", () => {
+  let photo;
+  let notes;
+
+  beforeEach(async () => {
+    const storage = (fileService.storage = new MemoryStorage());
+    photo = await store(storage, "photo.png", "image/png", "png", "2026-01-05T00:00:00Z");
+    notes = await store(storage, "notes.txt", "text/plain", "notes");
+    await fileService.storage.updateMetadata(photo.publicKey, { passwordHash: "scrypt$secret" });
+  });
+
+  it("should show metadata without secrets", async () => {
+    const view = await fileService.getFileMetadata(photo.publicKey);
+
+    expect(view).toMatchObject({
+      publicKey: photo.publicKey,
+      originalName: "photo.png",
+      mimeType: "image/png",
+      size: 3,
+      passwordProtected: true,
+    });
+    expect(view).not.toHaveProperty("privateKeyHash");
+    expect(view).not.toHaveProperty("passwordHash");
+    expect(JSON.stringify(await fileService.listFiles({}))).not.toContain("scrypt$secret");
+  });
+
+  it("should report unknown files as not found", async () => {
+    await expect(fileService.getFileMetadata("f".repeat(32))).rejects.toMatchObject({
+      statusCode: 404,
+    });
+  });
+
+  it("should force-delete a file without its private key", async () => {
+    await expect(fileService.forceDeleteFile(notes.publicKey)).resolves.toEqual({ success: true });
+
+    await expect(fileService.storage.deleteFile(notes.privateKey)).rejects.toThrow(
+      "File not found"
+    );
+    const { files } = await fileService.listFiles({});
+    expect(files.map((f) => f.publicKey)).toEqual([photo.publicKey]);
+  });
+
+  it("should bulk delete by filter, or only list the matches on a dry run", async () => {
+    const filter = { uploadedBefore: Date.UTC(2026, 1, 1) };
+
+    await expect(fileService.deleteFilesByFilter(filter, { dryRun: true })).resolves.toEqual({
+      dryRun: true,
+      matchedCount: 1,
+      matchedFiles: [photo.publicKey],
+    });
+    expect((await fileService.listFiles({})).files).toHaveLength(2);
+
+    await expect(fileService.deleteFilesByFilter(filter)).resolves.toEqual({
+      deletedCount: 1,
+      deletedFiles: [photo.publicKey],
+      errorCount: 0,
+      errors: undefined,
+    });
+    const { files } = await fileService.listFiles({});
+    expect(files.map((f) => f.publicKey)).toEqual([notes.publicKey]);
+  });
+});
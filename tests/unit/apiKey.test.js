@@ -0,0 +1,134 @@
+/**
+ * Unit tests for API keys
+ * Covers key management in ApiKeyService and per-key quotas in RateLimitService
+ */
+
+jest.mock("../../utils/logger");
+
+const MemoryRedis = require("../helpers/memoryRedis");
+const rateLimitService = require("../../services/rateLimit.service");
+const apiKeyService = jest.requireActual("../../services/apiKey.service");
+const RealRateLimitService = jest.requireActual("../../services/rateLimit.service");
+
+describe("ApiKeyService", () => {
+  let redis;
+
+  beforeEach(() => {
+    redis = new MemoryRedis();
+    // ApiKeyService shares the rate limit service's Redis client
+    rateLimitService.client = redis;
+  });
+
+  it("should create keys and store only their hash", async () => {
+    const created = await apiKeyService.createKey({
+      name: "Reports team",
+      dailyUploadLimit: "5GB",
+      maxFileSize: "500MB",
+      operations: "upload,download",
+    });
+
+    expect(created.key).toMatch(/^fsk_[A-Za-z0-9_-]{32}$/);
+    expect(created).toMatchObject({
+      name: "Reports team",
+      dailyUploadLimit: 5 * 1024 ** 3,
+      dailyDownloadLimit: undefined,
+      maxFileSize: 500 * 1024 ** 2,
+      operations: ["upload", "download"],
+    });
+    // The key itself is never written to Redis
+    expect(JSON.stringify([...redis.data])).not.toContain(created.key);
+
+    const { key, ...record } = created;
+    await expect(apiKeyService.findKey(key)).resolves.toEqual(
+      JSON.parse(JSON.stringify(record))
+    );
+    await expect(apiKeyService.findKey(`${key}x`)).resolves.toBeNull();
+  });
+
+  it("should allow every operation by default", async () => {
+    const { operations } = await apiKeyService.createKey({ name: "ci" });
+
+    expect(operations).toEqual(["upload", "download", "delete", "manage"]);
+  });
+
+  it("should reject invalid options", async () => {
+    await expect(apiKeyService.createKey({})).rejects.toMatchObject({
+      message: "Invalid name",
+      statusCode: 400,
+    });
+    await expect(
+      apiKeyService.createKey({ name: "ci", operations: ["upload", "admin"] })
+    ).rejects.toMatchObject({ message: "Invalid operations", statusCode: 400 });
+    await expect(
+      apiKeyService.createKey({ name: "ci", maxFileSize: "lots" })
+    ).rejects.toMatchObject({ message: "Invalid maxFileSize", statusCode: 400 });
+  });
+
+  it("should list and revoke keys", async () => {
+    const first = await apiKeyService.createKey({ name: "first" });
+    const second = await apiKeyService.createKey({ name: "second" });
+
+    const listed = await apiKeyService.listKeys();
+    expect(listed.map((record) => record.id).sort()).toEqual([first.id, second.id].sort());
+    expect(listed.every((record) => record.key === undefined)).toBe(true);
+
+    await apiKeyService.revokeKey(first.id);
+
+    await expect(apiKeyService.findKey(first.key)).resolves.toBeNull();
+    await expect(apiKeyService.findKey(second.key)).resolves.not.toBeNull();
+    await expect(apiKeyService.revokeKey(first.id)).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe("RateLimitService per-key quotas", () => {
+  let redis;
+  const realClient = RealRateLimitService.client;
+
+  beforeEach(() => {
+    redis = new MemoryRedis();
+    RealRateLimitService.client = redis;
+  });
+
+  afterAll(() => {
+    RealRateLimitService.client = realClient;
+  });
+
+  it("should apply a key's own upload limit", async () => {
+    const apiKey = { id: "abc", dailyUploadLimit: 200 * 1024 * 1024 };
+
+    // 150MB is over the 100MB anonymous limit but within the key's limit
+    await expect(
+      RealRateLimitService.checkUploadLimit(apiKey, 150 * 1024 * 1024)
+    ).resolves.toMatchObject({ allowed: true });
+    await expect(
+      RealRateLimitService.checkUploadLimit("203.0.113.7", 150 * 1024 * 1024)
+    ).resolves.toMatchObject({ allowed: false });
+  });
+
+  it("should count keys separately from IP addresses", async () => {
+    const apiKey = { id: "abc" };
+
+    await RealRateLimitService.trackDownload(apiKey, 10);
+    await RealRateLimitService.trackDownload("203.0.113.7", 20);
+
+    await expect(RealRateLimitService.getQuota(apiKey)).resolves.toMatchObject({
+      download: { currentUsage: 10 },
+    });
+    await expect(RealRateLimitService.getQuota("203.0.113.7")).resolves.toMatchObject({
+      download: { currentUsage: 20 },
+    });
+    expect(redis.data.has("quota:download:day:key:abc")).toBe(true);
+  });
+
+  it("should fall back to the global limits for keys without their own", async () => {
+    const apiKey = { id: "abc", dailyDownloadLimit: 5 };
+    await RealRateLimitService.trackDownload(apiKey, 5);
+
+    await expect(RealRateLimitService.checkDownloadLimit(apiKey)).rejects.toThrow(
+      "Daily download limit exceeded"
+    );
+    await expect(RealRateLimitService.checkDownloadLimit({ id: "other" })).resolves.toMatchObject({
+      limit: 1024 * 1024 * 1024,
+    });
+  });
+});
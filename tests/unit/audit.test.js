@@ -0,0 +1,198 @@
+/**
+ * Unit tests for the audit log
+ * Covers AuditService against the in-memory Redis and the record written by the audit middleware
+ */
+
+jest.mock("../../utils/logger");
+
+const { EventEmitter } = require("events");
+const config = require("../../config");
+const { logger } = require("../../utils/logger");
+const MemoryRedis = require("../helpers/memoryRedis");
+const rateLimitService = require("../../services/rateLimit.service");
+const auditService = jest.requireActual("../../services/audit.service");
+const mockedAuditService = require("../../services/audit.service");
+const { audit } = require("../../middleware/audit.middleware");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const publicKey = "0123456789abcdef0123456789abcdef";
+
+describe("AuditService", () => {
+  const realConfig = { ...config };
+  const now = Date.UTC(2026, 2, 11, 12);
+  let redis;
+
+  // Write a record at the given time
+  const recordAt = async (time, record) => {
+    jest.setSystemTime(time);
+    await auditService.record({ outcome: "success", identity: "anonymous", ...record });
+  };
+
+  beforeEach(() => {
+    redis = new MemoryRedis();
+    // AuditService shares the rate limit service's Redis client
+    rateLimitService.client = redis;
+    // MemoryRedis yields with setImmediate, so that keeps running
+    jest.useFakeTimers({ now, doNotFake: ["setImmediate", "nextTick"] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    Object.assign(config, realConfig);
+  });
+
+  it("should append timestamped records and return them newest first", async () => {
+    await recordAt(now, { operation: "upload", publicKey, bytes: 5 });
+    await recordAt(now + 1000, { operation: "download", publicKey, bytes: 5 });
+
+    const { records, nextCursor } = await auditService.query();
+
+    expect(records).toEqual([
+      expect.objectContaining({
+        id: `${now + 1000}-0`,
+        timestamp: new Date(now + 1000).toISOString(),
+        operation: "download",
+      }),
+      expect.objectContaining({ operation: "upload", bytes: 5 }),
+    ]);
+    expect(nextCursor).toBeNull();
+  });
+
+  it("should filter by file, identity and time range", async () => {
+    await recordAt(now, { operation: "upload", publicKey, identity: "apiKey:a1" });
+    await recordAt(now + 1000, { operation: "download", publicKey: "f".repeat(32) });
+    await recordAt(now + 2000, { operation: "download", publicKey, identity: "apiKey:a1" });
+    await recordAt(now + 3000, { operation: "delete", publicKey });
+
+    const byFile = await auditService.query({ publicKey, identity: "apiKey:a1" });
+    expect(byFile.records.map((r) => r.operation)).toEqual(["download", "upload"]);
+
+    const byTime = await auditService.query({
+      from: new Date(now + 1000).toISOString(),
+      to: String(now + 2000),
+    });
+    expect(byTime.records.map((r) => r.timestamp)).toEqual([
+      new Date(now + 2000).toISOString(),
+      new Date(now + 1000).toISOString(),
+    ]);
+  });
+
+  it("should page through records with the cursor", async () => {
+    for (let i = 0; i < 5; i++) await recordAt(now + i, { operation: "download", publicKey });
+
+    const first = await auditService.query({ limit: 2 });
+    const second = await auditService.query({ limit: 2, cursor: first.nextCursor });
+    const third = await auditService.query({ limit: 2, cursor: second.nextCursor });
+
+    expect([...first.records, ...second.records, ...third.records].map((r) => r.id)).toEqual(
+      [4, 3, 2, 1, 0].map((i) => `${now + i}-0`)
+    );
+  });
+
+  it("should reject invalid queries", async () => {
+    await expect(auditService.query({ from: "yesterday" })).rejects.toMatchObject({
+      message: "Invalid time range",
+      statusCode: 400,
+    });
+    await expect(auditService.query({ from: "2026-03-12", to: "2026-03-11" })).rejects.toMatchObject({
+      message: "Invalid time range",
+      statusCode: 400,
+    });
+    await expect(auditService.query({ cursor: "abc" })).rejects.toMatchObject({
+      message: "Invalid cursor",
+      statusCode: 400,
+    });
+  });
+
+  it("should drop records older than AUDIT_RETENTION", async () => {
+    config.auditRetention = "30d";
+    await recordAt(now, { operation: "upload", publicKey });
+    await recordAt(now + 31 * DAY_MS, { operation: "download", publicKey });
+
+    const { records } = await auditService.query();
+    expect(records.map((r) => r.operation)).toEqual(["download"]);
+  });
+
+  it("should keep every record when AUDIT_RETENTION is empty", async () => {
+    config.auditRetention = "";
+    await recordAt(now, { operation: "upload", publicKey });
+    await recordAt(now + 365 * DAY_MS, { operation: "download", publicKey });
+
+    await expect(auditService.query()).resolves.toMatchObject({ records: [{}, {}] });
+  });
+
+  it("should log records it cannot store", async () => {
+    redis.xAdd = jest.fn().mockRejectedValue(new Error("The client is closed"));
+
+    await expect(auditService.record({ operation: "delete", publicKey })).resolves.toBeUndefined();
+    expect(logger.error).toHaveBeenCalledWith("Audit record not stored: The client is closed", {
+      audit: expect.objectContaining({ operation: "delete", publicKey }),
+    });
+  });
+});
+
+describe("audit middleware", () => {
+  // Minimal request and response for running the middleware outside Express
+  const exchange = (req) => {
+    const res = new EventEmitter();
+    Object.assign(res, { statusCode: 200, writableFinished: true, locals: {} });
+    return {
+      req: { method: "GET", params: {}, ip: "198.51.100.1", id: "req-1", ...req },
+      res,
+    };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should record the outcome and what the handler adds", () => {
+    const { req, res } = exchange({ method: "DELETE", params: { privateKey: "secret-private-key" } });
+
+    audit("delete")(req, res, jest.fn());
+    res.locals.audit = { publicKey };
+    res.emit("close");
+
+    expect(mockedAuditService.record).toHaveBeenCalledWith({
+      operation: "delete",
+      outcome: "success",
+      status: 200,
+      identity: "anonymous",
+      ip: "198.51.100.1",
+      requestId: "req-1",
+      publicKey,
+    });
+    expect(JSON.stringify(mockedAuditService.record.mock.calls)).not.toContain("secret-private-key");
+  });
+
+  it("should record refused and aborted requests", () => {
+    const refused = exchange({ params: { publicKey }, apiKey: { id: "a1" } });
+    audit("download")(refused.req, refused.res, jest.fn());
+    refused.res.statusCode = 429;
+    refused.res.emit("close");
+
+    const aborted = exchange({ params: { publicKey } });
+    audit("download")(aborted.req, aborted.res, jest.fn());
+    aborted.res.writableFinished = false;
+    aborted.res.emit("close");
+
+    expect(mockedAuditService.record).toHaveBeenCalledWith(
+      expect.objectContaining({ outcome: "failure", status: 429, identity: "apiKey:a1", publicKey })
+    );
+    expect(mockedAuditService.record).toHaveBeenCalledWith(
+      expect.objectContaining({ outcome: "aborted", publicKey })
+    );
+  });
+
+  it("should skip HEAD requests", () => {
+    const { req, res } = exchange({ method: "HEAD" });
+    const next = jest.fn();
+
+    audit("download")(req, res, next);
+    res.emit("close");
+
+    expect(next).toHaveBeenCalled();
+    expect(mockedAuditService.record).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Unit tests for client address resolution behind reverse proxies
+ */
+
+const {
+  createProxyMatcher,
+  parseXForwardedFor,
+  parseForwarded,
+  resolveClientIp,
+  groupIp,
+} = require("../../utils/clientIp");
+
+describe("client IP resolution", () => {
+  const isTrusted = createProxyMatcher("10.0.0.0/8, 127.0.0.1, fd00::/8");
+
+  it("should match trusted proxies by address and CIDR range", () => {
+    expect(isTrusted("10.20.30.40")).toBe(true);
+    expect(isTrusted("::ffff:10.20.30.40")).toBe(true);
+    expect(isTrusted("127.0.0.1")).toBe(true);
+    expect(isTrusted("fd12::1")).toBe(true);
+    expect(isTrusted("203.0.113.7")).toBe(false);
+    expect(isTrusted("not an ip")).toBe(false);
+    expect(createProxyMatcher("")("127.0.0.1")).toBe(false);
+  });
+
+  it("should reject invalid proxy ranges", () => {
+    expect(() => createProxyMatcher("10.0.0.0/33")).toThrow(
+      'Invalid TRUSTED_PROXIES entry "10.0.0.0/33"'
+    );
+    expect(() => createProxyMatcher("proxy.internal")).toThrow("Invalid TRUSTED_PROXIES entry");
+  });
+
+  it("should parse X-Forwarded-For and Forwarded headers", () => {
+    expect(parseXForwardedFor("203.0.113.7:5000, [2001:db8::1]:443, 10.0.0.2")).toEqual([
+      "203.0.113.7",
+      "2001:db8::1",
+      "10.0.0.2",
+    ]);
+    const forwarded =
+      'for=192.0.2.43;proto=https, For="[2001:db8:cafe::17]:4711";by=10.0.0.1, for=unknown';
+    expect(parseForwarded(forwarded)).toEqual(["192.0.2.43", "2001:db8:cafe::17", "unknown"]);
+  });
+
+  it("should follow the forwarded chain back through trusted proxies only", () => {
+    const headers = { "x-forwarded-for": "198.51.100.1, 203.0.113.7, 10.0.0.2" };
+
+    // The client can prepend anything; only hops added by trusted proxies count
+    expect(resolveClientIp("10.0.0.5", headers, isTrusted)).toBe("203.0.113.7");
+    // Headers from untrusted peers are ignored
+    expect(resolveClientIp("192.0.2.9", headers, isTrusted)).toBe("192.0.2.9");
+  });
+
+  it("should only read the header the proxies write", () => {
+    const headers = {
+      forwarded: 'for="[2001:db8:cafe::17]:4711"',
+      "x-forwarded-for": "203.0.113.7",
+    };
+
+    // A client-sent header of the other kind is passed on untouched and must be ignored
+    expect(resolveClientIp("::ffff:127.0.0.1", headers, isTrusted)).toBe("203.0.113.7");
+    expect(resolveClientIp("10.0.0.5", { forwarded: "for=8.8.8.8" }, isTrusted)).toBe("10.0.0.5");
+    expect(resolveClientIp("::ffff:127.0.0.1", headers, isTrusted, "Forwarded")).toBe(
+      "2001:db8:cafe::17"
+    );
+    expect(() => resolveClientIp("10.0.0.5", headers, isTrusted, "X-Real-IP")).toThrow(
+      "Invalid FORWARDED_HEADER"
+    );
+  });
+
+  it("should stop at unknown or obfuscated nodes", () => {
+    expect(
+      resolveClientIp("10.0.0.5", { forwarded: "for=_hidden" }, isTrusted, "Forwarded")
+    ).toBe("10.0.0.5");
+  });
+
+  it("should group IPv6 addresses by prefix", () => {
+    expect(groupIp("2001:db8:1:2:aaaa:bbbb:cccc:dddd", 64)).toBe("2001:db8:1:2::/64");
+    expect(groupIp("2001:db8:1:2ff::1", 56)).toBe("2001:db8:1:200::/56");
+    expect(groupIp("2001:db8::1", 128)).toBe("2001:db8::1");
+    expect(groupIp("::ffff:203.0.113.7", 64)).toBe("203.0.113.7");
+    expect(groupIp("203.0.113.7", 64)).toBe("203.0.113.7");
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the segmented AES-256-GCM encryption helpers
+ */
+
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const config = require("../../config");
+const {
+  isEncryptionEnabled,
+  createEncryption,
+  createDecryption,
+  rewrapDataKey,
+} = require("../../utils/encryption");
+
+const publicKey = "0123456789abcdef0123456789abcdef";
+const keyA = `a:${crypto.randomBytes(32).toString("base64")}`;
+const keyB = `b:${crypto.randomBytes(32).toString("base64")}`;
+
+// Run data through a Transform and collect the output
+const pump = async (transform, data) => {
+  const chunks = [];
+  for await (const chunk of Readable.from([data]).pipe(transform)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// Encrypt a buffer as new content bound to publicKey
+const encrypt = async (data) => {
+  const { cipher, wrap } = createEncryption();
+  return { stored: await pump(cipher, data), encryption: wrap(publicKey) };
+};
+
+describe("Encryption at rest", () => {
+  const originalKeys = config.encryptionKeys;
+  const content = crypto.randomBytes(200000); // Four 64 KiB segments
+
+  beforeEach(() => {
+    config.encryptionKeys = keyA;
+  });
+
+  afterAll(() => {
+    config.encryptionKeys = originalKeys;
+  });
+
+  it("should be disabled without master keys", () => {
+    config.encryptionKeys = undefined;
+    expect(isEncryptionEnabled()).toBe(false);
+  });
+
+  it("should reject master keys that are not 32 bytes", () => {
+    config.encryptionKeys = "short:c2hvcnQ=";
+    expect(() => isEncryptionEnabled()).toThrow(/ENCRYPTION_KEYS/);
+  });
+
+  it("should round-trip files of any size", async () => {
+    for (const data of [Buffer.alloc(0), Buffer.from("x"), Buffer.alloc(65536, 7), content]) {
+      const { stored, encryption } = await encrypt(data);
+      const { decipher } = createDecryption(encryption, publicKey, data.length);
+      expect((await pump(decipher, stored)).equals(data)).toBe(true);
+    }
+  });
+
+  it("should decrypt only the segments a range needs", async () => {
+    const { stored, encryption } = await encrypt(content);
+    const range = { start: 131000, end: 140000 };
+
+    const { cipherRange, decipher } = createDecryption(encryption, publicKey, content.length, range);
+
+    // Segments 1 and 2 (zero-based), each 64 KiB plus a 16-byte tag
+    expect(cipherRange).toEqual({ start: 65552, end: 65552 * 3 - 1 });
+    const plaintext = await pump(decipher, stored.subarray(cipherRange.start, cipherRange.end + 1));
+    expect(plaintext.equals(content.subarray(range.start, range.end + 1))).toBe(true);
+  });
+
+  it("should detect truncated files", async () => {
+    const { stored, encryption } = await encrypt(content);
+    const { decipher } = createDecryption(encryption, publicKey, content.length);
+
+    await expect(pump(decipher, stored.subarray(0, 65552 * 2))).rejects.toThrow(
+      "Stored file failed integrity check"
+    );
+  });
+
+  it("should not unwrap a data key copied to other content", async () => {
+    const { encryption } = await encrypt(content);
+
+    expect(() =>
+      createDecryption(encryption, "fedcba9876543210fedcba9876543210", content.length)
+    ).toThrow();
+  });
+
+  it("should re-wrap data keys without changing the content", async () => {
+    const { stored, encryption } = await encrypt(content);
+
+    config.encryptionKeys = `${keyB},${keyA}`;
+    const rewrapped = rewrapDataKey(encryption, publicKey);
+    expect(rewrapped).toMatchObject({ kid: "b", segmentSize: encryption.segmentSize });
+    expect(rewrapDataKey(rewrapped, publicKey)).toBeNull();
+
+    // The old master key is no longer needed
+    config.encryptionKeys = keyB;
+    const { decipher } = createDecryption(rewrapped, publicKey, content.length);
+    expect((await pump(decipher, stored)).equals(content)).toBe(true);
+    expect(() => createDecryption(encryption, publicKey, content.length)).toThrow(
+      /Unknown master key "a"/
+    );
+  });
+});
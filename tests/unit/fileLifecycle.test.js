@@ -0,0 +1,132 @@
+/**
+ * Unit tests for per-upload expiry and download allowances
+ * Covers option parsing, serialized metadata updates and FileService enforcement
+ */
+
+jest.mock("../../utils/logger");
+// Back the real FileService with the in-memory provider
+jest.mock("../../models/storage/localStorage", () => require("../helpers/memoryStorage"));
+
+const { parseLifecycleOptions, isExpired } = require("../../utils/fileLifecycle");
+const MemoryStorage = require("../helpers/memoryStorage");
+const fileService = jest.requireActual("../../services/file.service");
+
+describe("parseLifecycleOptions()", () => {
+  it("should return no lifecycle when nothing is provided", () => {
+    expect(parseLifecycleOptions({})).toEqual({});
+    expect(parseLifecycleOptions(undefined)).toEqual({});
+    expect(parseLifecycleOptions({ expiresIn: "", maxDownloads: "" })).toEqual({});
+  });
+
+  it("should turn expiresIn into an absolute expiry", () => {
+    const before = Date.now();
+    const { expiresAt } = parseLifecycleOptions({ expiresIn: "2h" });
+    const expiry = new Date(expiresAt).getTime();
+
+    expect(expiry).toBeGreaterThanOrEqual(before + 2 * 3600000);
+    expect(expiry).toBeLessThanOrEqual(Date.now() + 2 * 3600000);
+  });
+
+  it("should accept a future expiresAt and maxDownloads", () => {
+    const future = new Date(Date.now() + 86400000).toISOString();
+
+    expect(parseLifecycleOptions({ expiresAt: future, maxDownloads: "1" })).toEqual({
+      expiresAt: future,
+      maxDownloads: 1,
+    });
+  });
+
+  it.each([
+    [{ expiresIn: "1h", expiresAt: "2999-01-01T00:00:00Z" }, "Conflicting expiry options"],
+    [{ expiresIn: "10" }, "Invalid expiresIn"],
+    [{ expiresIn: "0d" }, "Invalid expiresIn"],
+    [{ expiresAt: "yesterday" }, "Invalid expiresAt"],
+    [{ expiresAt: "2000-01-01T00:00:00Z" }, "Invalid expiresAt"],
+    [{ maxDownloads: "0" }, "Invalid maxDownloads"],
+    [{ maxDownloads: "1.5" }, "Invalid maxDownloads"],
+  ])("should reject %j", (options, message) => {
+    let error;
+    try {
+      parseLifecycleOptions(options);
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toMatchObject({ message, statusCode: 400 });
+  });
+});
+
+describe("isExpired()", () => {
+  it("should honor expiresAt and the download allowance", () => {
+    expect(isExpired({})).toBe(false);
+    expect(isExpired({ expiresAt: new Date(Date.now() - 1000).toISOString() })).toBe(true);
+    expect(isExpired({ expiresAt: new Date(Date.now() + 60000).toISOString() })).toBe(false);
+    expect(isExpired({ maxDownloads: 2, downloadCount: 1 })).toBe(false);
+    expect(isExpired({ maxDownloads: 2, downloadCount: 2 })).toBe(true);
+  });
+});
+
+describe("FileService lifecycle enforcement", () => {
+  let publicKey;
+  let privateKey;
+
+  beforeEach(async () => {
+    fileService.storage = new MemoryStorage();
+    ({ publicKey, privateKey } = await fileService.storage.uploadFile({
+      buffer: Buffer.from("secret"),
+      originalname: "secret.txt",
+      mimetype: "text/plain",
+    }));
+  });
+
+  it("should count downloads and refuse them once used up", async () => {
+    await fileService.updateFileLifecycle(publicKey, { maxDownloads: 2 });
+
+    await expect(fileService.registerDownload(publicKey)).resolves.toEqual({
+      remainingDownloads: 1,
+    });
+    await expect(fileService.registerDownload(publicKey)).resolves.toEqual({
+      remainingDownloads: 0,
+    });
+    await expect(fileService.registerDownload(publicKey)).rejects.toMatchObject({
+      statusCode: 410,
+    });
+  });
+
+  it("should not lose counts under concurrent downloads", async () => {
+    await fileService.updateFileLifecycle(publicKey, { maxDownloads: 3 });
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 5 }, () => fileService.registerDownload(publicKey))
+    );
+
+    expect(results.filter((r) => r.status === "fulfilled")).toHaveLength(3);
+    expect(results.filter((r) => r.status === "rejected")).toHaveLength(2);
+    expect((await fileService.storage.getMetadata(publicKey)).downloadCount).toBe(3);
+  });
+
+  it("should not count HEAD-style checks", async () => {
+    await fileService.updateFileLifecycle(publicKey, { maxDownloads: 1 });
+
+    await fileService.registerDownload(publicKey, { count: false });
+
+    expect((await fileService.storage.getMetadata(publicKey)).downloadCount).toBe(0);
+  });
+
+  it("should refuse expired files with 410", async () => {
+    await fileService.storage.updateMetadata(publicKey, {
+      expiresAt: new Date(Date.now() - 1000).toISOString(),
+    });
+
+    await expect(fileService.registerDownload(publicKey)).rejects.toMatchObject({
+      statusCode: 410,
+      message: "File has expired",
+    });
+  });
+
+  it("should delete an expired file by its public key", async () => {
+    await fileService.expireFile(publicKey);
+
+    expect(fileService.storage.objects.size).toBe(0);
+    await expect(fileService.storage.deleteFile(privateKey)).rejects.toThrow("File not found");
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Unit tests for content type detection and the file type policy
+ */
+
+const { Readable } = require("stream");
+const config = require("../../config");
+const {
+  SNIFF_LENGTH,
+  detectFileType,
+  isAllowedFileName,
+  resolveFileType,
+  createTypeInspector,
+} = require("../../utils/fileTypes");
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]);
+const EXE = Buffer.concat([Buffer.from("MZ"), Buffer.alloc(62)]);
+
+describe("detectFileType", () => {
+  it("should detect types from their magic bytes", () => {
+    expect(detectFileType(PNG).mime).toBe("image/png");
+    expect(detectFileType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])).mime).toBe("image/jpeg");
+    expect(detectFileType(Buffer.from("%PDF-1.7\n")).mime).toBe("application/pdf");
+    expect(detectFileType(Buffer.from("RIFF\0\0\0\0WEBPVP8 ")).mime).toBe("image/webp");
+    expect(detectFileType(Buffer.from("\0\0\0\x18ftypmp42")).mime).toBe("video/mp4");
+    expect(detectFileType(EXE).mime).toBe("application/x-msdownload");
+  });
+
+  it("should treat UTF-8 content without NUL bytes as text", () => {
+    expect(detectFileType(Buffer.from("héllo wörld\n"))).toEqual({ mime: "text/plain", text: true });
+    // Short signatures do not turn ordinary text into binary types
+    expect(detectFileType(Buffer.from("BMW owners club")).text).toBe(true);
+  });
+
+  it("should return null for unrecognised binary content", () => {
+    expect(detectFileType(Buffer.from([0x00, 0x01, 0x02, 0xff]))).toBeNull();
+    expect(detectFileType(Buffer.alloc(0))).toBeNull();
+  });
+});
+
+describe("file type policy", () => {
+  const { allowedFileTypes, deniedFileTypes } = config;
+
+  afterEach(() => {
+    config.allowedFileTypes = allowedFileTypes;
+    config.deniedFileTypes = deniedFileTypes;
+  });
+
+  it("should allow the default types by name", () => {
+    for (const name of ["a.jpg", "a.JPEG", "a.png", "a.pdf", "a.txt"]) {
+      expect(isAllowedFileName(name)).toBe(true);
+    }
+    for (const name of ["a.exe", "a.gif", "noextension", undefined]) {
+      expect(isAllowedFileName(name)).toBe(false);
+    }
+  });
+
+  it("should accept MIME wildcards and extensions in the allowlist", () => {
+    config.allowedFileTypes = "image/*, .zip";
+
+    expect(isAllowedFileName("a.gif")).toBe(true);
+    expect(isAllowedFileName("a.zip")).toBe(true);
+    expect(isAllowedFileName("a.txt")).toBe(false);
+  });
+
+  it("should let the denylist win over the allowlist", () => {
+    config.allowedFileTypes = "*";
+    config.deniedFileTypes = "application/x-msdownload, .bat";
+
+    expect(isAllowedFileName("a.anything")).toBe(true);
+    expect(isAllowedFileName("a.exe")).toBe(false);
+    expect(isAllowedFileName("a.bat")).toBe(false);
+    expect(() => resolveFileType("a.exe", EXE)).toThrow("Only certain file types are allowed");
+  });
+
+  it("should check the detected type against the policy", () => {
+    config.allowedFileTypes = "*";
+    config.deniedFileTypes = "image/png";
+
+    expect(() => resolveFileType("a.png", PNG)).toThrow("Only certain file types are allowed");
+    expect(resolveFileType("a.gif", Buffer.from("GIF89a"))).toBe("image/gif");
+  });
+});
+
+describe("resolveFileType", () => {
+  it("should return the detected MIME type", () => {
+    expect(resolveFileType("photo.png", PNG)).toBe("image/png");
+    expect(resolveFileType("notes.txt", Buffer.from("hello"))).toBe("text/plain");
+  });
+
+  it("should reject content that does not match the extension", () => {
+    expect(() => resolveFileType("photo.png", EXE)).toThrow(
+      expect.objectContaining({ statusCode: 400, code: "LIMIT_FILE_TYPES" })
+    );
+    expect(() => resolveFileType("photo.png", Buffer.from("<html>"))).toThrow(
+      "File content does not match its extension"
+    );
+    expect(() => resolveFileType("notes.txt", PNG)).toThrow(
+      "File content does not match its extension"
+    );
+    expect(() => resolveFileType("notes.txt", Buffer.from("#!/bin/sh\nrm -rf /"))).toThrow(
+      "File content does not match its extension"
+    );
+  });
+
+  it("should accept undetectable content for text extensions", () => {
+    // e.g. UTF-16 text, which contains NUL bytes
+    expect(resolveFileType("notes.txt", Buffer.from("hi", "utf16le"))).toBe("text/plain");
+  });
+});
+
+describe("createTypeInspector", () => {
+  // Pipe chunks through an inspector and collect the output
+  const inspect = async (fileName, chunks) => {
+    let detected;
+    const output = [];
+    const inspector = createTypeInspector(fileName, (mime) => {
+      detected = mime;
+    });
+    for await (const chunk of Readable.from(chunks).pipe(inspector)) output.push(chunk);
+    return { detected, content: Buffer.concat(output) };
+  };
+
+  it("should pass content through after detecting its type", async () => {
+    const content = Buffer.concat([PNG, Buffer.alloc(SNIFF_LENGTH * 2, 1)]);
+    const chunks = [content.subarray(0, 5), content.subarray(5, 100), content.subarray(100)];
+
+    const result = await inspect("photo.png", chunks);
+
+    expect(result.detected).toBe("image/png");
+    expect(result.content).toEqual(content);
+  });
+
+  it("should resolve files shorter than the inspected length", async () => {
+    const result = await inspect("notes.txt", [Buffer.from("short")]);
+
+    expect(result).toEqual({ detected: "text/plain", content: Buffer.from("short") });
+  });
+
+  it("should fail without passing on any data when the type is rejected", async () => {
+    const output = [];
+    const inspector = createTypeInspector("photo.png", () => {});
+    inspector.on("data", (chunk) => output.push(chunk));
+
+    await expect(
+      new Promise((resolve, reject) => {
+        inspector.on("error", reject);
+        inspector.on("end", resolve);
+        inspector.end(EXE);
+      })
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(output).toHaveLength(0);
+  });
+});
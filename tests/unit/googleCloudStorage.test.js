@@ -0,0 +1,369 @@
+/**
+ * Unit tests for GoogleCloudStorage class
+ * Runs the provider against an in-process fake bucket backed by a Map
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+
+jest.mock("../../utils/logger");
+jest.mock("../../utils/generateKeys", () => ({
+  ...jest.requireActual("../../utils/generateKeys"),
+  generateKeys: jest.fn().mockReturnValue({
+    publicKey: "test-public-key",
+    privateKey: "test-private-key",
+  }),
+}));
+
+// In-process fake bucket: object name -> Buffer
+const mockBucket = new Map();
+
+jest.mock("@google-cloud/storage", () => {
+  const { Readable, Writable } = require("stream");
+
+  // Error shaped like the ones the client library raises for missing objects
+  const notFound = (name) => {
+    const err = new Error(`No such object: test-bucket/${name}`);
+    err.code = 404;
+    return err;
+  };
+
+  class File {
+    constructor(name) {
+      this.name = name;
+    }
+
+    async save(data) {
+      mockBucket.set(this.name, Buffer.from(data));
+    }
+
+    async download() {
+      if (!mockBucket.has(this.name)) throw notFound(this.name);
+      return [mockBucket.get(this.name)];
+    }
+
+    async delete(options = {}) {
+      if (!mockBucket.has(this.name) && !options.ignoreNotFound) throw notFound(this.name);
+      mockBucket.delete(this.name);
+      return [];
+    }
+
+    async move(destination) {
+      if (!mockBucket.has(this.name)) throw notFound(this.name);
+      mockBucket.set(destination, mockBucket.get(this.name));
+      mockBucket.delete(this.name);
+      return [];
+    }
+
+    // The object only appears once the upload finishes, like a simple upload
+    createWriteStream() {
+      const chunks = [];
+      return new Writable({
+        write: (chunk, encoding, callback) => {
+          chunks.push(chunk);
+          callback();
+        },
+        final: (callback) => {
+          mockBucket.set(this.name, Buffer.concat(chunks));
+          callback();
+        },
+      });
+    }
+
+    // Honor inclusive { start, end } ranges
+    createReadStream(options) {
+      if (!mockBucket.has(this.name)) {
+        const stream = new Readable({ read() {} });
+        process.nextTick(() => stream.destroy(notFound(this.name)));
+        return stream;
+      }
+      const body = mockBucket.get(this.name);
+      return Readable.from([
+        options ? body.subarray(options.start, options.end + 1) : body,
+      ]);
+    }
+  }
+
+  class Bucket {
+    file(name) {
+      return new File(name);
+    }
+
+    // Honor prefix, and the "/" delimiter by hiding names further below it
+    async getFiles({ prefix = "", delimiter } = {}) {
+      const names = [...mockBucket.keys()].filter(
+        (name) =>
+          name.startsWith(prefix) &&
+          (!delimiter || !name.slice(prefix.length).includes(delimiter))
+      );
+      return [names.map((name) => new File(name))];
+    }
+  }
+
+  class Storage {
+    bucket() {
+      return new Bucket();
+    }
+  }
+
+  return { Storage };
+});
+
+const GoogleCloudStorage = require("../../models/storage/googleCloudStorage");
+const { generateKeys, hashKey } = require("../../utils/generateKeys");
+const crypto = require("crypto");
+
+// Object name of the blob holding some content
+const blobName = (content) =>
+  `blobs/${crypto.createHash("sha256").update(content).digest("hex")}`;
+
+// Read a whole stream into a string
+const streamToString = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+describe("GoogleCloudStorage", () => {
+  let configDir;
+  let configPath;
+  let storage;
+
+  beforeAll(() => {
+    // The provider logs where it loads its config from
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    configDir = fs.mkdtempSync(path.join(os.tmpdir(), "gcs-config-"));
+    configPath = path.join(configDir, "gcs.json");
+    fs.writeFileSync(
+      configPath,
+      JSON.stringify({ project_id: "test-project", bucket_name: "test-bucket" })
+    );
+  });
+
+  afterAll(() => {
+    fs.rmSync(configDir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  beforeEach(() => {
+    mockBucket.clear();
+    storage = new GoogleCloudStorage(configPath);
+  });
+
+  it("should require a project and a bucket", () => {
+    const incomplete = path.join(configDir, "incomplete.json");
+    fs.writeFileSync(incomplete, JSON.stringify({ project_id: "test-project" }));
+
+    expect(() => new GoogleCloudStorage(incomplete)).toThrow("missing project_id or bucket_name");
+  });
+
+  describe("uploadFile()", () => {
+    it("should store the file and its metadata", async () => {
+      const result = await storage.uploadFile({
+        stream: Readable.from([Buffer.from("hello gcs")]),
+        originalname: "hello.txt",
+        mimetype: "text/plain",
+        size: 9,
+      });
+
+      expect(result).toEqual({
+        publicKey: "test-public-key",
+        privateKey: "test-private-key",
+      });
+      // Content is stored once under its digest, through a temporary object
+      expect(mockBucket.get(blobName("hello gcs")).toString()).toBe("hello gcs");
+      expect([...mockBucket.keys()].some((name) => name.startsWith("blobs/tmp/"))).toBe(false);
+      expect(mockBucket.get(`keys/${hashKey("test-private-key")}`).toString()).toBe(
+        "test-public-key"
+      );
+
+      const metadata = JSON.parse(mockBucket.get("test-public-key.meta"));
+      expect(metadata).toMatchObject({
+        privateKeyHash: hashKey("test-private-key"),
+        originalName: "hello.txt",
+        mimeType: "text/plain",
+        size: 9,
+        blob: blobName("hello gcs").slice("blobs/".length),
+      });
+      expect(metadata).not.toHaveProperty("privateKey");
+    });
+
+    it("should remove every object when the upload fails", async () => {
+      const failing = new Readable({
+        read() {
+          this.destroy(new Error("Client aborted"));
+        },
+      });
+
+      await expect(
+        storage.uploadFile({
+          stream: failing,
+          originalname: "broken.txt",
+          mimetype: "text/plain",
+          size: 1,
+        })
+      ).rejects.toThrow("Client aborted");
+      expect(mockBucket.size).toBe(0);
+    });
+  });
+
+  describe("downloadFile()", () => {
+    beforeEach(async () => {
+      await storage.uploadFile({
+        buffer: Buffer.from("download me"),
+        originalname: "file.txt",
+        mimetype: "text/plain",
+        size: 11,
+      });
+    });
+
+    it("should stream the file and update last accessed time", async () => {
+      const metadata = JSON.parse(mockBucket.get("test-public-key.meta"));
+      metadata.lastAccessed = new Date(0).toISOString();
+      mockBucket.set("test-public-key.meta", Buffer.from(JSON.stringify(metadata)));
+
+      const result = await storage.downloadFile("test-public-key");
+
+      expect(await streamToString(result.stream)).toBe("download me");
+      expect(result).toMatchObject({ mimeType: "text/plain", originalName: "file.txt", size: 11 });
+      const updated = JSON.parse(mockBucket.get("test-public-key.meta"));
+      expect(Date.parse(updated.lastAccessed)).toBeGreaterThan(0);
+    });
+
+    it("should stream a byte range", async () => {
+      const result = await storage.downloadFile("test-public-key", { start: 0, end: 7 });
+
+      expect(await streamToString(result.stream)).toBe("download");
+    });
+
+    it("should return 404 for unknown files", async () => {
+      await expect(storage.downloadFile("missing")).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe("deleteFile()", () => {
+    it("should delete the file, its metadata and its index entry", async () => {
+      await storage.uploadFile({
+        buffer: Buffer.from("bye"),
+        originalname: "bye.txt",
+        mimetype: "text/plain",
+        size: 3,
+      });
+
+      await expect(storage.deleteFile("test-private-key")).resolves.toEqual({ success: true });
+      expect(mockBucket.size).toBe(0);
+    });
+
+    it("should reject unknown private keys", async () => {
+      await expect(storage.deleteFile("wrong-key")).rejects.toThrow("File not found");
+    });
+  });
+
+  describe("rebuildKeyIndex()", () => {
+    it("should index metadata stored before the index existed", async () => {
+      mockBucket.set("legacy.meta", Buffer.from(JSON.stringify({ privateKey: "legacy-private" })));
+
+      await expect(storage.rebuildKeyIndex()).resolves.toMatchObject({
+        indexedCount: 1,
+        errorCount: 0,
+      });
+      expect(JSON.parse(mockBucket.get("legacy.meta"))).toEqual({
+        privateKeyHash: hashKey("legacy-private"),
+      });
+      expect(await storage.resolvePrivateKey("legacy-private")).toBe("legacy");
+    });
+  });
+
+  describe("cleanupInactiveFiles()", () => {
+    it("should remove inactive files and keep recent ones", async () => {
+      await storage.uploadFile({
+        buffer: Buffer.from("old"),
+        originalname: "old.txt",
+        mimetype: "text/plain",
+        size: 3,
+      });
+      const metadata = JSON.parse(mockBucket.get("test-public-key.meta"));
+      metadata.lastAccessed = new Date(0).toISOString();
+      mockBucket.set("test-public-key.meta", Buffer.from(JSON.stringify(metadata)));
+      mockBucket.set(
+        "recent.meta",
+        Buffer.from(JSON.stringify({ size: 5, lastAccessed: new Date().toISOString() }))
+      );
+
+      const result = await storage.cleanupInactiveFiles("1d");
+
+      expect(result).toMatchObject({ deletedCount: 1, storedCount: 1, storedBytes: 5 });
+      expect(mockBucket.has("test-public-key.meta")).toBe(false);
+      expect(mockBucket.has(blobName("old"))).toBe(false);
+      expect(mockBucket.has("recent.meta")).toBe(true);
+    });
+  });
+
+  describe("deduplication", () => {
+    // Upload content under a distinct key pair
+    const uploadAs = (keys, text) => {
+      generateKeys.mockReturnValueOnce(keys);
+      return storage.uploadFile({
+        stream: Readable.from([Buffer.from(text)]),
+        originalname: `${keys.publicKey}.txt`,
+        mimetype: "text/plain",
+        size: text.length,
+      });
+    };
+    const blobRecord = (text) => JSON.parse(mockBucket.get(`${blobName(text)}.json`));
+
+    it("should store identical content once and count references", async () => {
+      await uploadAs({ publicKey: "pa", privateKey: "ka" }, "same bytes");
+      await uploadAs({ publicKey: "pb", privateKey: "kb" }, "same bytes");
+      await uploadAs({ publicKey: "pc", privateKey: "kc" }, "other bytes");
+
+      expect(blobRecord("same bytes")).toMatchObject({ refCount: 2, size: 10 });
+      expect(blobRecord("other bytes")).toMatchObject({ refCount: 1 });
+      expect(await storage._listObjects("blobs/tmp/")).toEqual([]);
+      expect(await streamToString((await storage.downloadFile("pb")).stream)).toBe("same bytes");
+    });
+
+    it("should remove the blob only with its last reference", async () => {
+      await uploadAs({ publicKey: "pa", privateKey: "ka" }, "same bytes");
+      await uploadAs({ publicKey: "pb", privateKey: "kb" }, "same bytes");
+
+      await storage.deleteFile("ka");
+      expect(blobRecord("same bytes").refCount).toBe(1);
+      expect(await streamToString((await storage.downloadFile("pb")).stream)).toBe("same bytes");
+
+      await storage.deleteFile("kb");
+      expect(mockBucket.size).toBe(0);
+    });
+
+    it("should count concurrent uploads of the same content", async () => {
+      await Promise.all(
+        ["pa", "pb", "pc", "pd"].map((key) =>
+          uploadAs({ publicKey: key, privateKey: `k-${key}` }, "racing bytes")
+        )
+      );
+
+      expect(blobRecord("racing bytes").refCount).toBe(4);
+      expect(await storage._listObjects("blobs/")).toEqual([
+        blobName("racing bytes"),
+        `${blobName("racing bytes")}.json`,
+      ]);
+    });
+
+    it("should keep serving files stored before deduplication", async () => {
+      mockBucket.set("legacy", Buffer.from("old layout"));
+      mockBucket.set(
+        "legacy.meta",
+        Buffer.from(JSON.stringify({ originalName: "old.txt", size: 10, privateKey: "kl" }))
+      );
+      mockBucket.set(`keys/${hashKey("kl")}`, Buffer.from("legacy"));
+
+      expect(await streamToString((await storage.downloadFile("legacy")).stream)).toBe("old layout");
+      await storage.deleteFile("kl");
+      expect(mockBucket.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Unit tests for the readiness checks
+ * Covers the storage probe, the Redis PING and HealthService on top of the
+ * service mocks from tests/setup.js
+ */
+
+jest.mock("../../utils/logger");
+
+const config = require("../../config");
+const MemoryStorage = require("../helpers/memoryStorage");
+const MemoryRedis = require("../helpers/memoryRedis");
+const rateLimitService = require("../../services/rateLimit.service");
+const fileService = require("../../services/file.service");
+const cleanupJob = require("../../jobs/cleanup.job");
+const healthService = require("../../services/health.service");
+
+describe("StorageInterface.checkHealth", () => {
+  it("should write, read back and delete a probe object", async () => {
+    const storage = new MemoryStorage();
+    const writeObject = jest.spyOn(storage, "_writeObject");
+
+    await expect(storage.checkHealth()).resolves.toBeUndefined();
+
+    expect(writeObject).toHaveBeenCalledWith(expect.stringMatching(/^health\//), expect.any(String));
+    expect(storage.objects.size).toBe(0);
+  });
+
+  it("should fail and clean up when the probe reads back differently", async () => {
+    const storage = new MemoryStorage();
+    jest.spyOn(storage, "_readObject").mockResolvedValueOnce(Buffer.from("something else"));
+
+    await expect(storage.checkHealth()).rejects.toThrow(
+      "Storage probe read back different contents"
+    );
+    expect(storage.objects.size).toBe(0);
+  });
+});
+
+describe("RateLimitService.ping", () => {
+  it("should PING Redis and fail while it is unreachable", async () => {
+    const realService = jest.requireActual("../../services/rateLimit.service");
+    const realClient = realService.client;
+    realService.client = new MemoryRedis();
+
+    try {
+      await expect(realService.ping()).resolves.toBeUndefined();
+      realService.client.ping = jest.fn().mockRejectedValue(new Error("The client is closed"));
+      await expect(realService.ping()).rejects.toThrow("The client is closed");
+    } finally {
+      realService.client = realClient;
+    }
+  });
+});
+
+describe("HealthService", () => {
+  const realConfig = { ...config };
+  const now = Date.UTC(2026, 2, 11, 12);
+  const realCleanupState = {
+    isRunning: cleanupJob.isRunning,
+    startedAt: cleanupJob.startedAt,
+    lastSuccessAt: cleanupJob.lastSuccessAt,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now, doNotFake: ["setImmediate", "nextTick"] });
+    config.timeToCleanUpProcess = 60000;
+    Object.assign(cleanupJob, {
+      isRunning: false,
+      startedAt: new Date(now - 120000),
+      lastSuccessAt: new Date(now - 30000),
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    Object.assign(config, realConfig);
+    Object.assign(cleanupJob, realCleanupState);
+  });
+
+  it("should be ready when Redis and storage are up", async () => {
+    await expect(healthService.readiness()).resolves.toEqual({
+      ready: true,
+      checks: {
+        redis: { status: "up", critical: false, latencyMs: 0, degraded: false, failureMode: "open" },
+        storage: { status: "up", critical: true, provider: config.provider, latencyMs: 0 },
+        cleanup: {
+          status: "ok",
+          critical: false,
+          running: false,
+          lastSuccessAt: new Date(now - 30000).toISOString(),
+        },
+      },
+    });
+  });
+
+  it("should not be ready when storage is down, without exposing the error", async () => {
+    const error = new Error("EACCES: permission denied, open '/srv/uploads/health/x'");
+    error.code = "EACCES";
+    fileService.checkStorageHealth.mockRejectedValueOnce(error);
+
+    const { ready, checks } = await healthService.readiness();
+
+    expect(ready).toBe(false);
+    expect(checks.storage).toEqual({
+      status: "down",
+      critical: true,
+      provider: config.provider,
+      error: "EACCES",
+    });
+  });
+
+  it("should only require Redis when quotas fail closed", async () => {
+    const error = new Error("The client is closed");
+    rateLimitService.ping.mockRejectedValueOnce(error).mockRejectedValueOnce(error);
+
+    const open = await healthService.readiness();
+    expect(open.ready).toBe(true);
+    expect(open.checks.redis).toMatchObject({ status: "down", critical: false, error: "unreachable" });
+
+    rateLimitService.getHealth.mockReturnValueOnce({ degraded: true, failureMode: "closed" });
+    const closed = await healthService.readiness();
+    expect(closed.ready).toBe(false);
+    expect(closed.checks.redis).toMatchObject({ status: "down", critical: true, degraded: true });
+  });
+
+  it("should fail checks that take longer than HEALTH_CHECK_TIMEOUT_MS", async () => {
+    config.healthCheckTimeout = 500;
+    fileService.checkStorageHealth.mockImplementationOnce(() => new Promise(() => {}));
+
+    const readiness = healthService.readiness();
+    await jest.advanceTimersByTimeAsync(500);
+
+    await expect(readiness).resolves.toMatchObject({
+      ready: false,
+      checks: { storage: { status: "down", error: "probe failed" } },
+    });
+  });
+
+  it("should report a cleanup job that has not completed recently", () => {
+    cleanupJob.lastSuccessAt = null;
+    expect(healthService.checkCleanup()).toMatchObject({ status: "pending", lastSuccessAt: null });
+
+    cleanupJob.startedAt = new Date(now - 4 * 60000);
+    expect(healthService.checkCleanup()).toMatchObject({ status: "stale" });
+
+    cleanupJob.lastSuccessAt = new Date(now - 4 * 60000);
+    expect(healthService.checkCleanup()).toMatchObject({ status: "stale", critical: false });
+  });
+});
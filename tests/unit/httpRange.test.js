@@ -0,0 +1,77 @@
+/**
+ * Unit tests for HTTP Range helpers
+ * Covers Range parsing and If-Range validation
+ */
+
+const { parseRange, ifRangeMatches, MAX_RANGES } = require("../../utils/httpRange");
+
+describe("httpRange", () => {
+  describe("parseRange()", () => {
+    it("should parse a closed range", () => {
+      expect(parseRange(1000, "bytes=0-499")).toEqual([{ start: 0, end: 499 }]);
+    });
+
+    it("should parse open-ended and suffix ranges", () => {
+      expect(parseRange(1000, "bytes=900-")).toEqual([{ start: 900, end: 999 }]);
+      expect(parseRange(1000, "bytes=-100")).toEqual([{ start: 900, end: 999 }]);
+      expect(parseRange(50, "bytes=-100")).toEqual([{ start: 0, end: 49 }]);
+    });
+
+    it("should clamp the end of a range to the file size", () => {
+      expect(parseRange(100, "bytes=50-5000")).toEqual([{ start: 50, end: 99 }]);
+    });
+
+    it("should parse multiple ranges", () => {
+      expect(parseRange(1000, "bytes=0-9, 20-29")).toEqual([
+        { start: 0, end: 9 },
+        { start: 20, end: 29 },
+      ]);
+    });
+
+    it("should drop unsatisfiable ranges and keep the rest", () => {
+      expect(parseRange(100, "bytes=0-9,500-600")).toEqual([{ start: 0, end: 9 }]);
+    });
+
+    it("should return -1 when no range can be satisfied", () => {
+      expect(parseRange(100, "bytes=100-200")).toBe(-1);
+      expect(parseRange(100, "bytes=-0")).toBe(-1);
+      expect(parseRange(0, "bytes=0-")).toBe(-1);
+    });
+
+    it("should ignore malformed headers and other units", () => {
+      expect(parseRange(100, "bytes=abc")).toBeNull();
+      expect(parseRange(100, "bytes=10-5")).toBeNull();
+      expect(parseRange(100, "bytes=-")).toBeNull();
+      expect(parseRange(100, "items=0-5")).toBeNull();
+      expect(parseRange(100, undefined)).toBeNull();
+    });
+
+    it("should ignore requests with too many ranges", () => {
+      const specs = Array.from({ length: MAX_RANGES + 1 }, (_, i) => `${i}-${i}`);
+      expect(parseRange(100, `bytes=${specs.join(",")}`)).toBeNull();
+    });
+  });
+
+  describe("ifRangeMatches()", () => {
+    const validators = {
+      etag: '"abc"',
+      lastModified: "Wed, 01 Jan 2025 00:00:00 GMT",
+    };
+
+    it("should pass when there is no If-Range header", () => {
+      expect(ifRangeMatches(undefined, validators)).toBe(true);
+    });
+
+    it("should compare entity tags strongly", () => {
+      expect(ifRangeMatches('"abc"', validators)).toBe(true);
+      expect(ifRangeMatches('"other"', validators)).toBe(false);
+      expect(ifRangeMatches('W/"abc"', validators)).toBe(false);
+    });
+
+    it("should compare HTTP dates", () => {
+      expect(ifRangeMatches("Wed, 01 Jan 2025 00:00:00 GMT", validators)).toBe(true);
+      expect(ifRangeMatches("Thu, 02 Jan 2025 00:00:00 GMT", validators)).toBe(false);
+      expect(ifRangeMatches("not a date", validators)).toBe(false);
+    });
+  });
+});
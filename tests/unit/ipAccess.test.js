@@ -0,0 +1,172 @@
+/**
+ * Unit tests for IP access rules and automatic bans
+ * Covers IpAccessService against the in-memory Redis and the offense classification
+ */
+
+jest.mock("../../utils/logger");
+
+const config = require("../../config");
+const MemoryRedis = require("../helpers/memoryRedis");
+const rateLimitService = require("../../services/rateLimit.service");
+const ipAccessService = jest.requireActual("../../services/ipAccess.service");
+const { offenseFor } = require("../../middleware/ipAccess.middleware");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe("IpAccessService", () => {
+  const realConfig = { ...config };
+  let redis;
+  let now;
+
+  beforeEach(() => {
+    redis = new MemoryRedis();
+    // IpAccessService shares the rate limit service's Redis client
+    rateLimitService.client = redis;
+    ipAccessService.matchers = null;
+    now = Date.UTC(2026, 2, 11, 12);
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    Object.assign(config, realConfig);
+  });
+
+  it("should refuse denylisted ranges unless they are allowlisted", async () => {
+    await ipAccessService.addRule("deny", "203.0.113.0/24", "Scraper");
+    await ipAccessService.addRule("allow", "203.0.113.7");
+
+    await expect(ipAccessService.checkAccess("203.0.113.9", "203.0.113.9")).resolves.toEqual({
+      allowed: false,
+      reason: "denied",
+    });
+    await expect(ipAccessService.checkAccess("203.0.113.7", "203.0.113.7")).resolves.toEqual({
+      allowed: true,
+      allowlisted: true,
+    });
+    await expect(ipAccessService.checkAccess("198.51.100.1", "198.51.100.1")).resolves.toEqual({
+      allowed: true,
+      allowlisted: false,
+    });
+    await expect(ipAccessService.listRules()).resolves.toMatchObject({
+      allow: [{ list: "allow", address: "203.0.113.7" }],
+      deny: [{ list: "deny", address: "203.0.113.0/24", note: "Scraper" }],
+    });
+  });
+
+  it("should reject invalid rules", async () => {
+    await expect(ipAccessService.addRule("block", "203.0.113.1")).rejects.toMatchObject({
+      message: "Invalid list",
+      statusCode: 400,
+    });
+    await expect(ipAccessService.addRule("deny", "203.0.113.0/33")).rejects.toMatchObject({
+      message: "Invalid address",
+      statusCode: 400,
+    });
+    await expect(ipAccessService.removeRule("deny", "203.0.113.1")).rejects.toMatchObject({
+      message: "IP rule not found",
+      statusCode: 404,
+    });
+  });
+
+  it("should apply rule changes made by other instances once the cache is stale", async () => {
+    await ipAccessService.checkAccess("203.0.113.9", "203.0.113.9");
+    await redis.hSet("iprules:deny", "203.0.113.9", JSON.stringify({ address: "203.0.113.9" }));
+
+    await expect(ipAccessService.checkAccess("203.0.113.9", "203.0.113.9")).resolves.toMatchObject({
+      allowed: true,
+    });
+    now += 10 * 1000;
+    await expect(ipAccessService.checkAccess("203.0.113.9", "203.0.113.9")).resolves.toMatchObject({
+      allowed: false,
+    });
+  });
+
+  it("should ban a client once it reaches an offense threshold", async () => {
+    config.autoBanAfterInvalidKeys = 3;
+
+    await expect(ipAccessService.recordOffense("198.51.100.1", "invalidPrivateKey")).resolves.toBeNull();
+    await ipAccessService.recordOffense("198.51.100.1", "invalidPrivateKey");
+    const ban = await ipAccessService.recordOffense("198.51.100.1", "invalidPrivateKey");
+
+    expect(ban).toEqual({
+      address: "198.51.100.1",
+      reason: "invalidPrivateKey",
+      offenses: 3,
+      bannedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + HOUR_MS).toISOString(),
+    });
+    await expect(ipAccessService.checkAccess("198.51.100.1", "198.51.100.1")).resolves.toEqual({
+      allowed: false,
+      reason: "banned",
+      ban,
+      retryAfter: 3600,
+    });
+    // The counter starts again for the next ban
+    expect(redis.data.has("offense:invalidPrivateKey:198.51.100.1")).toBe(false);
+  });
+
+  it("should start the offense window on the first offense", async () => {
+    config.autoBanAfter404 = 2;
+
+    await ipAccessService.recordOffense("2001:db8:1:2::/64", "notFound");
+
+    expect(redis.ttls.get("offense:notFound:2001:db8:1:2::/64")).toBe(600);
+  });
+
+  it("should not count offenses whose threshold is 0", async () => {
+    config.autoBanAfter429 = 0;
+
+    await expect(ipAccessService.recordOffense("198.51.100.1", "rateLimited")).resolves.toBeNull();
+    expect(redis.data.size).toBe(0);
+  });
+
+  it("should list, expire and lift bans", async () => {
+    await ipAccessService.ban("198.51.100.1", "rateLimited", 30);
+    await ipAccessService.ban("198.51.100.2", "notFound", 50);
+    await expect(ipAccessService.listBans()).resolves.toHaveLength(2);
+
+    await ipAccessService.clearBan("198.51.100.1");
+    await expect(ipAccessService.clearBan("198.51.100.1")).rejects.toMatchObject({
+      message: "Ban not found",
+      statusCode: 404,
+    });
+    await expect(ipAccessService.listBans()).resolves.toMatchObject([{ address: "198.51.100.2" }]);
+
+    now += HOUR_MS;
+    await expect(ipAccessService.listBans()).resolves.toEqual([]);
+    await expect(redis.hGetAll("ipbans")).resolves.toEqual({});
+  });
+
+  it("should let requests through while Redis is unavailable", async () => {
+    const error = new Error("The client is closed");
+    redis.hGet = jest.fn().mockRejectedValue(error);
+    redis.hGetAll = jest.fn().mockRejectedValue(error);
+    redis.incr = jest.fn().mockRejectedValue(error);
+
+    await expect(ipAccessService.checkAccess("198.51.100.1", "198.51.100.1")).resolves.toEqual({
+      allowed: true,
+      allowlisted: false,
+    });
+    await expect(ipAccessService.recordOffense("198.51.100.1", "rateLimited")).resolves.toBeNull();
+  });
+});
+
+describe("offenseFor", () => {
+  const response = (statusCode, locals = {}) => ({ statusCode, locals });
+
+  it("should classify refused and failed requests", () => {
+    expect(offenseFor({ method: "POST" }, response(429))).toBe("rateLimited");
+    expect(offenseFor({ method: "GET" }, response(404))).toBe("notFound");
+    expect(offenseFor({ method: "HEAD" }, response(404))).toBe("notFound");
+    expect(offenseFor({ method: "DELETE" }, response(500, { offense: "invalidPrivateKey" }))).toBe(
+      "invalidPrivateKey"
+    );
+  });
+
+  it("should ignore other responses", () => {
+    expect(offenseFor({ method: "GET" }, response(200))).toBeNull();
+    expect(offenseFor({ method: "PATCH" }, response(404))).toBeNull();
+    expect(offenseFor({ method: "DELETE" }, response(500))).toBeNull();
+  });
+});
@@ -1,205 +1,257 @@
 /**
  * Unit tests for LocalStorage class
- * Tests local file upload, download, and delete logic
+ * Runs the provider against a real temporary folder, so uploads, downloads,
+ * the privateKey index and deletion all go through the file system
  */
 
 const fs = require("fs");
-const fsp = require("fs").promises;
+const os = require("os");
 const path = require("path");
-const stream = require("stream");
-const { Readable } = stream;
+const crypto = require("crypto");
+const { Readable } = require("stream");
 const LocalStorage = require("../../models/storage/localStorage");
-const { logger } = require("../../utils/logger");
-const { generateKeys } = require("../../utils/generateKeys");
+const { generateKeys, hashKey } = require("../../utils/generateKeys");
 
 jest.mock("../../utils/logger");
 jest.mock("../../utils/generateKeys", () => ({
+  ...jest.requireActual("../../utils/generateKeys"),
   generateKeys: jest.fn().mockReturnValue({
     publicKey: "test-public-key",
-    privateKey: "test-private-key"
-  })
-}));
-
-jest.mock("fs", () => ({
-  constants: { R_OK: 4 },
-  createWriteStream: jest.fn().mockReturnValue({
-    write: jest.fn((buffer, callback) => callback && callback()),
-    end: jest.fn((callback) => callback && callback())
+    privateKey: "test-private-key",
   }),
-  createReadStream: jest.fn().mockReturnValue({
-    pipe: jest.fn()
-  }),
-  existsSync: jest.fn().mockReturnValue(true)
 }));
 
-jest.mock("fs/promises", () => ({
-  mkdir: jest.fn().mockResolvedValue(undefined),
-  writeFile: jest.fn().mockResolvedValue(undefined),
-  readFile: jest.fn(),
-  readdir: jest.fn(),
-  unlink: jest.fn().mockResolvedValue(undefined),
-  access: jest.fn().mockResolvedValue(undefined),
-  stat: jest.fn()
-}));
+// Read a whole stream into a string
+const streamToString = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
 
-jest.mock("stream", () => ({
-  ...jest.requireActual("stream"),
-  pipeline: jest.fn().mockImplementation((stream, writeStream, callback) => {
-    callback();
-  }),
-  Readable: {
-    from: jest.fn().mockReturnValue({
-      pipe: jest.fn()
-    })
-  }
-}));
+// SHA-256 digest naming the blob that holds some content
+const digestOf = (content) => crypto.createHash("sha256").update(content).digest("hex");
 
 describe("LocalStorage", () => {
-  const testFolder = "./test-uploads";
+  let folder;
   let storage;
 
-  beforeEach(() => {
-    jest.clearAllMocks();
-    storage = new LocalStorage(testFolder);
+  // Path of an object inside the storage folder
+  const stored = (...parts) => path.join(folder, ...parts);
+  const readJson = (...parts) => JSON.parse(fs.readFileSync(stored(...parts), "utf8"));
+
+  beforeEach(async () => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), "local-storage-"));
+    storage = new LocalStorage(folder);
+    await storage.ensureFolderExists();
   });
-  
+
   afterEach(() => {
-    jest.clearAllMocks();
+    fs.rmSync(folder, { recursive: true, force: true });
   });
 
   describe("uploadFile()", () => {
     it("should upload file with buffer", async () => {
-      const mockFile = {
+      const result = await storage.uploadFile({
         buffer: Buffer.from("test"),
         originalname: "test.txt",
         mimetype: "text/plain",
-        size: 123,
-      };
-
-      // Mock the write stream
-      const mockWriteStream = {
-        write: jest.fn((buffer, callback) => callback()),
-        end: jest.fn((callback) => callback())
-      };
-      fs.createWriteStream.mockReturnValue(mockWriteStream);
-
-      const result = await storage.uploadFile(mockFile);
-
-      expect(result).toHaveProperty("publicKey", "test-public-key");
-      expect(result).toHaveProperty("privateKey", "test-private-key");
-      expect(fs.createWriteStream).toHaveBeenCalledWith(
-        path.join(testFolder, "test-public-key")
+        size: 4,
+      });
+
+      expect(result).toEqual({ publicKey: "test-public-key", privateKey: "test-private-key" });
+      // Content is stored once under its digest, and the metadata points at it
+      expect(fs.readFileSync(stored("blobs", digestOf("test")), "utf8")).toBe("test");
+      expect(readJson("test-public-key.meta")).toMatchObject({
+        privateKeyHash: hashKey("test-private-key"),
+        originalName: "test.txt",
+        mimeType: "text/plain",
+        size: 4,
+        blob: digestOf("test"),
+      });
+      expect(readJson("test-public-key.meta")).not.toHaveProperty("privateKey");
+      // The private key is indexed by its hash
+      expect(fs.readFileSync(stored("keys", hashKey("test-private-key")), "utf8")).toBe(
+        "test-public-key"
       );
-      expect(fsp.writeFile).toHaveBeenCalled(); // For metadata
     });
 
     it("should upload file with stream", async () => {
-      const mockFile = {
-        stream: { pipe: jest.fn() },
+      await storage.uploadFile({
+        stream: Readable.from([Buffer.from("streamed "), Buffer.from("content")]),
         originalname: "test.txt",
         mimetype: "text/plain",
-        size: 123,
-      };
+        size: 16,
+      });
 
-      const mockWriteStream = { write: jest.fn(), end: jest.fn() };
-      fs.createWriteStream.mockReturnValue(mockWriteStream);
-
-      const result = await storage.uploadFile(mockFile);
-
-      expect(result).toHaveProperty("publicKey");
-      expect(result).toHaveProperty("privateKey");
-      expect(stream.pipeline).toHaveBeenCalled();
+      expect(fs.readFileSync(stored("blobs", digestOf("streamed content")), "utf8")).toBe(
+        "streamed content"
+      );
+      expect(readJson("test-public-key.meta").size).toBe(16);
     });
 
     it("should handle upload errors", async () => {
-      const mockFile = {
-        buffer: Buffer.from("test"),
-        originalname: "test.txt",
-        mimetype: "text/plain",
-        size: 123,
-      };
-
-      // Mock a write error
-      const mockWriteStream = {
-        write: jest.fn((buffer, callback) => callback(new Error("Write failed"))),
-        end: jest.fn()
-      };
-      fs.createWriteStream.mockReturnValue(mockWriteStream);
-
-      await expect(storage.uploadFile(mockFile)).rejects.toThrow();
-      expect(fsp.unlink).toHaveBeenCalled(); // Should attempt cleanup
+      const failing = new Readable({
+        read() {
+          this.destroy(new Error("Client aborted"));
+        },
+      });
+
+      await expect(
+        storage.uploadFile({ stream: failing, originalname: "test.txt", mimetype: "text/plain" })
+      ).rejects.toThrow("Client aborted");
+
+      // Neither the metadata nor a partial blob is left behind
+      expect(fs.existsSync(stored("test-public-key.meta"))).toBe(false);
+      expect(fs.readdirSync(stored("blobs", "tmp"))).toEqual([]);
     });
   });
 
   describe("downloadFile()", () => {
+    beforeEach(async () => {
+      await storage.uploadFile({
+        buffer: Buffer.from("download me"),
+        originalname: "file.txt",
+        mimetype: "text/plain",
+        size: 11,
+      });
+    });
+
     it("should download file with valid public key", async () => {
-      const publicKey = "test-public-key";
-      const mockMetadata = {
-        privateKey: "test-private-key",
-        originalName: "test.txt",
-        mimeType: "text/plain",
-        size: 123,
-        uploadedAt: new Date().toISOString(),
-        lastAccessed: new Date().toISOString()
-      };
-
-      fsp.readFile.mockResolvedValue(JSON.stringify(mockMetadata));
-      fsp.stat.mockResolvedValue({ size: 123 });
-      fs.createReadStream.mockReturnValue({ pipe: jest.fn() });
-
-      const result = await storage.downloadFile(publicKey);
-
-      expect(result).toHaveProperty("stream");
-      expect(result).toHaveProperty("mimeType", "text/plain");
-      expect(result).toHaveProperty("originalName", "test.txt");
-      expect(result).toHaveProperty("size", 123);
-      expect(fsp.writeFile).toHaveBeenCalled(); // Should update lastAccessed
+      const metadata = readJson("test-public-key.meta");
+      metadata.lastAccessed = new Date(0).toISOString();
+      fs.writeFileSync(stored("test-public-key.meta"), JSON.stringify(metadata));
+
+      const result = await storage.downloadFile("test-public-key");
+
+      expect(await streamToString(result.stream)).toBe("download me");
+      expect(result).toMatchObject({ mimeType: "text/plain", originalName: "file.txt", size: 11 });
+      // Downloads update lastAccessed
+      expect(Date.parse(readJson("test-public-key.meta").lastAccessed)).toBeGreaterThan(0);
+    });
+
+    it("should download a byte range", async () => {
+      const result = await storage.downloadFile("test-public-key", { start: 9, end: 10 });
+
+      expect(await streamToString(result.stream)).toBe("me");
     });
 
     it("should throw 404 for non-existent file", async () => {
-      const publicKey = "nonexistent-key";
-      
-      // Mock file not found
-      const error = new Error("ENOENT");
-      error.code = "ENOENT";
-      fsp.access.mockRejectedValue(error);
-
-      try {
-        await storage.downloadFile(publicKey);
-        fail("Should have thrown an error");
-      } catch (err) {
-        expect(err.statusCode).toBe(404);
-        expect(err.message).toContain("File not found");
-      }
+      await expect(storage.downloadFile("nonexistent-key")).rejects.toMatchObject({
+        statusCode: 404,
+        message: "File not found: nonexistent-key",
+      });
     });
   });
 
   describe("deleteFile()", () => {
+    beforeEach(async () => {
+      await storage.uploadFile({
+        buffer: Buffer.from("testfile"),
+        originalname: "test.txt",
+        mimetype: "text/plain",
+        size: 8,
+      });
+    });
+
     it("should delete file with valid private key", async () => {
-      // Setup mock implementations
-      fsp.readdir.mockResolvedValue(["testfile.meta"]);
-      fsp.readFile.mockResolvedValue(
-        JSON.stringify({
-          privateKey: "valid-key",
-          originalName: "test.txt",
-        })
-      );
+      const readdir = jest.spyOn(fs.promises, "readdir");
+
+      await expect(storage.deleteFile("test-private-key")).resolves.toEqual({ success: true });
 
-      const result = await storage.deleteFile("valid-key");
-      
-      expect(result.success).toBe(true);
-      expect(fsp.unlink).toHaveBeenCalledTimes(2); // File and metadata
+      expect(readdir).not.toHaveBeenCalled(); // Resolved through the index, no metadata scan
+      readdir.mockRestore();
+      // Metadata, index entry and the content's only reference are all gone
+      expect(fs.existsSync(stored("test-public-key.meta"))).toBe(false);
+      expect(fs.existsSync(stored("keys", hashKey("test-private-key")))).toBe(false);
+      expect(fs.readdirSync(stored("blobs")).filter((name) => name !== "tmp")).toEqual([]);
     });
 
     it("should throw for invalid private key", async () => {
-      fsp.readdir.mockResolvedValue(["abc123.meta"]);
-      fsp.readFile.mockResolvedValue(
-        JSON.stringify({ privateKey: "different-key" })
+      await expect(storage.deleteFile("invalid-key")).rejects.toMatchObject({
+        statusCode: 500,
+        message: expect.stringContaining("Invalid private key"),
+      });
+      expect(fs.existsSync(stored("test-public-key.meta"))).toBe(true);
+    });
+  });
+
+  describe("rebuildKeyIndex()", () => {
+    it("should index metadata stored before the index existed", async () => {
+      fs.writeFileSync(stored("legacy.meta"), JSON.stringify({ privateKey: "legacy-private" }));
+
+      await expect(storage.rebuildKeyIndex()).resolves.toMatchObject({
+        indexedCount: 1,
+        errorCount: 0,
+      });
+
+      expect(readJson("legacy.meta")).toEqual({ privateKeyHash: hashKey("legacy-private") });
+      expect(await storage.resolvePrivateKey("legacy-private")).toBe("legacy");
+    });
+  });
+
+  describe("deduplication", () => {
+    // Upload content under a distinct key pair
+    const uploadAs = (keys, text) => {
+      generateKeys.mockReturnValueOnce(keys);
+      return storage.uploadFile({
+        stream: Readable.from([Buffer.from(text)]),
+        originalname: `${keys.publicKey}.txt`,
+        mimetype: "text/plain",
+        size: text.length,
+      });
+    };
+    const blobRecord = (text) => readJson("blobs", `${digestOf(text)}.json`);
+
+    it("should store identical content once and count references", async () => {
+      await uploadAs({ publicKey: "pa", privateKey: "ka" }, "same bytes");
+      await uploadAs({ publicKey: "pb", privateKey: "kb" }, "same bytes");
+      await uploadAs({ publicKey: "pc", privateKey: "kc" }, "other bytes");
+
+      expect(blobRecord("same bytes")).toMatchObject({ refCount: 2, size: 10 });
+      expect(blobRecord("other bytes")).toMatchObject({ refCount: 1 });
+      expect(fs.readdirSync(stored("blobs", "tmp"))).toEqual([]);
+      expect(await streamToString((await storage.downloadFile("pb")).stream)).toBe("same bytes");
+    });
+
+    it("should remove the blob only with its last reference", async () => {
+      await uploadAs({ publicKey: "pa", privateKey: "ka" }, "same bytes");
+      await uploadAs({ publicKey: "pb", privateKey: "kb" }, "same bytes");
+
+      await storage.deleteFile("ka");
+      expect(blobRecord("same bytes").refCount).toBe(1);
+      expect(await streamToString((await storage.downloadFile("pb")).stream)).toBe("same bytes");
+
+      await storage.deleteFile("kb");
+      expect(await storage._listObjects("blobs/")).toEqual([]);
+      expect(await storage._listObjects()).toEqual([]);
+    });
+
+    it("should count concurrent uploads of the same content", async () => {
+      await Promise.all(
+        ["pa", "pb", "pc", "pd"].map((key) =>
+          uploadAs({ publicKey: key, privateKey: `k-${key}` }, "racing bytes")
+        )
+      );
+
+      expect(blobRecord("racing bytes").refCount).toBe(4);
+      expect((await storage._listObjects("blobs/")).sort()).toEqual([
+        `blobs/${digestOf("racing bytes")}`,
+        `blobs/${digestOf("racing bytes")}.json`,
+      ]);
+    });
+
+    it("should keep serving files stored before deduplication", async () => {
+      fs.writeFileSync(stored("legacy"), "old layout");
+      fs.writeFileSync(
+        stored("legacy.meta"),
+        JSON.stringify({ originalName: "old.txt", size: 10, privateKey: "kl" })
       );
+      fs.mkdirSync(stored("keys"), { recursive: true });
+      fs.writeFileSync(stored("keys", hashKey("kl")), "legacy");
 
-      const error = await storage.deleteFile("invalid-key");
-      expect(error.statusCode).toBe(500);
-      expect(error.message).toContain("Invalid private key");
+      expect(await streamToString((await storage.downloadFile("legacy")).stream)).toBe("old layout");
+      await storage.deleteFile("kl");
+      expect(await storage._listObjects()).toEqual([]);
     });
   });
 });
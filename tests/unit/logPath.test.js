@@ -0,0 +1,47 @@
+/**
+ * Unit tests for logged request paths
+ * Covers redaction of private keys and secret query parameters
+ */
+
+const { logPath } = require("../../utils/logPath");
+
+// Minimal request as seen by app-level middleware
+const req = (method, originalUrl) => ({ method, originalUrl });
+
+describe("logPath()", () => {
+  it("should keep paths without secrets as they are", () => {
+    expect(logPath(req("GET", "/files/abc123"))).toBe("/files/abc123");
+    expect(logPath(req("POST", "/files/abc123/unlock"))).toBe("/files/abc123/unlock");
+    expect(logPath(req("GET", "/admin/files?limit=10"))).toBe("/admin/files?limit=10");
+  });
+
+  it("should redact private keys addressing a file", () => {
+    expect(logPath(req("DELETE", "/files/priv"))).toBe("/files/[REDACTED]");
+    expect(logPath(req("PATCH", "/files/priv/"))).toBe("/files/[REDACTED]/");
+  });
+
+  it("should redact private keys of signed URL and webhook routes", () => {
+    expect(logPath(req("POST", "/files/priv/signed-urls"))).toBe("/files/[REDACTED]/signed-urls");
+    expect(logPath(req("GET", "/files/priv/webhooks?limit=5"))).toBe(
+      "/files/[REDACTED]/webhooks?limit=5"
+    );
+    expect(logPath(req("DELETE", "/files/priv/webhooks/7"))).toBe("/files/[REDACTED]/webhooks/7");
+  });
+
+  it("should keep resumable upload paths", () => {
+    expect(logPath(req("PATCH", "/files/uploads/0123abcd"))).toBe("/files/uploads/0123abcd");
+  });
+
+  it("should redact signatures and unlock tokens in the query", () => {
+    expect(logPath(req("GET", "/files/abc?exp=1700000000&sig=s3cret"))).toBe(
+      "/files/abc?exp=1700000000&sig=%5BREDACTED%5D"
+    );
+    expect(logPath(req("HEAD", "/files/abc?token=t0ken"))).toBe("/files/abc?token=%5BREDACTED%5D");
+  });
+
+  it("should fall back to req.url", () => {
+    expect(logPath({ method: "DELETE", url: "/files/priv?sig=x" })).toBe(
+      "/files/[REDACTED]?sig=%5BREDACTED%5D"
+    );
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Unit tests for the Prometheus metrics
+ * Covers the exposition format, the metrics middleware helpers and the metrics
+ * recorded by the Redis client, storage providers, rate limits and cleanup job
+ */
+
+jest.mock("../../utils/logger");
+
+const { Counter, Gauge, Histogram, Registry } = require("../../utils/metrics");
+const metricsService = require("../../services/metrics.service");
+const { routeLabel, uploadRejectionReason } = require("../../middleware/metrics.middleware");
+const MemoryRedis = require("../helpers/memoryRedis");
+
+describe("Metrics exposition format", () => {
+  it("should render counters and gauges with escaped labels", () => {
+    const registry = new Registry();
+    const counter = registry.register(
+      new Counter({ name: "jobs_total", help: "Jobs run", labelNames: ["queue"] })
+    );
+    const gauge = registry.register(new Gauge({ name: "queue_size", help: "Queued\njobs" }));
+
+    counter.inc({ queue: 'a "b"\\c' });
+    counter.inc({ queue: 'a "b"\\c' }, 2);
+    gauge.set({}, 7);
+
+    expect(registry.render()).toBe(
+      [
+        "# HELP jobs_total Jobs run",
+        "# TYPE jobs_total counter",
+        'jobs_total{queue="a \\"b\\"\\\\c"} 3',
+        "# HELP queue_size Queued\\njobs",
+        "# TYPE queue_size gauge",
+        "queue_size 7",
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("should render cumulative histogram buckets", () => {
+    const histogram = new Histogram({
+      name: "latency_seconds",
+      help: "Latency",
+      labelNames: ["route"],
+      buckets: [0.1, 1],
+    });
+
+    histogram.observe({ route: "/a" }, 0.05);
+    histogram.observe({ route: "/a" }, 0.5);
+    histogram.observe({ route: "/a" }, 5);
+
+    expect(histogram.render().split("\n").slice(2)).toEqual([
+      'latency_seconds_bucket{route="/a",le="0.1"} 1',
+      'latency_seconds_bucket{route="/a",le="1"} 2',
+      'latency_seconds_bucket{route="/a",le="+Inf"} 3',
+      'latency_seconds_sum{route="/a"} 5.55',
+      'latency_seconds_count{route="/a"} 3',
+    ]);
+  });
+
+  it("should refuse duplicate metrics and negative counter increments", () => {
+    const registry = new Registry();
+    registry.register(new Counter({ name: "jobs_total", help: "Jobs run" }));
+
+    expect(() => registry.register(new Gauge({ name: "jobs_total", help: "Jobs" }))).toThrow(
+      "Metric jobs_total is already registered"
+    );
+    expect(() => new Counter({ name: "c", help: "c" }).inc({}, -1)).toThrow(
+      "Counter c cannot be decreased"
+    );
+  });
+});
+
+describe("metrics middleware helpers", () => {
+  it("should label requests by route pattern, never by path", () => {
+    expect(
+      routeLabel({ route: { path: "/:publicKey" }, originalUrl: "/files/0123abcd?download=1" })
+    ).toBe("/files/:publicKey");
+    expect(routeLabel({ route: { path: "/" }, originalUrl: "/files/" })).toBe("/files");
+    expect(
+      routeLabel({ route: { path: "/:uploadId" }, originalUrl: "/files/uploads/u1" })
+    ).toBe("/files/uploads/:uploadId");
+    expect(routeLabel({ originalUrl: "/nothing/here" })).toBe("unmatched");
+  });
+
+  it("should classify upload rejections", () => {
+    expect(uploadRejectionReason({ code: "LIMIT_FILE_TYPES", statusCode: 400 })).toBe("type");
+    expect(uploadRejectionReason({ code: "LIMIT_FILE_SIZE" })).toBe("size");
+    expect(uploadRejectionReason({ statusCode: 413 })).toBe("size");
+    expect(uploadRejectionReason({ statusCode: 429 })).toBe("quota");
+    expect(uploadRejectionReason({ code: "FILE_INFECTED", statusCode: 422 })).toBe("scan");
+    expect(uploadRejectionReason({ statusCode: 503 })).toBeNull();
+  });
+});
+
+describe("MetricsService", () => {
+  beforeEach(() => {
+    metricsService.reset();
+  });
+
+  it("should time Redis commands and count failures", async () => {
+    const client = metricsService.instrumentRedis({
+      get: jest.fn().mockResolvedValue("1"),
+      incr: jest.fn().mockRejectedValue(new Error("The client is closed")),
+      connect: jest.fn().mockResolvedValue(undefined),
+      on: jest.fn().mockReturnThis(),
+    });
+
+    await expect(client.get("k")).resolves.toBe("1");
+    await expect(client.incr("k")).rejects.toThrow("The client is closed");
+    await client.connect();
+    client.on("error", () => {});
+
+    const text = metricsService.render();
+    expect(text).toMatch(/^redis_command_duration_seconds_count\{command="get"\} 1$/m);
+    expect(text).toMatch(/^redis_command_duration_seconds_count\{command="incr"\} 1$/m);
+    expect(text).toMatch(/^redis_command_errors_total\{command="incr"\} 1$/m);
+    expect(text).not.toMatch(/command="(connect|on)"/);
+  });
+
+  it("should time storage operations by provider", async () => {
+    const storage = metricsService.instrumentStorage(
+      {
+        async getMetadata() {
+          return this._read();
+        },
+        async _read() {
+          return { size: 1 };
+        },
+        async removeFile() {
+          throw new Error("File not found");
+        },
+      },
+      "s3"
+    );
+
+    await storage.getMetadata("pk");
+    await expect(storage.removeFile("pk")).rejects.toThrow("File not found");
+
+    const text = metricsService.render();
+    expect(text).toMatch(
+      /^storage_operation_duration_seconds_count\{provider="s3",operation="getMetadata"\} 1$/m
+    );
+    expect(text).toMatch(/^storage_operation_errors_total\{provider="s3",operation="removeFile"\} 1$/m);
+    // Calls between the provider's own methods are not counted again
+    expect(text).not.toMatch(/operation="_read"/);
+  });
+
+  it("should count rate limit hits by operation", async () => {
+    const rateLimitService = jest.requireActual("../../services/rateLimit.service");
+    const realClient = rateLimitService.client;
+    rateLimitService.client = new MemoryRedis();
+
+    try {
+      await rateLimitService.checkUploadLimit("198.51.100.1", 200 * 1024 * 1024);
+      await rateLimitService.client.set("password:pk:198.51.100.1", "5");
+      await rateLimitService.reservePasswordAttempt("pk", "198.51.100.1");
+    } finally {
+      rateLimitService.client = realClient;
+    }
+
+    const text = metricsService.render();
+    expect(text).toMatch(/^rate_limit_hits_total\{operation="upload"\} 1$/m);
+    expect(text).toMatch(/^rate_limit_hits_total\{operation="password"\} 1$/m);
+  });
+});
+
+describe("CleanupJob metrics", () => {
+  const fileService = require("../../services/file.service");
+  const cleanupJob = require("../../jobs/cleanup.job");
+
+  beforeEach(() => {
+    metricsService.reset();
+  });
+
+  it("should record successful runs with deleted and stored files", async () => {
+    fileService.cleanupInactiveFiles.mockResolvedValueOnce({
+      deletedCount: 2,
+      deletedFiles: [
+        { publicKey: "a".repeat(32), reason: "expired" },
+        { publicKey: "b".repeat(32), reason: "inactive" },
+      ],
+      storedCount: 3,
+      storedBytes: 4096,
+      errorCount: 0,
+    });
+
+    await cleanupJob.runCleanup();
+
+    const text = metricsService.render();
+    expect(text).toMatch(/^cleanup_runs_total\{outcome="success"\} 1$/m);
+    expect(text).toMatch(/^cleanup_duration_seconds_count 1$/m);
+    expect(text).toMatch(/^cleanup_deleted_files_total\{reason="expired"\} 1$/m);
+    expect(text).toMatch(/^cleanup_deleted_files_total\{reason="inactive"\} 1$/m);
+    expect(text).toMatch(/^cleanup_last_success_timestamp_seconds \d+(\.\d+)?$/m);
+    expect(text).toMatch(/^stored_files 3$/m);
+    expect(text).toMatch(/^stored_files_bytes 4096$/m);
+  });
+
+  it("should record failed runs without a last success", async () => {
+    fileService.cleanupInactiveFiles.mockRejectedValueOnce(new Error("Bucket unreachable"));
+
+    await cleanupJob.runCleanup();
+
+    const text = metricsService.render();
+    expect(text).toMatch(/^cleanup_runs_total\{outcome="failure"\} 1$/m);
+    expect(text).not.toMatch(/^cleanup_last_success_timestamp_seconds /m);
+  });
+});
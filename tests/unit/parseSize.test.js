@@ -0,0 +1,34 @@
+/**
+ * Unit tests for size strings
+ * Covers the parser shared by configured limits, API keys and file filters
+ */
+
+const { isSize, parseSize } = require("../../utils/parseSize");
+const { parseFileFilter } = require("../../utils/fileFilter");
+
+describe("parseSize()", () => {
+  it("should parse byte counts and KB, MB and GB units", () => {
+    expect(parseSize("2048")).toBe(2048);
+    expect(parseSize(2048)).toBe(2048);
+    expect(parseSize("500KB")).toBe(500 * 1024);
+    expect(parseSize("100MB")).toBe(100 * 1024 * 1024);
+    expect(parseSize("5GB")).toBe(5 * 1024 * 1024 * 1024);
+  });
+
+  it("should accept any case, spaces before the unit and decimals", () => {
+    expect(parseSize("10mb")).toBe(10 * 1024 * 1024);
+    expect(parseSize(" 2 Gb ")).toBe(2 * 1024 * 1024 * 1024);
+    expect(parseSize("1.5KB")).toBe(1536);
+  });
+
+  it.each(["", "-1", "10TB", "MB", "ten MB", "10 M B"])("should return 0 for %j", (value) => {
+    expect(parseSize(value)).toBe(0);
+    expect(isSize(value)).toBe(false);
+  });
+
+  it("should read file filter sizes like configured limits", () => {
+    for (const value of ["10MB", "500kb", "1.5GB", "4096"]) {
+      expect(parseFileFilter({ minSize: value }).minSize).toBe(parseSize(value));
+    }
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Unit tests for download passwords and unlock tokens
+ */
+
+jest.mock("../../utils/logger");
+
+const {
+  normalizePassword,
+  hashPassword,
+  verifyPassword,
+} = require("../../utils/password");
+const { issueUnlockToken, verifyUnlockToken } = require("../../utils/unlockToken");
+
+const publicKey = "0123456789abcdef0123456789abcdef";
+
+describe("password hashing", () => {
+  it("should store a salted scrypt hash, never the plaintext", async () => {
+    const first = await hashPassword("hunter2");
+    const second = await hashPassword("hunter2");
+
+    expect(first).toMatch(/^scrypt\$\d+\$\d+\$\d+\$[^$]+\$[^$]+$/);
+    expect(first).not.toContain("hunter2");
+    // A fresh salt per hash
+    expect(first).not.toBe(second);
+  });
+
+  it("should verify only the right password", async () => {
+    const hash = await hashPassword("correct horse");
+
+    await expect(verifyPassword("correct horse", hash)).resolves.toBe(true);
+    await expect(verifyPassword("wrong horse", hash)).resolves.toBe(false);
+    await expect(verifyPassword("correct horse", undefined)).resolves.toBe(false);
+    await expect(verifyPassword("correct horse", "md5$abc")).resolves.toBe(false);
+  });
+
+  it("should validate optional passwords", () => {
+    expect(normalizePassword(undefined)).toBeUndefined();
+    expect(normalizePassword("")).toBeUndefined();
+    expect(normalizePassword("secret")).toBe("secret");
+    expect(() => normalizePassword("x".repeat(1025))).toThrow("Invalid password");
+  });
+});
+
+describe("unlock tokens", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should accept a fresh token for the same file", () => {
+    const { token, expiresAt } = issueUnlockToken(publicKey);
+
+    expect(verifyUnlockToken(token, publicKey)).toBe(true);
+    expect(new Date(expiresAt).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it("should reject tokens for other files or with a forged signature", () => {
+    const { token } = issueUnlockToken(publicKey);
+    const [expires] = token.split(".");
+
+    expect(verifyUnlockToken(token, "f".repeat(32))).toBe(false);
+    expect(verifyUnlockToken(`${expires}.forged`, publicKey)).toBe(false);
+    expect(verifyUnlockToken(`${Number(expires) + 3600}.${token.split(".")[1]}`, publicKey)).toBe(false);
+    expect(verifyUnlockToken(undefined, publicKey)).toBe(false);
+  });
+
+  it("should reject expired tokens", () => {
+    jest.useFakeTimers({ now: Date.now() });
+    const { token } = issueUnlockToken(publicKey);
+
+    jest.setSystemTime(Date.now() + 16 * 60 * 1000);
+
+    expect(verifyUnlockToken(token, publicKey)).toBe(false);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Unit tests for failed password attempt limiting and signed URL caps in RateLimitService
+ * Uses the real service on top of the in-memory Redis
+ */
+
+jest.mock("../../utils/logger");
+
+const MemoryRedis = require("../helpers/memoryRedis");
+const rateLimitService = jest.requireActual("../../services/rateLimit.service");
+
+describe("RateLimitService password attempts", () => {
+  const realClient = rateLimitService.client;
+  let redis;
+
+  beforeEach(() => {
+    redis = rateLimitService.client = new MemoryRedis();
+  });
+
+  afterAll(() => {
+    rateLimitService.client = realClient;
+  });
+
+  it("should block an IP after five attempts on one file", async () => {
+    for (let i = 0; i < 5; i++) {
+      await expect(rateLimitService.reservePasswordAttempt("pk", "1.2.3.4")).resolves.toEqual({
+        allowed: true,
+        remaining: 4 - i,
+      });
+    }
+
+    await expect(rateLimitService.reservePasswordAttempt("pk", "1.2.3.4")).resolves.toEqual({
+      allowed: false,
+      error: {
+        message: "Too many failed password attempts",
+        statusCode: 429,
+        retryAfter: 900,
+      },
+    });
+    // The window starts with the first attempt, and refused attempts are not counted
+    expect(redis.ttls.get("password:pk:1.2.3.4")).toBe(900);
+    expect(redis.data.get("password:pk:1.2.3.4")).toBe("5");
+    // Other files and other IPs are unaffected
+    await expect(rateLimitService.reservePasswordAttempt("other", "1.2.3.4")).resolves.toMatchObject({
+      allowed: true,
+    });
+    await expect(rateLimitService.reservePasswordAttempt("pk", "5.6.7.8")).resolves.toMatchObject({
+      allowed: true,
+    });
+  });
+
+  it("should not let concurrent attempts exceed the limit", async () => {
+    const results = await Promise.all(
+      Array.from({ length: 8 }, () => rateLimitService.reservePasswordAttempt("pk", "1.2.3.4"))
+    );
+
+    expect(results.filter((result) => result.allowed)).toHaveLength(5);
+  });
+
+  it("should clear attempts after a correct password", async () => {
+    await rateLimitService.reservePasswordAttempt("pk", "1.2.3.4");
+    await rateLimitService.resetPasswordAttempts("pk", "1.2.3.4");
+
+    expect(redis.data.size).toBe(0);
+  });
+
+  it("should give counters left without a TTL their window", async () => {
+    await redis.set("password:pk:1.2.3.4", "5");
+
+    await expect(rateLimitService.reservePasswordAttempt("pk", "1.2.3.4")).resolves.toMatchObject({
+      allowed: false,
+      error: { retryAfter: 900 },
+    });
+    expect(redis.ttls.get("password:pk:1.2.3.4")).toBe(900);
+  });
+
+  it("should refuse attempts while Redis is unavailable", async () => {
+    redis.evalSha = jest.fn().mockRejectedValueOnce(new Error("Connection refused"));
+
+    await expect(rateLimitService.reservePasswordAttempt("pk", "1.2.3.4")).resolves.toMatchObject({
+      allowed: false,
+      error: { statusCode: 503 },
+    });
+  });
+});
+
+describe("RateLimitService signed URL caps", () => {
+  const realClient = rateLimitService.client;
+  let redis;
+
+  beforeEach(() => {
+    redis = rateLimitService.client = new MemoryRedis();
+  });
+
+  afterAll(() => {
+    rateLimitService.client = realClient;
+  });
+
+  it("should allow only the signed number of downloads", async () => {
+    await expect(rateLimitService.consumeSignedUrl("sig", 2, 300)).resolves.toEqual({
+      allowed: true,
+      remaining: 1,
+    });
+    await expect(rateLimitService.consumeSignedUrl("sig", 2, 300)).resolves.toEqual({
+      allowed: true,
+      remaining: 0,
+    });
+    await expect(rateLimitService.consumeSignedUrl("sig", 2, 300)).resolves.toMatchObject({
+      allowed: false,
+      error: { statusCode: 403 },
+    });
+    // The counter lives only as long as the URL, and refused downloads are not counted
+    expect(redis.ttls.get("signed:sig")).toBe(300);
+    expect(redis.data.get("signed:sig")).toBe("2");
+  });
+
+  it("should not let concurrent downloads exceed the cap", async () => {
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => rateLimitService.consumeSignedUrl("sig", 2, 300))
+    );
+
+    expect(results.filter((result) => result.allowed)).toHaveLength(2);
+  });
+
+  it("should refuse capped URLs while Redis is unavailable", async () => {
+    redis.evalSha = jest.fn().mockRejectedValueOnce(new Error("Connection refused"));
+
+    await expect(rateLimitService.consumeSignedUrl("sig", 2, 300)).resolves.toMatchObject({
+      allowed: false,
+      error: { statusCode: 503 },
+    });
+  });
+});
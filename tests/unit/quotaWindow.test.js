@@ -0,0 +1,201 @@
+/**
+ * Unit tests for quota windows and per-operation request limits
+ * Covers the window helpers and RateLimitService against the in-memory Redis
+ */
+
+jest.mock("../../utils/logger");
+
+const config = require("../../config");
+const MemoryRedis = require("../helpers/memoryRedis");
+const rateLimitService = jest.requireActual("../../services/rateLimit.service");
+const {
+  parseQuotaWindow,
+  windowBuckets,
+  secondsUntilReleased,
+} = require("../../utils/quotaWindow");
+const { setRateLimitHeaders } = require("../../middleware/rateLimit.middleware");
+
+const MB = 1024 * 1024;
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+describe("quota windows", () => {
+  it("should parse calendar periods and rolling durations", () => {
+    expect(parseQuotaWindow(undefined)).toEqual({ name: "day", calendar: "day" });
+    expect(parseQuotaWindow("month")).toEqual({ name: "month", calendar: "month" });
+    expect(parseQuotaWindow("24h")).toEqual({ name: "24h", ms: 24 * HOUR_MS });
+    expect(() => parseQuotaWindow("fortnight")).toThrow('Invalid quota window "fortnight"');
+  });
+
+  it("should end calendar periods at UTC boundaries", () => {
+    // Wednesday 2026-03-11 12:00 UTC
+    const now = Date.UTC(2026, 2, 11, 12);
+
+    expect(secondsUntilReleased(parseQuotaWindow("hour"), 0, now)).toBe(3600);
+    expect(secondsUntilReleased(parseQuotaWindow("day"), 0, now)).toBe(12 * 3600);
+    // ISO weeks end on Sunday night
+    expect(secondsUntilReleased(parseQuotaWindow("week"), 0, now)).toBe((4 * 24 + 12) * 3600);
+    expect(secondsUntilReleased(parseQuotaWindow("month"), 0, now)).toBe(
+      (Date.UTC(2026, 3, 1) - now) / 1000
+    );
+  });
+
+  it("should keep the same bucket for a whole calendar period", () => {
+    const week = parseQuotaWindow("week");
+    // Monday morning and Sunday night of the same ISO week
+    const monday = windowBuckets(week, Date.UTC(2026, 2, 9, 0, 0, 1));
+    const sunday = windowBuckets(week, Date.UTC(2026, 2, 15, 23, 59, 59));
+
+    expect(monday.current).toBe(sunday.current);
+    expect(monday.oldest).toBe(monday.current);
+    expect(windowBuckets(week, Date.UTC(2026, 2, 16)).current).toBe(monday.current + 1);
+  });
+
+  it("should split rolling windows into 60 buckets", () => {
+    const window = parseQuotaWindow("1h");
+    const { current, oldest, ttl } = windowBuckets(window, 90 * MINUTE_MS);
+
+    expect(current).toBe(90);
+    expect(oldest).toBe(31);
+    expect(ttl).toBe(3600);
+    // Usage from minute 31 leaves the window at minute 91
+    expect(secondsUntilReleased(window, 31, 90 * MINUTE_MS)).toBe(60);
+  });
+});
+
+describe("RateLimitService quota windows", () => {
+  const realClient = rateLimitService.client;
+  const realConfig = { ...config };
+  let redis;
+  let now;
+
+  beforeEach(() => {
+    redis = new MemoryRedis();
+    rateLimitService.client = redis;
+    now = Date.UTC(2026, 2, 11, 12);
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    Object.assign(config, realConfig);
+  });
+
+  afterAll(() => {
+    rateLimitService.client = realClient;
+  });
+
+  it("should release usage gradually in a rolling window", async () => {
+    config.quotaWindow = "1h";
+
+    await expect(rateLimitService.checkUploadLimit("198.51.100.1", 60 * MB)).resolves.toMatchObject({
+      allowed: true,
+    });
+    now += 30 * MINUTE_MS;
+    await expect(rateLimitService.checkUploadLimit("198.51.100.1", 30 * MB)).resolves.toMatchObject({
+      allowed: true,
+      currentUsage: 90 * MB,
+    });
+
+    // The first upload leaves the window 30 minutes from now, the second one after an hour
+    const refused = await rateLimitService.checkUploadLimit("198.51.100.1", 20 * MB);
+    expect(refused).toMatchObject({
+      allowed: false,
+      error: { message: "Upload limit exceeded", statusCode: 429, retryAfter: 30 * 60 },
+    });
+
+    now += 30 * MINUTE_MS;
+    await expect(rateLimitService.checkUploadLimit("198.51.100.1", 20 * MB)).resolves.toMatchObject({
+      allowed: true,
+      currentUsage: 50 * MB,
+    });
+  });
+
+  it("should count each window setting separately", async () => {
+    await rateLimitService.checkUploadLimit("198.51.100.1", 90 * MB);
+    config.quotaWindow = "week";
+
+    await expect(rateLimitService.checkUploadLimit("198.51.100.1", 90 * MB)).resolves.toMatchObject({
+      allowed: true,
+      currentUsage: 90 * MB,
+    });
+    expect(redis.data.has("quota:upload:day:198.51.100.1")).toBe(true);
+    expect(redis.data.has("quota:upload:week:198.51.100.1")).toBe(true);
+  });
+
+  it("should refuse many tiny downloads once the request limit is reached", async () => {
+    config.downloadRequestLimit = 3;
+
+    for (let i = 0; i < 3; i++) {
+      await rateLimitService.checkDownloadLimit("198.51.100.1");
+      await rateLimitService.trackDownload("198.51.100.1", 1);
+    }
+
+    await expect(rateLimitService.checkDownloadLimit("198.51.100.1")).rejects.toMatchObject({
+      message: "Daily download request limit exceeded",
+      statusCode: 429,
+      currentUsage: 3,
+      limit: 3,
+      remaining: 0,
+      retryAfter: 12 * 3600,
+    });
+  });
+
+  it("should limit upload requests alongside upload bytes", async () => {
+    config.uploadRequestLimit = 2;
+
+    const first = await rateLimitService.checkUploadLimit("198.51.100.1", 1);
+    expect(first).toMatchObject({
+      allowed: true,
+      currentUsage: 1,
+      requests: { currentUsage: 1, limit: 2, remaining: 1 },
+    });
+    await rateLimitService.checkUploadLimit("198.51.100.1", 1);
+
+    await expect(rateLimitService.checkUploadLimit("198.51.100.1", 1)).resolves.toMatchObject({
+      allowed: false,
+      error: { message: "Daily upload request limit exceeded", currentUsage: 2, limit: 2 },
+    });
+  });
+
+  it("should only count deletes when a delete limit is set", async () => {
+    await expect(rateLimitService.checkDeleteLimit("198.51.100.1")).resolves.toEqual({
+      allowed: true,
+    });
+    expect(redis.data.size).toBe(0);
+
+    config.deleteRequestLimit = 1;
+    await expect(rateLimitService.checkDeleteLimit("198.51.100.1")).resolves.toMatchObject({
+      allowed: true,
+      requests: { currentUsage: 1, limit: 1, remaining: 0 },
+    });
+    await expect(rateLimitService.checkDeleteLimit("198.51.100.1")).resolves.toMatchObject({
+      allowed: false,
+      error: { message: "Daily delete request limit exceeded", statusCode: 429 },
+    });
+    await expect(rateLimitService.getQuota("198.51.100.1")).resolves.toMatchObject({
+      window: "day",
+      delete: { requests: { currentUsage: 1, limit: 1 } },
+    });
+  });
+});
+
+describe("setRateLimitHeaders", () => {
+  it("should describe the limit closest to being exhausted", () => {
+    const res = { set: jest.fn() };
+
+    setRateLimitHeaders(res, {
+      currentUsage: 10,
+      limit: 100,
+      remaining: 90,
+      requests: { currentUsage: 8, limit: 10, remaining: 2 },
+      resetIn: 60,
+    });
+
+    expect(res.set).toHaveBeenCalledWith({
+      "RateLimit-Limit": 10,
+      "RateLimit-Remaining": 2,
+      "RateLimit-Reset": 60,
+    });
+  });
+});
@@ -0,0 +1,302 @@
+/**
+ * Concurrency tests for quota accounting in RateLimitService
+ * Runs the real service against the in-memory Redis, whose commands
+ * interleave across concurrent callers like a real server's
+ */
+
+jest.mock("../../utils/logger");
+
+const config = require("../../config");
+const MemoryRedis = require("../helpers/memoryRedis");
+const FallbackLimiter = require("../../utils/fallbackLimiter");
+const rateLimitService = jest.requireActual("../../services/rateLimit.service");
+
+const MB = 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const today = () => Math.floor(Date.now() / DAY_MS);
+
+// Sum of one kind of usage ("b" for bytes, "r" for requests) across a quota's buckets
+const usage = (redis, key, kind = "b") =>
+  [...(redis.data.get(key) || [])]
+    .filter(([field]) => field.startsWith(`${kind}:`))
+    .reduce((sum, [, value]) => sum + Number(value), 0);
+
+describe("RateLimitService atomic quotas", () => {
+  const realClient = rateLimitService.client;
+  const realFailureMode = config.rateLimitFailureMode;
+  let redis;
+
+  beforeEach(() => {
+    redis = new MemoryRedis();
+    rateLimitService.client = redis;
+  });
+
+  afterEach(() => {
+    config.rateLimitFailureMode = realFailureMode;
+  });
+
+  afterAll(() => {
+    rateLimitService.client = realClient;
+  });
+
+  it("should let the fake Redis interleave unscripted check-then-increment", async () => {
+    // The old GET/compare/INCRBY sequence, to show the test setup can expose races
+    const naiveCheck = async (key, size, limit) => {
+      const current = parseInt(await redis.get(key)) || 0;
+      if (current + size > limit) return false;
+      await redis.incrBy(key, size);
+      return true;
+    };
+
+    const results = await Promise.all(
+      Array.from({ length: 50 }, () => naiveCheck("naive", 3 * MB, 100 * MB))
+    );
+
+    expect(results.filter(Boolean).length).toBeGreaterThan(33);
+    expect(parseInt(redis.data.get("naive"))).toBeGreaterThan(100 * MB);
+  });
+
+  it("should never let parallel uploads exceed the daily limit", async () => {
+    const results = await Promise.all(
+      Array.from({ length: 50 }, () => rateLimitService.checkUploadLimit("198.51.100.1", 3 * MB))
+    );
+
+    // 33 uploads of 3MB fit in 100MB, the 34th would not
+    expect(results.filter((result) => result.allowed)).toHaveLength(33);
+    expect(results.filter((result) => !result.allowed)).toHaveLength(17);
+    expect(usage(redis, "quota:upload:day:198.51.100.1")).toBe(99 * MB);
+    expect(usage(redis, "quota:upload:day:198.51.100.1", "r")).toBe(33);
+  });
+
+  it("should count parallel upload requests before their bodies, up to the request limit", async () => {
+    const realLimit = config.uploadRequestLimit;
+    config.uploadRequestLimit = 3;
+    try {
+      const results = await Promise.all(
+        Array.from({ length: 6 }, () => rateLimitService.checkUploadRequest("198.51.100.1", MB))
+      );
+
+      expect(results.filter((result) => result.allowed)).toHaveLength(3);
+      expect(usage(redis, "quota:upload:day:198.51.100.1", "r")).toBe(3);
+      // Only the file's size is charged in bytes, once it is stored
+      expect(usage(redis, "quota:upload:day:198.51.100.1")).toBe(0);
+      await rateLimitService.checkUploadLimit("198.51.100.1", MB, { countRequest: false });
+      expect(usage(redis, "quota:upload:day:198.51.100.1", "r")).toBe(3);
+    } finally {
+      config.uploadRequestLimit = realLimit;
+    }
+  });
+
+  it("should refuse upload requests whose declared size no longer fits", async () => {
+    await rateLimitService.checkUploadLimit("198.51.100.1", 90 * MB);
+
+    await expect(
+      rateLimitService.checkUploadRequest("198.51.100.1", 20 * MB)
+    ).resolves.toMatchObject({ allowed: false, error: { statusCode: 429 } });
+    await expect(
+      rateLimitService.checkUploadRequest("198.51.100.1", 5 * MB)
+    ).resolves.toMatchObject({ allowed: true });
+  });
+
+  it("should report each upload's own usage", async () => {
+    const results = await Promise.all(
+      Array.from({ length: 10 }, () => rateLimitService.checkUploadLimit("198.51.100.1", 10 * MB))
+    );
+
+    const usages = results.map((result) => result.currentUsage).sort((a, b) => a - b);
+    expect(usages).toEqual(Array.from({ length: 10 }, (_, i) => (i + 1) * 10 * MB));
+    expect(results.every((result) => result.remaining === 100 * MB - result.currentUsage)).toBe(true);
+  });
+
+  it("should count every parallel download", async () => {
+    await Promise.all(
+      Array.from({ length: 40 }, () => rateLimitService.trackDownload("198.51.100.1", 1000))
+    );
+
+    expect(usage(redis, "quota:download:day:198.51.100.1")).toBe(40000);
+  });
+
+  it("should give every counter a TTL", async () => {
+    await rateLimitService.checkUploadLimit("198.51.100.1", MB);
+    await rateLimitService.trackDownload("198.51.100.1", MB);
+
+    // Counters expire when the day ends
+    for (const key of ["quota:upload:day:198.51.100.1", "quota:download:day:198.51.100.1"]) {
+      const ttl = await redis.ttl(key);
+      expect(ttl).toBeGreaterThan(0);
+      expect(ttl).toBeLessThanOrEqual(86400);
+    }
+  });
+
+  it("should repair counters left without a TTL", async () => {
+    // E.g. written by an instance that crashed between HINCRBY and EXPIRE
+    const key = "quota:upload:day:198.51.100.1";
+    await redis.hSet(key, `b:${today()}`, MB);
+
+    await rateLimitService.checkUploadLimit("198.51.100.1", MB);
+
+    await expect(redis.ttl(key)).resolves.toBeGreaterThan(0);
+  });
+
+  it("should send the script source only when Redis does not have it cached", async () => {
+    const evalSpy = jest.spyOn(redis, "eval");
+    const evalShaSpy = jest.spyOn(redis, "evalSha");
+
+    await rateLimitService.checkUploadLimit("198.51.100.1", MB);
+    await rateLimitService.checkUploadLimit("198.51.100.1", MB);
+
+    expect(evalShaSpy).toHaveBeenCalledTimes(2);
+    expect(evalSpy).toHaveBeenCalledTimes(1);
+  });
+
+  it("should report Redis failures as unavailable when failing closed", async () => {
+    config.rateLimitFailureMode = "closed";
+    redis.evalSha = jest.fn().mockRejectedValue(new Error("connection lost"));
+
+    await expect(rateLimitService.checkUploadLimit("198.51.100.1", MB)).resolves.toEqual({
+      allowed: false,
+      error: { message: "Rate limit service unavailable", statusCode: 503 },
+    });
+    await expect(rateLimitService.trackDownload("198.51.100.1", MB)).rejects.toMatchObject({
+      statusCode: 503,
+    });
+  });
+});
+
+describe("RateLimitService quota status", () => {
+  const realClient = rateLimitService.client;
+  let redis;
+
+  beforeEach(() => {
+    redis = new MemoryRedis();
+    rateLimitService.client = redis;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    rateLimitService.client = realClient;
+  });
+
+  it("should report when the quota resets from the counter's TTL", async () => {
+    const now = Date.UTC(2026, 2, 14, 23, 39, 26);
+    jest.spyOn(Date, "now").mockReturnValue(now);
+    await redis.hSet("quota:upload:day:198.51.100.1", `b:${today()}`, 100 * MB);
+
+    // A daily quota frees up at midnight UTC
+    await expect(rateLimitService.checkUploadLimit("198.51.100.1", MB)).resolves.toMatchObject({
+      allowed: false,
+      error: { remaining: 0, retryAfter: 1234 },
+    });
+  });
+
+  it("should report download usage and refuse exhausted quotas with Retry-After", async () => {
+    const apiKey = { id: "abc", dailyDownloadLimit: 10 };
+
+    await expect(rateLimitService.checkDownloadLimit(apiKey)).resolves.toMatchObject({
+      currentUsage: 0,
+      limit: 10,
+      remaining: 10,
+    });
+
+    jest.spyOn(Date, "now").mockReturnValue(Date.UTC(2026, 2, 14, 23, 58, 21));
+    await rateLimitService.trackDownload(apiKey, 10);
+
+    await expect(rateLimitService.checkDownloadLimit(apiKey)).rejects.toMatchObject({
+      statusCode: 429,
+      remaining: 0,
+      retryAfter: 99,
+    });
+  });
+
+  it("should report both quotas of a client", async () => {
+    await rateLimitService.checkUploadLimit("198.51.100.1", 2 * MB);
+
+    const quota = await rateLimitService.getQuota("198.51.100.1");
+
+    expect(quota.upload).toMatchObject({
+      currentUsage: 2 * MB,
+      limit: 100 * MB,
+      remaining: 98 * MB,
+    });
+    expect(quota.download).toMatchObject({ currentUsage: 0, limit: 1024 * MB });
+    // Unused quotas reset at the end of the day as well
+    expect(quota.download.resetIn).toBeGreaterThan(0);
+    expect(quota.download.resetIn).toBeLessThanOrEqual(86400);
+  });
+});
+
+describe("RateLimitService reservations", () => {
+  const realClient = rateLimitService.client;
+  let redis;
+
+  beforeEach(() => {
+    redis = new MemoryRedis();
+    rateLimitService.client = redis;
+    rateLimitService.fallback = new FallbackLimiter(100);
+    rateLimitService.degradedSince = null;
+  });
+
+  afterAll(() => {
+    rateLimitService.client = realClient;
+  });
+
+  it("should give back the quota of a released upload", async () => {
+    const { reservation } = await rateLimitService.checkUploadLimit("198.51.100.1", 60 * MB);
+    await rateLimitService.checkUploadLimit("198.51.100.1", 10 * MB);
+
+    await rateLimitService.releaseReservation(reservation);
+
+    expect(usage(redis, "quota:upload:day:198.51.100.1")).toBe(10 * MB);
+    expect(usage(redis, "quota:upload:day:198.51.100.1", "r")).toBe(1);
+    await expect(rateLimitService.checkUploadLimit("198.51.100.1", 80 * MB)).resolves.toMatchObject({
+      allowed: true,
+    });
+  });
+
+  it("should settle a reservation only once", async () => {
+    const { reservation } = await rateLimitService.checkUploadLimit("198.51.100.1", MB);
+    rateLimitService.commitReservation(reservation);
+    await rateLimitService.releaseReservation(reservation);
+
+    const { reservation: other } = await rateLimitService.checkUploadLimit("198.51.100.1", MB);
+    await rateLimitService.releaseReservation(other);
+    await rateLimitService.releaseReservation(other);
+
+    expect(usage(redis, "quota:upload:day:198.51.100.1")).toBe(MB);
+  });
+
+  it("should charge aborted downloads only for the bytes served", async () => {
+    const reservation = await rateLimitService.reserveDownload("198.51.100.1", 1000);
+    expect(usage(redis, "quota:download:day:198.51.100.1")).toBe(1000);
+
+    await rateLimitService.releaseReservation(reservation, { bytes: 1000 - 300 });
+
+    expect(usage(redis, "quota:download:day:198.51.100.1")).toBe(300);
+  });
+
+  it("should remove counters whose usage was all given back", async () => {
+    const { reservation } = await rateLimitService.checkUploadLimit("198.51.100.1", MB);
+
+    await rateLimitService.releaseReservation(reservation);
+
+    expect(redis.data.has("quota:upload:day:198.51.100.1")).toBe(false);
+  });
+
+  it("should release usage counted in memory while Redis was unavailable", async () => {
+    const failing = jest.fn().mockRejectedValue(new Error("The client is closed"));
+    redis.evalSha = failing;
+    redis.eval = failing;
+
+    const { reservation } = await rateLimitService.checkUploadLimit("198.51.100.1", 60 * MB);
+    expect(reservation.fallback).toBe(true);
+    await rateLimitService.releaseReservation(reservation);
+
+    await expect(rateLimitService.checkUploadLimit("198.51.100.1", 90 * MB)).resolves.toMatchObject({
+      allowed: true,
+      currentUsage: 90 * MB,
+    });
+  });
+});
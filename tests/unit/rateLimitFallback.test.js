@@ -0,0 +1,179 @@
+/**
+ * Unit tests for rate limiting while Redis is unavailable
+ * Covers the in-memory FallbackLimiter and RateLimitService's failure modes,
+ * reconciliation and health reporting
+ */
+
+jest.mock("../../utils/logger");
+
+const { createClient } = require("redis");
+const config = require("../../config");
+const MemoryRedis = require("../helpers/memoryRedis");
+const FallbackLimiter = require("../../utils/fallbackLimiter");
+const rateLimitService = jest.requireActual("../../services/rateLimit.service");
+
+const MB = 1024 * 1024;
+
+// Make every script call fail like a dropped connection
+const breakRedis = (redis) => {
+  const error = new Error("The client is closed");
+  redis.evalSha = jest.fn().mockRejectedValue(error);
+  redis.eval = jest.fn().mockRejectedValue(error);
+};
+
+describe("FallbackLimiter", () => {
+  it("should apply limits like the quota script", () => {
+    const limiter = new FallbackLimiter(10);
+
+    // current, oldest, need, add bytes, add requests, byte limit, request limit
+    expect(limiter.consume("a", [5, 1, 60, 60, 1, 100, 0])).toEqual([1, 60, 1, 5]);
+    expect(limiter.consume("a", [6, 2, 50, 50, 1, 100, 0])).toEqual([0, 60, 1, 5, 1]);
+    expect(limiter.consume("a", [6, 2, 40, 40, 1, 100, 0])).toEqual([1, 100, 2, 5]);
+    // Bucket 5 has left the window
+    expect(limiter.consume("a", [6, 6, 50, 50, 1, 100, 0])).toEqual([1, 90, 2, 6]);
+  });
+
+  it("should drop the least recently used counters", () => {
+    const limiter = new FallbackLimiter(2);
+
+    limiter.consume("a", [1, 1, 0, 1, 1, 0, 0]);
+    limiter.consume("b", [1, 1, 0, 1, 1, 0, 0]);
+    limiter.consume("a", [1, 1, 0, 1, 1, 0, 0]);
+    limiter.consume("c", [1, 1, 0, 1, 1, 0, 0]);
+
+    expect(limiter.keys()).toEqual(["a", "c"]);
+  });
+
+  it("should hand counters over and take them back", () => {
+    const limiter = new FallbackLimiter(10);
+    limiter.consume("a", [1, 1, 0, 5, 1, 0, 0]);
+
+    const buckets = limiter.take("a");
+    expect(limiter.size).toBe(0);
+    expect([...buckets]).toEqual([[1, { bytes: 5, requests: 1 }]]);
+
+    limiter.consume("a", [1, 1, 0, 2, 1, 0, 0]);
+    limiter.restore("a", buckets);
+    expect([...limiter.take("a")]).toEqual([[1, { bytes: 7, requests: 2 }]]);
+  });
+});
+
+describe("RateLimitService without Redis", () => {
+  const realClient = rateLimitService.client;
+  const realFailureMode = config.rateLimitFailureMode;
+  let redis;
+
+  beforeEach(() => {
+    redis = new MemoryRedis();
+    rateLimitService.client = redis;
+    rateLimitService.fallback = new FallbackLimiter(100);
+    rateLimitService.degradedSince = null;
+  });
+
+  afterEach(() => {
+    config.rateLimitFailureMode = realFailureMode;
+  });
+
+  afterAll(() => {
+    rateLimitService.client = realClient;
+  });
+
+  it("should connect with the node-redis v4 options and reconnect with backoff", () => {
+    expect(createClient).toHaveBeenCalledWith(
+      expect.objectContaining({
+        socket: expect.objectContaining({ host: "localhost", port: 6379 }),
+        database: 0,
+        disableOfflineQueue: true,
+      })
+    );
+
+    jest.spyOn(Math, "random").mockReturnValue(1);
+    expect(rateLimitService._reconnectDelay(0)).toBe(100);
+    expect(rateLimitService._reconnectDelay(3)).toBe(800);
+    expect(rateLimitService._reconnectDelay(20)).toBe(config.redis.reconnectMaxDelay);
+    Math.random.mockRestore();
+  });
+
+  it("should keep enforcing limits in memory when failing open", async () => {
+    breakRedis(redis);
+
+    await expect(rateLimitService.checkUploadLimit("198.51.100.1", 60 * MB)).resolves.toMatchObject({
+      allowed: true,
+      currentUsage: 60 * MB,
+    });
+    await expect(rateLimitService.checkUploadLimit("198.51.100.1", 60 * MB)).resolves.toMatchObject({
+      allowed: false,
+      error: { statusCode: 429, message: "Daily upload limit exceeded" },
+    });
+    await expect(rateLimitService.checkDownloadLimit("198.51.100.1")).resolves.toMatchObject({
+      limit: 1024 * MB,
+    });
+    await expect(rateLimitService.getQuota("198.51.100.1")).resolves.toMatchObject({
+      degraded: true,
+      upload: { currentUsage: 60 * MB },
+    });
+  });
+
+  it("should refuse requests when failing closed", async () => {
+    config.rateLimitFailureMode = "closed";
+    breakRedis(redis);
+
+    await expect(rateLimitService.checkUploadLimit("198.51.100.1", MB)).resolves.toEqual({
+      allowed: false,
+      error: { message: "Rate limit service unavailable", statusCode: 503 },
+    });
+    await expect(rateLimitService.checkDownloadLimit("198.51.100.1")).rejects.toMatchObject({
+      statusCode: 503,
+    });
+    expect(rateLimitService.fallback.size).toBe(0);
+  });
+
+  it("should report the degraded state for health checks", async () => {
+    expect(rateLimitService.getHealth()).toEqual({
+      redis: "up",
+      degraded: false,
+      failureMode: "open",
+      fallbackCounters: 0,
+    });
+
+    breakRedis(redis);
+    await rateLimitService.checkUploadLimit("198.51.100.1", MB);
+
+    expect(rateLimitService.getHealth()).toMatchObject({
+      redis: "down",
+      degraded: true,
+      since: expect.any(String),
+      fallbackCounters: 1,
+    });
+  });
+
+  it("should add usage counted during an outage to Redis once it is back", async () => {
+    await rateLimitService.checkUploadLimit("198.51.100.1", 10 * MB);
+
+    const working = redis;
+    const broken = new MemoryRedis();
+    breakRedis(broken);
+    rateLimitService.client = broken;
+    await rateLimitService.checkUploadLimit("198.51.100.1", 20 * MB);
+    await rateLimitService.trackDownload("198.51.100.1", 5 * MB);
+
+    // The first command that reaches Redis again starts the reconciliation
+    rateLimitService.client = working;
+    await rateLimitService.checkUploadLimit("198.51.100.1", MB);
+    await rateLimitService.reconciling;
+
+    expect(rateLimitService.getHealth()).toMatchObject({ degraded: false, fallbackCounters: 0 });
+    await expect(rateLimitService.getQuota("198.51.100.1")).resolves.toMatchObject({
+      upload: { currentUsage: 31 * MB },
+      download: { currentUsage: 5 * MB },
+    });
+  });
+
+  it("should keep counters that could not be written for the next attempt", async () => {
+    breakRedis(redis);
+    await rateLimitService.checkUploadLimit("198.51.100.1", MB);
+
+    await expect(rateLimitService.reconcile()).rejects.toThrow("The client is closed");
+    expect(rateLimitService.fallback.size).toBe(1);
+  });
+});
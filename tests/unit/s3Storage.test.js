@@ -0,0 +1,632 @@
+/**
+ * Unit tests for S3Storage class
+ * Runs the provider against an in-process fake S3 endpoint backed by a Map
+ */
+
+const { Readable } = require("stream");
+
+jest.mock("../../utils/logger");
+jest.mock("../../utils/generateKeys", () => ({
+  ...jest.requireActual("../../utils/generateKeys"),
+  generateKeys: jest.fn().mockReturnValue({
+    publicKey: "test-public-key",
+    privateKey: "test-private-key",
+  }),
+}));
+
+// In-process fake bucket: key -> { body: Buffer, contentType, size? }
+// An explicit size stands in for content too large to hold in a test
+const mockBucket = new Map();
+// Multipart uploads in progress: UploadId -> { key, contentType, parts: Map<PartNumber, Buffer> }
+const mockUploads = new Map();
+
+jest.mock("@aws-sdk/client-s3", () => {
+  const { Readable } = require("stream");
+
+  // Commands just carry their input, the fake client dispatches on the class
+  class Command {
+    constructor(input) {
+      this.input = input;
+    }
+  }
+  class GetObjectCommand extends Command {}
+  class PutObjectCommand extends Command {}
+  class HeadObjectCommand extends Command {}
+  class CopyObjectCommand extends Command {}
+  class CreateMultipartUploadCommand extends Command {}
+  class UploadPartCopyCommand extends Command {}
+  class CompleteMultipartUploadCommand extends Command {}
+  class AbortMultipartUploadCommand extends Command {}
+  class DeleteObjectsCommand extends Command {}
+  class ListObjectsV2Command extends Command {}
+
+  // Turn a buffer into an SDK-like response body
+  const toBody = (buffer) => {
+    const body = Readable.from([buffer]);
+    body.transformToByteArray = async () => new Uint8Array(buffer);
+    return body;
+  };
+
+  class S3Client {
+    async send(command) {
+      const { Key } = command.input;
+      if (command instanceof PutObjectCommand) {
+        mockBucket.set(Key, {
+          body: Buffer.from(command.input.Body),
+          contentType: command.input.ContentType,
+        });
+        return {};
+      }
+      if (command instanceof GetObjectCommand) {
+        if (!mockBucket.has(Key)) {
+          const err = new Error("The specified key does not exist.");
+          err.name = "NoSuchKey";
+          throw err;
+        }
+        const object = mockBucket.get(Key);
+        // Honor "bytes=start-end" ranges
+        const range = /^bytes=(\d+)-(\d+)$/.exec(command.input.Range || "");
+        const body = range
+          ? object.body.subarray(Number(range[1]), Number(range[2]) + 1)
+          : object.body;
+        return { Body: toBody(body), ContentType: object.contentType };
+      }
+      if (command instanceof HeadObjectCommand) {
+        if (!mockBucket.has(Key)) {
+          const err = new Error("Not Found");
+          err.name = "NotFound";
+          throw err;
+        }
+        const object = mockBucket.get(Key);
+        return { ContentLength: object.size ?? object.body.length, ContentType: object.contentType };
+      }
+      if (command instanceof CreateMultipartUploadCommand) {
+        const UploadId = `upload-${mockUploads.size + 1}`;
+        mockUploads.set(UploadId, {
+          key: Key,
+          contentType: command.input.ContentType,
+          parts: new Map(),
+        });
+        return { UploadId };
+      }
+      if (command instanceof UploadPartCopyCommand) {
+        const source = mockBucket.get(command.input.CopySource.replace(/^[^/]+\//, ""));
+        const [, start, end] = /^bytes=(\d+)-(\d+)$/.exec(command.input.CopySourceRange);
+        mockUploads
+          .get(command.input.UploadId)
+          .parts.set(command.input.PartNumber, source.body.subarray(Number(start), Number(end) + 1));
+        return { CopyPartResult: { ETag: `"etag-${command.input.PartNumber}"` } };
+      }
+      if (command instanceof CompleteMultipartUploadCommand) {
+        const upload = mockUploads.get(command.input.UploadId);
+        const parts = command.input.MultipartUpload.Parts.map((p) => upload.parts.get(p.PartNumber));
+        mockBucket.set(Key, { body: Buffer.concat(parts), contentType: upload.contentType });
+        mockUploads.delete(command.input.UploadId);
+        return {};
+      }
+      if (command instanceof AbortMultipartUploadCommand) {
+        mockUploads.delete(command.input.UploadId);
+        return {};
+      }
+      if (command instanceof CopyObjectCommand) {
+        const source = command.input.CopySource.replace(/^[^/]+\//, "");
+        mockBucket.set(Key, { ...mockBucket.get(source) });
+        return {};
+      }
+      if (command instanceof DeleteObjectsCommand) {
+        command.input.Delete.Objects.forEach((o) => mockBucket.delete(o.Key));
+        return {};
+      }
+      if (command instanceof ListObjectsV2Command) {
+        // Honor Prefix, and the "/" delimiter by hiding keys further below it
+        const { Prefix = "", Delimiter } = command.input;
+        const keys = [...mockBucket.keys()].filter(
+          (k) =>
+            k.startsWith(Prefix) &&
+            (!Delimiter || !k.slice(Prefix.length).includes(Delimiter))
+        );
+        return { Contents: keys.map((k) => ({ Key: k })), IsTruncated: false };
+      }
+      throw new Error(`Unsupported command ${command.constructor.name}`);
+    }
+  }
+
+  return {
+    S3Client,
+    GetObjectCommand,
+    PutObjectCommand,
+    HeadObjectCommand,
+    CopyObjectCommand,
+    CreateMultipartUploadCommand,
+    UploadPartCopyCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand,
+    DeleteObjectsCommand,
+    ListObjectsV2Command,
+  };
+});
+
+jest.mock("@aws-sdk/lib-storage", () => ({
+  // Managed upload drains the body into the fake bucket
+  Upload: class {
+    constructor({ params }) {
+      this.params = params;
+    }
+    async done() {
+      const chunks = [];
+      if (Buffer.isBuffer(this.params.Body)) {
+        chunks.push(this.params.Body);
+      } else {
+        for await (const chunk of this.params.Body) chunks.push(chunk);
+      }
+      mockBucket.set(this.params.Key, {
+        body: Buffer.concat(chunks),
+        contentType: this.params.ContentType,
+      });
+    }
+  },
+}));
+
+const S3Storage = require("../../models/storage/s3Storage");
+const { generateKeys, hashKey } = require("../../utils/generateKeys");
+const crypto = require("crypto");
+
+// Object name of the blob holding some content
+const blobName = (content) =>
+  `blobs/${crypto.createHash("sha256").update(content).digest("hex")}`;
+
+// Read a whole stream into a string
+const streamToString = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+describe("S3Storage", () => {
+  let storage;
+
+  beforeEach(() => {
+    mockBucket.clear();
+    mockUploads.clear();
+    storage = new S3Storage({ bucket: "test-bucket", forcePathStyle: true });
+  });
+
+  it("should require a bucket", () => {
+    expect(() => new S3Storage({})).toThrow("missing bucket");
+  });
+
+  describe("uploadFile()", () => {
+    it("should store the file and its metadata sidecar", async () => {
+      const result = await storage.uploadFile({
+        stream: Readable.from([Buffer.from("hello s3")]),
+        originalname: "hello.txt",
+        mimetype: "text/plain",
+        size: 8,
+      });
+
+      expect(result).toEqual({
+        publicKey: "test-public-key",
+        privateKey: "test-private-key",
+      });
+      // Content is stored once under its digest
+      expect(mockBucket.get(blobName("hello s3")).body.toString()).toBe("hello s3");
+      expect(mockBucket.has("test-public-key")).toBe(false);
+      expect(
+        mockBucket.get(`keys/${hashKey("test-private-key")}`).body.toString()
+      ).toBe("test-public-key");
+
+      const metadata = JSON.parse(mockBucket.get("test-public-key.meta").body);
+      expect(metadata).toMatchObject({
+        privateKeyHash: hashKey("test-private-key"),
+        originalName: "hello.txt",
+        mimeType: "text/plain",
+        size: 8,
+        blob: blobName("hello s3").slice("blobs/".length),
+      });
+      // The private key itself is never stored, and files are plaintext without ENCRYPTION_KEYS
+      expect(metadata).not.toHaveProperty("privateKey");
+      expect(metadata).not.toHaveProperty("encryption");
+    });
+
+    it("should remove both objects when the upload fails", async () => {
+      const failing = new Readable({
+        read() {
+          this.destroy(new Error("Client aborted"));
+        },
+      });
+
+      await expect(
+        storage.uploadFile({
+          stream: failing,
+          originalname: "broken.txt",
+          mimetype: "text/plain",
+          size: 1,
+        })
+      ).rejects.toThrow("Client aborted");
+      expect(mockBucket.size).toBe(0);
+    });
+  });
+
+  describe("downloadFile()", () => {
+    it("should stream the file and update last accessed time", async () => {
+      await storage.uploadFile({
+        buffer: Buffer.from("download me"),
+        originalname: "file.txt",
+        mimetype: "text/plain",
+        size: 11,
+      });
+      const before = JSON.parse(mockBucket.get("test-public-key.meta").body);
+      before.lastAccessed = new Date(0).toISOString();
+      mockBucket.get("test-public-key.meta").body = Buffer.from(JSON.stringify(before));
+
+      const result = await storage.downloadFile("test-public-key");
+
+      expect(await streamToString(result.stream)).toBe("download me");
+      expect(result).toMatchObject({
+        mimeType: "text/plain",
+        originalName: "file.txt",
+        size: 11,
+      });
+      const after = JSON.parse(mockBucket.get("test-public-key.meta").body);
+      expect(new Date(after.lastAccessed).getTime()).toBeGreaterThan(0);
+    });
+
+    it("should throw 404 for a missing file", async () => {
+      await expect(storage.downloadFile("missing")).rejects.toMatchObject({
+        statusCode: 404,
+        message: "File not found: missing",
+      });
+    });
+  });
+
+  describe("deleteFile()", () => {
+    it("should delete the file with a valid private key", async () => {
+      await storage.uploadFile({
+        buffer: Buffer.from("x"),
+        originalname: "x.txt",
+        mimetype: "text/plain",
+        size: 1,
+      });
+
+      const send = jest.spyOn(storage.client, "send");
+
+      await expect(storage.deleteFile("test-private-key")).resolves.toEqual({
+        success: true,
+      });
+      expect(mockBucket.size).toBe(0);
+      // Resolved through the index, never by listing the bucket
+      expect(
+        send.mock.calls.some(([c]) => c.constructor.name === "ListObjectsV2Command")
+      ).toBe(false);
+    });
+
+    it("should throw for an unknown private key", async () => {
+      await expect(storage.deleteFile("unknown")).rejects.toThrow("File not found");
+    });
+  });
+
+  describe("rebuildKeyIndex()", () => {
+    it("should index every metadata sidecar", async () => {
+      mockBucket.set("a.meta", { body: Buffer.from(JSON.stringify({ privateKey: "pa" })) });
+      mockBucket.set("b.meta", { body: Buffer.from(JSON.stringify({ privateKey: "pb" })) });
+      mockBucket.set("a", { body: Buffer.from("a") });
+
+      const result = await storage.rebuildKeyIndex();
+
+      expect(result).toMatchObject({ indexedCount: 2, errorCount: 0 });
+      expect(mockBucket.get(`keys/${hashKey("pa")}`).body.toString()).toBe("a");
+      expect(mockBucket.get(`keys/${hashKey("pb")}`).body.toString()).toBe("b");
+    });
+
+    it("should replace raw private keys in older metadata with their hash", async () => {
+      mockBucket.set("a.meta", { body: Buffer.from(JSON.stringify({ privateKey: "pa" })) });
+
+      await storage.rebuildKeyIndex();
+
+      expect(JSON.parse(mockBucket.get("a.meta").body)).toEqual({ privateKeyHash: hashKey("pa") });
+      expect(mockBucket.get(`keys/${hashKey("pa")}`).body.toString()).toBe("a");
+    });
+  });
+
+  describe("cleanupInactiveFiles()", () => {
+    it("should delete only files inactive past the cutoff", async () => {
+      const stale = {
+        privateKey: "stale-private",
+        lastAccessed: new Date(Date.now() - 2 * 86400000).toISOString(),
+      };
+      const fresh = { lastAccessed: new Date().toISOString() };
+      mockBucket.set("stale", { body: Buffer.from("old") });
+      mockBucket.set("stale.meta", { body: Buffer.from(JSON.stringify(stale)) });
+      mockBucket.set(`keys/${hashKey("stale-private")}`, { body: Buffer.from("stale") });
+      mockBucket.set("fresh", { body: Buffer.from("new") });
+      mockBucket.set("fresh.meta", { body: Buffer.from(JSON.stringify(fresh)) });
+
+      const result = await storage.cleanupInactiveFiles("1d");
+
+      expect(result).toMatchObject({ deletedCount: 1, errorCount: 0 });
+      expect([...mockBucket.keys()].sort()).toEqual(["fresh", "fresh.meta"]);
+    });
+
+    it("should delete expired and used-up files even if recently accessed", async () => {
+      const now = new Date().toISOString();
+      const expired = { lastAccessed: now, expiresAt: new Date(Date.now() - 1000).toISOString() };
+      const usedUp = { lastAccessed: now, maxDownloads: 1, downloadCount: 1 };
+      mockBucket.set("expired.meta", { body: Buffer.from(JSON.stringify(expired)) });
+      mockBucket.set("used.meta", { body: Buffer.from(JSON.stringify(usedUp)) });
+
+      const result = await storage.cleanupInactiveFiles("30d");
+
+      expect(result).toMatchObject({ deletedCount: 2, errorCount: 0 });
+      expect(mockBucket.size).toBe(0);
+    });
+  });
+
+  describe("moving objects", () => {
+    const GiB = 1024 * 1024 * 1024;
+    const {
+      CopyObjectCommand,
+      UploadPartCopyCommand,
+      AbortMultipartUploadCommand,
+    } = require("@aws-sdk/client-s3");
+    // Inputs of the commands of a type sent through the client
+    const sent = (send, type) =>
+      send.mock.calls.filter(([c]) => c instanceof type).map(([c]) => c.input);
+
+    it("should copy objects up to 5 GB with a single request", async () => {
+      const send = jest.spyOn(storage.client, "send");
+      mockBucket.set("blobs/tmp/small", { body: Buffer.from("small"), size: 5 * GiB });
+
+      await storage._moveObject("blobs/tmp/small", "blobs/small");
+
+      expect(sent(send, CopyObjectCommand)).toHaveLength(1);
+      expect(sent(send, UploadPartCopyCommand)).toEqual([]);
+      expect(mockBucket.get("blobs/small").body.toString()).toBe("small");
+      expect(mockBucket.has("blobs/tmp/small")).toBe(false);
+    });
+
+    it("should copy larger objects part by part", async () => {
+      const send = jest.spyOn(storage.client, "send");
+      mockBucket.set("blobs/tmp/large", {
+        body: Buffer.from("large content"),
+        contentType: "application/octet-stream",
+        size: 6 * GiB,
+      });
+
+      await storage._moveObject("blobs/tmp/large", "blobs/large");
+
+      const parts = sent(send, UploadPartCopyCommand);
+      expect(sent(send, CopyObjectCommand)).toEqual([]);
+      expect(parts).toHaveLength(12);
+      expect(parts[0]).toMatchObject({ PartNumber: 1, CopySourceRange: "bytes=0-536870911" });
+      expect(parts[11]).toMatchObject({
+        PartNumber: 12,
+        CopySourceRange: `bytes=${11 * 512 * 1024 * 1024}-${6 * GiB - 1}`,
+      });
+      expect(mockBucket.get("blobs/large")).toEqual({
+        body: Buffer.from("large content"),
+        contentType: "application/octet-stream",
+      });
+      expect(mockBucket.has("blobs/tmp/large")).toBe(false);
+      expect(mockUploads.size).toBe(0);
+    });
+
+    it("should abort the copy and keep the source when a part fails", async () => {
+      const send = jest.spyOn(storage.client, "send");
+      mockBucket.set("blobs/tmp/large", { body: Buffer.from("large"), size: 6 * GiB });
+      const originalSend = Object.getPrototypeOf(storage.client).send;
+      send.mockImplementation(function (command) {
+        if (command instanceof UploadPartCopyCommand && command.input.PartNumber === 2) {
+          return Promise.reject(new Error("SlowDown"));
+        }
+        return originalSend.call(this, command);
+      });
+
+      await expect(storage._moveObject("blobs/tmp/large", "blobs/large")).rejects.toThrow(
+        "SlowDown"
+      );
+
+      expect(sent(send, AbortMultipartUploadCommand)).toHaveLength(1);
+      expect(mockUploads.size).toBe(0);
+      expect(mockBucket.has("blobs/large")).toBe(false);
+      expect(mockBucket.has("blobs/tmp/large")).toBe(true);
+    });
+  });
+
+  describe("staged uploads", () => {
+    it("should assemble chunks in offset order", async () => {
+      let record = await storage.createStagedUpload("up1", { length: 9 });
+      record = await storage.appendStagedChunk(record, Readable.from([Buffer.from("abc")]));
+      record = await storage.appendStagedChunk(record, Readable.from([Buffer.from("defghi")]));
+
+      expect(record.offset).toBe(9);
+      expect((await storage.getStagedUpload("up1")).offset).toBe(9);
+      expect(await streamToString(await storage.openStagedUpload("up1"))).toBe("abcdefghi");
+
+      await storage.deleteStagedUpload("up1");
+      expect(mockBucket.size).toBe(0);
+    });
+
+    it("should discard expired staged uploads only", async () => {
+      await storage.createStagedUpload("fresh", { length: 1 });
+      const old = await storage.createStagedUpload("old", { length: 5 });
+      await storage.appendStagedChunk(old, Readable.from([Buffer.from("ab")]));
+      const info = JSON.parse(mockBucket.get("uploads/old.json").body);
+      info.createdAt = new Date(Date.now() - 2 * 86400000).toISOString();
+      mockBucket.get("uploads/old.json").body = Buffer.from(JSON.stringify(info));
+
+      const result = await storage.cleanupStagedUploads("1d");
+
+      expect(result).toMatchObject({ deletedCount: 1, errorCount: 0 });
+      expect([...mockBucket.keys()]).toEqual(["uploads/fresh.json"]);
+    });
+  });
+
+  describe("encryption at rest", () => {
+    const config = require("../../config");
+    const originalKeys = config.encryptionKeys;
+    const keyA = `a:${Buffer.alloc(32, 1).toString("base64")}`;
+    const keyB = `b:${Buffer.alloc(32, 2).toString("base64")}`;
+    // Spans three 64 KiB segments
+    const content = Buffer.from(
+      Array.from({ length: 150000 }, (_, i) => i % 251)
+    );
+
+    const upload = () =>
+      storage.uploadFile({
+        stream: Readable.from([content]),
+        originalname: "secret.bin",
+        mimetype: "application/octet-stream",
+        size: content.length,
+      });
+
+    const readAll = async (stream) => {
+      const chunks = [];
+      for await (const chunk of stream) chunks.push(chunk);
+      return Buffer.concat(chunks);
+    };
+
+    beforeEach(() => {
+      config.encryptionKeys = keyA;
+    });
+
+    afterAll(() => {
+      config.encryptionKeys = originalKeys;
+    });
+
+    it("should store ciphertext and a wrapped data key", async () => {
+      await upload();
+
+      const stored = mockBucket.get(blobName(content)).body;
+      expect(stored.includes(content.subarray(0, 64))).toBe(false);
+      expect(stored.length).toBe(content.length + 3 * 16); // One tag per segment
+
+      const record = JSON.parse(mockBucket.get(`${blobName(content)}.json`).body);
+      expect(record.encryption).toMatchObject({
+        algorithm: "aes-256-gcm",
+        segmentSize: 65536,
+        kid: "a",
+        wrappedKey: expect.any(String),
+      });
+    });
+
+    it("should decrypt full and ranged downloads", async () => {
+      await upload();
+
+      const full = await storage.downloadFile("test-public-key");
+      expect((await readAll(full.stream)).equals(content)).toBe(true);
+      expect(full.size).toBe(content.length);
+
+      // A range crossing a segment boundary
+      const partial = await storage.downloadFile("test-public-key", { start: 65000, end: 70000 });
+      expect((await readAll(partial.stream)).equals(content.subarray(65000, 70001))).toBe(true);
+    });
+
+    it("should fail downloads of tampered content", async () => {
+      await upload();
+      mockBucket.get(blobName(content)).body[10] ^= 1;
+
+      const { stream } = await storage.downloadFile("test-public-key");
+      await expect(readAll(stream)).rejects.toThrow("failed integrity check");
+    });
+
+    it("should re-wrap data keys after a master key rotation", async () => {
+      await upload();
+      const stored = Buffer.from(mockBucket.get(blobName(content)).body);
+
+      config.encryptionKeys = `${keyB},${keyA}`;
+      await expect(storage.rewrapDataKeys()).resolves.toMatchObject({
+        rewrappedCount: 1,
+        errorCount: 0,
+      });
+      await expect(storage.rewrapDataKeys()).resolves.toMatchObject({ rewrappedCount: 0 });
+
+      // The body is untouched and readable without the old key
+      expect(mockBucket.get(blobName(content)).body.equals(stored)).toBe(true);
+      config.encryptionKeys = keyB;
+      const { stream } = await storage.downloadFile("test-public-key");
+      expect((await readAll(stream)).equals(content)).toBe(true);
+      expect(JSON.parse(mockBucket.get(`${blobName(content)}.json`).body).encryption.kid).toBe("b");
+    });
+
+    it("should remove a file and its index entry by public key", async () => {
+      await upload();
+
+      await storage.removeFile("test-public-key");
+
+      expect(mockBucket.size).toBe(0);
+    });
+  });
+
+  describe("deduplication", () => {
+    // Upload content under a distinct key pair
+    const uploadAs = (keys, text) => {
+      generateKeys.mockReturnValueOnce(keys);
+      return storage.uploadFile({
+        stream: Readable.from([Buffer.from(text)]),
+        originalname: `${keys.publicKey}.txt`,
+        mimetype: "text/plain",
+        size: text.length,
+      });
+    };
+    const blobRecord = (text) => JSON.parse(mockBucket.get(`${blobName(text)}.json`).body);
+
+    it("should store identical content once and count references", async () => {
+      await uploadAs({ publicKey: "pa", privateKey: "ka" }, "same bytes");
+      await uploadAs({ publicKey: "pb", privateKey: "kb" }, "same bytes");
+      await uploadAs({ publicKey: "pc", privateKey: "kc" }, "other bytes");
+
+      expect(blobRecord("same bytes")).toMatchObject({ refCount: 2, size: 10 });
+      expect(blobRecord("other bytes")).toMatchObject({ refCount: 1 });
+      expect([...mockBucket.keys()].filter((k) => k.startsWith("blobs/tmp/"))).toEqual([]);
+      expect(await streamToString((await storage.downloadFile("pb")).stream)).toBe("same bytes");
+    });
+
+    it("should remove the blob only with its last reference", async () => {
+      await uploadAs({ publicKey: "pa", privateKey: "ka" }, "same bytes");
+      await uploadAs({ publicKey: "pb", privateKey: "kb" }, "same bytes");
+
+      await storage.deleteFile("ka");
+      expect(blobRecord("same bytes").refCount).toBe(1);
+      expect(await streamToString((await storage.downloadFile("pb")).stream)).toBe("same bytes");
+
+      await storage.deleteFile("kb");
+      expect(mockBucket.size).toBe(0);
+    });
+
+    it("should release references when cleaning up inactive pointers", async () => {
+      await uploadAs({ publicKey: "pa", privateKey: "ka" }, "same bytes");
+      await uploadAs({ publicKey: "pb", privateKey: "kb" }, "same bytes");
+      const stale = JSON.parse(mockBucket.get("pa.meta").body);
+      stale.lastAccessed = new Date(Date.now() - 2 * 86400000).toISOString();
+      mockBucket.get("pa.meta").body = Buffer.from(JSON.stringify(stale));
+
+      await expect(storage.cleanupInactiveFiles("1d")).resolves.toMatchObject({
+        deletedCount: 1,
+      });
+      expect(blobRecord("same bytes").refCount).toBe(1);
+      expect(mockBucket.has("pa.meta")).toBe(false);
+    });
+
+    it("should count concurrent uploads of the same content", async () => {
+      await Promise.all(
+        ["pa", "pb", "pc", "pd"].map((key) =>
+          uploadAs({ publicKey: key, privateKey: `k-${key}` }, "racing bytes")
+        )
+      );
+
+      expect(blobRecord("racing bytes").refCount).toBe(4);
+    });
+
+    it("should keep serving files stored before deduplication", async () => {
+      mockBucket.set("legacy", { body: Buffer.from("old layout") });
+      mockBucket.set("legacy.meta", {
+        body: Buffer.from(JSON.stringify({ originalName: "old.txt", size: 10, privateKey: "kl" })),
+      });
+      mockBucket.set(`keys/${hashKey("kl")}`, { body: Buffer.from("legacy") });
+
+      expect(await streamToString((await storage.downloadFile("legacy")).stream)).toBe("old layout");
+      await storage.deleteFile("kl");
+      expect(mockBucket.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,311 @@
+/**
+ * Unit tests for the upload scanning pipeline
+ * Covers the clamd INSTREAM client against a fake clamd, scanner chaining
+ * and FileService quarantine handling
+ */
+
+jest.mock("../../utils/logger");
+// Back the real FileService with the in-memory provider
+jest.mock("../../models/storage/localStorage", () => require("../helpers/memoryStorage"));
+
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const ClamdScanner = require("../../models/scanners/clamdScanner");
+const ScannerInterface = require("../../models/scanners/scannerInterface");
+const { SCAN_STATUS } = require("../../models/scanners/scannerInterface");
+const scanService = require("../../services/scan.service");
+const MemoryStorage = require("../helpers/memoryStorage");
+const fileService = jest.requireActual("../../services/file.service");
+
+const EICAR = "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*";
+
+/**
+ * Start a fake clamd that answers INSTREAM requests.
+ * Content containing the EICAR test string is reported as infected;
+ * streams over `maxLength` bytes get clamd's size limit error.
+ */
+const startFakeClamd = (listenOn, { maxLength = Infinity, silent = false } = {}) => {
+  const received = [];
+  const server = net.createServer((socket) => {
+    let buffered = Buffer.alloc(0);
+    let content = Buffer.alloc(0);
+    let commandRead = false;
+
+    socket.on("data", (chunk) => {
+      buffered = Buffer.concat([buffered, chunk]);
+      if (!commandRead) {
+        if (buffered.length < 10) return;
+        expect(buffered.subarray(0, 10).toString()).toBe("zINSTREAM\0");
+        buffered = buffered.subarray(10);
+        commandRead = true;
+      }
+      while (buffered.length >= 4) {
+        const length = buffered.readUInt32BE(0);
+        if (buffered.length < 4 + length) return;
+        content = Buffer.concat([content, buffered.subarray(4, 4 + length)]);
+        buffered = buffered.subarray(4 + length);
+
+        if (content.length > maxLength) {
+          socket.end("INSTREAM size limit exceeded. ERROR\0");
+          return;
+        }
+        if (length === 0) {
+          received.push(content);
+          if (silent) return;
+          socket.end(
+            content.includes(EICAR) ? "stream: Eicar-Signature FOUND\0" : "stream: OK\0"
+          );
+          return;
+        }
+      }
+    });
+    socket.on("error", () => {});
+  });
+
+  return new Promise((resolve) => {
+    server.listen(listenOn, () => resolve({ server, received }));
+  });
+};
+
+// Scanner with a fixed verdict, for chaining tests
+class StaticScanner extends ScannerInterface {
+  constructor(name, outcome, { readAll = true } = {}) {
+    super();
+    this._name = name;
+    this.outcome = outcome;
+    this.readAll = readAll;
+    this.bytes = 0;
+  }
+
+  get name() {
+    return this._name;
+  }
+
+  async scan(stream) {
+    for await (const chunk of stream) {
+      this.bytes += chunk.length;
+      if (!this.readAll) break;
+    }
+    if (this.outcome instanceof Error) throw this.outcome;
+    return this.outcome;
+  }
+}
+
+describe("ClamdScanner", () => {
+  let fake;
+  let scanner;
+
+  beforeEach(async () => {
+    fake = await startFakeClamd(0, { maxLength: 1024 * 1024 });
+    scanner = new ClamdScanner({ host: "127.0.0.1", port: fake.server.address().port, timeout: 2000 });
+  });
+
+  afterEach(() => new Promise((resolve) => fake.server.close(resolve)));
+
+  it("should stream content with INSTREAM and report clean files", async () => {
+    const content = Buffer.alloc(200 * 1024, 7);
+
+    await expect(scanner.scan(Readable.from([content]))).resolves.toEqual({
+      status: SCAN_STATUS.CLEAN,
+    });
+    // Large chunks are split into frames, reassembled by clamd
+    expect(fake.received[0]).toEqual(content);
+  });
+
+  it("should report infected files with the signature name", async () => {
+    await expect(scanner.scan(Readable.from([Buffer.from(EICAR)]))).resolves.toEqual({
+      status: SCAN_STATUS.INFECTED,
+      signature: "Eicar-Signature",
+    });
+  });
+
+  it("should fail when clamd reports an error", async () => {
+    const content = Readable.from([Buffer.alloc(600 * 1024), Buffer.alloc(600 * 1024)]);
+
+    await expect(scanner.scan(content)).rejects.toThrow(
+      "clamd error: INSTREAM size limit exceeded. ERROR"
+    );
+  });
+
+  it("should fail when clamd is unreachable", async () => {
+    await new Promise((resolve) => fake.server.close(resolve));
+
+    await expect(scanner.scan(Readable.from([Buffer.from("x")]))).rejects.toThrow();
+    fake = await startFakeClamd(0);
+  });
+
+  it("should time out when clamd does not answer", async () => {
+    const silent = await startFakeClamd(0, { silent: true });
+    const slow = new ClamdScanner({ host: "127.0.0.1", port: silent.server.address().port, timeout: 100 });
+    try {
+      await expect(slow.scan(Readable.from([Buffer.from("x")]))).rejects.toThrow("clamd timed out");
+    } finally {
+      await new Promise((resolve) => silent.server.close(resolve));
+    }
+  });
+
+  it("should connect over a Unix socket", async () => {
+    const socketPath = path.join(os.tmpdir(), `clamd-test-${process.pid}.sock`);
+    const local = await startFakeClamd(socketPath);
+    try {
+      const unixScanner = new ClamdScanner({ socket: socketPath, timeout: 2000 });
+      await expect(unixScanner.scan(Readable.from([Buffer.from("hello")]))).resolves.toEqual({
+        status: SCAN_STATUS.CLEAN,
+      });
+    } finally {
+      await new Promise((resolve) => local.server.close(resolve));
+      fs.rmSync(socketPath, { force: true });
+    }
+  });
+});
+
+describe("ScanService", () => {
+  const scanners = scanService.scanners;
+
+  afterEach(() => {
+    scanService.scanners = scanners;
+  });
+
+  it("should be disabled without configured scanners", () => {
+    expect(scanService.enabled).toBe(false);
+  });
+
+  it("should run every registered scanner on a copy of the content", async () => {
+    scanService.scanners = [];
+    const first = new StaticScanner("first", { status: SCAN_STATUS.CLEAN });
+    const second = new StaticScanner("second", { status: SCAN_STATUS.CLEAN });
+    scanService.register(first);
+    scanService.register(second);
+
+    const content = Readable.from([Buffer.from("abc"), Buffer.from("de")]);
+
+    await expect(scanService.scanStream(content)).resolves.toEqual({ status: SCAN_STATUS.CLEAN });
+    expect(first.bytes).toBe(5);
+    expect(second.bytes).toBe(5);
+  });
+
+  it("should report the first infected verdict", async () => {
+    scanService.scanners = [
+      new StaticScanner("clean", { status: SCAN_STATUS.CLEAN }),
+      new StaticScanner("custom", { status: SCAN_STATUS.INFECTED, signature: "Bad-Macro" }),
+    ];
+
+    await expect(scanService.scanStream(Readable.from([Buffer.from("x")]))).resolves.toEqual({
+      status: SCAN_STATUS.INFECTED,
+      signature: "Bad-Macro",
+      scanner: "custom",
+    });
+  });
+
+  it("should treat failing scanners as pending", async () => {
+    scanService.scanners = [
+      new StaticScanner("clean", { status: SCAN_STATUS.CLEAN }),
+      new StaticScanner("broken", new Error("unavailable")),
+    ];
+
+    await expect(scanService.scanStream(Readable.from([Buffer.from("x")]))).resolves.toEqual({
+      status: SCAN_STATUS.PENDING,
+    });
+  });
+
+  it("should not block the content when a scanner stops reading early", async () => {
+    const early = new StaticScanner("early", { status: SCAN_STATUS.CLEAN }, { readAll: false });
+    scanService.scanners = [early];
+    const chunks = Array.from({ length: 64 }, () => Buffer.alloc(64 * 1024));
+
+    const scan = scanService.createScan();
+    let passed = 0;
+    Readable.from(chunks).pipe(scan.stream).on("data", (chunk) => {
+      passed += chunk.length;
+    });
+
+    await expect(scan.result).resolves.toEqual({ status: SCAN_STATUS.CLEAN });
+    await new Promise((resolve) => scan.stream.on("end", resolve));
+    expect(passed).toBe(64 * 64 * 1024);
+  });
+});
+
+describe("FileService scanning", () => {
+  const scanners = scanService.scanners;
+  let storage;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    fileService.storage = storage;
+  });
+
+  afterEach(() => {
+    scanService.scanners = scanners;
+  });
+
+  const upload = (content) =>
+    fileService.uploadFile({
+      stream: Readable.from([Buffer.from(content)]),
+      originalname: "notes.txt",
+      mimetype: "text/plain",
+    });
+
+  it("should mark clean uploads as downloadable", async () => {
+    scanService.scanners = [new StaticScanner("test", { status: SCAN_STATUS.CLEAN })];
+
+    const { publicKey, scanStatus } = await upload("hello");
+
+    expect(scanStatus).toBe(SCAN_STATUS.CLEAN);
+    expect((await storage.getMetadata(publicKey)).scanStatus).toBe(SCAN_STATUS.CLEAN);
+    await expect(fileService.registerDownload(publicKey)).resolves.toBeDefined();
+  });
+
+  it("should reject and remove infected uploads", async () => {
+    scanService.scanners = [
+      new StaticScanner("test", { status: SCAN_STATUS.INFECTED, signature: "Eicar-Signature" }),
+    ];
+
+    await expect(upload(EICAR)).rejects.toMatchObject({
+      message: "File rejected by virus scan",
+      statusCode: 422,
+      code: "FILE_INFECTED",
+      details: "test detected Eicar-Signature",
+    });
+    // Neither the metadata nor the content is kept
+    expect([...storage.objects.keys()].filter((name) => !name.startsWith("blobs/tmp/"))).toEqual([]);
+  });
+
+  it("should quarantine uploads without a verdict until a rescan clears them", async () => {
+    const scanner = new StaticScanner("test", new Error("clamd unavailable"));
+    scanService.scanners = [scanner];
+
+    const { publicKey, scanStatus } = await upload("hello");
+
+    expect(scanStatus).toBe(SCAN_STATUS.PENDING);
+    await expect(fileService.registerDownload(publicKey)).rejects.toMatchObject({
+      message: "File is quarantined",
+      statusCode: 423,
+    });
+    expect((await fileService.getFileInfo(publicKey)).scanStatus).toBe(SCAN_STATUS.PENDING);
+
+    scanner.outcome = { status: SCAN_STATUS.CLEAN };
+    await expect(fileService.rescanPendingFiles()).resolves.toMatchObject({ cleanCount: 1 });
+    await expect(fileService.registerDownload(publicKey)).resolves.toBeDefined();
+  });
+
+  it("should delete quarantined files found infected on rescan", async () => {
+    const scanner = new StaticScanner("test", new Error("clamd unavailable"));
+    scanService.scanners = [scanner];
+    const { publicKey } = await upload(EICAR);
+
+    scanner.outcome = { status: SCAN_STATUS.INFECTED, signature: "Eicar-Signature" };
+    await expect(fileService.rescanPendingFiles()).resolves.toMatchObject({ infectedCount: 1 });
+    await expect(storage.getMetadata(publicKey)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it("should leave files stored before scanning downloadable", async () => {
+    scanService.scanners = [];
+    const { publicKey, scanStatus } = await upload("legacy");
+
+    expect(scanStatus).toBeUndefined();
+    await expect(fileService.registerDownload(publicKey)).resolves.toBeDefined();
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for signed download URLs and the signing keyring
+ */
+
+jest.mock("../../utils/logger");
+
+const config = require("../../config");
+const Keyring = require("../../utils/keyring");
+const {
+  signDownloadUrl,
+  verifyDownloadSignature,
+  parseRequireSignature,
+} = require("../../utils/signedUrl");
+
+const publicKey = "0123456789abcdef0123456789abcdef";
+
+describe("Keyring", () => {
+  it("should use the first key as the active key", () => {
+    const keyring = new Keyring("new:s3cret, old:0ldsecret", "SIGNING_KEYS");
+
+    expect(keyring.isConfigured).toBe(true);
+    expect(keyring.active).toEqual({ id: "new", secret: "s3cret" });
+    expect(keyring.get("old")).toBe("0ldsecret");
+    expect(keyring.get("missing")).toBeUndefined();
+  });
+
+  it("should be empty when no keys are configured", () => {
+    const keyring = new Keyring(undefined, "SIGNING_KEYS");
+
+    expect(keyring.isConfigured).toBe(false);
+    expect(keyring.active).toBeNull();
+  });
+
+  it("should reject malformed entries and duplicate ids", () => {
+    expect(() => new Keyring("nosecret", "SIGNING_KEYS")).toThrow(/SIGNING_KEYS/);
+    expect(() => new Keyring("a:one,a:two", "SIGNING_KEYS")).toThrow(/SIGNING_KEYS/);
+  });
+});
+
+describe("Signed download URLs", () => {
+  const originalKeys = config.signingKeys;
+
+  beforeEach(() => {
+    config.signingKeys = "k2:second-secret,k1:first-secret";
+  });
+
+  afterAll(() => {
+    config.signingKeys = originalKeys;
+  });
+
+  it("should verify a freshly signed URL", () => {
+    const { query, expiresAt } = signDownloadUrl(publicKey, { expiresIn: "10m" });
+
+    expect(query.kid).toBe("k2");
+    expect(new Date(expiresAt).getTime()).toBeGreaterThan(Date.now());
+    expect(verifyDownloadSignature(publicKey, query, "1.2.3.4")).toMatchObject({
+      valid: true,
+      signature: query.sig,
+      maxDownloads: undefined,
+    });
+  });
+
+  it("should keep accepting URLs signed with a rotated-out key", () => {
+    config.signingKeys = "k1:first-secret";
+    const { query } = signDownloadUrl(publicKey);
+
+    config.signingKeys = "k2:second-secret,k1:first-secret";
+    expect(verifyDownloadSignature(publicKey, query, "1.2.3.4").valid).toBe(true);
+
+    config.signingKeys = "k2:second-secret";
+    expect(verifyDownloadSignature(publicKey, query, "1.2.3.4")).toEqual({
+      valid: false,
+      reason: "Unknown signing key",
+    });
+  });
+
+  it("should reject tampered parameters", () => {
+    const { query } = signDownloadUrl(publicKey, { maxDownloads: 1 });
+
+    expect(verifyDownloadSignature(publicKey, { ...query, max: "100" }, "1.2.3.4")).toEqual({
+      valid: false,
+      reason: "Invalid signature",
+    });
+    expect(
+      verifyDownloadSignature("fedcba9876543210fedcba9876543210", query, "1.2.3.4").valid
+    ).toBe(false);
+  });
+
+  it("should reject expired URLs", () => {
+    const now = Date.now();
+    const { query } = signDownloadUrl(publicKey, { expiresIn: "1m" });
+
+    jest.spyOn(Date, "now").mockReturnValue(now + 2 * 60 * 1000);
+    try {
+      expect(verifyDownloadSignature(publicKey, query, "1.2.3.4")).toEqual({
+        valid: false,
+        reason: "Signature expired",
+      });
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+
+  it("should bind URLs to an IP address", () => {
+    const { query } = signDownloadUrl(publicKey, { ip: "10.0.0.1" });
+
+    expect(verifyDownloadSignature(publicKey, query, "::ffff:10.0.0.1").valid).toBe(true);
+    expect(verifyDownloadSignature(publicKey, query, "10.0.0.2").reason).toBe(
+      "Signature is bound to another IP address"
+    );
+  });
+
+  it("should validate signing options", () => {
+    expect(() => signDownloadUrl(publicKey, { expiresIn: "30d" })).toThrow("Invalid expiresIn");
+    expect(() => signDownloadUrl(publicKey, { ip: "not-an-ip" })).toThrow("Invalid ip");
+    expect(() => signDownloadUrl(publicKey, { maxDownloads: 0 })).toThrow("Invalid maxDownloads");
+  });
+
+  it("should refuse to sign without configured keys", () => {
+    config.signingKeys = undefined;
+
+    expect(() => signDownloadUrl(publicKey)).toThrow(
+      expect.objectContaining({ statusCode: 503 })
+    );
+  });
+
+  it("should parse the requireSignature flag", () => {
+    expect(parseRequireSignature(undefined)).toBeUndefined();
+    expect(parseRequireSignature("true")).toBe(true);
+    expect(parseRequireSignature(false)).toBe(false);
+    expect(() => parseRequireSignature("yes")).toThrow("Invalid requireSignature");
+  });
+});
@@ -0,0 +1,346 @@
+/**
+ * Unit tests for webhooks
+ * Covers WebhookService's registrations, queue and deliveries against the
+ * in-memory Redis, the signing helpers and the cleanup job's expiry events
+ */
+
+jest.mock("../../utils/logger");
+// Deliveries are handed to a stand-in receiver, except where a test sends them for real
+jest.mock("../../utils/webhooks", () => ({
+  ...jest.requireActual("../../utils/webhooks"),
+  postWebhook: jest.fn(),
+}));
+
+const crypto = require("crypto");
+const http = require("http");
+const config = require("../../config");
+const MemoryRedis = require("../helpers/memoryRedis");
+const rateLimitService = require("../../services/rateLimit.service");
+const webhookService = jest.requireActual("../../services/webhook.service");
+const { signWebhook, assertWebhookUrl, postWebhook } = require("../../utils/webhooks");
+const { postWebhook: sendWebhook } = jest.requireActual("../../utils/webhooks");
+
+const publicKey = "0123456789abcdef0123456789abcdef";
+
+// Respond to deliveries with the given statuses in turn, recording the requests
+const mockReceiver = (...statuses) => {
+  const requests = [];
+  postWebhook.mockImplementation(async (url, options) => {
+    requests.push({ url, ...options });
+    const status = statuses.length > 1 ? statuses.shift() : statuses[0];
+    if (status instanceof Error) throw status;
+    return { ok: status >= 200 && status < 300, status };
+  });
+  return requests;
+};
+
+describe("webhook helpers", () => {
+  it("should sign the timestamp and body", () => {
+    const body = JSON.stringify({ type: "file.downloaded" });
+    const expected = crypto.createHmac("sha256", "secret").update(`1767225600.${body}`).digest("hex");
+
+    expect(signWebhook("secret", 1767225600, body)).toBe(`t=1767225600,v1=${expected}`);
+  });
+
+  it("should only accept public http(s) URLs", () => {
+    expect(assertWebhookUrl("https://tickets.example.com/hooks")).toBe(
+      "https://tickets.example.com/hooks"
+    );
+    for (const url of [
+      "ftp://example.com/",
+      "not a url",
+      "http://localhost:8080/",
+      "http://127.0.0.1/",
+      "http://10.0.0.5/",
+      "http://169.254.169.254/latest/meta-data",
+      "http://[::1]/",
+      "http://[fd00::1]/",
+      "http://[::ffff:127.0.0.1]/",
+      "http://[64:ff9b::7f00:1]/",
+      "http://[64:ff9b:1::a00:5]/",
+    ]) {
+      expect(() => assertWebhookUrl(url)).toThrow("Invalid webhook URL");
+    }
+  });
+
+  describe("deliveries", () => {
+    let server;
+    let port;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => req.resume().on("end", () => res.end()));
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      ({ port } = server.address());
+    });
+
+    afterAll(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    const send = (url, publicOnly) =>
+      sendWebhook(url, { headers: {}, body: "{}", timeout: 1000, publicOnly });
+
+    it("should refuse host names that resolve to internal addresses when connecting", async () => {
+      await expect(send(`http://localhost:${port}/hooks`, true)).rejects.toMatchObject({
+        code: "EINTERNALADDRESS",
+      });
+    });
+
+    it("should reach internal receivers only when allowed", async () => {
+      await expect(send(`http://localhost:${port}/hooks`, false)).resolves.toEqual({
+        ok: true,
+        status: 200,
+      });
+    });
+  });
+});
+
+describe("WebhookService", () => {
+  const realConfig = { ...config };
+  let redis;
+  let now;
+
+  beforeEach(() => {
+    redis = new MemoryRedis();
+    // WebhookService shares the rate limit service's Redis client
+    rateLimitService.client = redis;
+    now = Date.UTC(2026, 2, 11, 12);
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+    jest.spyOn(Math, "random").mockReturnValue(1);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    Object.assign(config, realConfig);
+  });
+
+  it("should register file webhooks and never list their secrets", async () => {
+    const webhook = await webhookService.register(publicKey, {
+      url: "https://tickets.example.com/hooks",
+      events: "file.downloaded",
+    });
+
+    expect(webhook).toMatchObject({
+      id: expect.stringMatching(/^[a-f0-9]{12}$/),
+      events: ["file.downloaded"],
+      secret: expect.any(String),
+    });
+    await expect(webhookService.listForFile(publicKey)).resolves.toEqual([
+      {
+        id: webhook.id,
+        url: "https://tickets.example.com/hooks",
+        events: ["file.downloaded"],
+        createdAt: webhook.createdAt,
+      },
+    ]);
+
+    await webhookService.unregister(publicKey, webhook.id);
+    await expect(webhookService.unregister(publicKey, webhook.id)).rejects.toMatchObject({
+      message: "Webhook not found",
+      statusCode: 404,
+    });
+  });
+
+  it("should reject invalid registrations", async () => {
+    await expect(
+      webhookService.register(publicKey, { url: "https://example.com", events: ["file.viewed"] })
+    ).rejects.toMatchObject({ message: "Invalid events", statusCode: 400 });
+    await expect(
+      webhookService.register(publicKey, { url: "http://192.168.1.10/hook" })
+    ).rejects.toMatchObject({ message: "Invalid webhook URL", statusCode: 400 });
+
+    for (let i = 0; i < 5; i++) {
+      await webhookService.register(publicKey, { url: `https://example.com/${i}` });
+    }
+    await expect(
+      webhookService.register(publicKey, { url: "https://example.com/6" })
+    ).rejects.toMatchObject({ message: "Too many webhooks", statusCode: 400 });
+  });
+
+  it("should require a secret for global endpoints", () => {
+    config.webhookUrls = "https://hooks.example.com/files";
+    config.webhookSecret = undefined;
+
+    expect(() => webhookService.globalEndpoints()).toThrow(
+      "WEBHOOK_SECRET is required when WEBHOOK_URLS is set"
+    );
+  });
+
+  it("should queue events for global endpoints and the file's webhooks that want them", async () => {
+    config.webhookUrls = "https://hooks.example.com/files";
+    config.webhookSecret = "global-secret";
+    await webhookService.register(publicKey, {
+      url: "https://tickets.example.com/hooks",
+      events: ["file.downloaded"],
+    });
+
+    await expect(webhookService.emit("file.uploaded", { publicKey })).resolves.toBe(1);
+    await expect(webhookService.emit("file.downloaded", { publicKey })).resolves.toBe(2);
+    await expect(redis.zCard("webhooks:queue")).resolves.toBe(3);
+  });
+
+  it("should drop a file's webhooks after it was deleted", async () => {
+    await webhookService.register(publicKey, { url: "https://tickets.example.com/hooks" });
+
+    await expect(webhookService.emit("file.deleted", { publicKey })).resolves.toBe(1);
+    await expect(webhookService.listForFile(publicKey)).resolves.toEqual([]);
+    await expect(webhookService.emit("file.expired", { publicKey })).resolves.toBe(0);
+  });
+
+  it("should deliver signed events", async () => {
+    const { secret } = await webhookService.register(publicKey, {
+      url: "https://tickets.example.com/hooks",
+    });
+    await webhookService.emit("file.downloaded", { publicKey, bytesSent: 11 });
+    const requests = mockReceiver(204);
+
+    await expect(webhookService.processDue()).resolves.toEqual({
+      delivered: 1,
+      retried: 0,
+      failed: 0,
+    });
+
+    const [delivery] = requests;
+    const event = JSON.parse(delivery.body);
+    expect(delivery.url).toBe("https://tickets.example.com/hooks");
+    expect(event).toMatchObject({ type: "file.downloaded", data: { publicKey, bytesSent: 11 } });
+    expect(delivery.headers).toMatchObject({
+      "X-Webhook-Id": event.id,
+      "X-Webhook-Event": "file.downloaded",
+      "X-Webhook-Signature": signWebhook(secret, now / 1000, delivery.body),
+    });
+    await expect(redis.zCard("webhooks:queue")).resolves.toBe(0);
+    expect([...redis.data.keys()].some((key) => key.startsWith("webhook:job:"))).toBe(false);
+  });
+
+  it("should only let operator endpoints reach internal addresses", async () => {
+    config.webhookUrls = "http://hooks.internal:8080/files";
+    config.webhookSecret = "global-secret";
+    await webhookService.register(publicKey, { url: "https://tickets.example.com/hooks" });
+    await webhookService.emit("file.uploaded", { publicKey });
+    const requests = mockReceiver(200);
+
+    await webhookService.processDue();
+
+    const publicOnly = Object.fromEntries(requests.map((r) => [r.url, r.publicOnly]));
+    expect(publicOnly).toEqual({
+      "http://hooks.internal:8080/files": false,
+      "https://tickets.example.com/hooks": true,
+    });
+  });
+
+  it("should check registered URLs again before every delivery", async () => {
+    await webhookService.register(publicKey, { url: "https://tickets.example.com/hooks" });
+    await webhookService.emit("file.uploaded", { publicKey });
+    // A registration stored before the address was refused
+    const [jobKey] = [...redis.data.keys()].filter((key) => key.startsWith("webhook:job:"));
+    const job = JSON.parse(redis.data.get(jobKey));
+    await redis.set(jobKey, JSON.stringify({ ...job, url: "http://[64:ff9b::a9fe:a9fe]/" }));
+    const requests = mockReceiver(200);
+
+    await expect(webhookService.processDue()).resolves.toMatchObject({ retried: 1 });
+    expect(requests).toHaveLength(0);
+  });
+
+  it("should retry failed deliveries with exponential backoff", async () => {
+    config.webhookRetryDelay = 1000;
+    await webhookService.register(publicKey, { url: "https://tickets.example.com/hooks" });
+    await webhookService.emit("file.downloaded", { publicKey });
+    const requests = mockReceiver(503, new Error("fetch failed"), 200);
+
+    await expect(webhookService.processDue()).resolves.toMatchObject({ retried: 1 });
+    // Not due yet
+    now += 999;
+    await expect(webhookService.processDue()).resolves.toEqual({
+      delivered: 0,
+      retried: 0,
+      failed: 0,
+    });
+    now += 1;
+    await expect(webhookService.processDue()).resolves.toMatchObject({ retried: 1 });
+    // The second retry waits twice as long
+    now += 1999;
+    await webhookService.processDue();
+    now += 1;
+    await expect(webhookService.processDue()).resolves.toMatchObject({ delivered: 1 });
+
+    expect(requests).toHaveLength(3);
+  });
+
+  it("should move deliveries that keep failing to the dead-letter list", async () => {
+    config.webhookMaxAttempts = 2;
+    config.webhookRetryDelay = 1000;
+    await webhookService.register(publicKey, { url: "https://tickets.example.com/hooks" });
+    await webhookService.emit("file.deleted", { publicKey });
+    mockReceiver(500);
+
+    await webhookService.processDue();
+    now += 1000;
+    await expect(webhookService.processDue()).resolves.toMatchObject({ failed: 1 });
+
+    const [letter] = await webhookService.listDeadLetters();
+    expect(letter).toMatchObject({
+      url: "https://tickets.example.com/hooks",
+      attempts: 2,
+      lastError: "HTTP 500",
+      event: { type: "file.deleted", data: { publicKey } },
+    });
+    expect(letter).not.toHaveProperty("secret");
+    await expect(redis.zCard("webhooks:queue")).resolves.toBe(0);
+  });
+
+  it("should hand each delivery to one instance only", async () => {
+    await webhookService.register(publicKey, { url: "https://tickets.example.com/hooks" });
+    await webhookService.emit("file.uploaded", { publicKey });
+    const requests = mockReceiver(200);
+
+    await Promise.all([webhookService.processDue(), webhookService.processDue()]);
+
+    expect(requests).toHaveLength(1);
+  });
+
+  it("should retry deliveries whose instance stopped before finishing", async () => {
+    await webhookService.register(publicKey, { url: "https://tickets.example.com/hooks" });
+    await webhookService.emit("file.uploaded", { publicKey });
+    // Claimed, but never delivered
+    jest.spyOn(webhookService, "deliver").mockResolvedValueOnce("delivered");
+    await webhookService.processDue();
+    webhookService.deliver.mockRestore();
+    const requests = mockReceiver(200);
+
+    await webhookService.processDue();
+    expect(requests).toHaveLength(0);
+
+    now += config.webhookTimeout + 30 * 1000;
+    await webhookService.processDue();
+    expect(requests).toHaveLength(1);
+  });
+});
+
+describe("CleanupJob expiry events", () => {
+  const fileService = require("../../services/file.service");
+  const mockedWebhookService = require("../../services/webhook.service");
+  const cleanupJob = require("../../jobs/cleanup.job");
+
+  it("should emit file.expired for every removed file", async () => {
+    fileService.cleanupInactiveFiles.mockResolvedValueOnce({
+      deletedCount: 2,
+      deletedFiles: [
+        { publicKey: "a".repeat(32), reason: "expired" },
+        { publicKey: "b".repeat(32), reason: "inactive" },
+      ],
+      errorCount: 0,
+    });
+
+    await cleanupJob.runCleanup();
+
+    expect(mockedWebhookService.emit).toHaveBeenCalledWith("file.expired", {
+      publicKey: "a".repeat(32),
+      reason: "expired",
+    });
+    expect(mockedWebhookService.emit).toHaveBeenCalledWith("file.expired", {
+      publicKey: "b".repeat(32),
+      reason: "inactive",
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const net = require("net"); // Node.js net module for IP validation and CIDR matching
+
+// IPv4 clients can appear as IPv4-mapped IPv6 addresses
+const normalizeIp = (ip) => String(ip || "").replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, "");
+
+/**
+ * Build a matcher for trusted proxy addresses.
+ * @param {string|Array<string>} cidrs - Addresses or CIDR ranges, e.g. "10.0.0.0/8,fd00::/8"
+ * @param {string} [setting] - Name of the setting, for error messages
+ * @returns {Function} `(ip) => boolean`
+ * @throws {Error} If an entry is not an IP address or CIDR range
+ */
+const createProxyMatcher = (cidrs, setting = "TRUSTED_PROXIES") => {
+  const entries = (Array.isArray(cidrs) ? cidrs : String(cidrs || "").split(","))
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  if (entries.length === 0) return () => false;
+
+  const blockList = new net.BlockList();
+  for (const entry of entries) {
+    const [address, prefix] = entry.split("/");
+    const family = net.isIP(address);
+    const maxBits = family === 6 ? 128 : 32;
+    const bits = prefix === undefined ? maxBits : Number(prefix);
+    if (!family || (prefix !== undefined && !/^\d+$/.test(prefix)) || bits > maxBits) {
+      throw new Error(`Invalid ${setting} entry "${entry}": use IP addresses or CIDR ranges`);
+    }
+    blockList.addSubnet(address, bits, family === 6 ? "ipv6" : "ipv4");
+  }
+
+  return (ip) => {
+    const address = normalizeIp(ip);
+    const family = net.isIP(address);
+    return family !== 0 && blockList.check(address, family === 6 ? "ipv6" : "ipv4");
+  };
+};
+
+// Strip the port and brackets from a forwarded node: "[2001:db8::1]:4711" or "192.0.2.1:80"
+const stripPort = (node) => {
+  const value = node.trim().replace(/^"|"$/g, "");
+  const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(value);
+  if (bracketed) return bracketed[1];
+  const withPort = /^(\d+\.\d+\.\d+\.\d+):\d+$/.exec(value);
+  return withPort ? withPort[1] : value;
+};
+
+/**
+ * Parse the addresses in an X-Forwarded-For header, client first.
+ * @param {string} header - Header value, e.g. "203.0.113.7, 10.0.0.2"
+ * @returns {Array<string>} Addresses, with entries that are not IPs kept as given
+ */
+const parseXForwardedFor = (header) =>
+  String(header || "")
+    .split(",")
+    .map(stripPort)
+    .filter(Boolean);
+
+/**
+ * Parse the "for" parameters of an RFC 7239 Forwarded header, client first.
+ * @param {string} header - Header value, e.g. 'for=192.0.2.43, for="[2001:db8:cafe::17]:4711"'
+ * @returns {Array<string>} Addresses; "unknown" and obfuscated identifiers are kept as given
+ */
+const parseForwarded = (header) =>
+  String(header || "")
+    .split(",")
+    .map((element) => {
+      const pair = element
+        .split(";")
+        .map((part) => part.trim())
+        .find((part) => part.toLowerCase().startsWith("for="));
+      return pair ? stripPort(pair.slice(4)) : "";
+    })
+    .filter(Boolean);
+
+// Parsers for the forwarding headers a proxy can be configured to write, by lower-case name
+const FORWARDING_HEADERS = {
+  "x-forwarded-for": parseXForwardedFor,
+  forwarded: parseForwarded,
+};
+
+/**
+ * Work out the client address of a request that may have passed through proxies.
+ * The forwarding header is only read when the peer is a trusted proxy; the hops are
+ * then followed from the nearest one back until an untrusted address is reached.
+ * Only the header the proxies write is read: a proxy that appends to X-Forwarded-For
+ * passes a Forwarded header on as the client sent it, and the other way round.
+ * @param {string} remoteAddress - Address of the peer that connected to us
+ * @param {Object} headers - Request headers (lower-case names)
+ * @param {Function} isTrusted - Matcher from createProxyMatcher
+ * @param {string} [headerName] - "X-Forwarded-For" (default) or "Forwarded"
+ * @returns {string} Client IP address
+ * @throws {Error} If the header name is not one of the two
+ */
+const resolveClientIp = (remoteAddress, headers, isTrusted, headerName = "X-Forwarded-For") => {
+  const header = String(headerName).trim().toLowerCase();
+  const parse = FORWARDING_HEADERS[header];
+  if (!parse) {
+    throw new Error(`Invalid FORWARDED_HEADER "${headerName}": use X-Forwarded-For or Forwarded`);
+  }
+
+  let ip = normalizeIp(remoteAddress);
+  if (!isTrusted(ip)) return ip;
+
+  const hops = parse(headers[header]);
+  for (let i = hops.length - 1; i >= 0; i--) {
+    const hop = normalizeIp(hops[i]);
+    // "unknown" or obfuscated nodes end the chain at the last known address
+    if (!net.isIP(hop)) break;
+    ip = hop;
+    if (!isTrusted(ip)) break;
+  }
+  return ip;
+};
+
+// Expand an IPv6 address into its eight 16-bit groups
+const ipv6Groups = (ip) => {
+  let address = ip;
+  // Move an embedded IPv4 address into two hex groups
+  const ipv4 = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(address);
+  if (ipv4) {
+    const [a, b, c, d] = ipv4.slice(1).map(Number);
+    const hex = `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    address = address.slice(0, ipv4.index) + hex;
+  }
+  const [head, tail] = address.split("::");
+  const parse = (part) => (part ? part.split(":").map((group) => parseInt(group, 16)) : []);
+  const start = parse(head);
+  const end = tail === undefined ? [] : parse(tail);
+  return [...start, ...new Array(8 - start.length - end.length).fill(0), ...end];
+};
+
+// Format eight 16-bit groups, shortening the longest run of zero groups to "::"
+const formatIpv6 = (groups) => {
+  let best = { start: -1, length: 0 };
+  for (let i = 0; i < 8; i++) {
+    let length = 0;
+    while (i + length < 8 && groups[i + length] === 0) length++;
+    if (length > best.length && length > 1) best = { start: i, length };
+    i += length;
+  }
+  const hex = groups.map((group) => group.toString(16));
+  if (best.start === -1) return hex.join(":");
+  return `${hex.slice(0, best.start).join(":")}::${hex.slice(best.start + best.length).join(":")}`;
+};
+
+/**
+ * Group an IP address for rate limiting. IPv6 hosts usually own a whole prefix
+ * (typically a /64) and can rotate through its addresses, so IPv6 addresses are
+ * limited per prefix; IPv4 addresses are used as they are.
+ * @param {string} ip - Client IP address
+ * @param {number} prefixLength - IPv6 prefix length, e.g. 64 (128 keeps single addresses)
+ * @returns {string} The IPv4 address, or the IPv6 prefix in CIDR notation (e.g. "2001:db8:1:2::/64")
+ */
+const groupIp = (ip, prefixLength) => {
+  const address = normalizeIp(ip);
+  if (net.isIP(address) !== 6 || prefixLength >= 128) return address;
+
+  const groups = ipv6Groups(address).map((group, i) => {
+    const bits = Math.min(16, Math.max(0, prefixLength - i * 16));
+    return bits === 0 ? 0 : group & (0xffff << (16 - bits)) & 0xffff;
+  });
+  return `${formatIpv6(groups)}/${prefixLength}`;
+};
+
+module.exports = {
+  normalizeIp,
+  createProxyMatcher,
+  parseXForwardedFor,
+  parseForwarded,
+  resolveClientIp,
+  groupIp,
+};
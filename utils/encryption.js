@@ -0,0 +1,264 @@
+/**
+ * Encryption at rest for stored file contents.
+ *
+ * Every stored blob gets its own random data key. File bodies are encrypted
+ * with AES-256-GCM in fixed-size segments, so range requests only decrypt the
+ * segments they touch. The data key is wrapped (encrypted) with a master key
+ * from ENCRYPTION_KEYS and stored next to the content. Rotating the master
+ * key only re-wraps data keys; file bodies are never re-encrypted.
+ *
+ * Segment layout: `ciphertext || 16-byte tag` per segment. The nonce is the
+ * segment index, and the additional data marks the last segment, so
+ * reordered, truncated or extended files fail authentication.
+ */
+
+const crypto = require("crypto"); // Node.js crypto module
+const { Transform } = require("stream"); // Node.js stream module
+const config = require("../config"); // Configuration settings
+const Keyring = require("./keyring"); // Rotating key set
+
+const ALGORITHM = "aes-256-gcm";
+const KEY_LENGTH = 32; // AES-256 key size in bytes
+const IV_LENGTH = 12; // GCM nonce size in bytes
+const TAG_LENGTH = 16; // GCM authentication tag size in bytes
+
+// Plaintext bytes per encrypted segment for new files
+const SEGMENT_SIZE = 64 * 1024;
+
+// Keyring built from ENCRYPTION_KEYS, rebuilt only when the setting changes
+let keyring = null;
+let keyringSpec = null;
+const getKeyring = () => {
+  if (!keyring || keyringSpec !== config.encryptionKeys) {
+    const next = new Keyring(config.encryptionKeys, "ENCRYPTION_KEYS");
+    for (const id of next.ids()) {
+      if (Buffer.from(next.get(id), "base64").length !== KEY_LENGTH) {
+        throw new Error(`Invalid ENCRYPTION_KEYS entry "${id}" - expected a base64-encoded 32-byte key`);
+      }
+    }
+    keyring = next;
+    keyringSpec = config.encryptionKeys;
+  }
+  return keyring;
+};
+
+// Master key bytes for a key id
+const masterKey = (id) => {
+  const secret = getKeyring().get(id);
+  if (!secret) {
+    throw new Error(`Unknown master key "${id}" - keep it in ENCRYPTION_KEYS until keys are re-wrapped`);
+  }
+  return Buffer.from(secret, "base64");
+};
+
+// Nonce for a segment: its index as a big-endian counter (unique per data key)
+const segmentNonce = (index) => {
+  const nonce = Buffer.alloc(IV_LENGTH);
+  nonce.writeBigUInt64BE(BigInt(index), IV_LENGTH - 8);
+  return nonce;
+};
+
+// Additional data binding the "last segment" flag into each tag
+const segmentAad = (final) => Buffer.from([final ? 1 : 0]);
+
+/**
+ * Check whether new files should be encrypted.
+ * @returns {boolean} True if ENCRYPTION_KEYS is configured
+ */
+const isEncryptionEnabled = () => getKeyring().isConfigured;
+
+/**
+ * Wrap a data key with the active master key.
+ * The context (the content digest, or the publicKey for files stored before
+ * deduplication) is bound as additional data so a wrapped key cannot be
+ * moved to other content.
+ * @param {Buffer} dataKey - Data key to wrap
+ * @param {string} context - Identifier of the content the data key belongs to
+ * @returns {Object} `{ kid, wrappedKey }` to store with the content
+ */
+const wrapDataKey = (dataKey, context) => {
+  const { id } = getKeyring().active;
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, masterKey(id), iv);
+  cipher.setAAD(Buffer.from(context));
+  const sealed = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  return {
+    kid: id,
+    wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), sealed]).toString("base64"),
+  };
+};
+
+/**
+ * Unwrap the data key of stored content.
+ * @param {Object} encryption - Encryption info stored with the content
+ * @param {string} context - Identifier the data key was wrapped with
+ * @returns {Buffer} Data key
+ * @throws {Error} If the master key is unknown or the wrapped key was tampered with
+ */
+const unwrapDataKey = ({ kid, wrappedKey }, context) => {
+  const raw = Buffer.from(wrappedKey, "base64");
+  const decipher = crypto.createDecipheriv(ALGORITHM, masterKey(kid), raw.subarray(0, IV_LENGTH));
+  decipher.setAAD(Buffer.from(context));
+  decipher.setAuthTag(raw.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([
+    decipher.update(raw.subarray(IV_LENGTH + TAG_LENGTH)),
+    decipher.final(),
+  ]);
+};
+
+/**
+ * Start encrypting new content with a fresh data key.
+ * The data key is wrapped once the content is complete, so it can be bound
+ * to an identifier that is only known then (e.g. the content digest).
+ * @returns {Object} `{ cipher, wrap }`: a Transform turning plaintext into
+ *   segments, and `wrap(context)` returning the encryption info to store
+ */
+const createEncryption = () => {
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  const segmentSize = SEGMENT_SIZE;
+
+  let buffered = Buffer.alloc(0);
+  let index = 0;
+  const seal = (plaintext, final) => {
+    const cipher = crypto.createCipheriv(ALGORITHM, dataKey, segmentNonce(index++));
+    cipher.setAAD(segmentAad(final));
+    return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+  };
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      buffered = Buffer.concat([buffered, chunk]);
+      // Hold back the last full segment: only flush knows which one is final
+      while (buffered.length > segmentSize) {
+        this.push(seal(buffered.subarray(0, segmentSize), false));
+        buffered = buffered.subarray(segmentSize);
+      }
+      callback();
+    },
+    flush(callback) {
+      // Always emit a final segment, even for empty files, so truncation is detectable
+      this.push(seal(buffered, true));
+      callback();
+    },
+  });
+
+  return {
+    cipher: stream,
+    wrap: (context) => ({
+      algorithm: ALGORITHM,
+      segmentSize,
+      ...wrapDataKey(dataKey, context),
+    }),
+  };
+};
+
+// Error for stored content that fails authentication
+const integrityError = () => {
+  const error = new Error("Stored file failed integrity check");
+  error.statusCode = 500;
+  return error;
+};
+
+/**
+ * Prepare decryption of stored content, or of an inclusive byte range of it.
+ * @param {Object} encryption - Encryption info stored with the content
+ * @param {string} context - Identifier the data key was wrapped with
+ * @param {number} size - Plaintext size of the content in bytes
+ * @param {Object} [range] - Optional inclusive plaintext range `{ start, end }`
+ * @returns {Object} `{ cipherRange, decipher }`: the stored byte range to read
+ *   (undefined for the whole object) and a Transform producing the plaintext
+ */
+const createDecryption = (encryption, context, size, range) => {
+  const dataKey = unwrapDataKey(encryption, context);
+  const { segmentSize } = encryption;
+  const sealedSize = segmentSize + TAG_LENGTH;
+
+  // Map the plaintext range onto whole segments
+  const start = range ? range.start : 0;
+  const end = range ? range.end : size - 1;
+  const lastSegment = size > 0 ? Math.floor((size - 1) / segmentSize) : 0;
+  const firstSegment = Math.floor(start / segmentSize);
+  const endSegment = size > 0 ? Math.floor(end / segmentSize) : 0;
+  const storedSize = size + (lastSegment + 1) * TAG_LENGTH;
+  const cipherRange = range
+    ? {
+        start: firstSegment * sealedSize,
+        end: Math.min((endSegment + 1) * sealedSize, storedSize) - 1,
+      }
+    : undefined;
+
+  let buffered = Buffer.alloc(0);
+  let index = firstSegment;
+  let skip = start - firstSegment * segmentSize; // Plaintext bytes before the range
+  let remaining = size > 0 ? end - start + 1 : 0; // Plaintext bytes still to emit
+
+  const open = (sealed) => {
+    const decipher = crypto.createDecipheriv(ALGORITHM, dataKey, segmentNonce(index));
+    decipher.setAAD(segmentAad(index === lastSegment));
+    decipher.setAuthTag(sealed.subarray(sealed.length - TAG_LENGTH));
+    index++;
+    return Buffer.concat([
+      decipher.update(sealed.subarray(0, sealed.length - TAG_LENGTH)),
+      decipher.final(),
+    ]);
+  };
+
+  const emit = (stream, plaintext) => {
+    const part = plaintext.subarray(skip, skip + remaining);
+    skip = Math.max(0, skip - plaintext.length);
+    remaining -= part.length;
+    if (part.length > 0) stream.push(part);
+  };
+
+  const decipher = new Transform({
+    transform(chunk, encoding, callback) {
+      buffered = Buffer.concat([buffered, chunk]);
+      try {
+        while (buffered.length >= sealedSize) {
+          emit(this, open(buffered.subarray(0, sealedSize)));
+          buffered = buffered.subarray(sealedSize);
+        }
+        callback();
+      } catch (err) {
+        callback(integrityError());
+      }
+    },
+    flush(callback) {
+      try {
+        if (buffered.length > 0) {
+          if (buffered.length < TAG_LENGTH) throw integrityError();
+          emit(this, open(buffered));
+        }
+        if (remaining > 0) throw integrityError();
+        callback();
+      } catch (err) {
+        callback(integrityError());
+      }
+    },
+  });
+
+  return { cipherRange, decipher };
+};
+
+/**
+ * Re-wrap a data key with the active master key.
+ * @param {Object} encryption - Encryption info stored with the content
+ * @param {string} context - Identifier the data key was wrapped with
+ * @returns {Object|null} Updated encryption info, or null if already wrapped by the active key
+ */
+const rewrapDataKey = (encryption, context) => {
+  const { active } = getKeyring();
+  if (!active) throw new Error("ENCRYPTION_KEYS is not configured");
+  if (encryption.kid === active.id) return null;
+  return {
+    ...encryption,
+    ...wrapDataKey(unwrapDataKey(encryption, context), context),
+  };
+};
+
+module.exports = {
+  isEncryptionEnabled,
+  createEncryption,
+  createDecryption,
+  rewrapDataKey,
+};
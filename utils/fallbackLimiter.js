@@ -0,0 +1,141 @@
+/**
+ * In-process quota counters used while Redis is unreachable.
+ * Applies the same rules as the CONSUME_QUOTA script in utils/redisScripts.js to
+ * counters held in memory, for the most recently seen clients only. Everything
+ * counted here is kept per time bucket so it can be added to Redis once it is back.
+ */
+class FallbackLimiter {
+  /**
+   * @param {number} maxEntries - Counters to keep; the least recently used are dropped first
+   */
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    // Usage per quota key, as a Map of bucket index to { bytes, requests };
+    // Map keeps insertion order, so the first entry is the least recently used
+    this.entries = new Map();
+  }
+
+  // Number of counters held
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Check and charge a quota, with the same arguments and result as CONSUME_QUOTA
+   * @param {string} key - Quota key
+   * @param {Array<number>} args - Current bucket, oldest bucket, bytes that must fit, bytes to add,
+   *   requests to add, byte limit, request limit (0: no limit); a trailing TTL is ignored
+   * @returns {Array<number>} `[1, bytes, requests, oldest bucket]` when allowed, or
+   *   `[0, bytes, requests, release bucket, bytes exceeded]` when refused
+   */
+  consume(key, args) {
+    const [current, oldest, needBytes, addBytes, addRequests, byteLimit, requestLimit] =
+      args.map(Number);
+    const buckets = this.entries.get(key) || new Map();
+    let bytes = 0;
+    let requests = 0;
+
+    // Drop buckets that left the window and total the rest
+    for (const [bucket, usage] of buckets) {
+      if (bucket < oldest) {
+        buckets.delete(bucket);
+        continue;
+      }
+      bytes += usage.bytes;
+      requests += usage.requests;
+    }
+    const order = [...buckets.keys()].sort((a, b) => a - b);
+
+    const excessBytes = byteLimit > 0 ? bytes + needBytes - byteLimit : 0;
+    const excessRequests = requestLimit > 0 ? requests + addRequests - requestLimit : 0;
+    if (excessBytes > 0 || excessRequests > 0) {
+      // Find the bucket whose expiry frees enough usage
+      let release = -1;
+      let freedBytes = 0;
+      let freedRequests = 0;
+      for (const bucket of order) {
+        freedBytes += buckets.get(bucket).bytes;
+        freedRequests += buckets.get(bucket).requests;
+        if (freedBytes >= excessBytes && freedRequests >= excessRequests) {
+          release = bucket;
+          break;
+        }
+      }
+      return [0, bytes, requests, release, excessBytes > 0 ? 1 : 0];
+    }
+
+    if (addBytes > 0 || addRequests > 0) {
+      const usage = buckets.get(current) || { bytes: 0, requests: 0 };
+      usage.bytes += addBytes;
+      usage.requests += addRequests;
+      buckets.set(current, usage);
+    }
+    this._touch(key, buckets);
+    return [1, bytes + addBytes, requests + addRequests, order.length > 0 ? order[0] : current];
+  }
+
+  /**
+   * Give back usage charged by consume(), with the same arguments as RELEASE_QUOTA
+   * @param {string} key - Quota key
+   * @param {number} bucket - Bucket the usage was charged to
+   * @param {number} bytes - Bytes to give back
+   * @param {number} requests - Requests to give back
+   * @returns {boolean} Whether the key still had counters to release from
+   */
+  release(key, bucket, bytes, requests) {
+    const buckets = this.entries.get(key);
+    if (!buckets) return false;
+    const usage = buckets.get(bucket);
+    if (usage) {
+      usage.bytes = Math.max(0, usage.bytes - bytes);
+      usage.requests = Math.max(0, usage.requests - requests);
+      if (usage.bytes === 0 && usage.requests === 0) buckets.delete(bucket);
+      if (buckets.size === 0) this.entries.delete(key);
+    }
+    return true;
+  }
+
+  // Quota keys with counters, least recently used first
+  keys() {
+    return [...this.entries.keys()];
+  }
+
+  /**
+   * Remove and return the counters of a key
+   * @param {string} key - Quota key
+   * @returns {Map<number, Object>} Usage per bucket, `{ bytes, requests }`
+   */
+  take(key) {
+    const buckets = this.entries.get(key) || new Map();
+    this.entries.delete(key);
+    return buckets;
+  }
+
+  /**
+   * Add counters back, e.g. after they could not be written to Redis
+   * @param {string} key - Quota key
+   * @param {Map<number, Object>} buckets - Usage per bucket, as returned by take()
+   */
+  restore(key, buckets) {
+    const current = this.entries.get(key) || new Map();
+    for (const [bucket, usage] of buckets) {
+      const total = current.get(bucket) || { bytes: 0, requests: 0 };
+      total.bytes += usage.bytes;
+      total.requests += usage.requests;
+      current.set(bucket, total);
+    }
+    this._touch(key, current);
+  }
+
+  // Mark a key as most recently used, dropping the least recently used past the limit
+  _touch(key, buckets) {
+    this.entries.delete(key);
+    if (buckets.size === 0) return;
+    this.entries.set(key, buckets);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+module.exports = FallbackLimiter;
@@ -0,0 +1,118 @@
+/**
+ * Filters for searching stored files by their metadata, as used by the admin
+ * file endpoints. Filters are parsed once from query parameters and then
+ * matched against each file's metadata sidecar.
+ */
+
+const { isSize, parseSize } = require("./parseSize"); // Size string parser shared with the configured limits
+
+// Query parameters a file filter is read from
+const FILE_FILTER_PARAMS = [
+  "name",
+  "mimeType",
+  "minSize",
+  "maxSize",
+  "uploadedAfter",
+  "uploadedBefore",
+  "accessedAfter",
+  "accessedBefore",
+];
+
+// Build a 400 error for an invalid filter
+const invalidFilter = (details) => {
+  const error = new Error("Invalid file filter");
+  error.statusCode = 400;
+  error.details = details;
+  return error;
+};
+
+// Parse a size given in bytes or with a KB/MB/GB unit
+const parseFilterSize = (value, name) => {
+  if (!isSize(value)) throw invalidFilter(`${name} must be a number of bytes, optionally with KB, MB or GB`);
+  return parseSize(value);
+};
+
+// Parse a date given as ISO 8601 or milliseconds since the epoch
+const parseFilterDate = (value, name) => {
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(time)) throw invalidFilter(`${name} must be an ISO 8601 date or a timestamp in ms`);
+  return time;
+};
+
+/**
+ * Parse a file filter from query parameters. Parameters that are missing or
+ * empty are left out; repeated parameters are rejected.
+ * @param {Object} query - Query parameters
+ * @param {string} [query.name] - Case-insensitive part of the original file name
+ * @param {string} [query.mimeType] - MIME type, or a whole type such as "image/*"
+ * @param {string} [query.minSize] - Smallest size, in bytes or with KB/MB/GB
+ * @param {string} [query.maxSize] - Largest size, in bytes or with KB/MB/GB
+ * @param {string} [query.uploadedAfter] - Uploaded at or after this time
+ * @param {string} [query.uploadedBefore] - Uploaded at or before this time
+ * @param {string} [query.accessedAfter] - Last accessed at or after this time
+ * @param {string} [query.accessedBefore] - Last accessed at or before this time
+ * @returns {Object} Parsed filter; sizes in bytes and times in ms
+ * @throws {Error} With statusCode 400 if a parameter is invalid
+ */
+const parseFileFilter = (query = {}) => {
+  const filter = {};
+  for (const param of FILE_FILTER_PARAMS) {
+    const value = query[param];
+    if (value === undefined || value === "") continue;
+    if (typeof value !== "string" && typeof value !== "number") {
+      throw invalidFilter(`${param} may only be given once`);
+    }
+    filter[param] = value;
+  }
+
+  if (filter.name !== undefined) filter.name = String(filter.name).toLowerCase();
+  if (filter.mimeType !== undefined) filter.mimeType = String(filter.mimeType).toLowerCase();
+  for (const param of ["minSize", "maxSize"]) {
+    if (filter[param] !== undefined) filter[param] = parseFilterSize(filter[param], param);
+  }
+  for (const param of ["uploadedAfter", "uploadedBefore", "accessedAfter", "accessedBefore"]) {
+    if (filter[param] !== undefined) filter[param] = parseFilterDate(filter[param], param);
+  }
+  return filter;
+};
+
+// Whether a metadata time lies within optional bounds
+const withinTimes = (value, after, before) => {
+  if (after === undefined && before === undefined) return true;
+  const time = Date.parse(value);
+  if (!Number.isFinite(time)) return false;
+  return (after === undefined || time >= after) && (before === undefined || time <= before);
+};
+
+/**
+ * Check a file's metadata against a parsed filter
+ * @param {Object} metadata - Metadata sidecar of the file
+ * @param {Object} filter - Filter from parseFileFilter
+ * @returns {boolean} Whether the file matches every condition
+ */
+const matchesFileFilter = (metadata, filter) => {
+  if (filter.name !== undefined) {
+    if (!String(metadata.originalName || "").toLowerCase().includes(filter.name)) return false;
+  }
+  if (filter.mimeType !== undefined) {
+    const mimeType = String(metadata.mimeType || "").toLowerCase();
+    const matches = filter.mimeType.endsWith("/*")
+      ? mimeType.startsWith(filter.mimeType.slice(0, -1))
+      : mimeType === filter.mimeType;
+    if (!matches) return false;
+  }
+  const size = Number(metadata.size);
+  if (filter.minSize !== undefined && !(size >= filter.minSize)) return false;
+  if (filter.maxSize !== undefined && !(size <= filter.maxSize)) return false;
+  return (
+    withinTimes(metadata.uploadedAt, filter.uploadedAfter, filter.uploadedBefore) &&
+    withinTimes(metadata.lastAccessed, filter.accessedAfter, filter.accessedBefore)
+  );
+};
+
+// Export the filter helpers
+module.exports = {
+  FILE_FILTER_PARAMS,
+  parseFileFilter,
+  matchesFileFilter,
+};
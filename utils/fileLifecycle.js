@@ -0,0 +1,87 @@
+const { parseDuration } = require("./parseDuration"); // Duration string parser
+
+// Build a 400 error for an invalid lifecycle option
+const invalidOption = (message, details) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.details = details;
+  return error;
+};
+
+// Form fields arrive as strings; empty ones count as not provided
+const isProvided = (value) => value !== undefined && value !== null && value !== "";
+
+/**
+ * Parse the per-upload lifecycle options sent with an upload.
+ * Shared by the multipart and resumable upload paths.
+ * @param {Object} options - Raw upload fields
+ * @param {string} [options.expiresIn] - Lifetime from now, e.g. "12h" or "7d"
+ * @param {string} [options.expiresAt] - Absolute expiry as an ISO 8601 date
+ * @param {string|number} [options.maxDownloads] - Downloads allowed before the file is removed
+ * @returns {Object} `{ expiresAt?, maxDownloads? }` to store in the file metadata
+ * @throws {Error} With statusCode 400 if an option is invalid
+ */
+const parseLifecycleOptions = ({ expiresIn, expiresAt, maxDownloads } = {}) => {
+  const lifecycle = {};
+
+  if (isProvided(expiresIn) && isProvided(expiresAt)) {
+    throw invalidOption(
+      "Conflicting expiry options",
+      "Provide either expiresIn or expiresAt, not both"
+    );
+  }
+
+  if (isProvided(expiresIn)) {
+    const lifetime = parseDuration(expiresIn);
+    if (!lifetime) {
+      throw invalidOption(
+        "Invalid expiresIn",
+        "expiresIn must be a duration such as 30m, 12h or 7d"
+      );
+    }
+    lifecycle.expiresAt = new Date(Date.now() + lifetime).toISOString();
+  }
+
+  if (isProvided(expiresAt)) {
+    const date = new Date(expiresAt);
+    if (isNaN(date.getTime()) || date.getTime() <= Date.now()) {
+      throw invalidOption(
+        "Invalid expiresAt",
+        "expiresAt must be a future ISO 8601 date"
+      );
+    }
+    lifecycle.expiresAt = date.toISOString();
+  }
+
+  if (isProvided(maxDownloads)) {
+    if (!/^[1-9]\d*$/.test(String(maxDownloads))) {
+      throw invalidOption(
+        "Invalid maxDownloads",
+        "maxDownloads must be a positive integer"
+      );
+    }
+    lifecycle.maxDownloads = Number(maxDownloads);
+  }
+
+  return lifecycle;
+};
+
+/**
+ * Check whether a file has outlived its expiry or download allowance.
+ * @param {Object} metadata - Stored file metadata
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} True if the file must no longer be served
+ */
+const isExpired = (metadata, now = Date.now()) => {
+  if (metadata.expiresAt && new Date(metadata.expiresAt).getTime() <= now) {
+    return true;
+  }
+  return Boolean(
+    metadata.maxDownloads && (metadata.downloadCount || 0) >= metadata.maxDownloads
+  );
+};
+
+module.exports = {
+  parseLifecycleOptions,
+  isExpired,
+};
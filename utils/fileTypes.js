@@ -0,0 +1,262 @@
+/**
+ * File type detection and the configurable upload type policy.
+ *
+ * Types are detected from the first bytes of the content ("magic bytes"),
+ * so a renamed executable cannot pass as an image. The detected MIME type
+ * must agree with the file name's extension, and both are checked against
+ * ALLOWED_FILE_TYPES and DENIED_FILE_TYPES.
+ */
+
+const path = require("path"); // Node.js path module
+const { Transform } = require("stream"); // Node.js stream module
+const config = require("../config"); // Configuration settings
+
+// Bytes inspected at the start of each upload
+const SNIFF_LENGTH = 4096;
+
+// Types recognised by their leading bytes; `offset` defaults to 0. Short
+// "weak" signatures also start ordinary text, so they only count for binary content
+const SIGNATURE_TYPES = [
+  { mime: "image/png", extensions: ["png"], signatures: [[[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]] },
+  { mime: "image/jpeg", extensions: ["jpg", "jpeg"], signatures: [[[0xff, 0xd8, 0xff]]] },
+  { mime: "image/gif", extensions: ["gif"], signatures: [["GIF87a"], ["GIF89a"]] },
+  { mime: "image/webp", extensions: ["webp"], signatures: [["RIFF", { offset: 8, bytes: "WEBP" }]] },
+  { mime: "image/bmp", extensions: ["bmp"], signatures: [["BM"]], weak: true },
+  { mime: "image/tiff", extensions: ["tif", "tiff"], signatures: [[[0x49, 0x49, 0x2a, 0x00]], [[0x4d, 0x4d, 0x00, 0x2a]]] },
+  { mime: "application/pdf", extensions: ["pdf"], signatures: [["%PDF-"]] },
+  { mime: "application/zip", extensions: ["zip"], signatures: [[[0x50, 0x4b, 0x03, 0x04]], [[0x50, 0x4b, 0x05, 0x06]]] },
+  { mime: "application/gzip", extensions: ["gz", "tgz"], signatures: [[[0x1f, 0x8b]]] },
+  { mime: "application/x-7z-compressed", extensions: ["7z"], signatures: [[[0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]]] },
+  { mime: "application/vnd.rar", extensions: ["rar"], signatures: [[[0x52, 0x61, 0x72, 0x21, 0x1a, 0x07]]] },
+  { mime: "audio/wav", extensions: ["wav"], signatures: [["RIFF", { offset: 8, bytes: "WAVE" }]] },
+  { mime: "audio/mpeg", extensions: ["mp3"], signatures: [["ID3"]], weak: true },
+  { mime: "video/mp4", extensions: ["mp4", "m4v", "m4a"], signatures: [[{ offset: 4, bytes: "ftyp" }]] },
+  { mime: "application/x-msdownload", extensions: ["exe", "dll", "com", "scr"], signatures: [["MZ"]], weak: true },
+  { mime: "application/x-executable", extensions: ["elf", "so", "bin"], signatures: [[[0x7f, 0x45, 0x4c, 0x46]]] },
+  {
+    mime: "application/x-mach-binary",
+    extensions: ["dylib"],
+    signatures: [
+      [[0xfe, 0xed, 0xfa, 0xce]],
+      [[0xfe, 0xed, 0xfa, 0xcf]],
+      [[0xce, 0xfa, 0xed, 0xfe]],
+      [[0xcf, 0xfa, 0xed, 0xfe]],
+    ],
+  },
+  { mime: "application/x-sh", extensions: ["sh", "bash"], signatures: [["#!"]] },
+];
+
+// Text types by extension; text has no magic bytes, so the extension names it
+const TEXT_TYPES = {
+  txt: "text/plain",
+  log: "text/plain",
+  csv: "text/csv",
+  md: "text/markdown",
+  json: "application/json",
+};
+
+// Extension -> MIME type for every known type
+const EXTENSION_TYPES = {
+  ...TEXT_TYPES,
+  ...Object.fromEntries(
+    SIGNATURE_TYPES.flatMap(({ mime, extensions }) => extensions.map((ext) => [ext, mime]))
+  ),
+};
+
+// Normalise a signature part to `{ offset, bytes: Buffer }`
+const signaturePart = (part) => {
+  const { offset = 0, bytes } = Array.isArray(part) || typeof part === "string" ? { bytes: part } : part;
+  return { offset, bytes: Buffer.from(bytes) };
+};
+
+// Compiled signatures, checked in table order
+const SIGNATURES = SIGNATURE_TYPES.map((type) => ({
+  ...type,
+  signatures: type.signatures.map((parts) => parts.map(signaturePart)),
+}));
+
+// Check whether the content starts like text: UTF-8 without NUL bytes
+const looksLikeText = (head) => {
+  if (head.includes(0)) return false;
+  try {
+    // `stream` tolerates a multi-byte character cut off at the end of the head
+    new TextDecoder("utf-8", { fatal: true }).decode(head, { stream: true });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Detect a file type from the first bytes of its content.
+ * @param {Buffer} head - Leading bytes of the content (up to SNIFF_LENGTH)
+ * @returns {Object|null} `{ mime, extensions }` for content with known magic
+ *   bytes, `{ mime: "text/plain", text: true }` for text, or null if unknown
+ */
+const detectFileType = (head) => {
+  const text = head.length > 0 && looksLikeText(head);
+  for (const { mime, extensions, signatures, weak } of SIGNATURES) {
+    if (weak && text) continue;
+    const matches = signatures.some((parts) =>
+      parts.every(
+        ({ offset, bytes }) =>
+          head.length >= offset + bytes.length &&
+          head.subarray(offset, offset + bytes.length).equals(bytes)
+      )
+    );
+    if (matches) return { mime, extensions };
+  }
+  if (text) {
+    return { mime: "text/plain", text: true };
+  }
+  return null;
+};
+
+/**
+ * Get the lower-case extension of a file name, without the dot.
+ * @param {string} fileName - File name
+ * @returns {string} Extension, or an empty string if there is none
+ */
+const getExtension = (fileName) => path.extname(fileName).slice(1).toLowerCase();
+
+// Parse a comma-separated list of MIME types ("image/png", "image/*") and extensions (".png")
+const parseTypeList = (value) =>
+  String(value || "")
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+// Check whether an extension or MIME type matches any entry of a type list
+const matchesTypeList = (list, { extension, mime }) =>
+  list.some((entry) => {
+    if (entry === "*") return true;
+    if (entry.startsWith(".")) return entry.slice(1) === extension;
+    if (!entry.includes("/")) return entry === extension;
+    if (!mime) return false;
+    if (entry.endsWith("/*")) return mime.startsWith(entry.slice(0, -1));
+    return entry === mime;
+  });
+
+/**
+ * Check a type against the configured policy.
+ * A type is allowed if its extension or MIME type is on the allowlist and
+ * neither is on the denylist; the denylist always wins.
+ * @param {Object} type - Type to check
+ * @param {string} type.extension - File name extension without the dot
+ * @param {string} [type.mime] - MIME type of the content
+ * @returns {boolean} True if uploads of this type are accepted
+ */
+const isAllowedType = (type) =>
+  matchesTypeList(parseTypeList(config.allowedFileTypes), type) &&
+  !matchesTypeList(parseTypeList(config.deniedFileTypes), type);
+
+/**
+ * Check a file name against the type policy before any content arrives.
+ * @param {string} fileName - Name of the uploaded file
+ * @returns {boolean} True if the name may be uploaded
+ */
+const isAllowedFileName = (fileName) => {
+  if (typeof fileName !== "string") return false;
+  const extension = getExtension(fileName);
+  return isAllowedType({ extension, mime: EXTENSION_TYPES[extension] });
+};
+
+// Build a 400 error for rejected content
+const typeError = (message, details) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = "LIMIT_FILE_TYPES";
+  error.details = details;
+  return error;
+};
+
+/**
+ * Resolve the MIME type of an upload from its name and leading bytes.
+ * Content with magic bytes must carry one of its type's extensions, and an
+ * extension of such a type requires that content. Text cannot be detected
+ * reliably (UTF-16, for example, contains NUL bytes), so unrecognised content
+ * is accepted for text extensions.
+ * @param {string} fileName - Name of the uploaded file
+ * @param {Buffer} head - Leading bytes of the content (up to SNIFF_LENGTH)
+ * @returns {string} MIME type to record for the file
+ * @throws {Error} With statusCode 400 if the content and name disagree or the type is not allowed
+ */
+const resolveFileType = (fileName, head) => {
+  const extension = getExtension(fileName);
+  const detected = detectFileType(head);
+  const declared = EXTENSION_TYPES[extension];
+  const mismatch = () =>
+    typeError(
+      "File content does not match its extension",
+      `Detected ${detected ? detected.mime : "unrecognised content"} for a file named "${fileName}"`
+    );
+
+  let mime;
+  if (detected && !detected.text) {
+    if (!detected.extensions.includes(extension)) throw mismatch();
+    mime = detected.mime;
+  } else if (declared && !TEXT_TYPES[extension]) {
+    // The extension promises magic bytes that are not there
+    throw mismatch();
+  } else {
+    mime = TEXT_TYPES[extension] || (detected ? detected.mime : "application/octet-stream");
+  }
+
+  if (!isAllowedType({ extension, mime })) {
+    throw typeError("Only certain file types are allowed", `${mime} files are not accepted`);
+  }
+  return mime;
+};
+
+/**
+ * Create a pass-through stream that checks the type of an upload.
+ * The first SNIFF_LENGTH bytes are held back until the type is resolved;
+ * the stream fails with a 400 error if the content is rejected.
+ * @param {string} fileName - Name of the uploaded file
+ * @param {Function} onDetected - Called with the resolved MIME type before any data is passed on
+ * @returns {Transform} Inspecting stream
+ */
+const createTypeInspector = (fileName, onDetected) => {
+  let head = Buffer.alloc(0);
+  let resolved = false;
+
+  // Resolve the type once and release the held-back bytes
+  const resolve = (stream) => {
+    resolved = true;
+    onDetected(resolveFileType(fileName, head));
+    stream.push(head);
+    head = null;
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (resolved) return callback(null, chunk);
+      head = Buffer.concat([head, chunk]);
+      try {
+        if (head.length >= SNIFF_LENGTH) resolve(this);
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+    flush(callback) {
+      try {
+        // Files shorter than SNIFF_LENGTH are resolved once they end
+        if (!resolved) resolve(this);
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+  });
+};
+
+module.exports = {
+  SNIFF_LENGTH,
+  detectFileType,
+  getExtension,
+  isAllowedType,
+  isAllowedFileName,
+  resolveFileType,
+  createTypeInspector,
+};
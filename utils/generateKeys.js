@@ -10,4 +10,27 @@ module.exports.generateKeys = () => {
     publicKey: crypto.randomBytes(16).toString("hex"), // Generate 16-byte hex public key
     privateKey: crypto.randomBytes(32).toString("hex"), // Generate 32-byte hex private key
   };
-};
\ No newline at end of file
+};
+
+/**
+ * Hashes a key with SHA-256 so it can be used as a lookup name without storing it in the clear.
+ * @param {string} key - The key to hash (typically a privateKey).
+ * @returns {string} Hex-encoded SHA-256 digest.
+ */
+module.exports.hashKey = (key) => {
+  return crypto.createHash("sha256").update(String(key)).digest("hex"); // Hex digest of the key
+};
+
+/**
+ * Validates a publicKey taken from a request, e.g. a route parameter.
+ * @param {string} publicKey - The public key to check.
+ * @throws {Error} With statusCode 400 if it is not a 32-character hex string.
+ */
+module.exports.assertPublicKey = (publicKey) => {
+  if (!publicKey || !/^[a-f0-9]{32}$/.test(publicKey)) {
+    const error = new Error("Invalid public key format");
+    error.statusCode = 400;
+    error.details = "Public key must be a 32-character hexadecimal string";
+    throw error;
+  }
+};
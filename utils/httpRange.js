@@ -0,0 +1,82 @@
+/**
+ * Helpers for HTTP Range requests (RFC 7233).
+ * Used by the download controller to serve 206 Partial Content responses.
+ */
+
+// Requests asking for more ranges than this are served in full instead
+const MAX_RANGES = 10;
+
+/**
+ * Parse a Range header against a file size.
+ * @param {number} size - Total size of the file in bytes
+ * @param {string} header - Value of the Range request header
+ * @returns {Array<Object>|null|-1} Inclusive `{ start, end }` ranges,
+ *   null if the header should be ignored (serve the full file),
+ *   or -1 if no range can be satisfied (respond 416)
+ */
+const parseRange = (size, header) => {
+  if (typeof header !== "string") return null;
+
+  // Only byte ranges are supported; any other unit is ignored
+  const match = header.trim().match(/^bytes\s*=\s*(.+)$/i);
+  if (!match) return null;
+
+  const specs = match[1].split(",").map((s) => s.trim());
+  if (specs.length > MAX_RANGES) return null;
+
+  const ranges = [];
+  for (const spec of specs) {
+    const parts = spec.match(/^(\d*)\s*-\s*(\d*)$/);
+    // Syntactically invalid ranges invalidate the whole header
+    if (!parts || (parts[1] === "" && parts[2] === "")) return null;
+
+    let start;
+    let end;
+    if (parts[1] === "") {
+      // Suffix range: the last N bytes
+      const suffixLength = parseInt(parts[2], 10);
+      if (suffixLength === 0) continue;
+      start = Math.max(0, size - suffixLength);
+      end = size - 1;
+    } else {
+      start = parseInt(parts[1], 10);
+      end = parts[2] === "" ? Infinity : parseInt(parts[2], 10);
+      if (end < start) return null;
+      end = Math.min(end, size - 1);
+    }
+
+    // Ranges starting past the end of the file cannot be satisfied
+    if (start >= size) continue;
+    ranges.push({ start, end });
+  }
+
+  return ranges.length > 0 ? ranges : -1;
+};
+
+/**
+ * Check whether an If-Range precondition still matches the stored file.
+ * A mismatch means the file changed and the full file must be sent.
+ * @param {string} ifRange - Value of the If-Range request header
+ * @param {Object} validators - `{ etag, lastModified }` of the stored file
+ * @returns {boolean} True if the Range header may be honored
+ */
+const ifRangeMatches = (ifRange, { etag, lastModified }) => {
+  if (!ifRange) return true;
+
+  const value = ifRange.trim();
+  // Entity tags must match exactly; weak tags never match (RFC 7233 section 3.2)
+  if (value.startsWith('"') || value.startsWith("W/")) {
+    return value === etag;
+  }
+
+  // Otherwise it is an HTTP-date compared at one-second precision
+  const date = Date.parse(value);
+  const modified = Date.parse(lastModified);
+  return !isNaN(date) && !isNaN(modified) && Math.floor(modified / 1000) * 1000 === date;
+};
+
+module.exports = {
+  MAX_RANGES,
+  parseRange,
+  ifRangeMatches,
+};
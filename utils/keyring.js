@@ -0,0 +1,65 @@
+/**
+ * A set of named secrets where the first one is active.
+ * Built from a config string of comma-separated "keyId:secret" pairs, e.g.
+ * "2025b:newsecret,2025a:oldsecret". New material is produced with the active
+ * key while every key stays usable for verification, so rotation means
+ * prepending a new key and dropping the old one once nothing depends on it.
+ */
+class Keyring {
+  /**
+   * @param {string} spec - Comma-separated "keyId:secret" pairs
+   * @param {string} name - Setting name used in error messages
+   * @throws {Error} If an entry is malformed or a key id is repeated
+   */
+  constructor(spec, name) {
+    this.keys = new Map();
+    this.activeId = null;
+
+    const entries = String(spec || "")
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+
+    for (const entry of entries) {
+      const separator = entry.indexOf(":");
+      const id = entry.slice(0, separator).trim();
+      const secret = entry.slice(separator + 1).trim();
+      if (separator <= 0 || !secret || !/^[\w-]+$/.test(id)) {
+        throw new Error(`Invalid ${name} entry - expected "keyId:secret"`);
+      }
+      if (this.keys.has(id)) {
+        throw new Error(`Invalid ${name} - duplicate key id "${id}"`);
+      }
+      this.keys.set(id, secret);
+      if (!this.activeId) this.activeId = id;
+    }
+  }
+
+  // True if at least one key is configured
+  get isConfigured() {
+    return this.activeId !== null;
+  }
+
+  // The key used for new signatures or wrapped keys
+  get active() {
+    return this.isConfigured
+      ? { id: this.activeId, secret: this.keys.get(this.activeId) }
+      : null;
+  }
+
+  /**
+   * Look up a key by id
+   * @param {string} id - Key id
+   * @returns {string|undefined} Secret, or undefined for unknown ids
+   */
+  get(id) {
+    return this.keys.get(id);
+  }
+
+  // Ids of all configured keys, active key first
+  ids() {
+    return [...this.keys.keys()];
+  }
+}
+
+module.exports = Keyring;
@@ -0,0 +1,45 @@
+/**
+ * Helpers for logging request paths without the secrets some of them carry.
+ * Used by the request logger and the error handler.
+ */
+
+// Query parameters holding credentials: signed URL signatures and unlock tokens
+const SECRET_QUERY_PARAMS = ["sig", "token"];
+
+// Shown in place of redacted values
+const REDACTED = "[REDACTED]";
+
+// File routes addressing a file by private key in their first segment
+const PRIVATE_KEY_SUBROUTE = /^\/files\/[^/?]+(?=\/(?:signed-urls|webhooks)(?:\/|$))/;
+const PRIVATE_KEY_ROUTE = /^\/files\/[^/?]+(?=\/?$)/;
+// Only these methods address /files/:privateKey itself; GET names a public key
+const PRIVATE_KEY_METHODS = ["DELETE", "PATCH"];
+
+/**
+ * Get the path and query of a request as it may be logged: private keys in
+ * the path and secret query parameters are replaced by a placeholder.
+ * @param {Request} req - Express request object
+ * @returns {string} Redacted path, with its query string if any
+ */
+const logPath = (req) => {
+  const url = req.originalUrl || req.url || "";
+  const queryStart = url.indexOf("?");
+  let path = queryStart === -1 ? url : url.slice(0, queryStart);
+
+  path = path.replace(PRIVATE_KEY_SUBROUTE, `/files/${REDACTED}`);
+  if (PRIVATE_KEY_METHODS.includes(req.method)) {
+    path = path.replace(PRIVATE_KEY_ROUTE, `/files/${REDACTED}`);
+  }
+  if (queryStart === -1) return path;
+
+  const query = new URLSearchParams(url.slice(queryStart + 1));
+  for (const name of SECRET_QUERY_PARAMS) {
+    if (query.has(name)) query.set(name, REDACTED);
+  }
+  const search = query.toString();
+  return search ? `${path}?${search}` : path;
+};
+
+module.exports = {
+  logPath,
+};
@@ -0,0 +1,214 @@
+/**
+ * Minimal metrics in the Prometheus text exposition format (version 0.0.4).
+ * Supports counters, gauges and histograms with labels, which is all the
+ * service exposes; values live in memory and are per process.
+ */
+
+// Default histogram buckets in seconds, as used by the Prometheus client libraries
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Escape a label value for the exposition format
+const escapeLabel = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+// Escape HELP text for the exposition format
+const escapeHelp = (text) => text.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+
+// Format a sample value; Prometheus spells infinities +Inf and -Inf
+const formatValue = (value) => {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+};
+
+// Render a label set as {name="value",...}, or nothing without labels
+const formatLabels = (names, values) => {
+  if (names.length === 0) return "";
+  return `{${names.map((name, i) => `${name}="${escapeLabel(values[i])}"`).join(",")}}`;
+};
+
+/**
+ * Base class holding one series per combination of label values
+ */
+class Metric {
+  /**
+   * @param {Object} options - Metric definition
+   * @param {string} options.name - Metric name
+   * @param {string} options.help - Description shown in the HELP line
+   * @param {Array<string>} [options.labelNames] - Names of the labels, in order
+   */
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // Series by their label values joined with a separator that cannot occur in them
+    this.series = new Map();
+  }
+
+  // Label values in labelNames order; missing labels are empty
+  _values(labels = {}) {
+    return this.labelNames.map((name) => (labels[name] === undefined ? "" : String(labels[name])));
+  }
+
+  // Get or create the series for a label set
+  _series(labels, create) {
+    const values = this._values(labels);
+    const key = values.join("\u0000");
+    if (!this.series.has(key)) this.series.set(key, { values, ...create() });
+    return this.series.get(key);
+  }
+
+  // Drop every series
+  reset() {
+    this.series.clear();
+  }
+
+  // Render the HELP and TYPE lines followed by the samples
+  render() {
+    return [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`]
+      .concat(this._samples())
+      .join("\n");
+  }
+}
+
+/**
+ * Value that only goes up, such as requests served
+ */
+class Counter extends Metric {
+  get type() {
+    return "counter";
+  }
+
+  /**
+   * Add to the counter
+   * @param {Object} [labels] - Label values
+   * @param {number} [amount] - Non-negative amount to add (default: 1)
+   */
+  inc(labels, amount = 1) {
+    if (!(amount >= 0)) throw new Error(`Counter ${this.name} cannot be decreased`);
+    this._series(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  _samples() {
+    return [...this.series.values()].map(
+      ({ values, value }) => `${this.name}${formatLabels(this.labelNames, values)} ${formatValue(value)}`
+    );
+  }
+}
+
+/**
+ * Value that can go up and down, such as files stored
+ */
+class Gauge extends Metric {
+  get type() {
+    return "gauge";
+  }
+
+  /**
+   * Set the gauge
+   * @param {Object} [labels] - Label values
+   * @param {number} value - New value
+   */
+  set(labels, value) {
+    this._series(labels, () => ({ value: 0 })).value = value;
+  }
+
+  _samples() {
+    return [...this.series.values()].map(
+      ({ values, value }) => `${this.name}${formatLabels(this.labelNames, values)} ${formatValue(value)}`
+    );
+  }
+}
+
+/**
+ * Distribution of observed values, such as request durations
+ */
+class Histogram extends Metric {
+  /**
+   * @param {Object} options - Metric definition, plus:
+   * @param {Array<number>} [options.buckets] - Upper bounds of the buckets (default: DEFAULT_BUCKETS)
+   */
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super(options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  get type() {
+    return "histogram";
+  }
+
+  /**
+   * Record a value
+   * @param {Object} [labels] - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const series = this._series(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    // Bucket counts are stored individually and made cumulative when rendered
+    const index = this.buckets.findIndex((bound) => value <= bound);
+    if (index !== -1) series.counts[index]++;
+    series.sum += value;
+    series.count++;
+  }
+
+  _samples() {
+    const lines = [];
+    const names = [...this.labelNames, "le"];
+    for (const { values, counts, sum, count } of this.series.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, i) => {
+        cumulative += counts[i];
+        lines.push(`${this.name}_bucket${formatLabels(names, [...values, formatValue(bound)])} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(names, [...values, "+Inf"])} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Collection of metrics rendered together for a scrape
+ */
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  // Content-Type of the rendered metrics
+  get contentType() {
+    return "text/plain; version=0.0.4; charset=utf-8";
+  }
+
+  /**
+   * Add a metric
+   * @param {Metric} metric - Metric to expose
+   * @returns {Metric} The metric, for assignment
+   * @throws {Error} If a metric with the same name is already registered
+   */
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  // Render every metric in the exposition format
+  render() {
+    return `${[...this.metrics.values()].map((metric) => metric.render()).join("\n")}\n`;
+  }
+
+  // Drop every series of every metric
+  reset() {
+    for (const metric of this.metrics.values()) metric.reset();
+  }
+}
+
+// Export the metric types and the registry
+module.exports = { Counter, Gauge, Histogram, Registry, DEFAULT_BUCKETS };
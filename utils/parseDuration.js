@@ -0,0 +1,14 @@
+// Durations such as "30m", "12h" or "7d"
+const DURATION_PATTERN = /^(\d+)([mhd])$/;
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a duration string (minutes, hours or days) into milliseconds.
+ * @param {string} duration - Duration string, e.g. "15m"
+ * @returns {number|null} Duration in milliseconds, or null if it cannot be parsed
+ */
+module.exports.parseDuration = (duration) => {
+  const match = String(duration).match(DURATION_PATTERN);
+  if (!match) return null;
+  return Number(match[1]) * UNIT_MS[match[2]];
+};
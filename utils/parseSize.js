@@ -0,0 +1,24 @@
+// A number of bytes, optionally with a KB, MB or GB unit (any case), e.g. "1.5GB"
+const SIZE_PATTERN = /^(\d+(?:\.\d+)?)\s*(KB|MB|GB)?$/i;
+
+// Bytes per unit; units are powers of 1024
+const SIZE_UNITS = { "": 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+
+/**
+ * Check whether a value is a size string parseSize understands.
+ * @param {string|number} sizeStr - Value to check
+ * @returns {boolean} True for plain byte counts and sizes with a KB/MB/GB unit
+ */
+module.exports.isSize = (sizeStr) => SIZE_PATTERN.test(String(sizeStr).trim());
+
+/**
+ * Parse a human-readable size string (e.g., "500KB", "100MB", "5GB") into bytes.
+ * Plain numbers are treated as a byte count.
+ * @param {string|number} sizeStr - Size string to parse
+ * @returns {number} Size in bytes (0 if the string cannot be parsed)
+ */
+module.exports.parseSize = (sizeStr) => {
+  const match = SIZE_PATTERN.exec(String(sizeStr).trim());
+  if (!match) return 0;
+  return Math.floor(Number(match[1]) * SIZE_UNITS[(match[2] || "").toUpperCase()]);
+};
@@ -0,0 +1,68 @@
+const crypto = require("crypto"); // Node.js crypto module
+const { promisify } = require("util"); // Utility to convert callback functions to promises
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters for new hashes (stored with each hash so they can change later)
+const SCRYPT_COST = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+
+// Longest accepted password; scrypt cost grows with the input
+const MAX_PASSWORD_LENGTH = 1024;
+
+/**
+ * Validate an optional password supplied with an upload.
+ * @param {string} [password] - Raw password field
+ * @returns {string|undefined} The password, or undefined if none was given
+ * @throws {Error} With statusCode 400 if the password is invalid
+ */
+const normalizePassword = (password) => {
+  if (password === undefined || password === null || password === "") return undefined;
+  if (typeof password !== "string" || password.length > MAX_PASSWORD_LENGTH) {
+    const error = new Error("Invalid password");
+    error.statusCode = 400;
+    error.details = `Password must be a string of at most ${MAX_PASSWORD_LENGTH} characters`;
+    throw error;
+  }
+  return password;
+};
+
+/**
+ * Hash a password with a random salt.
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} Encoded hash: `scrypt$N$r$p$salt$hash` (base64 parts)
+ */
+const hashPassword = async (password) => {
+  const { N, r, p } = SCRYPT_COST;
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+  return ["scrypt", N, r, p, salt.toString("base64"), hash.toString("base64")].join("$");
+};
+
+/**
+ * Check a password against an encoded hash in constant time.
+ * @param {string} password - Plaintext password to check
+ * @param {string} encoded - Hash produced by hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+const verifyPassword = async (password, encoded) => {
+  if (typeof password !== "string" || typeof encoded !== "string") return false;
+
+  const [scheme, N, r, p, salt, hash] = encoded.split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+module.exports = {
+  normalizePassword,
+  hashPassword,
+  verifyPassword,
+};
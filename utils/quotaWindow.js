@@ -0,0 +1,101 @@
+const { parseDuration } = require("./parseDuration"); // Duration string parser
+
+// Calendar periods (UTC) a quota window can follow
+const CALENDAR_PERIODS = ["hour", "day", "week", "month"];
+
+// Rolling windows are tracked in this many buckets, so usage leaves the window
+// in steps of 1/60 of its length (1 minute for 1h, 12 hours for 30d)
+const SLIDING_BUCKETS = 60;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Parse a quota window setting.
+ * @param {string} value - Calendar period ("hour", "day", "week", "month") or a
+ *   rolling duration ("1h", "24h", "7d", "30d")
+ * @returns {Object} `{ name, calendar }` for calendar periods or `{ name, ms }` for rolling windows
+ * @throws {Error} If the window cannot be parsed
+ */
+const parseQuotaWindow = (value) => {
+  const name = String(value || "day").trim();
+  if (CALENDAR_PERIODS.includes(name)) return { name, calendar: name };
+
+  const ms = parseDuration(name);
+  if (!ms) {
+    throw new Error(
+      `Invalid quota window "${name}": use hour, day, week, month or a duration such as 24h or 7d`
+    );
+  }
+  return { name, ms };
+};
+
+// Index of the calendar period containing a time, and the time it ends
+const calendarPeriod = (calendar, now) => {
+  const date = new Date(now);
+  switch (calendar) {
+    case "hour":
+      return { index: Math.floor(now / HOUR_MS), end: (Math.floor(now / HOUR_MS) + 1) * HOUR_MS };
+    case "week": {
+      // ISO weeks start on Monday; 1970-01-01 was a Thursday
+      const index = Math.floor((Math.floor(now / DAY_MS) + 3) / 7);
+      return { index, end: (index * 7 + 4) * DAY_MS };
+    }
+    case "month":
+      return {
+        index: date.getUTCFullYear() * 12 + date.getUTCMonth(),
+        end: Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1),
+      };
+    default:
+      return { index: Math.floor(now / DAY_MS), end: (Math.floor(now / DAY_MS) + 1) * DAY_MS };
+  }
+};
+
+/**
+ * Work out which usage buckets count towards a window at a given time.
+ * Calendar periods use a single bucket per period; rolling windows count the
+ * last SLIDING_BUCKETS buckets.
+ * @param {Object} window - Parsed quota window
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Object} `{ current, oldest, ttl }`: current bucket index, oldest bucket still
+ *   in the window, and seconds until a bucket written now stops counting
+ */
+const windowBuckets = (window, now = Date.now()) => {
+  if (window.calendar) {
+    const { index, end } = calendarPeriod(window.calendar, now);
+    return { current: index, oldest: index, ttl: Math.max(1, Math.ceil((end - now) / 1000)) };
+  }
+
+  const bucketMs = window.ms / SLIDING_BUCKETS;
+  const current = Math.floor(now / bucketMs);
+  return {
+    current,
+    oldest: current - SLIDING_BUCKETS + 1,
+    ttl: Math.ceil(window.ms / 1000),
+  };
+};
+
+/**
+ * Seconds until usage recorded in a bucket stops counting towards the window.
+ * @param {Object} window - Parsed quota window
+ * @param {number} bucket - Bucket index; usage in it and all older buckets is released
+ *   (-1 when no usage can be released, e.g. for an upload larger than the limit)
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number} Seconds, at least 1
+ */
+const secondsUntilReleased = (window, bucket, now = Date.now()) => {
+  if (window.calendar) {
+    return Math.max(1, Math.ceil((calendarPeriod(window.calendar, now).end - now) / 1000));
+  }
+  if (bucket < 0) return Math.ceil(window.ms / 1000);
+  const releasedAt = (bucket + SLIDING_BUCKETS) * (window.ms / SLIDING_BUCKETS);
+  return Math.max(1, Math.ceil((releasedAt - now) / 1000));
+};
+
+module.exports = {
+  CALENDAR_PERIODS,
+  SLIDING_BUCKETS,
+  parseQuotaWindow,
+  windowBuckets,
+  secondsUntilReleased,
+};
@@ -0,0 +1,175 @@
+/**
+ * Lua scripts for quota and attempt counters and the webhook queue.
+ * Redis runs a script as a single atomic step, so concurrent requests cannot
+ * interleave between reading a counter and updating it, a counter never
+ * exists without its TTL, and a queued job is claimed by one instance only.
+ */
+
+const crypto = require("crypto"); // Node.js crypto module
+
+/**
+ * Describe a Lua script with the SHA-1 digest Redis caches it under
+ * @param {string} lua - Script source
+ * @returns {{lua: string, sha1: string}} Script definition
+ */
+const defineScript = (lua) => ({
+  lua,
+  sha1: crypto.createHash("sha1").update(lua).digest("hex"),
+});
+
+// Check and charge a quota kept in the hash KEYS[1], whose fields "b:<bucket>" and
+// "r:<bucket>" hold the bytes and requests recorded in each time bucket.
+// ARGV: current bucket, oldest bucket still in the window, bytes that must fit,
+// bytes to add, requests to add, byte limit, request limit (0: no limit), TTL in seconds.
+// Buckets older than the window are dropped. When a limit would be exceeded nothing
+// is added and { 0, bytes, requests, release, bytes exceeded } is returned, where
+// release is the bucket whose expiry frees enough usage (-1 if none can);
+// otherwise { 1, bytes, requests, oldest bucket with usage } with the usage after adding.
+const CONSUME_QUOTA = defineScript(`
+local current = tonumber(ARGV[1])
+local oldest = tonumber(ARGV[2])
+local bytes, requests = 0, 0
+local buckets, order = {}, {}
+
+local fields = redis.call("HGETALL", KEYS[1])
+for i = 1, #fields, 2 do
+  local kind, bucket = string.match(fields[i], "^(%a):(%-?%d+)$")
+  bucket = tonumber(bucket)
+  if bucket == nil or bucket < oldest then
+    redis.call("HDEL", KEYS[1], fields[i])
+  else
+    local value = tonumber(fields[i + 1])
+    if buckets[bucket] == nil then
+      buckets[bucket] = { 0, 0 }
+      table.insert(order, bucket)
+    end
+    if kind == "b" then
+      bytes = bytes + value
+      buckets[bucket][1] = buckets[bucket][1] + value
+    else
+      requests = requests + value
+      buckets[bucket][2] = buckets[bucket][2] + value
+    end
+  end
+end
+table.sort(order)
+
+local addBytes = tonumber(ARGV[4])
+local addRequests = tonumber(ARGV[5])
+local byteLimit = tonumber(ARGV[6])
+local requestLimit = tonumber(ARGV[7])
+local excessBytes = 0
+local excessRequests = 0
+if byteLimit > 0 then excessBytes = bytes + tonumber(ARGV[3]) - byteLimit end
+if requestLimit > 0 then excessRequests = requests + addRequests - requestLimit end
+
+if excessBytes > 0 or excessRequests > 0 then
+  local release = -1
+  local freedBytes, freedRequests = 0, 0
+  for _, bucket in ipairs(order) do
+    freedBytes = freedBytes + buckets[bucket][1]
+    freedRequests = freedRequests + buckets[bucket][2]
+    if freedBytes >= excessBytes and freedRequests >= excessRequests then
+      release = bucket
+      break
+    end
+  end
+  return { 0, bytes, requests, release, excessBytes > 0 and 1 or 0 }
+end
+
+if addBytes > 0 then redis.call("HINCRBY", KEYS[1], "b:" .. current, addBytes) end
+if addRequests > 0 then redis.call("HINCRBY", KEYS[1], "r:" .. current, addRequests) end
+if addBytes > 0 or addRequests > 0 then redis.call("EXPIRE", KEYS[1], ARGV[8]) end
+return { 1, bytes + addBytes, requests + addRequests, order[1] or current }
+`);
+
+// Give back usage charged by CONSUME_QUOTA to the bucket ARGV[1] of the hash KEYS[1]:
+// ARGV[2] bytes and ARGV[3] requests. Fields that reach zero are removed, so usage
+// that already left the window is not turned into a negative balance.
+const RELEASE_QUOTA = defineScript(`
+local function release(field, amount)
+  if amount <= 0 then return end
+  if redis.call("HINCRBY", KEYS[1], field, -amount) <= 0 then
+    redis.call("HDEL", KEYS[1], field)
+  end
+end
+release("b:" .. ARGV[1], tonumber(ARGV[2]))
+release("r:" .. ARGV[1], tonumber(ARGV[3]))
+return 1
+`);
+
+// Count an attempt in the counter KEYS[1], which expires ARGV[1] seconds after its first
+// attempt. With a limit ARGV[2] above 0, attempts once the limit is reached are refused and
+// not counted. Counters found without a TTL get one, so none outlives its window.
+// Returns { allowed (1 or 0), attempts counted, seconds until the counter expires }.
+const COUNT_ATTEMPT = defineScript(`
+local count = tonumber(redis.call("GET", KEYS[1]) or "0")
+local limit = tonumber(ARGV[2])
+local allowed = 1
+if limit > 0 and count >= limit then
+  allowed = 0
+else
+  count = redis.call("INCR", KEYS[1])
+end
+local ttl = redis.call("TTL", KEYS[1])
+if ttl < 0 then
+  redis.call("EXPIRE", KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { allowed, count, ttl }
+`);
+
+// Claim up to ARGV[3] jobs of the sorted set KEYS[1] that are due at ARGV[1] (scores are
+// due times in ms) by moving them to ARGV[2]. The claiming instance removes or reschedules
+// each job once it is handled; jobs of an instance that died become due again then.
+// Returns the claimed job ids.
+const CLAIM_DUE = defineScript(`
+local ids = redis.call("ZRANGEBYSCORE", KEYS[1], "-inf", ARGV[1], "LIMIT", 0, tonumber(ARGV[3]))
+for _, id in ipairs(ids) do
+  redis.call("ZADD", KEYS[1], ARGV[2], id)
+end
+return ids
+`);
+
+/**
+ * Run a script by its digest, sending the source once if Redis does not have it cached
+ * @param {Object} client - node-redis client
+ * @param {{lua: string, sha1: string}} script - Script definition
+ * @param {Array<string>} keys - KEYS
+ * @param {Array<*>} args - ARGV, converted to strings
+ * @returns {Promise<*>} Script result
+ */
+const runScript = async (client, script, keys, args) => {
+  const options = { keys, arguments: args.map(String) };
+  try {
+    return await client.evalSha(script.sha1, options);
+  } catch (err) {
+    if (!String(err.message).startsWith("NOSCRIPT")) throw err;
+    return client.eval(script.lua, options);
+  }
+};
+
+/**
+ * Count an attempt with COUNT_ATTEMPT
+ * @param {Object} client - node-redis client
+ * @param {string} key - Redis key of the counter
+ * @param {number} ttlSeconds - Length of the counter's window, from its first attempt
+ * @param {number} [limit] - Attempts allowed in the window; further ones are refused and
+ *   not counted (0: no limit)
+ * @returns {Promise<Object>} `{ allowed, count, ttl }` with the attempts counted and the
+ *   seconds until the counter expires
+ */
+const countAttempt = async (client, key, ttlSeconds, limit = 0) => {
+  const [allowed, count, ttl] = await runScript(client, COUNT_ATTEMPT, [key], [ttlSeconds, limit]);
+  return { allowed: allowed === 1, count, ttl };
+};
+
+module.exports = {
+  defineScript,
+  runScript,
+  countAttempt,
+  CONSUME_QUOTA,
+  RELEASE_QUOTA,
+  COUNT_ATTEMPT,
+  CLAIM_DUE,
+};
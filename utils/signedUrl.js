@@ -0,0 +1,139 @@
+const crypto = require("crypto"); // Node.js crypto module
+const net = require("net"); // Node.js net module for IP validation
+const config = require("../config"); // Configuration settings
+const Keyring = require("./keyring"); // Rotating key set
+const { normalizeIp } = require("./clientIp"); // Client address normalization
+const { parseDuration } = require("./parseDuration"); // Duration string parser
+
+// Keyring built from SIGNING_KEYS, rebuilt only when the setting changes
+let keyring = null;
+let keyringSpec = null;
+const getKeyring = () => {
+  if (!keyring || keyringSpec !== config.signingKeys) {
+    keyring = new Keyring(config.signingKeys, "SIGNING_KEYS");
+    keyringSpec = config.signingKeys;
+  }
+  return keyring;
+};
+
+// Everything a signature covers, in a fixed order
+const canonicalize = ({ publicKey, expires, ip, max }) =>
+  [publicKey, expires, ip || "", max || ""].join("\n");
+
+const hmac = (secret, params) =>
+  crypto.createHmac("sha256", secret).update(canonicalize(params)).digest("base64url");
+
+// Build a 400 error for an invalid signing option
+const invalidOption = (message, details) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Sign download URL parameters for a file.
+ * @param {string} publicKey - Public key of the file
+ * @param {Object} [options] - Signing options from the private-key holder
+ * @param {string} [options.expiresIn] - Lifetime, e.g. "1h" (default SIGNED_URL_DEFAULT_TTL)
+ * @param {string} [options.ip] - Only this client IP may use the URL
+ * @param {number|string} [options.maxDownloads] - Downloads allowed through this URL
+ * @returns {Object} `{ query, expiresAt }` where `query` holds the URL parameters
+ * @throws {Error} 400 for invalid options, 503 if no signing keys are configured
+ */
+const signDownloadUrl = (publicKey, { expiresIn, ip, maxDownloads } = {}) => {
+  const { active } = getKeyring();
+  if (!active) {
+    const error = new Error("URL signing is not configured");
+    error.statusCode = 503;
+    error.details = "Set SIGNING_KEYS to enable signed URLs";
+    throw error;
+  }
+
+  const lifetime = parseDuration(expiresIn || config.signedUrlDefaultTtl);
+  const maxLifetime = parseDuration(config.signedUrlMaxTtl);
+  if (!lifetime || (maxLifetime && lifetime > maxLifetime)) {
+    throw invalidOption(
+      "Invalid expiresIn",
+      `expiresIn must be a duration such as 30m or 12h, at most ${config.signedUrlMaxTtl}`
+    );
+  }
+  if (ip && !net.isIP(normalizeIp(ip))) {
+    throw invalidOption("Invalid ip", "ip must be an IPv4 or IPv6 address");
+  }
+  if (maxDownloads !== undefined && !/^[1-9]\d*$/.test(String(maxDownloads))) {
+    throw invalidOption("Invalid maxDownloads", "maxDownloads must be a positive integer");
+  }
+
+  const params = {
+    publicKey,
+    expires: String(Math.floor((Date.now() + lifetime) / 1000)),
+    ip: ip ? normalizeIp(ip) : undefined,
+    max: maxDownloads !== undefined ? String(Number(maxDownloads)) : undefined,
+  };
+
+  const query = { expires: params.expires };
+  if (params.ip) query.ip = params.ip;
+  if (params.max) query.max = params.max;
+  query.kid = active.id;
+  query.sig = hmac(active.secret, params);
+
+  return { query, expiresAt: new Date(Number(params.expires) * 1000).toISOString() };
+};
+
+/**
+ * Verify the signature parameters of a download request.
+ * @param {string} publicKey - Public key from the URL path
+ * @param {Object} query - Request query (`expires`, `ip`, `max`, `kid`, `sig`)
+ * @param {string} clientIp - IP of the requesting client
+ * @returns {Object} `{ valid: true, signature, maxDownloads, ttl }` or `{ valid: false, reason }`
+ */
+const verifyDownloadSignature = (publicKey, query, clientIp) => {
+  const { expires, ip, max, kid, sig } = query;
+  if (typeof sig !== "string" || typeof expires !== "string" || !/^\d+$/.test(expires)) {
+    return { valid: false, reason: "Malformed signature" };
+  }
+
+  // Any configured key may have signed the URL
+  const secret = getKeyring().get(kid);
+  if (!secret) return { valid: false, reason: "Unknown signing key" };
+
+  const expected = Buffer.from(hmac(secret, { publicKey, expires, ip, max }));
+  const actual = Buffer.from(sig);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { valid: false, reason: "Invalid signature" };
+  }
+
+  const ttl = Number(expires) - Math.floor(Date.now() / 1000);
+  if (ttl <= 0) return { valid: false, reason: "Signature expired" };
+
+  if (ip && normalizeIp(clientIp) !== ip) {
+    return { valid: false, reason: "Signature is bound to another IP address" };
+  }
+
+  return {
+    valid: true,
+    signature: sig,
+    maxDownloads: max ? Number(max) : undefined,
+    ttl,
+  };
+};
+
+/**
+ * Parse the optional requireSignature upload field.
+ * @param {string|boolean} [value] - Raw field value
+ * @returns {boolean|undefined} Parsed flag, or undefined if not given
+ * @throws {Error} With statusCode 400 for anything but true/false
+ */
+const parseRequireSignature = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (value === true || value === "true") return true;
+  if (value === false || value === "false") return false;
+  throw invalidOption("Invalid requireSignature", "requireSignature must be true or false");
+};
+
+module.exports = {
+  signDownloadUrl,
+  verifyDownloadSignature,
+  parseRequireSignature,
+};
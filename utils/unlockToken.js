@@ -0,0 +1,51 @@
+const crypto = require("crypto"); // Node.js crypto module
+const config = require("../config"); // Configuration settings
+const { logger } = require("./logger"); // Custom logger utility
+const { parseDuration } = require("./parseDuration"); // Duration string parser
+
+// Without a configured secret, tokens only stay valid until this process restarts
+const secret = config.unlockTokenSecret || crypto.randomBytes(32).toString("hex");
+if (!config.unlockTokenSecret) {
+  logger.warn("UNLOCK_TOKEN_SECRET is not set - unlock tokens will not survive restarts");
+}
+
+// Sign the publicKey together with the expiry time
+const sign = (publicKey, expires) =>
+  crypto.createHmac("sha256", secret).update(`${publicKey}.${expires}`).digest("base64url");
+
+/**
+ * Issue a short-lived token that unlocks downloads of a password-protected file.
+ * @param {string} publicKey - Public key of the unlocked file
+ * @returns {Object} `{ token, expiresAt }`
+ */
+const issueUnlockToken = (publicKey) => {
+  const ttl = parseDuration(config.unlockTokenTtl) || 15 * 60 * 1000;
+  const expires = Math.floor((Date.now() + ttl) / 1000);
+  return {
+    token: `${expires}.${sign(publicKey, expires)}`,
+    expiresAt: new Date(expires * 1000).toISOString(),
+  };
+};
+
+/**
+ * Check an unlock token for a file.
+ * @param {string} token - Token from issueUnlockToken
+ * @param {string} publicKey - Public key of the requested file
+ * @returns {boolean} True if the token was issued for this file and has not expired
+ */
+const verifyUnlockToken = (token, publicKey) => {
+  if (typeof token !== "string") return false;
+
+  const [expires, signature] = token.split(".");
+  if (!/^\d+$/.test(expires) || !signature) return false;
+  if (Number(expires) * 1000 <= Date.now()) return false;
+
+  const expected = Buffer.from(sign(publicKey, expires));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+module.exports = {
+  issueUnlockToken,
+  verifyUnlockToken,
+};
@@ -0,0 +1,135 @@
+const crypto = require("crypto"); // Node.js crypto module for HMAC signatures
+const dns = require("dns"); // Node.js DNS module for resolving receiver host names
+const http = require("http"); // Node.js HTTP client
+const https = require("https"); // Node.js HTTPS client
+const net = require("net"); // Node.js net module for address checks
+const { normalizeIp } = require("./clientIp"); // IPv4-mapped IPv6 normalization
+
+// Address ranges that do not belong on the public internet
+const INTERNAL_RANGES = new net.BlockList();
+INTERNAL_RANGES.addSubnet("0.0.0.0", 8, "ipv4");
+INTERNAL_RANGES.addSubnet("10.0.0.0", 8, "ipv4");
+INTERNAL_RANGES.addSubnet("100.64.0.0", 10, "ipv4");
+INTERNAL_RANGES.addSubnet("127.0.0.0", 8, "ipv4");
+INTERNAL_RANGES.addSubnet("169.254.0.0", 16, "ipv4");
+INTERNAL_RANGES.addSubnet("172.16.0.0", 12, "ipv4");
+INTERNAL_RANGES.addSubnet("192.168.0.0", 16, "ipv4");
+INTERNAL_RANGES.addSubnet("::", 127, "ipv6");
+// NAT64 prefixes embed IPv4 addresses, e.g. 64:ff9b::7f00:1 for 127.0.0.1
+INTERNAL_RANGES.addSubnet("64:ff9b::", 96, "ipv6");
+INTERNAL_RANGES.addSubnet("64:ff9b:1::", 48, "ipv6");
+INTERNAL_RANGES.addSubnet("fc00::", 7, "ipv6");
+INTERNAL_RANGES.addSubnet("fe80::", 10, "ipv6");
+
+// Whether an IP address lies in a range that does not belong on the public internet
+const isInternalAddress = (ip) => {
+  const address = normalizeIp(ip);
+  const family = net.isIP(address);
+  return family !== 0 && INTERNAL_RANGES.check(address, family === 6 ? "ipv6" : "ipv4");
+};
+
+/**
+ * Sign a webhook delivery.
+ * The signature covers the timestamp and the exact body, so receivers can
+ * reject replayed or altered deliveries: they recompute
+ * HMAC-SHA256(secret, `${timestamp}.${body}`) and compare it to `v1`.
+ * @param {string} secret - Secret shared with the receiver
+ * @param {number} timestamp - Unix time in seconds the delivery was sent at
+ * @param {string} body - JSON body as sent
+ * @returns {string} X-Webhook-Signature header value, e.g. "t=1767225600,v1=5257a8…"
+ */
+const signWebhook = (secret, timestamp, body) => {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * Check that a webhook URL may be registered by a file owner.
+ * Loopback, private and link-local addresses are refused so uploads cannot be
+ * used to make the server call into its own network. Host names are only
+ * resolved when a delivery connects; see publicLookup.
+ * @param {string} value - URL to check
+ * @returns {string} The URL as parsed
+ * @throws {Error} With statusCode 400 if it is not a public http(s) URL
+ */
+const assertWebhookUrl = (value) => {
+  let url = null;
+  try {
+    url = new URL(String(value || ""));
+  } catch (err) {
+    // Reported below like any other unacceptable URL
+  }
+
+  const host = url ? url.hostname.replace(/^\[|\]$/g, "") : "";
+  const internal = host === "localhost" || host.endsWith(".localhost") || isInternalAddress(host);
+
+  if (!url || !["http:", "https:"].includes(url.protocol) || internal) {
+    const error = new Error("Invalid webhook URL");
+    error.statusCode = 400;
+    error.details = "url must be a public http or https URL";
+    throw error;
+  }
+  return url.toString();
+};
+
+/**
+ * Resolve a host name like dns.lookup, failing if it resolves to an internal address.
+ * Used as the `lookup` of deliveries, so the address checked is the one connected to,
+ * and names that point into the local network, or are rebound to it, are refused.
+ * @param {string} hostname - Host name to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - Called like dns.lookup's callback
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some((entry) => isInternalAddress(entry.address))) {
+      const error = new Error(`${hostname} resolves to an internal address`);
+      error.code = "EINTERNALADDRESS";
+      return callback(error);
+    }
+    callback(null, address, family);
+  });
+};
+
+/**
+ * POST a webhook delivery. Redirects are not followed.
+ * @param {string} url - Receiver URL
+ * @param {Object} options - Delivery options
+ * @param {Object} options.headers - Request headers
+ * @param {string} options.body - JSON body
+ * @param {number} options.timeout - Time the receiver gets to answer, in ms
+ * @param {boolean} [options.publicOnly] - Refuse to connect to internal addresses (default: true)
+ * @returns {Promise<Object>} `{ ok, status }` of the answer
+ * @throws {Error} If the receiver cannot be reached or does not answer in time
+ */
+const postWebhook = (url, { headers, body, timeout, publicOnly = true }) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === "https:" ? https : http;
+    const request = transport.request(
+      target,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        signal: AbortSignal.timeout(timeout),
+        ...(publicOnly && { lookup: publicLookup }),
+      },
+      (response) => {
+        // Only the status matters
+        response.resume();
+        const status = response.statusCode;
+        resolve({ ok: status >= 200 && status < 300, status });
+      }
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+
+module.exports = {
+  signWebhook,
+  assertWebhookUrl,
+  publicLookup,
+  postWebhook,
+};